@@ -1,6 +1,8 @@
 import express from 'express';
 import { Pool } from 'pg';
 import { asyncHandler } from '../../utils/asyncHandler.js'; // Adjust path if needed
+import { requirePermission } from '../../middlewares/permissions.js';
+import { transitionOrder, OrderTransitionError } from '../../utils/orderStateMachine.js';
 import admin from '../../firebase-init.js'; 
 
 const router = express.Router();
@@ -82,7 +84,7 @@ const sendNotificationToSupervisors = async (message, title = 'Notification') =>
   }
 };
 
-router.put('/acceptManager/:id', asyncHandler(async (req, res) => {
+router.put('/acceptManager/:id', requirePermission('order:acceptManager'), asyncHandler(async (req, res) => {
   const { id } = req.params;
 
   if (!id) {
@@ -91,30 +93,16 @@ router.put('/acceptManager/:id', asyncHandler(async (req, res) => {
 
   const client = await pool.connect();
   try {
-    const updateQuery = `
-      UPDATE orders 
-      SET manageraccept = 'accepted',
-          manageraccept_at = CURRENT_TIMESTAMP,
-          updated_at = CURRENT_TIMESTAMP
-  WHERE id = $1
-      RETURNING custom_id
-          `;
-
-    const result = await executeWithRetry(() =>
-      withTimeout(client.query(updateQuery, [id]), 10000)
-    );
-
-    if (result.rowCount === 0) {
-      return res.status(404).json({ error: 'Order not found' });
-    }
-
-        const customId = result.rows[0]?.custom_id; 
-
+    const { order } = await transitionOrder(client, id, 'acceptManager', { user: req.user });
+    const customId = order.custom_id;
 
     await sendNotificationToSupervisors(`تم قبول الطلب ${customId} من قبل المدير.`);
 
     return res.status(200).json({ message: 'Order accepted successfully' });
   } catch (error) {
+    if (error instanceof OrderTransitionError) {
+      return res.status(error.status).json(error.toJSON());
+    }
     console.error('❌ Order accept error:', error);
     return res.status(500).json({
       error: 'Internal Server Error', 
@@ -2,6 +2,8 @@ import express from 'express';
 import { Pool } from 'pg';
 import { asyncHandler } from '../../utils/asyncHandler.js'; // Adjust path if needed
 import admin from '../../firebase-init.js'; 
+import { requirePermission } from '../../middlewares/permissions.js';
+import { transitionOrder, OrderTransitionError } from '../../utils/orderStateMachine.js';
 
 const router = express.Router();
 
@@ -81,7 +83,7 @@ const sendNotificationToRole = async (role, table, message, title = 'Notificatio
 };
 
 // PUT /acceptStorekeeper/:id
-router.put('/acceptStorekeeper/:id', asyncHandler(async (req, res) => {
+router.put('/acceptStorekeeper/:id', requirePermission('order:acceptStorekeeper'), asyncHandler(async (req, res) => {
   const { id } = req.params;
   if (!id) {
     return res.status(400).json({ error: 'Missing order ID' });
@@ -89,27 +91,8 @@ router.put('/acceptStorekeeper/:id', asyncHandler(async (req, res) => {
 
   const client = await pool.connect();
   try {
-    const updateQuery = `
-      UPDATE orders 
-      SET storekeeperaccept = 'accepted',
-          storekeeperaccept_at = CURRENT_TIMESTAMP,
-          updated_at = CURRENT_TIMESTAMP 
-      WHERE id = $1
-                  RETURNING custom_id
-
-    `;
-
-    const result = await executeWithRetry(() =>
-      withTimeout(client.query(updateQuery, [id]), 10000)
-    );
-
-    if (result.rowCount === 0) {
-      return res.status(404).json({ error: 'Order not found or not updated' });
-    }
-
-
-
-                const customId = result.rows[0]?.custom_id; 
+    const { order } = await transitionOrder(client, id, 'acceptStorekeeper', { user: req.user });
+    const customId = order.custom_id;
 
 
     await sendNotificationToRole(
@@ -129,6 +112,9 @@ router.put('/acceptStorekeeper/:id', asyncHandler(async (req, res) => {
 
     return res.status(200).json({ message: 'Order accepted successfully' });
   } catch (error) {
+    if (error instanceof OrderTransitionError) {
+      return res.status(error.status).json(error.toJSON());
+    }
     console.error('❌ Error updating order:', error);
     return res.status(500).json({
       error: 'Internal Server Error',
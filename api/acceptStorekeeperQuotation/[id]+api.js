@@ -2,6 +2,7 @@ import express from 'express';
 import { Pool } from 'pg';
 import { asyncHandler } from '../../utils/asyncHandler.js'; // Adjust path as needed
 import admin from '../../firebase-init.js'; 
+import { loadQuotationValidity, isQuotationExpired, QUOTATION_NOT_EXPIRED_SQL } from '../../utils/quotationExpiry.js';
 
 const router = express.Router();
 
@@ -89,11 +90,24 @@ router.put('/acceptStorekeeperQuotation/:id', asyncHandler(async (req, res) => {
 
   const client = await pool.connect();
   try {
+    const quotation = await loadQuotationValidity(client, id);
+    if (!quotation) {
+      return res.status(404).json({ error: 'Quotation not found' });
+    }
+    if (isQuotationExpired(quotation)) {
+      return res.status(409).json({
+        error: `انتهت صلاحية عرض السعر ${quotation.custom_id}`,
+        reason: 'quotation_expired',
+        validUntil: quotation.valid_until,
+      });
+    }
+
     const updateQuery = `
       UPDATE quotations 
       SET storekeeperaccept = 'accepted',
           updated_at = CURRENT_TIMESTAMP
       WHERE id = $1
+        AND ${QUOTATION_NOT_EXPIRED_SQL}
       RETURNING custom_id
 
     `;
@@ -105,8 +119,13 @@ router.put('/acceptStorekeeperQuotation/:id', asyncHandler(async (req, res) => {
 
 
 
+    // Expired after the check above
     if (result.rowCount === 0) {
-      return res.status(404).json({ error: 'Quotation not found or not updated' });
+      return res.status(409).json({
+        error: `انتهت صلاحية عرض السعر ${quotation.custom_id}`,
+        reason: 'quotation_expired',
+        validUntil: quotation.valid_until,
+      });
     }
 
                     const customId = result.rows[0]?.custom_id; 
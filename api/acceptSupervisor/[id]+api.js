@@ -2,6 +2,8 @@ import express from 'express';
 import { Pool } from 'pg';
 import { asyncHandler } from '../../utils/asyncHandler.js'; // Adjust path as needed
 import admin from '../../firebase-init.js';
+import { requirePermission } from '../../middlewares/permissions.js';
+import { transitionOrder, OrderTransitionError } from '../../utils/orderStateMachine.js';
 
 const router = express.Router();
 
@@ -66,7 +68,7 @@ const sendNotificationToRole = async (table, role, message, title = 'Notificatio
 };
 
 // PUT /acceptSupervisor/:id
-router.put('/acceptSupervisor/:id', asyncHandler(async (req, res) => {
+router.put('/acceptSupervisor/:id', requirePermission('order:acceptSupervisor'), asyncHandler(async (req, res) => {
   const { id } = req.params;
 
   if (!id) {
@@ -75,25 +77,8 @@ router.put('/acceptSupervisor/:id', asyncHandler(async (req, res) => {
 
   const client = await pool.connect();
   try {
-    const updateQuery = `
-      UPDATE orders 
-      SET supervisoraccept = 'accepted',
-          supervisoraccept_at = CURRENT_TIMESTAMP,
-          updated_at = CURRENT_TIMESTAMP
-      WHERE id = $1
-            RETURNING custom_id
-    `;
-
-    const result = await executeWithRetry(() =>
-      withTimeout(client.query(updateQuery, [id]), 10000)
-    );
-
-    if (result.rowCount === 0) {
-      return res.status(404).json({ error: 'Order not found' });
-    }
-
-
-          const customId = result.rows[0]?.custom_id; 
+    const { order } = await transitionOrder(client, id, 'acceptSupervisor', { user: req.user });
+    const customId = order.custom_id;
 
 
     await sendNotificationToRole(
@@ -112,6 +97,9 @@ router.put('/acceptSupervisor/:id', asyncHandler(async (req, res) => {
 
     return res.status(200).json({ message: 'Order accepted successfully' });
   } catch (err) {
+    if (err instanceof OrderTransitionError) {
+      return res.status(err.status).json(err.toJSON());
+    }
     console.error('❌ Error updating order:', err);
     return res.status(500).json({
       error: 'Internal Server Error',
@@ -2,6 +2,7 @@ import express from 'express';
 import { Pool } from 'pg';
 import { asyncHandler } from '../../utils/asyncHandler.js'; // Adjust if needed
 import admin from '../../firebase-init.js'; 
+import { loadQuotationValidity, isQuotationExpired, QUOTATION_NOT_EXPIRED_SQL } from '../../utils/quotationExpiry.js';
 
 const router = express.Router();
 
@@ -83,12 +84,25 @@ router.put('/acceptSupervisorQuotation/:id', asyncHandler(async (req, res) => {
 
   const client = await pool.connect();
   try {
+    const quotation = await loadQuotationValidity(client, id);
+    if (!quotation) {
+      return res.status(404).json({ error: 'Quotation not found' });
+    }
+    if (isQuotationExpired(quotation)) {
+      return res.status(409).json({
+        error: `انتهت صلاحية عرض السعر ${quotation.custom_id}`,
+        reason: 'quotation_expired',
+        validUntil: quotation.valid_until,
+      });
+    }
+
     const updateQuery = `
       UPDATE quotations 
       SET supervisoraccept = 'accepted',
           supervisoraccept_at = CURRENT_TIMESTAMP,
           updated_at = CURRENT_TIMESTAMP
       WHERE id = $1
+        AND ${QUOTATION_NOT_EXPIRED_SQL}
       RETURNING custom_id 
 
     `;
@@ -97,8 +111,13 @@ router.put('/acceptSupervisorQuotation/:id', asyncHandler(async (req, res) => {
       withTimeout(client.query(updateQuery, [id]), 10000)
     );
 
+    // Expired after the check above
     if (result.rowCount === 0) {
-      return res.status(404).json({ error: 'Quotation not found' });
+      return res.status(409).json({
+        error: `انتهت صلاحية عرض السعر ${quotation.custom_id}`,
+        reason: 'quotation_expired',
+        validUntil: quotation.valid_until,
+      });
     }
 
               const customId = result.rows[0]?.custom_id; 
@@ -1,6 +1,7 @@
 import express from 'express';
 import { Pool } from 'pg';
 import { asyncHandler } from '../../utils/asyncHandler.js'; // adjust path as needed
+import { scopedUsername } from '../../middlewares/auth.js';
 
 const router = express.Router();
 const pool = new Pool({ connectionString: process.env.DATABASE_URL });
@@ -34,7 +35,7 @@ router.get('/allClients', asyncHandler(async (req, res) => {
     const limit = parseInt(req.query.limit || '10', 10);
     const page = parseInt(req.query.page || '1', 10);
     const searchQuery = `%${req.query.search || ''}%`;
-    const username = typeof req.query.username === 'string' ? req.query.username.trim() : '';
+    const username = scopedUsername(req);
     const offset = (page - 1) * limit;
 
     const whereParts = [];
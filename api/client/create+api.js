@@ -1,7 +1,8 @@
 import express from 'express';
 import { Pool } from 'pg';
 import { asyncHandler } from '../../utils/asyncHandler.js';
-import { createMedadCustomer } from '../../utils/medad.js';
+import { buildMedadCustomerPayload, normalizeMedadCustomerId } from '../../utils/medad.js';
+import { deliverMedadSync, enqueueMedadSync, OUTBOX_STATUSES } from '../../utils/medadOutbox.js';
 
 const pool = new Pool({ connectionString: process.env.DATABASE_URL });
 const router = express.Router();
@@ -31,9 +32,10 @@ router.post('/clients', asyncHandler(async (req, res) => {
   const client = await pool.connect();
   try {
     const {
-      company_name, username, client_name, client_type,
+      company_name, client_name, client_type,
       phone_number, tax_number, branch_number, location
     } = req.body;
+    const username = req.user.name;
 
     if (
       !company_name || !client_name || !client_type ||
@@ -54,28 +56,6 @@ router.post('/clients', asyncHandler(async (req, res) => {
       throw new Error('العميل موجود بالفعل بنفس رقم الهاتف أو الاسم في الشركة');
     }
 
-    let medadResult;
-    try {
-      medadResult = await createMedadCustomer({
-        accountType: '0',
-        companyName: company_name,
-        contactName: client_name,
-        phoneNumber: phone_number,
-        vatNo: tax_number,
-        branchName: branch_number,
-        address1: location.street || null,
-        address2: location.region || null,
-        city: location.city || null,
-        region: location.region || null,
-        warehouseNo: process.env.MEDAD_BRANCH || null,
-      });
-    } catch (medadError) {
-      return res.status(502).json({
-        error: 'Failed to sync client to Medad',
-        details: medadError?.message || String(medadError),
-      });
-    }
-
     const insertQuery = `
       INSERT INTO clients (
         company_name, username, client_name, client_type, phone_number,
@@ -95,44 +75,53 @@ router.post('/clients', asyncHandler(async (req, res) => {
 
     const createdClient = response.rows[0];
 
-    // Keep local ↔ Medad mapping aligned automatically for future invoice sync.
-    if (medadResult.medadCustomerId && tax_number) {
-      const linkQuery = `
-        INSERT INTO client_medad_customers (
-          client_id, medad_customer_id, vat_no, branch_name, phone, address1, address2, city, region, is_default
-        )
-        SELECT $1, $2, $3, $4, $5, $6, $7, $8, $9, TRUE
-        WHERE NOT EXISTS (
-          SELECT 1
-          FROM client_medad_customers
-          WHERE CAST(client_id AS TEXT) = CAST($1 AS TEXT)
-            AND CAST(medad_customer_id AS TEXT) = CAST($2 AS TEXT)
-        )
-      `;
-      const linkValues = [
-        createdClient.id,
-        medadResult.medadCustomerId,
-        tax_number,
-        branch_number || null,
-        phone_number || null,
-        location.street || null,
-        location.region || null,
-        location.city || null,
-        location.region || null,
-      ];
-
-      try {
-        await executeWithRetry(() => withTimeout(client.query(linkQuery, linkValues), 10000));
-      } catch (linkError) {
-        console.warn('Client created and synced to Medad, but local Medad link insert failed:', linkError?.message || linkError);
-      }
-    }
+    // The client exists locally either way; the Medad customer is created through
+    // the outbox so a Medad outage no longer blocks registering clients.
+    const queued = await enqueueMedadSync(client, {
+      kind: 'customer',
+      idempotencyKey: `customer:client:${createdClient.id}`,
+      entityType: 'client',
+      entityId: createdClient.id,
+      payload: buildMedadCustomerPayload({
+        accountType: '0',
+        companyName: company_name,
+        contactName: client_name,
+        phoneNumber: phone_number,
+        vatNo: tax_number,
+        branchName: branch_number,
+        address1: location.street || null,
+        address2: location.region || null,
+        city: location.city || null,
+        region: location.region || null,
+        warehouseNo: process.env.MEDAD_BRANCH || null,
+      }),
+      // Keep local ↔ Medad mapping aligned automatically for future invoice sync.
+      context: tax_number
+        ? {
+            link: {
+              clientId: createdClient.id,
+              vatNo: tax_number,
+              branchName: branch_number || null,
+              phone: phone_number || null,
+              address1: location.street || null,
+              address2: location.region || null,
+              city: location.city || null,
+              region: location.region || null,
+            },
+          }
+        : null,
+      actor: req.user,
+    });
+    const entry = await deliverMedadSync(queued.id);
 
     res.status(201).json({
       data: createdClient,
       medad: {
-        synced: true,
-        customerId: medadResult.medadCustomerId || null,
+        synced: entry.status === OUTBOX_STATUSES.SENT,
+        status: entry.status,
+        customerId: normalizeMedadCustomerId(entry.response) || null,
+        error: entry.last_error,
+        outboxId: entry.id,
       },
     });
   } finally {
@@ -147,7 +136,7 @@ router.get('/clients', asyncHandler(async (req, res) => {
     const limit = parseInt(req.query.limit || '10', 10);
     const page = parseInt(req.query.page || '1', 10);
     const searchQuery = `%${req.query.search || ''}%`;
-    const username = req.query.username || '';
+    const username = req.user.name || '';
     const offset = (page - 1) * limit;
 
     const clientsQuery = `
@@ -194,7 +183,7 @@ router.get('/myClients', asyncHandler(async (req, res) => {
     const limit = parseInt(req.query.limit || '10', 10);
     const page = parseInt(req.query.page || '1', 10);
     const searchQuery = `%${req.query.search || ''}%`;
-    const username = req.query.username; // must be passed
+    const username = req.user.name;
     const offset = (page - 1) * limit;
 
     if (!username) {
@@ -26,17 +26,17 @@ const withTimeout = (promise, timeout) => {
   return Promise.race([promise, timeoutPromise]);
 };
 
-// GET /api/clients?username=&search=&limit=&page=
+// GET /api/clients?search=&limit=&page=  (the caller's own clients)
 router.get('/clients', asyncHandler(async (req, res) => {
   const client = await pool.connect();
   try {
     const limit = parseInt(req.query.limit || '10', 10);
     const page = parseInt(req.query.page || '1', 10);
     const searchQuery = `%${req.query.search || ''}%`;
-    const username = req.query.username?.trim();
+    const username = req.user.name?.trim();
 
     if (!username) {
-      return res.status(400).json({ error: 'Missing username query parameter' });
+      return res.status(403).json({ error: 'Forbidden', reason: 'missing_profile' });
     }
 
     const offset = (page - 1) * limit;
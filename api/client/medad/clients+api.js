@@ -1,49 +1,10 @@
 import express from 'express';
 import { Pool } from 'pg';
+import { medad } from '../../../utils/medadClient.js';
 
 const router = express.Router();
 const pool = new Pool({ connectionString: process.env.DATABASE_URL });
 
-// Simple cached token helper for Medad auth
-let cachedToken = null;
-let tokenExpiry = 0;
-const getMedadToken = async () => {
-  if (cachedToken && Date.now() < tokenExpiry) return cachedToken;
-
-  const payload = {
-    username: process.env.MEDAD_USERNAME,
-    password: process.env.MEDAD_PASSWORD,
-    subscriptionId: process.env.MEDAD_SUBSCRIPTION_ID,
-    branch: Number(process.env.MEDAD_BRANCH),
-    year: process.env.MEDAD_YEAR,
-  };
-
-  const response = await fetch(`${process.env.MEDAD_BASE_URL}/getToken`, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      Accept: 'application/json',
-    },
-    body: JSON.stringify(payload),
-  });
-
-  if (!response.ok) {
-    const text = await response.text();
-    throw new Error(`Medad token request failed: ${text}`);
-  }
-
-  const data = await response.json();
-  const token = data.token || data.access_token || data?.data?.token;
-  if (!token) {
-    throw new Error('Medad token not found in response');
-  }
-
-  const expiresIn = Number(data.expiresIn || data.expires_in || 3600);
-  cachedToken = token;
-  tokenExpiry = Date.now() + (expiresIn - 60) * 1000; // refresh 1 min early
-  return cachedToken;
-};
-
 const normalizeName = (value) =>
   String(value || '')
     .toLowerCase()
@@ -117,8 +78,8 @@ const pickSalesmanName = (customer) =>
 // Lightweight Medad clients list for linking
 router.get('/medad/clients', async (req, res) => {
   try {
-    const clerkId = (req.query.clerkId || req.query.clerk_id || '').toString().trim();
-    const clerkName = (req.query.clerkName || req.query.clerk_name || '').toString().trim();
+    const { clerkId } = req.user;
+    const clerkName = (req.user.name || '').toString().trim();
     const explicitSalesmanId = (req.query.medadSalesmanId || req.query.medad_salesman_id || '').toString().trim();
     const userScope = await resolveCurrentUserSalesmanScope({ clerkId, explicitSalesmanId, clerkName });
 
@@ -136,75 +97,35 @@ router.get('/medad/clients', async (req, res) => {
       });
     }
 
-    const token = await getMedadToken();
-
-    const accountType = '0'; // 0 = customers
-    const PAGE_SIZE = 100;
-    let page = 1;
-
     const clients = [];
     const seen = new Set();
 
-    while (true) {
-      const url = `${process.env.MEDAD_BASE_URL}/customers?accountType=${accountType}&page=${page}&limit=${PAGE_SIZE}`;
+    // accountType 0 = customers
+    for (const c of await medad.listAllCustomers({ accountType: '0' })) {
+      if (userScope.hasScope) {
+        if (userScope.mode === 'name') {
+          const salesmanName = normalizeName(pickSalesmanName(c));
+          if (!salesmanName || !userScope.salesmanNames.has(salesmanName)) continue;
+        } else {
+          const salesmanId = pickSalesmanId(c).trim();
+          if (!salesmanId || !userScope.salesmanIds.has(salesmanId)) continue;
+        }
+      }
 
-      const response = await fetch(url, {
-        headers: {
-          Authorization: `Bearer ${token}`,
-          Accept: 'application/json',
-        },
-      });
+      const id = c.id?.toString() || c.customerId?.toString();
+      if (!id || seen.has(id)) continue;
 
-      if (!response.ok) {
-        const text = await response.text();
-        throw new Error(text || 'Failed to fetch Medad clients');
-      }
+      seen.add(id);
 
-      const data = await response.json();
-      const raw =
-        data?.customers ||
-        data?.items ||
-        data?.data ||
-        (Array.isArray(data) ? data : []);
-
-      const batch = Array.isArray(raw) ? raw : [];
-
-      const normalized = batch
-        .map((c) => {
-          if (userScope.hasScope) {
-            if (userScope.mode === 'name') {
-              const salesmanName = normalizeName(pickSalesmanName(c));
-              if (!salesmanName || !userScope.salesmanNames.has(salesmanName)) return null;
-            } else {
-              const salesmanId = pickSalesmanId(c).trim();
-              if (!salesmanId || !userScope.salesmanIds.has(salesmanId)) return null;
-            }
-          }
-
-          const id = c.id?.toString() || c.customerId?.toString();
-          if (!id || seen.has(id)) return null;
-
-          seen.add(id);
-
-          return {
-            medad_customer_id: id,
-            name: c.name || c.company_name || '',
-            vat_no: c.vatNo || c.vat_no || '',
-            phone: c.phone || c.contact1Phone || '',
-            branch: c.branch || '',
-            salesman_id: pickSalesmanId(c),
-            salesman_name: pickSalesmanName(c),
-          };
-        })
-        .filter(Boolean);
-
-      clients.push(...normalized);
-
-      const noMore = batch.length < PAGE_SIZE;
-      const totalPages = data.total_pages || data.totalPages;
-      if (noMore || (totalPages && page >= totalPages)) break;
-
-      page += 1;
+      clients.push({
+        medad_customer_id: id,
+        name: c.name || c.company_name || '',
+        vat_no: c.vatNo || c.vat_no || '',
+        phone: c.phone || c.contact1Phone || '',
+        branch: c.branch || '',
+        salesman_id: pickSalesmanId(c),
+        salesman_name: pickSalesmanName(c),
+      });
     }
 
     return res.status(200).json({
@@ -2,6 +2,8 @@ import express from 'express';
 import pkg from 'pg';
 import { asyncHandler } from '../../utils/asyncHandler.js'; // adjust path if needed
 import admin from '../../firebase-init.js';
+import { requirePermission, requireAssignedDriver } from '../../middlewares/permissions.js';
+import { transitionOrder, OrderTransitionError } from '../../utils/orderStateMachine.js';
 
 const { Pool } = pkg;
 const router = express.Router();
@@ -79,6 +81,8 @@ const sendNotificationToStorekeeper = (msg, title) =>
 
 router.put(
   '/delivered/:id',
+  requirePermission('order:deliver'),
+  requireAssignedDriver,
   asyncHandler(async (req, res) => {
     const { id } = req.params;
 
@@ -87,22 +91,20 @@ router.put(
       throw new Error('Missing order ID');
     }
 
-    const actualDeliveryDate = new Date().toISOString();
-    const updateQuery = `
-      UPDATE orders 
-      SET status = 'Delivered',
-          actual_delivery_date = $2,
-          updated_at = CURRENT_TIMESTAMP
-      WHERE id = $1
-      RETURNING custom_id
-    `;
-
-    // ✅ Capture the result from the query
-    const result = await executeWithRetry(() =>
-      withTimeout(pool.query(updateQuery, [id, actualDeliveryDate]), 10000)
-    );
+    const client = await pool.connect();
+    let result;
+    try {
+      result = await transitionOrder(client, id, 'deliver', { user: req.user });
+    } catch (err) {
+      if (err instanceof OrderTransitionError) {
+        return res.status(err.status).json(err.toJSON());
+      }
+      throw err;
+    } finally {
+      client.release();
+    }
 
-    const customId = result.rows[0]?.custom_id;
+    const customId = result.order.custom_id;
 
     // ✅ Optional: handle missing custom_id gracefully
     if (!customId) {
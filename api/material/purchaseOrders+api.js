@@ -0,0 +1,117 @@
+import express from 'express';
+import pkg from 'pg';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { asyncHandler } from '../../utils/asyncHandler.js';
+import { requirePermission } from '../../middlewares/permissions.js';
+import { generatePDF } from '../quotation/pdf.js';
+import { MaterialTransitionError } from '../../utils/materialRequestStateMachine.js';
+import {
+  PurchaseOrderError,
+  buildPurchaseOrderDocument,
+  listPurchaseOrders,
+  loadPurchaseOrder,
+  receivePurchaseOrder,
+} from '../../utils/purchaseOrders.js';
+
+const { Pool } = pkg;
+const router = express.Router();
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const TEMPLATE_PATH = path.resolve(__dirname, '../../templates/PurchaseOrder.docx');
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  max: 10,
+  idleTimeoutMillis: 30000,
+  connectionTimeoutMillis: 10000,
+});
+
+pool.on('error', (err) => {
+  console.error('Unexpected error on idle client:', err);
+});
+
+const sendPurchaseOrderError = (res, error) => {
+  if (!(error instanceof PurchaseOrderError) && !(error instanceof MaterialTransitionError)) throw error;
+  return res.status(error.status).json(error.toJSON());
+};
+
+// GET /api/material/purchase-orders?status=&supplierId=&requestId=&page=&limit=
+router.get('/purchase-orders', asyncHandler(async (req, res) => {
+  const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+  const limit = Math.min(200, Math.max(1, parseInt(req.query.limit, 10) || 50));
+  const client = await pool.connect();
+  try {
+    const { purchaseOrders, total } = await listPurchaseOrders(client, {
+      status: req.query.status || null,
+      supplierId: req.query.supplierId || null,
+      requestId: req.query.requestId || null,
+      page,
+      limit,
+    });
+    return res.status(200).json({
+      purchaseOrders,
+      total,
+      page,
+      limit,
+      totalPages: Math.max(1, Math.ceil(total / limit)),
+    });
+  } finally {
+    client.release();
+  }
+}));
+
+// GET /api/material/purchase-orders/:id
+router.get('/purchase-orders/:id', asyncHandler(async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const purchaseOrder = await loadPurchaseOrder(client, req.params.id);
+    if (!purchaseOrder) {
+      return res.status(404).json({ error: 'Purchase order not found' });
+    }
+    return res.status(200).json({ purchaseOrder });
+  } finally {
+    client.release();
+  }
+}));
+
+// GET /api/material/purchase-orders/:id/pdf
+router.get('/purchase-orders/:id/pdf', asyncHandler(async (req, res) => {
+  const client = await pool.connect();
+  let data;
+  try {
+    const purchaseOrder = await loadPurchaseOrder(client, req.params.id);
+    if (!purchaseOrder) {
+      return res.status(404).json({ error: 'Purchase order not found' });
+    }
+    data = await buildPurchaseOrderDocument(client, purchaseOrder);
+  } finally {
+    client.release();
+  }
+
+  const pdfBuffer = await generatePDF(data, TEMPLATE_PATH);
+  const fileName = `purchase_order_${data.po_no || req.params.id}.pdf`;
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename=${fileName}`);
+  res.setHeader('Content-Length', pdfBuffer.length);
+  return res.send(pdfBuffer);
+}));
+
+// POST /api/material/purchase-orders/:id/receive
+// Body: { lines?: [{ lineId, quantity }] }  received now, default everything outstanding
+router.post('/purchase-orders/:id/receive', requirePermission('material:receive'), asyncHandler(async (req, res) => {
+  const client = await pool.connect();
+  try {
+    let result;
+    try {
+      result = await receivePurchaseOrder(client, req.params.id, { lines: req.body?.lines, user: req.user });
+    } catch (error) {
+      return sendPurchaseOrderError(res, error);
+    }
+    return res.status(200).json({ ...result, message: 'تم تسجيل استلام أمر الشراء' });
+  } finally {
+    client.release();
+  }
+}));
+
+export default router;
@@ -1,7 +1,28 @@
 //api/material/request+api.js
 import express from 'express';
 import { Pool } from 'pg';
-import admin from '../../firebase-init.js';
+import { medad } from '../../utils/medadClient.js';
+import { can } from '../../middlewares/permissions.js';
+import {
+  createMaterialRequest,
+  ensureMaterialRequestTables,
+  normalizeMaterialProducts,
+  sendNotificationToManagers,
+} from '../../utils/materialRequests.js';
+import {
+  MATERIAL_ITEM_STATES,
+  MATERIAL_ITEM_TRANSITIONS,
+  MaterialTransitionError,
+  applyMaterialSteps,
+  listMaterialItemEvents,
+  transitionMaterialItems,
+} from '../../utils/materialRequestStateMachine.js';
+import {
+  PurchaseOrderError,
+  createPurchaseOrder,
+  deliverPurchaseOrderSync,
+  loadPurchaseOrder,
+} from '../../utils/purchaseOrders.js';
 
 const router = express.Router();
 
@@ -33,223 +54,24 @@ const withTimeout = (promise, timeout) => {
   return Promise.race([promise, timeoutPromise]);
 };
 
-const ensureTable = async client => {
-  const createSql = `
-    CREATE TABLE IF NOT EXISTS material_requests (
-      id SERIAL PRIMARY KEY,
-      products JSONB NOT NULL,
-      request_all BOOLEAN DEFAULT FALSE,
-      requested_by TEXT,
-      note TEXT,
-      status TEXT DEFAULT 'pending',
-      created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
-    );
-  `;
-  await executeWithRetry(() => withTimeout(client.query(createSql), 10000));
-  const alterStatements = [
-    "ALTER TABLE material_requests ADD COLUMN IF NOT EXISTS assigned_driver_id TEXT",
-    "ALTER TABLE material_requests ADD COLUMN IF NOT EXISTS assigned_driver_name TEXT",
-    "ALTER TABLE material_requests ADD COLUMN IF NOT EXISTS assigned_driver_email TEXT",
-    "ALTER TABLE material_requests ADD COLUMN IF NOT EXISTS assigned_at TIMESTAMPTZ",
-    "ALTER TABLE material_requests ADD COLUMN IF NOT EXISTS manager_note TEXT",
-    "ALTER TABLE material_requests ADD COLUMN IF NOT EXISTS assigned_quantity NUMERIC",
-    "ALTER TABLE material_requests ADD COLUMN IF NOT EXISTS supplier_id TEXT",
-    "ALTER TABLE material_requests ADD COLUMN IF NOT EXISTS supplier_name TEXT",
-    "ALTER TABLE material_requests ADD COLUMN IF NOT EXISTS storekeeper_total_quantity NUMERIC",
-    "ALTER TABLE material_requests ADD COLUMN IF NOT EXISTS manager_quantities JSONB",
-    "ALTER TABLE material_requests ADD COLUMN IF NOT EXISTS supplier_requested BOOLEAN DEFAULT FALSE",
-    "ALTER TABLE material_requests ADD COLUMN IF NOT EXISTS supplier_requested_at TIMESTAMPTZ",
-    "ALTER TABLE material_requests ADD COLUMN IF NOT EXISTS supplier_requested_by TEXT"
-  ];
-  for (const sql of alterStatements) {
-    await executeWithRetry(() => withTimeout(client.query(sql), 10000));
-  }
-
-  const createItemsSql = `
-    CREATE TABLE IF NOT EXISTS material_request_items (
-      id SERIAL PRIMARY KEY,
-      request_id INT REFERENCES material_requests(id) ON DELETE CASCADE,
-      product_id TEXT,
-      product_code TEXT,
-      product_name TEXT,
-      section TEXT,
-      supplier TEXT,
-      company TEXT,
-      requested_quantity NUMERIC,
-      status TEXT DEFAULT 'pending',
-      assigned_driver_id TEXT,
-      assigned_driver_name TEXT,
-      assigned_driver_email TEXT,
-      assigned_quantity NUMERIC,
-      supplier_id TEXT,
-      supplier_name TEXT,
-      supplier_requested BOOLEAN DEFAULT FALSE,
-      supplier_assigned_quantity NUMERIC,
-      selection_key TEXT,
-      created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
-    );
-    CREATE INDEX IF NOT EXISTS idx_material_request_items_request ON material_request_items(request_id);
-  `;
-  await executeWithRetry(() => withTimeout(client.query(createItemsSql), 10000));
-  const alterItemStatements = [
-    "ALTER TABLE material_request_items ADD COLUMN IF NOT EXISTS supplier_requested BOOLEAN DEFAULT FALSE",
-    "ALTER TABLE material_request_items ADD COLUMN IF NOT EXISTS supplier_assigned_quantity NUMERIC",
-    "ALTER TABLE material_request_items ADD COLUMN IF NOT EXISTS delivered_at TIMESTAMPTZ"
-  ];
-  for (const sql of alterItemStatements) {
-    await executeWithRetry(() => withTimeout(client.query(sql), 10000));
-  }
-};
-
-const sendNotificationToManagers = async (summary, count) => {
-  const client = await pool.connect();
-  try {
-    const result = await executeWithRetry(() =>
-      withTimeout(
-        client.query('SELECT fcm_token FROM Managers WHERE role = $1 AND active = TRUE', ['manager']),
-        10000
-      )
-    );
-
-    const tokens = result.rows.map(r => r.fcm_token).filter(Boolean);
-    if (!tokens.length) {
-      console.warn('⚠️ No FCM tokens found for managers. Skipping notification.');
-      return;
-    }
-
-    const body = `${summary}${count ? ` (${count})` : ''} بانتظار موافقتك.`;
-    const messages = tokens.map(token => ({
-      notification: {
-        title: 'طلب مواد جديد',
-        body,
-      },
-      data: {
-        role: 'manager',
-        type: 'material_request',
-      },
-      token,
-    }));
-
-    await admin.messaging().sendEach(messages);
-  } catch (err) {
-    console.error('🚨 Failed to send FCM messages to managers:', err);
-  } finally {
-    client.release();
-  }
-};
-
-const DONE_STATUSES = ['completed', 'delivered', 'done', 'ordered', 'approved', 'supplied'];
-
-// Medad token helper (used to fetch suppliers from Medad API)
-let cachedToken = null;
-let tokenExpiry = 0;
-const getMedadToken = async () => {
-  if (cachedToken && Date.now() < tokenExpiry) return cachedToken;
-
-  const payload = {
-    username: process.env.MEDAD_USERNAME,
-    password: process.env.MEDAD_PASSWORD,
-    subscriptionId: process.env.MEDAD_SUBSCRIPTION_ID,
-    branch: Number(process.env.MEDAD_BRANCH),
-    year: process.env.MEDAD_YEAR,
-  };
-
-  const response = await fetch(`${process.env.MEDAD_BASE_URL}/getToken`, {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
-    body: JSON.stringify(payload),
-  });
-
-  if (!response.ok) {
-    const text = await response.text();
-    throw new Error(`Medad token request failed: ${text}`);
-  }
-
-  const data = await response.json();
-  const token = data.token || data.access_token || data?.data?.token;
-  if (!token) throw new Error('Medad token not found in response');
-
-  const expiresIn = Number(data.expiresIn || data.expires_in || 3600);
-  cachedToken = token;
-  tokenExpiry = Date.now() + (expiresIn - 60) * 1000; // refresh 1 min early
-  return cachedToken;
-};
-
 router.post('/requestMaterial', async (req, res) => {
-  const { products = [], requestAll = false, requestedBy = null, note = null } = req.body || {};
-
-  const normalizedProducts = Array.isArray(products)
-    ? products.map(p => ({
-        id: p.id ?? p.productNo ?? p.code ?? null,
-        name: p.name ?? p.description ?? 'بدون اسم',
-        code: p.code ?? p.productNo ?? '',
-        quantity: Number(p.quantity ?? p.availableQuantity ?? p.qty ?? 0) || 0,
-        section: p.section_name ?? p.category ?? '',
-        supplier: p.supplier_name ?? p.vendorName ?? '',
-        company: p.company_name ?? p.vendorId ?? '',
-        requested_quantity: (() => {
-          const qty = Number(p.requestedQuantity ?? p.requested_quantity ?? p.request_qty ?? p.requestQty ?? 0);
-          return Number.isFinite(qty) && qty > 0 ? qty : 0;
-        })(),
-        requestedQuantity: (() => {
-          const qty = Number(p.requestedQuantity ?? p.requested_quantity ?? p.request_qty ?? p.requestQty ?? 0);
-          return Number.isFinite(qty) && qty > 0 ? qty : 0;
-        })(),
-      }))
-    : [];
+  const { products = [], requestAll = false, note = null } = req.body || {};
+  const requestedBy = req.user.name;
+
+  const normalizedProducts = normalizeMaterialProducts(products);
 
   if (!requestAll && normalizedProducts.length === 0) {
     return res.status(400).json({ error: 'No products provided for material request' });
   }
 
-  const storekeeperTotalQuantity = normalizedProducts.reduce((sum, p) => sum + (p.requested_quantity || 0), 0);
-  const storekeeperTotalQuantityValue = Number.isFinite(storekeeperTotalQuantity) ? storekeeperTotalQuantity : null;
-
   const client = await pool.connect();
   try {
-    await ensureTable(client);
-
-    const insertSql = `
-      INSERT INTO material_requests (products, request_all, requested_by, note, status, storekeeper_total_quantity)
-      VALUES ($1, $2, $3, $4, 'pending', $5)
-      RETURNING id, created_at
-    `;
-    const insertParams = [JSON.stringify(normalizedProducts), requestAll, requestedBy, note, storekeeperTotalQuantityValue];
-    const result = await executeWithRetry(() => withTimeout(client.query(insertSql, insertParams), 10000));
-    const requestId = result.rows[0]?.id;
-
-    // also insert per-product rows for granular assignment
-    if (requestId && Array.isArray(normalizedProducts)) {
-      const itemValues = normalizedProducts.map(p => [
-        requestId,
-        p.id || p.code || null,
-        p.code || null,
-        p.name || 'بدون اسم',
-        p.section || null,
-        p.supplier || null,
-        p.company || null,
-        Number(p.requested_quantity || p.requestedQuantity || 0) || 0,
-        'pending',
-        p.code || p.id || null,
-      ]);
-
-      const valuesSql = itemValues
-        .map(
-          (_, idx) =>
-            `($${idx * 10 + 1}, $${idx * 10 + 2}, $${idx * 10 + 3}, $${idx * 10 + 4}, $${idx * 10 + 5}, $${idx * 10 + 6}, $${idx * 10 + 7}, $${idx * 10 + 8}, $${idx * 10 + 9}, $${idx * 10 + 10})`,
-        )
-        .join(', ');
-
-      const flatParams = itemValues.flat();
-      const insertItemsSql = `
-        INSERT INTO material_request_items
-        (request_id, product_id, product_code, product_name, section, supplier, company, requested_quantity, status, selection_key)
-        VALUES ${valuesSql}
-      `;
-      if (itemValues.length) {
-        await executeWithRetry(() => withTimeout(client.query(insertItemsSql, flatParams), 10000));
-      }
-    }
+    const { requestId } = await createMaterialRequest(client, {
+      products: normalizedProducts,
+      requestAll,
+      note,
+      requestedBy,
+    });
 
     const summary = requestAll ? 'طلب جميع المنتجات' : 'طلب مواد محددة';
     await sendNotificationToManagers(summary, normalizedProducts.length);
@@ -271,7 +93,7 @@ router.post('/requestMaterial', async (req, res) => {
 router.get('/requestMaterial', async (_req, res) => {
   const client = await pool.connect();
   try {
-    await ensureTable(client);
+    await ensureMaterialRequestTables(client);
     const selectSql = `
       SELECT
         mr.id,
@@ -316,57 +138,24 @@ router.get('/requestMaterial', async (_req, res) => {
 // Lightweight suppliers list for assignment dropdowns
 router.get('/suppliers', async (_req, res) => {
   try {
-    const token = await getMedadToken();
     // Medad expects accountType as string, allowed values per docs: 0=Customer, 1=Vendor
     const accountType = (process.env.MEDAD_SUPPLIER_ACCOUNT_TYPE ?? '1').toString();
-    const PAGE_SIZE = 100;
-    let page = 1;
-    const suppliers = [];
     const seen = new Set();
-
-    while (true) {
-      const url = `${process.env.MEDAD_BASE_URL}/customers?accountType=${accountType}&page=${page}&limit=${PAGE_SIZE}`;
-      const response = await fetch(url, {
-        headers: {
-          Authorization: `Bearer ${token}`,
-          Accept: 'application/json',
-        },
-      });
-
-      if (!response.ok) {
-        const text = await response.text();
-        throw new Error(text || 'Failed to fetch suppliers');
-      }
-
-      const data = await response.json();
-      const raw =
-        data?.customers ||
-        data?.items ||
-        data?.data ||
-        (Array.isArray(data) ? data : []);
-
-      const batch = Array.isArray(raw) ? raw : [];
-      const normalized = batch
-        .map((s, idx) => {
-          const id = s.id?.toString() || s.customerId?.toString() || `${page}-${idx}`;
-          if (seen.has(id)) return null;
-          seen.add(id);
-          return {
-            id,
-            supplier_name: s.name || s.company_name || 'Supplier',
-            company_name: s.company_name || s.name || '',
-            phone_number: s.phone || s.contact1Phone || '',
-          };
-        })
-        .filter(Boolean);
-
-      suppliers.push(...normalized);
-
-      const noMore = batch.length < PAGE_SIZE || normalized.length === 0 || page >= 50;
-      const totalPages = data.total_pages || data.totalPages || data.totalpages;
-      if (noMore || (totalPages && page >= totalPages)) break;
-      page += 1;
-    }
+    const rows = await medad.listAllCustomers({ accountType, maxPages: 50 });
+
+    const suppliers = rows
+      .map((s, idx) => {
+        const id = s.id?.toString() || s.customerId?.toString() || `row-${idx}`;
+        if (seen.has(id)) return null;
+        seen.add(id);
+        return {
+          id,
+          supplier_name: s.name || s.company_name || 'Supplier',
+          company_name: s.company_name || s.name || '',
+          phone_number: s.phone || s.contact1Phone || '',
+        };
+      })
+      .filter(Boolean);
 
     return res.status(200).json({
       success: true,
@@ -378,6 +167,111 @@ router.get('/suppliers', async (_req, res) => {
   }
 });
 
+// { selectionKey: quantity } from the productQuantities the app sends (array or map)
+const normalizeManagerQuantities = productQuantities => {
+  if (Array.isArray(productQuantities)) {
+    return productQuantities.reduce((acc, p) => {
+      const id = p?.selectionKey ?? p?.id ?? p?.code ?? p?.productNo ?? p?.product_id ?? null;
+      const qty = Number(p?.managerQuantity ?? p?.quantity ?? p?.qty ?? null);
+      if (id && Number.isFinite(qty) && qty > 0) acc[id] = qty;
+      return acc;
+    }, {});
+  }
+  if (productQuantities && typeof productQuantities === 'object') {
+    return Object.entries(productQuantities).reduce((acc, [key, val]) => {
+      const qty = Number(val);
+      if (Number.isFinite(qty) && qty > 0) acc[key] = qty;
+      return acc;
+    }, {});
+  }
+  return {};
+};
+
+// Per product entries of productQuantities with the request each belongs to;
+// entries without a request are only accepted when a single request is targeted
+const productQuantityEntries = (productQuantities, ids) => {
+  const singleRequestId = ids.length === 1 ? ids[0] : null;
+  const entries = Array.isArray(productQuantities)
+    ? productQuantities.map(pq => ({
+        requestId: pq?.requestId || pq?.request_id || singleRequestId,
+        selectionKey: pq?.selectionKey ?? pq?.id ?? pq?.code ?? pq?.productNo ?? pq?.product_id ?? null,
+        qty: Number(pq?.managerQuantity ?? pq?.quantity ?? pq?.qty ?? null),
+      }))
+    : Object.entries(normalizeManagerQuantities(productQuantities)).map(([selectionKey, qty]) => ({
+        requestId: singleRequestId,
+        selectionKey,
+        qty,
+      }));
+  return entries
+    .filter(e => e.requestId && e.selectionKey && Number.isFinite(e.qty) && e.qty > 0)
+    .map(e => ({ ...e, requestId: parseInt(e.requestId, 10), selectionKey: String(e.selectionKey) }));
+};
+
+const findRequestItems = async (client, requestId, keys, { matchId = false } = {}) => {
+  const result = await client.query(
+    `SELECT * FROM material_request_items
+     WHERE request_id = $1
+       AND (
+         ${matchId ? 'id::text = ANY($2::text[]) OR' : ''}
+         selection_key = ANY($2::text[])
+         OR product_code = ANY($2::text[])
+         OR product_id = ANY($2::text[])
+       )
+     ORDER BY id`,
+    [requestId, keys]
+  );
+  return result.rows;
+};
+
+// Steps that source `item`; a still pending item is approved first, so a
+// manager assigning quantities straight away goes through both states
+const sourcingSteps = (item, qty, source) => [
+  ...(item.status === MATERIAL_ITEM_STATES.PENDING
+    ? [{ itemId: item.id, action: 'approve', payload: qty ? { quantity: qty } : {} }]
+    : []),
+  { itemId: item.id, action: 'source', payload: { ...source, ...(qty ? { quantity: qty } : {}) } },
+];
+
+// Items to source for `ids`: the productQuantities entries, or every pending
+// and approved item when none are given
+const collectSourcingSteps = async (client, ids, productQuantities, source) => {
+  const steps = new Map();
+  const entries = productQuantityEntries(productQuantities, ids);
+  if (entries.length) {
+    for (const entry of entries) {
+      for (const item of await findRequestItems(client, entry.requestId, [entry.selectionKey])) {
+        steps.set(item.id, sourcingSteps(item, entry.qty, source));
+      }
+    }
+  } else {
+    const result = await client.query(
+      `SELECT * FROM material_request_items
+       WHERE request_id = ANY($1::int[]) AND status = ANY($2::text[])
+       ORDER BY id`,
+      [ids, [MATERIAL_ITEM_STATES.PENDING, MATERIAL_ITEM_STATES.APPROVED]]
+    );
+    for (const item of result.rows) {
+      steps.set(item.id, sourcingSteps(item, null, source));
+    }
+  }
+  return [...steps.values()].flat();
+};
+
+const sendMaterialError = (res, err, message) => {
+  if (err instanceof MaterialTransitionError || err instanceof PurchaseOrderError) {
+    return res.status(err.status).json(err.toJSON());
+  }
+  console.error(`❌ ${message}:`, err);
+  return res.status(500).json({ error: err.message || message });
+};
+
+const parseRequestIds = requestIds =>
+  Array.isArray(requestIds)
+    ? requestIds
+        .map(id => parseInt(id, 10))
+        .filter(id => Number.isInteger(id) && id > 0)
+    : [];
+
 // Assign one or more material requests to a driver
 router.post('/requestMaterial/assign', async (req, res) => {
   const {
@@ -392,11 +286,7 @@ router.post('/requestMaterial/assign', async (req, res) => {
     productQuantities = null,
   } = req.body || {};
 
-  const ids = Array.isArray(requestIds)
-    ? requestIds
-        .map(id => parseInt(id, 10))
-        .filter(id => Number.isInteger(id) && id > 0)
-    : [];
+  const ids = parseRequestIds(requestIds);
 
   if (!ids.length) {
     return res.status(400).json({ error: 'No request IDs provided to assign' });
@@ -404,27 +294,9 @@ router.post('/requestMaterial/assign', async (req, res) => {
 
   const client = await pool.connect();
   try {
-    await ensureTable(client);
-
-    const normalizedManagerQuantities = (() => {
-      if (Array.isArray(productQuantities)) {
-        return productQuantities.reduce((acc, p) => {
-          const id = p?.selectionKey ?? p?.id ?? p?.code ?? p?.productNo ?? p?.product_id ?? null;
-          const qty = Number(p?.managerQuantity ?? p?.quantity ?? p?.qty ?? null);
-          if (id && Number.isFinite(qty) && qty > 0) acc[id] = qty;
-          return acc;
-        }, {});
-      }
-      if (productQuantities && typeof productQuantities === 'object') {
-        return Object.entries(productQuantities).reduce((acc, [key, val]) => {
-          const qty = Number(val);
-          if (Number.isFinite(qty) && qty > 0) acc[key] = qty;
-          return acc;
-        }, {});
-      }
-      return {};
-    })();
+    await ensureMaterialRequestTables(client);
 
+    const normalizedManagerQuantities = normalizeManagerQuantities(productQuantities);
     const managerQuantitiesJson =
       Object.keys(normalizedManagerQuantities).length > 0 ? JSON.stringify(normalizedManagerQuantities) : null;
     const managerQuantitiesSum = Object.values(normalizedManagerQuantities).reduce((sum, v) => sum + Number(v || 0), 0);
@@ -435,26 +307,25 @@ router.post('/requestMaterial/assign', async (req, res) => {
         ? managerQuantitiesSum || null
         : null;
 
-    const updateSql = `
-      UPDATE material_requests
-      SET
-        assigned_driver_id = $2,
-        assigned_driver_name = $3,
-        assigned_driver_email = $4,
-        manager_note = $5,
-        assigned_quantity = $6,
-        supplier_id = $7,
-        supplier_name = $8,
-        manager_quantities = COALESCE($9, manager_quantities),
-        status = 'assigned',
-        assigned_at = CURRENT_TIMESTAMP
-      WHERE id = ANY($1::int[])
-      RETURNING id, status, assigned_driver_id, assigned_driver_name, assigned_driver_email, assigned_at, manager_note, assigned_quantity, supplier_id, supplier_name, manager_quantities
-    `;
-
-    const result = await executeWithRetry(() =>
-      withTimeout(
-        client.query(updateSql, [
+    await client.query('BEGIN');
+    try {
+      const result = await client.query(
+        `
+        UPDATE material_requests
+        SET
+          assigned_driver_id = $2,
+          assigned_driver_name = $3,
+          assigned_driver_email = $4,
+          manager_note = $5,
+          assigned_quantity = $6,
+          supplier_id = $7,
+          supplier_name = $8,
+          manager_quantities = COALESCE($9, manager_quantities),
+          assigned_at = CURRENT_TIMESTAMP
+        WHERE id = ANY($1::int[])
+        RETURNING id
+        `,
+        [
           ids,
           driverId,
           driverName,
@@ -464,165 +335,143 @@ router.post('/requestMaterial/assign', async (req, res) => {
           supplierId,
           supplierName,
           managerQuantitiesJson,
-        ]),
-        10000
-      )
-    );
+        ]
+      );
 
-    // Update child items with per-product quantities and assignment metadata
-    if (Array.isArray(productQuantities) && productQuantities.length) {
-      for (const pq of productQuantities) {
-        const selectionKey = pq.selectionKey ?? pq.id ?? pq.code ?? pq.productNo ?? pq.product_id ?? null;
-        if (!selectionKey) continue;
-        const qty = Number(pq.managerQuantity ?? pq.quantity ?? pq.qty ?? null);
-        if (!Number.isFinite(qty) || qty <= 0) continue;
-        const reqId = pq.requestId || pq.request_id || (ids.length === 1 ? ids[0] : null);
-        if (!reqId) continue;
-        const updateItemSql = `
-          UPDATE material_request_items
-          SET
-            status = 'assigned',
-            assigned_driver_id = $4,
-            assigned_driver_name = $5,
-            assigned_driver_email = $6,
-            assigned_quantity = $3,
-            supplier_id = $7,
-            supplier_name = $8
-          WHERE request_id = $1 AND (selection_key = $2 OR product_code = $2 OR product_id = $2)
-        `;
-        await executeWithRetry(() =>
-          withTimeout(
-            client.query(updateItemSql, [
-              reqId,
-              selectionKey,
-              qty,
-              driverId,
-              driverName,
-              driverEmail,
-              supplierId,
-              supplierName,
-            ]),
-            10000
-          )
-        );
-      }
-    }
+      const steps = await collectSourcingSteps(client, ids, productQuantities, {
+        sourceType: 'driver',
+        driverId,
+        driverName,
+        driverEmail,
+      });
+      const { items } = await applyMaterialSteps(client, steps, { user: req.user });
+
+      const updated = await client.query(
+        `SELECT id, status, assigned_driver_id, assigned_driver_name, assigned_driver_email, assigned_at, manager_note,
+                assigned_quantity, supplier_id, supplier_name, manager_quantities
+         FROM material_requests
+         WHERE id = ANY($1::int[])`,
+        [result.rows.map(row => row.id)]
+      );
+      await client.query('COMMIT');
 
-    return res.status(200).json({
-      success: true,
-      updated: result.rows || [],
-      message: 'تم تعيين طلبات المواد للسائق بنجاح',
-    });
+      return res.status(200).json({
+        success: true,
+        updated: updated.rows,
+        items,
+        message: 'تم تعيين طلبات المواد للسائق بنجاح',
+      });
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    }
   } catch (err) {
-    console.error('❌ Failed to assign material requests:', err);
-    return res.status(500).json({ error: err.message || 'Failed to assign material requests' });
+    return sendMaterialError(res, err, 'Failed to assign material requests');
   } finally {
     client.release();
   }
 });
 
-// Request materials directly from supplier (mark items as supplier-requested)
+// Request materials directly from supplier (items are sourced from the supplier).
+// Issues a purchase order for the sourced items and pushes it to Medad.
+// prices { productId | itemId: unit price } must cover every sourced item.
+// Optional: warehouse, expectedDate, notes, condition
 router.post('/requestMaterial/requestSupplier', async (req, res) => {
   const {
     requestIds = [],
     supplierId = null,
     supplierName = null,
     productQuantities = null,
-    requestedBy = null,
+    prices = null,
+    warehouse = null,
+    expectedDate = null,
+    notes = null,
+    condition = null,
   } = req.body || {};
+  const requestedBy = req.user.name;
 
-  const ids = Array.isArray(requestIds)
-    ? requestIds
-        .map(id => parseInt(id, 10))
-        .filter(id => Number.isInteger(id) && id > 0)
-    : [];
+  const ids = parseRequestIds(requestIds);
 
   if (!ids.length) {
     return res.status(400).json({ error: 'No request IDs provided to mark as supplier requested' });
   }
+  if (!supplierId) {
+    return res.status(400).json({ error: 'يجب اختيار المورد لإصدار أمر الشراء' });
+  }
 
   const client = await pool.connect();
   try {
-    await ensureTable(client);
-
-    const normalizedManagerQuantities = (() => {
-      if (Array.isArray(productQuantities)) {
-        return productQuantities.reduce((acc, p) => {
-          const id = p?.selectionKey ?? p?.id ?? p?.code ?? p?.productNo ?? p?.product_id ?? null;
-          const qty = Number(p?.managerQuantity ?? p?.quantity ?? p?.qty ?? null);
-          if (id && Number.isFinite(qty) && qty > 0) acc[id] = qty;
-          return acc;
-        }, {});
-      }
-      if (productQuantities && typeof productQuantities === 'object') {
-        return Object.entries(productQuantities).reduce((acc, [key, val]) => {
-          const qty = Number(val);
-          if (Number.isFinite(qty) && qty > 0) acc[key] = qty;
-          return acc;
-        }, {});
-      }
-      return {};
-    })();
+    await ensureMaterialRequestTables(client);
 
+    const normalizedManagerQuantities = normalizeManagerQuantities(productQuantities);
     const managerQuantitiesJson =
       Object.keys(normalizedManagerQuantities).length > 0 ? JSON.stringify(normalizedManagerQuantities) : null;
     const managerQuantitiesSum = Object.values(normalizedManagerQuantities).reduce((sum, v) => sum + Number(v || 0), 0);
     const assignedQuantityValue = managerQuantitiesJson ? managerQuantitiesSum || null : null;
 
-    const updateSql = `
-      UPDATE material_requests
-      SET
-        supplier_id = $2,
-        supplier_name = $3,
-        manager_quantities = COALESCE($4, manager_quantities),
-        assigned_quantity = COALESCE($5, assigned_quantity),
-        supplier_requested = TRUE,
-        supplier_requested_at = CURRENT_TIMESTAMP,
-        supplier_requested_by = COALESCE($6, supplier_requested_by),
-        status = 'requested'
-      WHERE id = ANY($1::int[])
-      RETURNING id, status, supplier_id, supplier_name, supplier_requested, supplier_requested_at, manager_quantities, assigned_quantity
-    `;
+    await client.query('BEGIN');
+    let committed;
+    try {
+      const result = await client.query(
+        `
+        UPDATE material_requests
+        SET
+          supplier_id = $2,
+          supplier_name = $3,
+          manager_quantities = COALESCE($4, manager_quantities),
+          assigned_quantity = COALESCE($5, assigned_quantity),
+          supplier_requested = TRUE,
+          supplier_requested_at = CURRENT_TIMESTAMP,
+          supplier_requested_by = COALESCE($6, supplier_requested_by)
+        WHERE id = ANY($1::int[])
+        RETURNING id
+        `,
+        [ids, supplierId, supplierName, managerQuantitiesJson, assignedQuantityValue, requestedBy]
+      );
 
-    const result = await executeWithRetry(() =>
-      withTimeout(client.query(updateSql, [ids, supplierId, supplierName, managerQuantitiesJson, assignedQuantityValue, requestedBy]), 10000)
-    );
+      const steps = await collectSourcingSteps(client, ids, productQuantities, {
+        sourceType: 'supplier',
+        supplierId,
+        supplierName,
+      });
+      const { items } = await applyMaterialSteps(client, steps, { user: req.user });
+      const { purchaseOrder, outboxId } = await createPurchaseOrder(client, {
+        items,
+        supplierId,
+        supplierName,
+        prices,
+        warehouse,
+        expectedDate,
+        notes,
+        condition,
+        user: req.user,
+      });
 
-    if (Array.isArray(productQuantities) && productQuantities.length) {
-      for (const pq of productQuantities) {
-        const selectionKey = pq.selectionKey ?? pq.id ?? pq.code ?? pq.productNo ?? pq.product_id ?? null;
-        if (!selectionKey) continue;
-        const qty = Number(pq.managerQuantity ?? pq.quantity ?? pq.qty ?? null);
-        if (!Number.isFinite(qty) || qty <= 0) continue;
-        const reqId = pq.requestId || pq.request_id || (ids.length === 1 ? ids[0] : null);
-        if (!reqId) continue;
-        const updateItemSql = `
-          UPDATE material_request_items
-          SET
-            status = 'requested',
-            supplier_requested = TRUE,
-            supplier_assigned_quantity = $3,
-            supplier_id = $4,
-            supplier_name = $5
-          WHERE request_id = $1 AND (selection_key = $2 OR product_code = $2 OR product_id = $2)
-        `;
-        await executeWithRetry(() =>
-          withTimeout(
-            client.query(updateItemSql, [reqId, selectionKey, qty, supplierId, supplierName]),
-            10000
-          )
-        );
-      }
+      const updated = await client.query(
+        `SELECT id, status, supplier_id, supplier_name, supplier_requested, supplier_requested_at, manager_quantities, assigned_quantity
+         FROM material_requests
+         WHERE id = ANY($1::int[])`,
+        [result.rows.map(row => row.id)]
+      );
+      await client.query('COMMIT');
+      committed = { updated: updated.rows, items, purchaseOrderId: purchaseOrder.id, outboxId };
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
     }
 
+    // Committed; a failed push leaves the PO queued in the outbox
+    const medad = await deliverPurchaseOrderSync(committed.outboxId);
     return res.status(200).json({
       success: true,
-      updated: result.rows || [],
+      updated: committed.updated,
+      items: committed.items,
+      purchaseOrder: await loadPurchaseOrder(client, committed.purchaseOrderId),
+      medad,
       message: 'تم إرسال الطلب للمورد بنجاح',
     });
   } catch (err) {
-    console.error('❌ Failed to request materials from supplier:', err);
-    return res.status(500).json({ error: err.message || 'Failed to request materials from supplier' });
+    return sendMaterialError(res, err, 'Failed to request materials from supplier');
   } finally {
     client.release();
   }
@@ -632,34 +481,13 @@ router.post('/requestMaterial/requestSupplier', async (req, res) => {
 router.post('/requestMaterial/approve', async (req, res) => {
   const { requestIds = [], productQuantities = null, managerNote = null } = req.body || {};
 
-  const ids = Array.isArray(requestIds)
-    ? requestIds
-        .map(id => parseInt(id, 10))
-        .filter(id => Number.isInteger(id) && id > 0)
-    : [];
+  const ids = parseRequestIds(requestIds);
 
   if (!ids.length) {
     return res.status(400).json({ error: 'No request IDs provided to approve' });
   }
 
-  const normalizedManagerQuantities = (() => {
-    if (Array.isArray(productQuantities)) {
-      return productQuantities.reduce((acc, p) => {
-        const id = p?.selectionKey ?? p?.id ?? p?.code ?? p?.productNo ?? p?.product_id ?? null;
-        const qty = Number(p?.managerQuantity ?? p?.quantity ?? p?.qty ?? null);
-        if (id && Number.isFinite(qty) && qty > 0) acc[id] = qty;
-        return acc;
-      }, {});
-    }
-    if (productQuantities && typeof productQuantities === 'object') {
-      return Object.entries(productQuantities).reduce((acc, [key, val]) => {
-        const qty = Number(val);
-        if (Number.isFinite(qty) && qty > 0) acc[key] = qty;
-        return acc;
-      }, {});
-    }
-    return {};
-  })();
+  const normalizedManagerQuantities = normalizeManagerQuantities(productQuantities);
 
   if (!Object.keys(normalizedManagerQuantities).length) {
     return res.status(400).json({ error: 'No valid product quantities provided to approve' });
@@ -669,59 +497,64 @@ router.post('/requestMaterial/approve', async (req, res) => {
 
   const client = await pool.connect();
   try {
-    await ensureTable(client);
-
-    const updateSql = `
-      UPDATE material_requests
-      SET
-        manager_quantities = COALESCE(manager_quantities, '{}'::jsonb) || $2::jsonb,
-        manager_note = COALESCE($3, manager_note),
-        status = 'approved'
-      WHERE id = ANY($1::int[])
-      RETURNING id, status, manager_quantities, manager_note
-    `;
+    await ensureMaterialRequestTables(client);
 
-    const result = await executeWithRetry(() =>
-      withTimeout(client.query(updateSql, [ids, managerQuantitiesJson, managerNote]), 10000)
-    );
+    await client.query('BEGIN');
+    try {
+      await client.query(
+        `
+        UPDATE material_requests
+        SET
+          manager_quantities = COALESCE(manager_quantities, '{}'::jsonb) || $2::jsonb,
+          manager_note = COALESCE($3, manager_note)
+        WHERE id = ANY($1::int[])
+        `,
+        [ids, managerQuantitiesJson, managerNote]
+      );
 
-    if (Array.isArray(productQuantities) && productQuantities.length) {
-      for (const pq of productQuantities) {
-        const selectionKey = pq.selectionKey ?? pq.id ?? pq.code ?? pq.productNo ?? pq.product_id ?? null;
-        if (!selectionKey) continue;
-        const qty = Number(pq.managerQuantity ?? pq.quantity ?? pq.qty ?? null);
-        if (!Number.isFinite(qty) || qty <= 0) continue;
-        const reqId = pq.requestId || pq.request_id || (ids.length === 1 ? ids[0] : null);
-        if (!reqId) continue;
-        const updateItemSql = `
-          UPDATE material_request_items
-          SET
-            status = 'approved',
-            assigned_quantity = $3
-          WHERE request_id = $1 AND (selection_key = $2 OR product_code = $2 OR product_id = $2)
-        `;
-        await executeWithRetry(() =>
-          withTimeout(client.query(updateItemSql, [reqId, selectionKey, qty]), 10000)
-        );
+      const steps = new Map();
+      for (const entry of productQuantityEntries(productQuantities, ids)) {
+        for (const item of await findRequestItems(client, entry.requestId, [entry.selectionKey])) {
+          steps.set(item.id, { itemId: item.id, action: 'approve', payload: { quantity: entry.qty } });
+        }
       }
-    }
+      const { items } = await applyMaterialSteps(client, [...steps.values()], { user: req.user });
 
-    return res.status(200).json({
-      success: true,
-      updated: result.rows || [],
-      message: 'تمت الموافقة على طلبات المواد بنجاح',
-    });
+      const updated = await client.query(
+        'SELECT id, status, manager_quantities, manager_note FROM material_requests WHERE id = ANY($1::int[])',
+        [ids]
+      );
+      await client.query('COMMIT');
+
+      return res.status(200).json({
+        success: true,
+        updated: updated.rows,
+        items,
+        message: 'تمت الموافقة على طلبات المواد بنجاح',
+      });
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    }
   } catch (err) {
-    console.error('❌ Failed to approve material requests:', err);
-    return res.status(500).json({ error: err.message || 'Failed to approve material requests' });
+    return sendMaterialError(res, err, 'Failed to approve material requests');
   } finally {
     client.release();
   }
 });
 
-// Mark one or more material request items as completed/ordered/delivered
+// Statuses markDone accepts, mapped to item transitions; anything else means received
+const MARK_DONE_ACTIONS = {
+  in_transit: 'dispatch',
+  dispatched: 'dispatch',
+  ordered: 'dispatch',
+  cancelled: 'cancel',
+};
+
+// Move one or more material request items along: received (default, optionally
+// `receivedQuantity` for a partial receipt), in transit, or cancelled
 router.post('/requestMaterial/markDone', async (req, res) => {
-  const { items = [], status = 'completed', driverId = null, driverName = null, driverEmail = null } = req.body || {};
+  const { items = [], status = 'received', driverId = null, driverName = null, driverEmail = null } = req.body || {};
 
   if (!Array.isArray(items) || items.length === 0) {
     return res.status(400).json({ error: 'No items provided to update' });
@@ -741,8 +574,9 @@ router.post('/requestMaterial/markDone', async (req, res) => {
       const productId = it.productId ?? it.product_id ?? null;
       const productCode = it.product_code ?? it.code ?? null;
       if (!Number.isInteger(requestId) || requestId <= 0 || (!selectionKey && !productId && !productCode)) return null;
-      const normalizedStatus = (it.status || status || 'completed').toString().toLowerCase();
-      return { requestId, selectionKey, productId, productCode, status: normalizedStatus };
+      const normalizedStatus = (it.status || status || 'received').toString().toLowerCase();
+      const receivedQuantity = it.receivedQuantity ?? it.received_quantity ?? null;
+      return { requestId, selectionKey, productId, productCode, status: normalizedStatus, receivedQuantity };
     })
     .filter(Boolean);
 
@@ -752,96 +586,118 @@ router.post('/requestMaterial/markDone', async (req, res) => {
 
   const client = await pool.connect();
   try {
-    await ensureTable(client);
-
-    const updatedRows = [];
-    const touchedRequestIds = new Set();
-    for (const item of normalizedItems) {
-      const keyCandidates = Array.from(
-        new Set(
-          [
-            item.selectionKey,
-            item.selectionKey?.toString?.(),
-            item.productId,
-            item.productId?.toString?.(),
-            item.productCode,
-            item.productCode?.toString?.(),
-          ]
-            .filter(Boolean)
-            .map(k => k.toString().trim()),
-        ),
-      );
-      if (!keyCandidates.length) continue;
-
-      const updateItemSql = `
-        UPDATE material_request_items
-        SET
-          status = $3,
-          delivered_at = COALESCE(delivered_at, CURRENT_TIMESTAMP),
-          assigned_driver_id = COALESCE($4, assigned_driver_id),
-          assigned_driver_name = COALESCE($5, assigned_driver_name),
-          assigned_driver_email = COALESCE($6, assigned_driver_email)
-        WHERE request_id = $1
-          AND (
-            id::text = ANY($2::text[]) OR
-            selection_key = ANY($2::text[])
-            OR product_code = ANY($2::text[])
-            OR product_id = ANY($2::text[])
-          )
-        RETURNING id, request_id, product_id, product_code, status
-      `;
-      const resUpdate = await executeWithRetry(() =>
-        withTimeout(
-          client.query(updateItemSql, [
-            item.requestId,
-            keyCandidates,
-            item.status,
-            driverId,
-            driverName,
-            driverEmail,
-          ]),
-          10000,
-        ),
-      );
-      if (resUpdate.rows.length) {
-        updatedRows.push(...resUpdate.rows);
-        touchedRequestIds.add(item.requestId);
+    await ensureMaterialRequestTables(client);
+
+    await client.query('BEGIN');
+    try {
+      const steps = [];
+      const touchedItemIds = new Set();
+      for (const item of normalizedItems) {
+        const keyCandidates = Array.from(
+          new Set(
+            [item.selectionKey, item.productId, item.productCode]
+              .filter(Boolean)
+              .map(k => k.toString().trim()),
+          ),
+        );
+        if (!keyCandidates.length) continue;
+
+        const action = MARK_DONE_ACTIONS[item.status] || 'receive';
+        for (const row of await findRequestItems(client, item.requestId, keyCandidates, { matchId: true })) {
+          touchedItemIds.add(row.id);
+          // Delivered straight from sourced: the item was in transit in between
+          if (action === 'receive' && row.status === MATERIAL_ITEM_STATES.SOURCED) {
+            steps.push({ itemId: row.id, action: 'dispatch', payload: {} });
+          }
+          steps.push({
+            itemId: row.id,
+            action,
+            payload: action === 'receive' && item.receivedQuantity != null ? { quantity: item.receivedQuantity } : {},
+          });
+        }
       }
-    }
 
-    if (!updatedRows.length) {
-      return res.status(404).json({ error: 'No matching items were updated' });
-    }
+      if (!steps.length) {
+        await client.query('ROLLBACK');
+        return res.status(404).json({ error: 'No matching items were updated' });
+      }
 
-    const completedRequests = [];
-    for (const reqId of touchedRequestIds) {
-      const updateParentSql = `
-        UPDATE material_requests
-        SET status = 'completed', assigned_at = COALESCE(assigned_at, CURRENT_TIMESTAMP)
-        WHERE id = $1
-          AND NOT EXISTS (
-            SELECT 1 FROM material_request_items
-            WHERE request_id = $1 AND status <> ALL($2::text[])
-          )
-        RETURNING id, status
-      `;
-      const parentRes = await executeWithRetry(() =>
-        withTimeout(client.query(updateParentSql, [reqId, DONE_STATUSES]), 10000),
-      );
-      if (parentRes.rows.length) {
-        completedRequests.push(parentRes.rows[0]);
+      const { items: updatedItems, requests } = await applyMaterialSteps(client, steps, { user: req.user });
+
+      // Only roles that source items may change who they are assigned to
+      if ((driverId || driverName || driverEmail) && can(req.user?.role, 'material:approve')) {
+        await client.query(
+          `UPDATE material_request_items
+           SET
+             assigned_driver_id = COALESCE($2, assigned_driver_id),
+             assigned_driver_name = COALESCE($3, assigned_driver_name),
+             assigned_driver_email = COALESCE($4, assigned_driver_email)
+           WHERE id = ANY($1::int[])`,
+          [[...touchedItemIds], driverId, driverName, driverEmail]
+        );
       }
+      await client.query('COMMIT');
+
+      return res.status(200).json({
+        success: true,
+        updatedCount: updatedItems.length,
+        updatedItems: updatedItems.map(({ id, request_id, product_id, product_code, status: itemStatus, received_quantity }) => ({
+          id,
+          request_id,
+          product_id,
+          product_code,
+          status: itemStatus,
+          received_quantity,
+        })),
+        requests,
+        completedRequests: requests.filter(r => r.status === 'completed'),
+      });
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
     }
+  } catch (err) {
+    return sendMaterialError(res, err, 'Failed to mark items done');
+  } finally {
+    client.release();
+  }
+});
 
-    return res.status(200).json({
-      success: true,
-      updatedCount: updatedRows.length,
-      updatedItems: updatedRows,
-      completedRequests,
-    });
+// POST /api/material/requestMaterial/items/:itemId/:action
+//   approve   { quantity? }
+//   source    { sourceType: 'driver' | 'supplier', driverId, driverName, driverEmail | supplierId, supplierName, quantity? }
+//   dispatch
+//   receive   { quantity? }  partial receipts keep the item partially_received
+//   cancel
+router.post('/requestMaterial/items/:itemId/:action', async (req, res) => {
+  const { itemId, action } = req.params;
+  if (!MATERIAL_ITEM_TRANSITIONS[action]) {
+    return res.status(404).json({ error: 'Unknown material item action', action });
+  }
+
+  const client = await pool.connect();
+  try {
+    const { items, requests } = await transitionMaterialItems(
+      client,
+      [{ itemId, action, payload: req.body || {} }],
+      { user: req.user },
+    );
+    return res.status(200).json({ success: true, item: items[0], request: requests[0] || null });
+  } catch (err) {
+    return sendMaterialError(res, err, 'Failed to update material request item');
+  } finally {
+    client.release();
+  }
+});
+
+// GET /api/material/requestMaterial/items/:itemId/events
+router.get('/requestMaterial/items/:itemId/events', async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const events = await listMaterialItemEvents(client, req.params.itemId);
+    return res.status(200).json({ success: true, events });
   } catch (err) {
-    console.error('❌ Failed to mark material items done:', err);
-    return res.status(500).json({ error: err.message || 'Failed to mark items done' });
+    return sendMaterialError(res, err, 'Failed to fetch material item events');
   } finally {
     client.release();
   }
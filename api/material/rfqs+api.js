@@ -0,0 +1,172 @@
+import express from 'express';
+import pkg from 'pg';
+import { asyncHandler } from '../../utils/asyncHandler.js';
+import { requirePermission } from '../../middlewares/permissions.js';
+import { MaterialTransitionError } from '../../utils/materialRequestStateMachine.js';
+import { PurchaseOrderError, deliverPurchaseOrderSync } from '../../utils/purchaseOrders.js';
+import {
+  RfqError,
+  awardRfq,
+  buildRfqComparison,
+  cancelRfq,
+  createRfq,
+  listRfqs,
+  loadRfq,
+  recordRfqQuotes,
+} from '../../utils/materialRfqs.js';
+
+const { Pool } = pkg;
+const router = express.Router();
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  max: 10,
+  idleTimeoutMillis: 30000,
+  connectionTimeoutMillis: 10000,
+});
+
+pool.on('error', (err) => {
+  console.error('Unexpected error on idle client:', err);
+});
+
+const sendRfqError = (res, error) => {
+  if (!(error instanceof RfqError) && !(error instanceof MaterialTransitionError) && !(error instanceof PurchaseOrderError)) {
+    throw error;
+  }
+  return res.status(error.status).json(error.toJSON());
+};
+
+const parseIds = (ids) =>
+  Array.isArray(ids) ? ids.map((id) => parseInt(id, 10)).filter((id) => Number.isInteger(id) && id > 0) : [];
+
+// POST /api/material/rfqs
+// Body: { requestIds?, itemIds?, suppliers: [{ source: 'local' | 'medad', supplierId, supplierName?, medadSupplierId? }],
+//         dueDate?, notes? }
+// Takes the approved items of the requests (or the listed items) not already out on an open RFQ.
+router.post('/rfqs', requirePermission('material:approve'), asyncHandler(async (req, res) => {
+  const { requestIds, itemIds, suppliers, dueDate = null, notes = null } = req.body || {};
+  const client = await pool.connect();
+  try {
+    let rfq;
+    try {
+      rfq = await createRfq(client, {
+        requestIds: parseIds(requestIds),
+        itemIds: parseIds(itemIds),
+        suppliers,
+        dueDate,
+        notes,
+        user: req.user,
+      });
+    } catch (error) {
+      return sendRfqError(res, error);
+    }
+    return res.status(201).json({ rfq, message: 'تم إرسال طلب عروض الأسعار للموردين' });
+  } finally {
+    client.release();
+  }
+}));
+
+// GET /api/material/rfqs?status=&requestId=&page=&limit=
+router.get('/rfqs', asyncHandler(async (req, res) => {
+  const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+  const limit = Math.min(200, Math.max(1, parseInt(req.query.limit, 10) || 50));
+  const client = await pool.connect();
+  try {
+    const { rfqs, total } = await listRfqs(client, {
+      status: req.query.status || null,
+      requestId: req.query.requestId || null,
+      page,
+      limit,
+    });
+    return res.status(200).json({
+      rfqs,
+      total,
+      page,
+      limit,
+      totalPages: Math.max(1, Math.ceil(total / limit)),
+    });
+  } finally {
+    client.release();
+  }
+}));
+
+// GET /api/material/rfqs/:id  the RFQ with its side-by-side comparison
+router.get('/rfqs/:id', asyncHandler(async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const rfq = await loadRfq(client, req.params.id);
+    if (!rfq) {
+      return res.status(404).json({ error: 'RFQ not found' });
+    }
+    return res.status(200).json({ rfq, comparison: buildRfqComparison(rfq) });
+  } finally {
+    client.release();
+  }
+}));
+
+// PUT /api/material/rfqs/:id/suppliers/:rfqSupplierId/quotes
+// Body: { quotes: [{ lineId, unitPrice, leadTimeDays?, note? }], note? } or { declined: true, note? }
+router.put('/rfqs/:id/suppliers/:rfqSupplierId/quotes', requirePermission('material:approve'), asyncHandler(async (req, res) => {
+  const { quotes, declined = false, note = null } = req.body || {};
+  const client = await pool.connect();
+  try {
+    let rfq;
+    try {
+      rfq = await recordRfqQuotes(client, req.params.id, req.params.rfqSupplierId, { quotes, declined, note }, { user: req.user });
+    } catch (error) {
+      return sendRfqError(res, error);
+    }
+    return res.status(200).json({ rfq, comparison: buildRfqComparison(rfq) });
+  } finally {
+    client.release();
+  }
+}));
+
+// POST /api/material/rfqs/:id/award
+// Body: { awards: [{ lineId, rfqSupplierId }] } or { rfqSupplierId } for every open line that supplier quoted
+router.post('/rfqs/:id/award', requirePermission('material:approve'), asyncHandler(async (req, res) => {
+  const { awards = null, rfqSupplierId = null } = req.body || {};
+  const client = await pool.connect();
+  try {
+    let result;
+    try {
+      result = await awardRfq(client, req.params.id, { awards, rfqSupplierId }, { user: req.user });
+    } catch (error) {
+      return sendRfqError(res, error);
+    }
+
+    // awardRfq has committed; a failed push leaves its PO queued in the outbox
+    const medad = [];
+    for (const outboxId of result.outboxIds) {
+      medad.push(await deliverPurchaseOrderSync(outboxId));
+    }
+    const rfq = await loadRfq(client, req.params.id);
+    return res.status(200).json({
+      rfq,
+      comparison: buildRfqComparison(rfq),
+      purchaseOrders: result.purchaseOrders,
+      medad,
+      message: 'تم ترسية الطلب وإصدار أوامر الشراء',
+    });
+  } finally {
+    client.release();
+  }
+}));
+
+// POST /api/material/rfqs/:id/cancel  { reason? }
+router.post('/rfqs/:id/cancel', requirePermission('material:approve'), asyncHandler(async (req, res) => {
+  const client = await pool.connect();
+  try {
+    let rfq;
+    try {
+      rfq = await cancelRfq(client, req.params.id, { reason: req.body?.reason || null });
+    } catch (error) {
+      return sendRfqError(res, error);
+    }
+    return res.status(200).json({ rfq });
+  } finally {
+    client.release();
+  }
+}));
+
+export default router;
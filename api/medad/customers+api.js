@@ -1,6 +1,7 @@
 import express from 'express';
 import { Pool } from 'pg';
 import { asyncHandler } from '../../utils/asyncHandler.js';
+import { scopedUsername } from '../../middlewares/auth.js';
 
 const router = express.Router();
 const pool = new Pool({ connectionString: process.env.DATABASE_URL });
@@ -83,7 +84,7 @@ router.get('/medad/linked', asyncHandler(async (req, res) => {
     const limit = parseInt(req.query.limit || '10', 10);
     const page = parseInt(req.query.page || '1', 10);
     const offset = (page - 1) * limit;
-    const username = (req.query.username || '').toString().trim();
+    const username = scopedUsername(req);
 
     const ownershipParts = [];
     const searchParts = [];
@@ -181,7 +182,7 @@ router.post('/medad/links', asyncHandler(async (req, res) => {
   try {
     const clientId = req.body.clientId ?? req.body.client_id;
     const medadCustomerId = req.body.medadCustomerId ?? req.body.medad_customer_id;
-    const username = (req.body.username ?? req.query.username ?? '').toString().trim();
+    const username = scopedUsername(req, req.body.username ?? req.query.username);
     const vatNo = req.body.vatNo ?? req.body.vat_no;
     const branchName = req.body.branchName ?? req.body.branch_name ?? null;
     const salesmanIncoming = req.body.salesmanName ?? req.body.salesman_name ?? req.body.salesmanId ?? req.body.salesman_id ?? null;
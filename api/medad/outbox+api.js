@@ -0,0 +1,84 @@
+import express from 'express';
+import pkg from 'pg';
+import { asyncHandler } from '../../utils/asyncHandler.js';
+import { requirePermission } from '../../middlewares/permissions.js';
+import {
+  cancelMedadSync,
+  deliverMedadSync,
+  listMedadOutbox,
+  OUTBOX_KINDS,
+  OUTBOX_STATUSES,
+  retryMedadSync,
+} from '../../utils/medadOutbox.js';
+
+const { Pool } = pkg;
+const router = express.Router();
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  max: 10,
+  idleTimeoutMillis: 30000,
+  connectionTimeoutMillis: 10000,
+});
+
+pool.on('error', (err) => {
+  console.error('Unexpected error on idle client:', err);
+});
+
+// GET /api/medad/outbox?status=&kind=&entityType=&entityId=&page=&limit=
+router.get('/medad/outbox', requirePermission('medad:outbox'), asyncHandler(async (req, res) => {
+  const { status, kind, entityType, entityId } = req.query;
+  const page = Math.max(1, parseInt(req.query.page || '1', 10));
+  const limit = Math.min(200, Math.max(1, parseInt(req.query.limit || '50', 10)));
+
+  if (status && !Object.values(OUTBOX_STATUSES).includes(status)) {
+    return res.status(400).json({
+      error: 'Invalid status',
+      details: `status must be one of: ${Object.values(OUTBOX_STATUSES).join(', ')}`,
+    });
+  }
+  if (kind && !OUTBOX_KINDS.includes(kind)) {
+    return res.status(400).json({ error: 'Invalid kind', details: `kind must be one of: ${OUTBOX_KINDS.join(', ')}` });
+  }
+
+  const client = await pool.connect();
+  try {
+    const { entries, total } = await listMedadOutbox(client, { status, kind, entityType, entityId, page, limit });
+    return res.status(200).json({ entries, total, page, limit, totalPages: Math.ceil(total / limit) });
+  } finally {
+    client.release();
+  }
+}));
+
+// POST /api/medad/outbox/:id/retry — re-queue and try to send right away
+router.post('/medad/outbox/:id/retry', requirePermission('medad:outbox'), asyncHandler(async (req, res) => {
+  const client = await pool.connect();
+  let entry;
+  try {
+    entry = await retryMedadSync(client, req.params.id);
+  } finally {
+    client.release();
+  }
+  if (!entry) {
+    return res.status(409).json({ error: 'Entry not found or already sent / being sent' });
+  }
+
+  const delivered = await deliverMedadSync(entry.id);
+  return res.status(200).json({ entry: delivered });
+}));
+
+// POST /api/medad/outbox/:id/cancel
+router.post('/medad/outbox/:id/cancel', requirePermission('medad:outbox'), asyncHandler(async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const entry = await cancelMedadSync(client, req.params.id);
+    if (!entry) {
+      return res.status(409).json({ error: 'Entry not found or already sent / being sent' });
+    }
+    return res.status(200).json({ entry });
+  } finally {
+    client.release();
+  }
+}));
+
+export default router;
@@ -0,0 +1,102 @@
+import express from 'express';
+import pkg from 'pg';
+import { asyncHandler } from '../../utils/asyncHandler.js';
+import { requirePermission } from '../../middlewares/permissions.js';
+import { MedadError, medadErrorStatus } from '../../utils/medadClient.js';
+import {
+  buildReconciliationWorkbook,
+  listReconciliationRuns,
+  loadReconciliationRun,
+  runMedadReconciliation,
+} from '../../utils/medadReconciliation.js';
+
+const { Pool } = pkg;
+const router = express.Router();
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  max: 10,
+  idleTimeoutMillis: 30000,
+  connectionTimeoutMillis: 10000,
+});
+
+pool.on('error', (err) => {
+  console.error('Unexpected error on idle client:', err);
+});
+
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_RANGE_DAYS = 366;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const isIsoDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(new Date(value).getTime());
+
+const sendWorkbook = async (res, result) => {
+  const buffer = await buildReconciliationWorkbook(result);
+  const fileName = `medad_reconciliation_${result.run.id}.xlsx`;
+  res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+  res.setHeader('Content-Disposition', `attachment; filename=${fileName}`);
+  res.setHeader('Content-Length', buffer.length);
+  return res.status(200).send(Buffer.from(buffer));
+};
+
+// GET /api/medad/reconciliation?from=YYYY-MM-DD&to=YYYY-MM-DD[&format=xlsx]
+// Runs a reconciliation for the range (default: the last 30 days).
+// GET /api/medad/reconciliation?runId=<id>[&format=xlsx] returns a stored run instead.
+router.get('/medad/reconciliation', requirePermission('medad:reconciliation'), asyncHandler(async (req, res) => {
+  const { runId, format } = req.query;
+
+  if (runId) {
+    const client = await pool.connect();
+    let result;
+    try {
+      result = await loadReconciliationRun(client, runId);
+    } finally {
+      client.release();
+    }
+    if (!result) {
+      return res.status(404).json({ error: 'Reconciliation run not found' });
+    }
+    return format === 'xlsx' ? sendWorkbook(res, result) : res.status(200).json(result);
+  }
+
+  const today = new Date().toISOString().split('T')[0];
+  const to = req.query.to || today;
+  const from = req.query.from || new Date(new Date(to).getTime() - (DEFAULT_RANGE_DAYS - 1) * DAY_MS).toISOString().split('T')[0];
+
+  if (!isIsoDate(from) || !isIsoDate(to)) {
+    return res.status(400).json({ error: 'Invalid date', details: 'from and to must be YYYY-MM-DD' });
+  }
+  const days = (new Date(to).getTime() - new Date(from).getTime()) / DAY_MS + 1;
+  if (days < 1) {
+    return res.status(400).json({ error: 'Invalid range', details: 'from must not be after to' });
+  }
+  if (days > MAX_RANGE_DAYS) {
+    return res.status(400).json({ error: 'Invalid range', details: `range is limited to ${MAX_RANGE_DAYS} days` });
+  }
+
+  let result;
+  try {
+    result = await runMedadReconciliation({ from, to, triggeredBy: req.user?.clerkId || null });
+  } catch (error) {
+    if (error instanceof MedadError) {
+      return res.status(medadErrorStatus(error)).json({ ...error.toJSON(), error: 'Medad reconciliation failed' });
+    }
+    throw error;
+  }
+
+  return format === 'xlsx' ? sendWorkbook(res, result) : res.status(200).json(result);
+}));
+
+// GET /api/medad/reconciliation/runs — latest runs, including the scheduled ones
+router.get('/medad/reconciliation/runs', requirePermission('medad:reconciliation'), asyncHandler(async (req, res) => {
+  const limit = Math.min(100, Math.max(1, parseInt(req.query.limit || '20', 10)));
+  const client = await pool.connect();
+  try {
+    const runs = await listReconciliationRuns(client, { limit });
+    return res.status(200).json({ runs });
+  } finally {
+    client.release();
+  }
+}));
+
+export default router;
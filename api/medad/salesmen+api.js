@@ -1,49 +1,12 @@
 import express from 'express';
 import pkg from 'pg';
+import { medad } from '../../utils/medadClient.js';
 
 const { Pool } = pkg;
 const router = express.Router();
 
 const pool = new Pool({ connectionString: process.env.DATABASE_URL });
 
-let cachedToken = null;
-let tokenExpiry = 0;
-
-const getMedadToken = async () => {
-  if (cachedToken && Date.now() < tokenExpiry) return cachedToken;
-
-  const payload = {
-    username: process.env.MEDAD_USERNAME,
-    password: process.env.MEDAD_PASSWORD,
-    subscriptionId: process.env.MEDAD_SUBSCRIPTION_ID,
-    branch: Number(process.env.MEDAD_BRANCH),
-    year: process.env.MEDAD_YEAR,
-  };
-
-  const response = await fetch(`${process.env.MEDAD_BASE_URL}/getToken`, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      Accept: 'application/json',
-    },
-    body: JSON.stringify(payload),
-  });
-
-  if (!response.ok) {
-    const text = await response.text();
-    throw new Error(`Medad token request failed: ${text}`);
-  }
-
-  const data = await response.json();
-  const token = data.token || data.access_token || data?.data?.token;
-  if (!token) throw new Error('Medad token not found in response');
-
-  const expiresIn = Number(data.expiresIn || data.expires_in || 3600);
-  cachedToken = token;
-  tokenExpiry = Date.now() + (expiresIn - 60) * 1000;
-  return cachedToken;
-};
-
 const pickSalesmanId = (customer) =>
   customer?.salesmanId ??
   customer?.salesman_id ??
@@ -85,59 +48,27 @@ const normalize = (value) =>
 // GET /api/medad/salesmen?search=
 router.get('/medad/salesmen', async (req, res) => {
   try {
-    const token = await getMedadToken();
     const search = (req.query.search || '').toString().trim().toLowerCase();
-    const PAGE_SIZE = 100;
-    let page = 1;
-
     const byId = new Map();
 
-    while (true) {
-      const url = `${process.env.MEDAD_BASE_URL}/customers?accountType=0&page=${page}&limit=${PAGE_SIZE}`;
-      const response = await fetch(url, {
-        headers: {
-          Authorization: `Bearer ${token}`,
-          Accept: 'application/json',
-        },
-      });
-
-      if (!response.ok) {
-        const text = await response.text();
-        throw new Error(text || 'Failed to fetch Medad customers');
-      }
-
-      const data = await response.json();
-      const raw =
-        data?.customers ||
-        data?.items ||
-        data?.data ||
-        (Array.isArray(data) ? data : []);
-      const batch = Array.isArray(raw) ? raw : [];
-
-      for (const c of batch) {
-        const salesmanKey = buildSalesmanKey(c);
-        const salesmanNameRaw = pickSalesmanName(c);
-        const salesmanId = salesmanKey.key;
-        const salesmanName = salesmanNameRaw != null ? salesmanNameRaw.toString().trim() : '';
-
-        // Keep rows with either true ID or fallback name key.
-        if (!salesmanId) continue;
-
-        const existing = byId.get(salesmanId) || {
-          medad_salesman_id: salesmanId,
-          salesman_name: salesmanName || null,
-          id_source: salesmanKey.source,
-          customers_count: 0,
-        };
-        existing.customers_count += 1;
-        if (!existing.salesman_name && salesmanName) existing.salesman_name = salesmanName;
-        byId.set(salesmanId, existing);
-      }
-
-      const noMore = batch.length < PAGE_SIZE;
-      const totalPages = data.total_pages || data.totalPages;
-      if (noMore || (totalPages && page >= totalPages)) break;
-      page += 1;
+    for (const c of await medad.listAllCustomers({ accountType: '0' })) {
+      const salesmanKey = buildSalesmanKey(c);
+      const salesmanNameRaw = pickSalesmanName(c);
+      const salesmanId = salesmanKey.key;
+      const salesmanName = salesmanNameRaw != null ? salesmanNameRaw.toString().trim() : '';
+
+      // Keep rows with either true ID or fallback name key.
+      if (!salesmanId) continue;
+
+      const existing = byId.get(salesmanId) || {
+        medad_salesman_id: salesmanId,
+        salesman_name: salesmanName || null,
+        id_source: salesmanKey.source,
+        customers_count: 0,
+      };
+      existing.customers_count += 1;
+      if (!existing.salesman_name && salesmanName) existing.salesman_name = salesmanName;
+      byId.set(salesmanId, existing);
     }
 
     let salesmen = Array.from(byId.values());
@@ -165,19 +96,18 @@ router.get('/medad/salesmen', async (req, res) => {
 });
 
 // POST /api/medad/salesmen/assign
-// Body: { role: "manager" | "salesRep" | "supervisor", userId: number, medad_salesman_id: string }
+// Body: { medad_salesman_id: string }  links the caller (manager, salesRep or supervisor)
 router.post('/medad/salesmen/assign', async (req, res) => {
   const client = await pool.connect();
   try {
-    const role = (req.body.role || '').toString();
-    const userId = Number(req.body.userId);
+    const { role, id: userId } = req.user;
     const medadSalesmanId = (req.body.medad_salesman_id || req.body.medadSalesmanId || '').toString().trim();
 
     if (!['manager', 'salesRep', 'supervisor'].includes(role)) {
-      return res.status(400).json({ success: false, error: 'Invalid role' });
+      return res.status(403).json({ success: false, error: 'Invalid role' });
     }
     if (!userId) {
-      return res.status(400).json({ success: false, error: 'Invalid userId' });
+      return res.status(403).json({ success: false, error: 'Caller has no profile' });
     }
     if (!medadSalesmanId) {
       return res.status(400).json({ success: false, error: 'medad_salesman_id is required' });
@@ -226,41 +156,17 @@ router.post('/medad/salesmen/auto-match', async (req, res) => {
       role === 'salesRep' ? 'salesreps' :
       'supervisors';
 
-    const token = await getMedadToken();
-    const PAGE_SIZE = 100;
-    let page = 1;
     const medadByName = new Map();
 
-    while (true) {
-      const url = `${process.env.MEDAD_BASE_URL}/customers?accountType=0&page=${page}&limit=${PAGE_SIZE}`;
-      const response = await fetch(url, {
-        headers: { Authorization: `Bearer ${token}`, Accept: 'application/json' },
-      });
-      if (!response.ok) throw new Error(await response.text());
-
-      const data = await response.json();
-      const raw =
-        data?.customers ||
-        data?.items ||
-        data?.data ||
-        (Array.isArray(data) ? data : []);
-      const batch = Array.isArray(raw) ? raw : [];
-
-      for (const c of batch) {
-        const sid = buildSalesmanKey(c).key;
-        const sname = pickSalesmanName(c);
-        const idStr = sid != null ? sid.toString().trim() : '';
-        const nameNorm = normalize(sname);
-        if (!idStr || !nameNorm) continue;
-
-        if (!medadByName.has(nameNorm)) medadByName.set(nameNorm, new Set());
-        medadByName.get(nameNorm).add(idStr);
-      }
+    for (const c of await medad.listAllCustomers({ accountType: '0' })) {
+      const sid = buildSalesmanKey(c).key;
+      const sname = pickSalesmanName(c);
+      const idStr = sid != null ? sid.toString().trim() : '';
+      const nameNorm = normalize(sname);
+      if (!idStr || !nameNorm) continue;
 
-      const noMore = batch.length < PAGE_SIZE;
-      const totalPages = data.total_pages || data.totalPages;
-      if (noMore || (totalPages && page >= totalPages)) break;
-      page += 1;
+      if (!medadByName.has(nameNorm)) medadByName.set(nameNorm, new Set());
+      medadByName.get(nameNorm).add(idStr);
     }
 
     const localsResult = await client.query(
@@ -0,0 +1,178 @@
+import express from 'express';
+import pkg from 'pg';
+import { asyncHandler } from '../../utils/asyncHandler.js';
+import { can, requirePermission } from '../../middlewares/permissions.js';
+import { MedadError, medadErrorStatus } from '../../utils/medadClient.js';
+import { getProductSyncState } from '../../utils/medadProductMirror.js';
+import { buildStockMatrix, getUserWarehouseCodes, listKnownWarehouseCodes } from '../../utils/medadStock.js';
+import { getStockAvailability, listOrderReservations, reservationMode } from '../../utils/stockReservations.js';
+
+const { Pool } = pkg;
+const router = express.Router();
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  max: 10,
+  idleTimeoutMillis: 30000,
+  connectionTimeoutMillis: 10000,
+});
+
+pool.on('error', (err) => {
+  console.error('Unexpected error on idle client:', err);
+});
+
+const isTruthy = (value) => ['1', 'true', 'yes'].includes(String(value || '').toLowerCase());
+
+// GET /api/medad/stock/matrix?search=&section=&sectionId=&warehouse=&inStock=1&page=&limit=&fresh=1
+// Product x warehouse quantities over the caller's warehouses (user_warehouses).
+// Roles with stock:viewAll see every warehouse when none is assigned to them.
+router.get('/medad/stock/matrix', requirePermission('stock:view'), asyncHandler(async (req, res) => {
+  const { search, section, sectionId, warehouse } = req.query;
+  const page = Math.max(1, parseInt(req.query.page || '1', 10));
+  const limit = Math.min(500, Math.max(1, parseInt(req.query.limit || '50', 10)));
+
+  const client = await pool.connect();
+  try {
+    let allowed = await getUserWarehouseCodes(client, req.user?.clerkId);
+    if (allowed.length === 0 && can(req.user?.role, 'stock:viewAll')) {
+      allowed = await listKnownWarehouseCodes(client);
+    }
+    if (allowed.length === 0) {
+      return res.status(403).json({ error: 'Forbidden', reason: 'no_warehouses_assigned' });
+    }
+
+    let codes = allowed;
+    if (warehouse) {
+      const requested = String(warehouse).split(',').map((code) => code.trim().padStart(4, '0'));
+      const denied = requested.filter((code) => !allowed.includes(code));
+      if (denied.length > 0) {
+        return res.status(403).json({ error: 'Forbidden', reason: 'warehouse_not_allowed', warehouses: denied });
+      }
+      codes = requested;
+    }
+
+    let matrix;
+    try {
+      matrix = await buildStockMatrix(client, {
+        codes,
+        search: search ? String(search).trim() : null,
+        section: section || null,
+        sectionId: sectionId || null,
+        inStock: isTruthy(req.query.inStock),
+        page,
+        limit,
+        fresh: isTruthy(req.query.fresh),
+      });
+    } catch (error) {
+      if (!(error instanceof MedadError)) throw error;
+      return res.status(medadErrorStatus(error)).json({ error: 'Failed to load stock from Medad', details: error.message });
+    }
+
+    const syncState = await getProductSyncState(client);
+    return res.status(200).json({
+      warehouses: codes,
+      allowedWarehouses: allowed,
+      items: matrix.items,
+      total: matrix.total,
+      page,
+      limit,
+      totalPages: Math.max(1, Math.ceil(matrix.total / limit)),
+      sources: matrix.sources,
+      ...(Object.keys(matrix.errors).length ? { warehouseErrors: matrix.errors } : {}),
+      last_synced_at: syncState?.last_synced_at || null,
+    });
+  } finally {
+    client.release();
+  }
+}));
+
+const parseProductNos = (value) =>
+  [...new Set(String(value || '').split(',').map((productNo) => productNo.trim()).filter(Boolean))];
+
+const loadAvailability = async (res, client, warehouse, productNos, options) => {
+  try {
+    return await getStockAvailability(client, warehouse, productNos, options);
+  } catch (error) {
+    if (!(error instanceof MedadError)) throw error;
+    res.status(medadErrorStatus(error)).json({ error: 'Failed to load stock from Medad', details: error.message });
+    return null;
+  }
+};
+
+// GET /api/medad/stock/availability?warehouse=0001&products=P1,P2&excludeOrderId=&fresh=1
+// On hand, held by order reservations and available per product.
+router.get('/medad/stock/availability', asyncHandler(async (req, res) => {
+  const productNos = parseProductNos(req.query.products);
+  if (!req.query.warehouse || productNos.length === 0) {
+    return res.status(400).json({ error: 'warehouse and products are required' });
+  }
+
+  const client = await pool.connect();
+  try {
+    const availability = await loadAvailability(res, client, req.query.warehouse, productNos, {
+      excludeOrderId: req.query.excludeOrderId ? Number(req.query.excludeOrderId) : null,
+      fresh: isTruthy(req.query.fresh),
+    });
+    if (!availability) return;
+    return res.status(200).json({ ...availability, mode: reservationMode() });
+  } finally {
+    client.release();
+  }
+}));
+
+// POST /api/medad/stock/availability/check
+// Body: { warehouse, lines: [{ productNo, quantity }], excludeOrderId? }
+// Used before creating an order; `ok` is false when any line exceeds what is available.
+router.post('/medad/stock/availability/check', asyncHandler(async (req, res) => {
+  const { warehouse, lines, excludeOrderId } = req.body || {};
+  if (!warehouse || !Array.isArray(lines) || lines.length === 0) {
+    return res.status(400).json({ error: 'warehouse and lines are required' });
+  }
+
+  const requested = {};
+  for (const line of lines) {
+    const productNo = String(line?.productNo ?? line?.product_no ?? '').trim();
+    const quantity = Number(line?.quantity);
+    if (!productNo || !Number.isFinite(quantity) || quantity <= 0) {
+      return res.status(400).json({ error: 'Invalid line', details: line });
+    }
+    requested[productNo] = (requested[productNo] || 0) + quantity;
+  }
+
+  const client = await pool.connect();
+  try {
+    const availability = await loadAvailability(res, client, warehouse, Object.keys(requested), {
+      excludeOrderId: excludeOrderId ? Number(excludeOrderId) : null,
+      fresh: true,
+    });
+    if (!availability) return;
+
+    const checked = availability.items.map((item) => ({
+      ...item,
+      requested: requested[item.productNo],
+      ok: requested[item.productNo] <= item.available,
+    }));
+    return res.status(200).json({
+      ok: checked.every((line) => line.ok),
+      mode: reservationMode(),
+      warehouse: availability.warehouse,
+      source: availability.source,
+      lines: checked,
+    });
+  } finally {
+    client.release();
+  }
+}));
+
+// GET /api/medad/stock/reservations/:orderId
+router.get('/medad/stock/reservations/:orderId', requirePermission('stock:view'), asyncHandler(async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const reservations = await listOrderReservations(client, req.params.orderId);
+    return res.status(200).json({ orderId: Number(req.params.orderId), reservations });
+  } finally {
+    client.release();
+  }
+}));
+
+export default router;
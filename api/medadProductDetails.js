@@ -1,41 +1,55 @@
+import pkg from 'pg';
+import { MedadError, medadErrorStatus } from '../utils/medadClient.js';
+import { getMirroredProduct, refreshMirroredProduct } from '../utils/medadProductMirror.js';
+
+const { Pool } = pkg;
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  max: 10,
+  idleTimeoutMillis: 30000,
+  connectionTimeoutMillis: 10000,
+});
+
+pool.on('error', (err) => {
+  console.error('Unexpected error on idle client:', err);
+});
+
+// GET /api/medad/products/:productNo[?fresh=1]
+// Served from the mirror; a product not mirrored yet, or fresh=1, is fetched live.
 export default async function medadProductDetails(req, res) {
+  const client = await pool.connect();
   try {
     const { productNo } = req.params;
-    const token = await getMedadToken();
+    const fresh = ['1', 'true'].includes(String(req.query.fresh || '').toLowerCase());
 
-    const response = await fetch(
-      `${process.env.MEDAD_BASE_URL}/products/${productNo}`,
-      {
-        headers: {
-          Authorization: `Bearer ${token}`,
-          Accept: 'application/json',
-        },
-      }
-    );
-
-    if (!response.ok) {
-      const text = await response.text();
-      return res.status(500).json({ error: text });
+    let product = fresh ? null : await getMirroredProduct(client, productNo);
+    if (!product) {
+      await refreshMirroredProduct(productNo);
+      product = await getMirroredProduct(client, productNo);
     }
 
-    const data = await response.json();
-
     // Normalize warehouses
     const warehouses = {};
-    (data.warehouses || []).forEach(w => {
-      const code = w.warehouseNo.padStart(4, '0');
+    Object.entries(product?.warehouses || {}).forEach(([code, quantity]) => {
       warehouses[code] = {
-        quantity: typeof w.quantity === 'number' ? w.quantity : 0,
+        quantity: typeof quantity === 'number' ? quantity : 0,
       };
     });
 
     res.json({
-      code: data.productNo,
-      description: data.description,
+      code: product?.product_no,
+      description: product?.description,
       warehouses,
+      last_synced_at: product?.synced_at || null,
     });
   } catch (err) {
     console.error(err);
+    if (err instanceof MedadError) {
+      return res.status(medadErrorStatus(err)).json({ error: err.text || err.message });
+    }
     res.status(500).json({ error: 'Medad product details error' });
+  } finally {
+    client.release();
   }
 }
@@ -1,165 +1,105 @@
 //api/medadProducts.js
-let cachedToken = null;
-let tokenExpiry = 0;
-
-/* ================= TOKEN HANDLER ================= */
-async function getMedadToken() {
-  // Reuse token if still valid
-  if (cachedToken && Date.now() < tokenExpiry) {
-    return cachedToken;
-  }
-
-  // Build payload safely (year is OPTIONAL)
-  const payload = {
-    username: process.env.MEDAD_USERNAME,
-    password: process.env.MEDAD_PASSWORD,
-    subscriptionId: process.env.MEDAD_SUBSCRIPTION_ID,
-    branch: Number(process.env.MEDAD_BRANCH),
-    year: process.env.MEDAD_YEAR,
-  };
-
-
-  const response = await fetch(`${process.env.MEDAD_BASE_URL}/getToken`, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      Accept: 'application/json',
-    },
-    body: JSON.stringify(payload), // ✅ USE PAYLOAD
+import pkg from 'pg';
+import { medad, MedadError, medadErrorStatus } from '../utils/medadClient.js';
+import {
+  getProductSyncState,
+  refreshMirroredProduct,
+  searchMirroredProducts,
+  syncMedadProducts,
+} from '../utils/medadProductMirror.js';
+
+const { Pool } = pkg;
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  max: 10,
+  idleTimeoutMillis: 30000,
+  connectionTimeoutMillis: 10000,
+});
+
+pool.on('error', (err) => {
+  console.error('Unexpected error on idle client:', err);
+});
+
+const isTruthy = (value) => ['1', 'true', 'yes'].includes(String(value || '').toLowerCase());
+
+// Keeps the mirror in step after a write; the scheduled sync catches up otherwise
+const refreshMirrorAfterWrite = (productNo) => {
+  refreshMirroredProduct(productNo).catch((error) => {
+    console.error(`Failed to refresh mirrored Medad product ${productNo}:`, error);
   });
-
-  if (!response.ok) {
-    const text = await response.text();
-    throw new Error(`Medad token request failed: ${text}`);
-  }
-
-  const data = await response.json();
-
-  // Token may come in different shapes
-  const token =
-    data.token ||
-    data.access_token ||
-    data?.data?.token;
-
-  if (!token) {
-    throw new Error('Medad token not found in response');
-  }
-
-  // Expiry handling (default 1 hour)
-  const expiresIn = Number(data.expiresIn || data.expires_in || 3600);
-
-  cachedToken = token;
-  tokenExpiry = Date.now() + (expiresIn - 60) * 1000; // refresh 1 min early
-
-  return cachedToken;
-}
-
-const parseJsonSafe = async (response) => {
-  const text = await response.text();
-  if (!text) return null;
-  try {
-    return JSON.parse(text);
-  } catch {
-    return text;
-  }
 };
 
-const getProducts = async (res) => {
-  const token = await getMedadToken();
-
-  const PAGE_SIZE = 100; // Medad max limit per docs
-  let page = 1;
-  const all = [];
-  const seen = new Set();
-
-  // fetch pages until no new items arrive (covers APIs that ignore pagination too)
-  while (true) {
-    const url = `${process.env.MEDAD_BASE_URL}/products?page=${page}&limit=${PAGE_SIZE}`;
-    const response = await fetch(url, {
-      method: 'GET',
-      headers: {
-        Authorization: `Bearer ${token}`,
-        Accept: 'application/json',
-      },
-    });
+// GET /api/medad/products?search=&category=&unit=&warehouse=&inStock=1&page=&limit=&fresh=1
+// Served from the medad_products mirror. Without page/limit every match is
+// returned, as the live endpoint did. fresh=1 syncs the mirror from Medad first.
+const getProducts = async (req, res) => {
+  const { search, category, unit, warehouse } = req.query;
+  const paged = req.query.page !== undefined || req.query.limit !== undefined;
+  const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+  const limit = paged ? Math.min(500, Math.max(1, parseInt(req.query.limit, 10) || 50)) : null;
 
-    if (!response.ok) {
-      const details = await parseJsonSafe(response);
-      console.error('Medad products error:', details);
-      return res.status(response.status).json({
-        error: 'Failed to fetch products from Medad',
-        details,
-      });
+  const client = await pool.connect();
+  try {
+    let state = await getProductSyncState(client);
+    let syncError = null;
+
+    if (isTruthy(req.query.fresh) || !state?.last_synced_at) {
+      try {
+        await syncMedadProducts();
+      } catch (error) {
+        // Nothing to fall back on before the first successful sync
+        if (!state?.last_synced_at) throw error;
+        syncError = error.message;
+      }
+      state = await getProductSyncState(client);
     }
 
-    const data = (await parseJsonSafe(response)) || {};
-
-    // Normalize response
-    const items =
-      data.items ||
-      data.data ||
-      (Array.isArray(data) ? data : []);
-
-    const totalPages = data.total_pages || data.totalPages || data.totalpages;
-
-    const fresh = items.filter(p => {
-      const key = p.productNo || p.id || JSON.stringify(p);
-      if (seen.has(key)) return false;
-      seen.add(key);
-      return true;
+    const { rows, total } = await searchMirroredProducts(client, {
+      search: search ? String(search).trim() : null,
+      category: category || null,
+      unit: unit || null,
+      warehouse: warehouse || null,
+      inStock: isTruthy(req.query.inStock),
+      page,
+      limit,
     });
 
-    all.push(...fresh);
-
-    // stop if:
-    // - we reached the reported total pages
-    // - fewer than requested page size returned
-    // - no new items (duplicate-only)
-    if (
-      (totalPages && page >= totalPages) ||
-      items.length < PAGE_SIZE ||
-      fresh.length === 0 ||
-      page >= 200 // absolute safety cap
-    ) {
-      break;
-    }
-    page += 1;
+    return res.status(200).json({
+      items: rows.map((row) => row.raw),
+      total,
+      page: limit ? page : 1,
+      limit: limit || total,
+      totalPages: limit ? Math.max(1, Math.ceil(total / limit)) : 1,
+      last_synced_at: state?.last_synced_at || null,
+      ...(syncError ? { syncError } : {}),
+    });
+  } finally {
+    client.release();
   }
-
-  return res.status(200).json({ items: all });
 };
 
 const createProduct = async (req, res) => {
-  const token = await getMedadToken();
   const payload = req.body || {};
 
   if (!payload.productNo || !payload.description) {
     return res.status(400).json({ error: 'productNo and description are required' });
   }
 
-  const response = await fetch(`${process.env.MEDAD_BASE_URL}/products`, {
-    method: 'POST',
-    headers: {
-      Authorization: `Bearer ${token}`,
-      'Content-Type': 'application/json',
-      Accept: 'application/json',
-    },
-    body: JSON.stringify(payload),
-  });
-
-  const data = await parseJsonSafe(response);
-  if (!response.ok) {
-    return res.status(response.status).json({
+  try {
+    const data = await medad.createProduct(payload);
+    refreshMirrorAfterWrite(payload.productNo);
+    return res.status(201).json(data || { success: true });
+  } catch (error) {
+    if (!(error instanceof MedadError)) throw error;
+    return res.status(medadErrorStatus(error)).json({
       error: 'Failed to create Medad product',
-      details: data,
+      details: error.details || error.message,
     });
   }
-
-  return res.status(response.status || 201).json(data || { success: true });
 };
 
 const updateProduct = async (req, res) => {
-  const token = await getMedadToken();
   const payload = req.body || {};
   const routeProductNo = req.params.productNo;
   const bodyProductNo = payload.productNo;
@@ -169,43 +109,33 @@ const updateProduct = async (req, res) => {
     return res.status(400).json({ error: 'productNo is required for update' });
   }
 
-  const response = await fetch(`${process.env.MEDAD_BASE_URL}/products/${encodeURIComponent(productNo)}`, {
-    method: 'PUT',
-    headers: {
-      Authorization: `Bearer ${token}`,
-      'Content-Type': 'application/json',
-      Accept: 'application/json',
-    },
-    body: JSON.stringify({
-      ...payload,
-      productNo,
-    }),
-  });
-
-  const data = await parseJsonSafe(response);
-  if (!response.ok) {
-    return res.status(response.status).json({
+  try {
+    const data = await medad.updateProduct(productNo, payload);
+    refreshMirrorAfterWrite(productNo);
+    return res.status(200).json(data || { success: true });
+  } catch (error) {
+    if (!(error instanceof MedadError)) throw error;
+    return res.status(medadErrorStatus(error)).json({
       error: 'Failed to update Medad product',
-      details: data,
+      details: error.details || error.message,
     });
   }
-
-  return res.status(response.status || 200).json(data || { success: true });
 };
 
 /* ================= PRODUCTS ENDPOINT ================= */
 export default async function medadProducts(req, res) {
   try {
-    if (req.method === 'GET') return await getProducts(res);
+    if (req.method === 'GET') return await getProducts(req, res);
     if (req.method === 'POST') return await createProduct(req, res);
     if (req.method === 'PUT') return await updateProduct(req, res);
 
     return res.status(405).json({ error: `Method ${req.method} not allowed` });
   } catch (error) {
     console.error('Medad integration error:', error);
-    return res.status(500).json({
-      error: 'Medad integration error',
-      details: String(error?.message || error),
+    const status = error instanceof MedadError ? medadErrorStatus(error) : 500;
+    return res.status(status).json({
+      error: status === 500 ? 'Medad integration error' : 'Failed to fetch products from Medad',
+      details: error?.details || String(error?.message || error),
     });
   }
 }
@@ -2,6 +2,8 @@ import express from 'express';
 import pkg from 'pg';
 import admin from '../../firebase-init.js'; // make sure this is correct
 import { asyncHandler } from '../../utils/asyncHandler.js';
+import { requirePermission, requireAssignedDriver } from '../../middlewares/permissions.js';
+import { transitionOrder, OrderTransitionError } from '../../utils/orderStateMachine.js';
 
 const { Pool } = pkg;
 const router = express.Router();
@@ -70,6 +72,8 @@ const sendRoleNotification = async (role, table, message, title = 'Notification'
 // PUT /not-delivered/:id
 router.put(
   '/not-delivered/:id',
+  requirePermission('order:deliver'),
+  requireAssignedDriver,
   asyncHandler(async (req, res) => {
     const { id } = req.params;
     const { driver_notes } = req.body;
@@ -80,26 +84,10 @@ router.put(
 
     const client = await pool.connect();
     try {
-      const updateQuery = `
-        UPDATE orders 
-        SET status = 'not Delivered',
-            driver_notes = $1,
-            updated_at = CURRENT_TIMESTAMP,
-            actual_delivery_date = NULL,
-            supervisoraccept = 'pending',
-            manageraccept = 'pending',
-            storekeeperaccept = 'pending'
-        WHERE id = $2
-        RETURNING *
-      `;
-
-      const result = await executeWithRetry(() =>
-        withTimeout(client.query(updateQuery, [driver_notes || '', id]), 10000)
-      );
-
-      if (result.rowCount === 0) {
-        return res.status(404).json({ error: 'Order not found' });
-      }
+      await transitionOrder(client, id, 'notDeliver', {
+        user: req.user,
+        payload: { driverNotes: driver_notes },
+      });
 
       const alertMessage = `لم يتم توصيل الطلب ${id}`;
       await Promise.all([
@@ -109,6 +97,9 @@ router.put(
 
       return res.status(200).json({ message: 'Order marked as not delivered' });
     } catch (err) {
+      if (err instanceof OrderTransitionError) {
+        return res.status(err.status).json(err.toJSON());
+      }
       console.error('❌ Order update error:', err);
       return res.status(500).json({
         error: 'Internal Server Error',
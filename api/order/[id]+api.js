@@ -337,6 +337,16 @@ export default router;
 
 import express from 'express';
 import pkg from 'pg'; // Import the default export
+import { snapshotRevision } from '../../utils/revisions.js';
+import { recordOrderEvent } from '../../utils/orderEvents.js';
+import { releaseOrderStock } from '../../utils/stockReservations.js';
+import {
+  assertTotalsMatch,
+  documentTotals,
+  priceAndVerify,
+  priceStoredLine,
+  PricingError,
+} from '../../utils/pricing.js';
 const { Pool } = pkg; // Destructure Pool from the default export
 
 const router = express.Router();
@@ -450,14 +460,13 @@ router.put('/orders/:id', async (req, res) => {
       delivery_type,
       notes,
       products,
-      status = 'not Delivered',
     } = body;
 
     await client.query('BEGIN');
 
     // Lock the row and fetch current status + custom_id to prevent races
     const getOrderQuery = `
-      SELECT custom_id, status
+      SELECT custom_id, status, medad_sync_status, einvoice_issued_at
       FROM orders
       WHERE id = $1
       FOR UPDATE
@@ -478,6 +487,40 @@ router.put('/orders/:id', async (req, res) => {
       return res.status(400).json({ error: 'Cannot update an order that is already delivered' });
     }
 
+    // Once the invoice is queued or posted in Medad, or a credit note was raised
+    // against it, the lines are fixed; corrections go through returns instead
+    const medadStatus = orderResult.rows[0].medad_sync_status;
+    if (medadStatus === 'READY_FOR_MEDAD' || medadStatus === 'SENT_TO_MEDAD') {
+      await client.query('ROLLBACK');
+      return res.status(409).json({
+        error: 'لا يمكن تعديل طلب تم إرسال فاتورته إلى مداد',
+        reason: 'invoice_sent',
+        medad_sync_status: medadStatus,
+      });
+    }
+
+    // The e-invoice is issued with its totals and hash chained into the next
+    // invoice, so it cannot change under it either
+    if (orderResult.rows[0].einvoice_issued_at) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({
+        error: 'لا يمكن تعديل طلب صدرت فاتورته الإلكترونية',
+        reason: 'einvoice_issued',
+      });
+    }
+
+    const returnsTable = await client.query("SELECT to_regclass('order_returns') IS NOT NULL AS present");
+    if (returnsTable.rows[0].present) {
+      const returns = await client.query('SELECT 1 FROM order_returns WHERE order_id = $1 LIMIT 1', [id]);
+      if (returns.rowCount > 0) {
+        await client.query('ROLLBACK');
+        return res.status(409).json({ error: 'لا يمكن تعديل طلب عليه مرتجعات', reason: 'has_returns' });
+      }
+    }
+
+    // Keep the version being replaced so the edit can be reviewed later
+    const revisionNo = await snapshotRevision(client, 'order', id, req.user);
+
     // Build new custom_id revision
     const currentCustomId = orderResult.rows[0].custom_id;
     let newCustomId;
@@ -489,29 +532,28 @@ router.put('/orders/:id', async (req, res) => {
       newCustomId = `${currentCustomId} Rev1`;
     }
 
-    // Set `actual_delivery_date` if the incoming status is "delivered"
-    const actualDeliveryDate = (status || '').toLowerCase() === 'delivered' ? new Date().toISOString() : null;
-
-    // Calculate totals based on products
-    let totalPrice = 0;
-    let totalVat = 0;
-    let totalSubtotal = 0;
+    // Status is not editable here: it only moves through transitionOrder. A
+    // revision sends the order back through approval.
 
+    // Reprice from the submitted lines, or from the stored ones when only the
+    // header changes; client-sent totals are only checked against ours
+    let pricing;
     if (products && products.length > 0) {
-      for (const product of products) {
-        const { price, quantity } = product;
-        const numericPrice = parseFloat(price) || 0;
-        const numericQuantity = parseFloat(quantity) || 0;
-
-        const totalPriceForProduct = numericPrice * numericQuantity;
-        const vat = totalPriceForProduct * 0.15;
-        const subtotal = totalPriceForProduct + vat;
-
-        totalPrice += totalPriceForProduct;
-        totalVat += vat;
-        totalSubtotal += subtotal;
-      }
+      pricing = await priceAndVerify(client, products, body);
+    } else {
+      const storedLines = await client.query(
+        'SELECT quantity, price, vat_category, vat_rate FROM order_products WHERE order_id = $1',
+        [id]
+      );
+      const lines = storedLines.rows.map(priceStoredLine);
+      pricing = { lines, totals: documentTotals(lines) };
+      assertTotalsMatch(pricing.totals, body);
     }
+    const {
+      total_price: totalPrice,
+      total_vat: totalVat,
+      total_subtotal: totalSubtotal,
+    } = pricing.totals;
 
     const updateOrderQuery = `
       UPDATE orders
@@ -519,7 +561,6 @@ router.put('/orders/:id', async (req, res) => {
           delivery_date = $2,
           delivery_type = $3,
           notes = $4,
-          status = $5,
           storekeeperaccept = 'pending',
           supervisoraccept = 'pending',
           manageraccept = 'pending',
@@ -527,13 +568,12 @@ router.put('/orders/:id', async (req, res) => {
           supervisoraccept_at = NULL,
           storekeeperaccept_at = NULL,
           updated_at = CURRENT_TIMESTAMP,
-          actual_delivery_date = COALESCE($6, actual_delivery_date),
-          storekeeper_notes = $7,
-          total_price = $8,
-          total_vat = $9,
-          total_subtotal = $10,
-          custom_id = $11
-      WHERE id = $12
+          storekeeper_notes = $5,
+          total_price = $6,
+          total_vat = $7,
+          total_subtotal = $8,
+          custom_id = $9
+      WHERE id = $10
         AND LOWER(status) <> 'delivered'  -- defensive guard
     `;
 
@@ -544,8 +584,6 @@ router.put('/orders/:id', async (req, res) => {
           delivery_date,
           delivery_type,
           notes || null,
-          status,
-          actualDeliveryDate,
           body.storekeeper_notes || null,
           totalPrice,
           totalVat,
@@ -563,28 +601,53 @@ router.put('/orders/:id', async (req, res) => {
       return res.status(400).json({ error: 'Cannot update this order (possibly already delivered).' });
     }
 
+    // The revision sends the order back through approval, so whatever the last
+    // storekeeper accept reserved is released here, before the lines it points
+    // at are deleted; the next accept reserves the new lines
+    await releaseOrderStock(client, id);
+
     if (products && products.length > 0) {
+      // Lines are replaced wholesale, so keep each line's product identity: taken
+      // from the body when sent, otherwise from the replaced line with the same
+      // description. Revision diffs and stock reservations key on it.
+      const previousLines = await client.query(
+        'SELECT description, product_id, medad_product_no FROM order_products WHERE order_id = $1 ORDER BY id',
+        [id]
+      );
+      const previousByDescription = new Map();
+      for (const row of previousLines.rows) {
+        const key = String(row.description ?? '').trim().toLowerCase();
+        if (!previousByDescription.has(key)) previousByDescription.set(key, row);
+      }
+
       const deleteProductsQuery = `DELETE FROM order_products WHERE order_id = $1`;
       await executeWithRetry(async () => {
         return await withTimeout(client.query(deleteProductsQuery, [id]), 10000);
       });
 
-      for (const product of products) {
-        const { quantity, description, price } = product;
-
-        const numericPrice = parseFloat(price) || 0;
-        const numericQuantity = parseFloat(quantity) || 0;
-
-        const totalPriceForProduct = numericPrice * numericQuantity;
-        const vat = totalPriceForProduct * 0.15;
-        const subtotal = totalPriceForProduct + vat;
+      for (const [index, product] of products.entries()) {
+        const { description } = product;
+        const line = pricing.lines[index];
+        const previous = previousByDescription.get(String(description ?? '').trim().toLowerCase());
+        const productId = product.product_id ?? product.productId ?? previous?.product_id ?? null;
+        const medadProductNo =
+          product.medad_product_no ??
+          product.product_code ??
+          product.productNo ??
+          product.code ??
+          previous?.medad_product_no ??
+          null;
 
         await executeWithRetry(async () => {
           return await withTimeout(
             client.query(
-              `INSERT INTO order_products (order_id, description, quantity, price, vat, subtotal) 
-               VALUES ($1, $2, $3, $4, $5, $6)`,
-              [id, description, numericQuantity, numericPrice, vat, subtotal]
+              `INSERT INTO order_products (order_id, description, quantity, price, vat, subtotal, product_id, medad_product_no, vat_category, vat_rate) 
+               VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)`,
+              [
+                id, description, line.quantity,
+                line.price, line.vat, line.gross,
+                productId, medadProductNo, line.vatCategory, line.vatRate,
+              ]
             ),
             10000
           );
@@ -618,10 +681,20 @@ router.put('/orders/:id', async (req, res) => {
       }
     }
 
+    await recordOrderEvent(client, {
+      orderId: id,
+      eventType: 'revise',
+      actor: req.user,
+      payload: { revisionNo, previousCustomId: currentCustomId, customId: newCustomId },
+    });
+
     await client.query('COMMIT');
-    return res.status(200).json({ message: 'Order and products updated successfully' });
+    return res.status(200).json({ message: 'Order and products updated successfully', revisionNo });
   } catch (error) {
     await client.query('ROLLBACK');
+    if (error instanceof PricingError) {
+      return res.status(error.status).json(error.toJSON());
+    }
     console.error('Database error:', error);
     return res.status(500).json({
       error: 'Internal Server Error',
@@ -3,6 +3,10 @@ import moment from 'moment-timezone';
 import admin from '../../firebase-init.js';
 import pkg from 'pg';
 import { resolveUserDefaults } from '../../utils/resolveUserDefaults.js';
+import { recordOrderEvent } from '../../utils/orderEvents.js';
+import { deriveOrderState } from '../../utils/orderStateMachine.js';
+import { nextDocumentNumber, nextSequenceValue } from '../../utils/numbering.js';
+import { priceAndVerify, PricingError } from '../../utils/pricing.js';
 const { Pool } = pkg;
 
 const router = express.Router();
@@ -55,40 +59,6 @@ const resolveProductDescription = (product) => {
   return raw ?? null;
 };
 
-// Function to generate custom ID
-const generateCustomId = async (client) => {
-  const year = new Date().getFullYear();
-  
-  // Get all custom IDs for the current year and extract numeric parts
-  const result = await client.query(
-    `SELECT custom_id 
-     FROM orders 
-     WHERE custom_id LIKE $1
-     ORDER BY custom_id DESC`,
-    [`NPO-${year}-%`]
-  );
-  
-  let maxId = 0;
-  
-  // Parse each custom_id to find the highest numeric ID
-  for (const row of result.rows) {
-    const customId = row.custom_id;
-    // Extract the part after "NPO-YYYY-"
-    const idPart = customId.substring(`NPO-${year}-`.length);
-    
-    // Extract only the numeric part (ignore any non-numeric suffixes like "Rev1")
-    const numericMatch = idPart.match(/^(\d+)/);
-    if (numericMatch) {
-      const numericId = parseInt(numericMatch[1], 10);
-      if (numericId > maxId) {
-        maxId = numericId;
-      }
-    }
-  }
-  
-  const newId = `NPO-${year}-${String(maxId + 1).padStart(5, '0')}`;
-  return newId;
-};
 
 
 
@@ -143,22 +113,21 @@ router.post('/orders', async (req, res) => {
     // Validate request body first
       const { 
         client_id, 
-        username, 
         warehouse_no,
         medad_salesman_id,
-        clerkId,
-        clerk_id,
         delivery_date, 
         delivery_type, 
         products, 
         notes, 
         manager_notes,
       deliveryLocations = [],
+      total_price,
       total_vat, 
       total_subtotal,
       status = 'not Delivered',
       manageraccept = 'accepted'
     } = req.body;
+    const { name: username, clerkId } = req.user;
 
     // Input validation
     if (!client_id || !delivery_date || !delivery_type || !products || products.length === 0) {
@@ -195,12 +164,15 @@ router.post('/orders', async (req, res) => {
     const resolvedDefaults = await resolveUserDefaults({
       client: pool,
       role: 'manager',
-      clerkId: clerkId || clerk_id || null,
+      clerkId,
       username
     });
     const resolvedWarehouseNo = warehouse_no || resolvedDefaults.warehouse_no || null;
     const resolvedMedadSalesmanId = medad_salesman_id || resolvedDefaults.medad_salesman_id || null;
 
+    // Totals are always ours; client-sent totals are only checked against them
+    const pricing = await priceAndVerify(pool, products, { total_price, total_vat, total_subtotal });
+
     await executeWithRetry(async () => {
       client = await pool.connect();
       
@@ -216,12 +188,9 @@ router.post('/orders', async (req, res) => {
         }
 
         // Generate custom ID
-        const customId = await generateCustomId(client);
+        const customId = await nextDocumentNumber(client, 'order');
 
-        // Fetch the max order_number currently in the DB
-        const { rows } = await client.query('SELECT MAX(order_number) AS max FROM orders');
-        const maxOrderNumber = rows[0].max || 0;
-        const newOrderNumber = maxOrderNumber + 1;
+        const newOrderNumber = await nextSequenceValue(client, 'order_number');
 
         const nowUtc = moment().tz('UTC').format('YYYY-MM-DD HH:mm:ss');
         const manageraccept_at =
@@ -246,8 +215,8 @@ router.post('/orders', async (req, res) => {
               delivery_type,
               notes || null,
               manager_notes || null,
-              total_vat,
-              total_subtotal,
+              pricing.totals.total_vat,
+              pricing.totals.total_subtotal,
               status,
               customId,
               newOrderNumber,
@@ -263,11 +232,11 @@ router.post('/orders', async (req, res) => {
         }
 
         const orderId = orderResult.rows[0].id;
-        let totalPrice = 0;
+        const totalPrice = pricing.totals.total_price;
 
         // Insert products
-        for (const product of products) {
-          totalPrice += parseFloat(product.price) * parseFloat(product.quantity || 1);
+        for (const [index, product] of products.entries()) {
+          const line = pricing.lines[index];
           const productId = product.product_id ?? product.productId ?? null;
           let description = resolveProductDescription(product);
           let medadProductNo =
@@ -296,12 +265,12 @@ router.post('/orders', async (req, res) => {
 
           await withTimeout(
             client.query(
-              `INSERT INTO order_products (order_id, description, quantity, price, vat, subtotal, product_id, medad_product_no)
-               VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+              `INSERT INTO order_products (order_id, description, quantity, price, vat, subtotal, product_id, medad_product_no, vat_category, vat_rate)
+               VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)`,
               [
-                orderId, description, product.quantity,
-                parseFloat(product.price), parseFloat(product.vat), parseFloat(product.subtotal),
-                productId, medadProductNo
+                orderId, description, line.quantity,
+                line.price, line.vat, line.gross,
+                productId, medadProductNo, line.vatCategory, line.vatRate
               ]
             ),
             5000
@@ -324,6 +293,14 @@ router.post('/orders', async (req, res) => {
           client.query(`UPDATE orders SET total_price = $1 WHERE id = $2`, [totalPrice, orderId]),
           5000
         );
+
+        await recordOrderEvent(client, {
+          orderId,
+          eventType: 'create',
+          actor: req.user,
+          toState: deriveOrderState({ status, manageraccept }),
+          payload: { customId, totalPrice },
+        });
  
         await client.query('COMMIT');
 
@@ -342,6 +319,8 @@ router.post('/orders', async (req, res) => {
           customId, 
           status: 'success', 
           totalPrice,
+          totalVat: pricing.totals.total_vat,
+          totalSubtotal: pricing.totals.total_subtotal,
           message: 'Order created successfully'
         });
 
@@ -354,6 +333,10 @@ router.post('/orders', async (req, res) => {
 
   } catch (error) {
     console.error('Error creating order:', error);
+
+    if (error instanceof PricingError) {
+      return res.status(error.status).json(error.toJSON());
+    }
     
     let errorMessage = 'Error creating order';
     let statusCode = 500;
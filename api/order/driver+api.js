@@ -0,0 +1,120 @@
+import express from 'express';
+import pkg from 'pg';
+import { asyncHandler } from '../../utils/asyncHandler.js';
+import admin from '../../firebase-init.js';
+import { requirePermission } from '../../middlewares/permissions.js';
+
+const { Pool } = pkg;
+const router = express.Router();
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  max: 20,
+  idleTimeoutMillis: 30000,
+  connectionTimeoutMillis: 10000,
+});
+
+pool.on('error', (err) => {
+  console.error('Unexpected error on idle client:', err);
+});
+
+const executeWithRetry = async (fn, retries = 3, delay = 1000) => {
+  try {
+    return await fn();
+  } catch (error) {
+    if (retries > 0) {
+      await new Promise((resolve) => setTimeout(resolve, delay));
+      return executeWithRetry(fn, retries - 1, delay * 2);
+    }
+    throw error;
+  }
+};
+
+const withTimeout = (promise, timeout) => {
+  const timeoutPromise = new Promise((_, reject) =>
+    setTimeout(() => reject(new Error('Database query timed out')), timeout)
+  );
+  return Promise.race([promise, timeoutPromise]);
+};
+
+const sendNotificationToDriver = async (token, message, title = 'Notification') => {
+  if (!token) {
+    console.warn('No FCM token found for assigned driver');
+    return;
+  }
+  try {
+    await admin.messaging().sendEach([{
+      notification: { title, body: message },
+      data: { role: 'driver' },
+      token,
+    }]);
+  } catch (error) {
+    console.error('Failed to send FCM to driver:', error);
+  }
+};
+
+// PUT /api/orders/:id/driver  { driverId }  (drivers.id or drivers.clerk_id)
+router.put(
+  '/orders/:id/driver',
+  requirePermission('order:assignDriver'),
+  asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const { driverId } = req.body || {};
+
+    if (!driverId) {
+      return res.status(400).json({ error: 'driverId is required' });
+    }
+
+    const client = await pool.connect();
+    try {
+      const driverResult = await executeWithRetry(() =>
+        withTimeout(
+          client.query(
+            `SELECT id, name, clerk_id, fcm_token
+             FROM drivers
+             WHERE (CAST(id AS TEXT) = CAST($1 AS TEXT) OR clerk_id = $1)
+             LIMIT 1`,
+            [String(driverId)]
+          ),
+          10000
+        )
+      );
+      const driver = driverResult.rows[0];
+      if (!driver) {
+        return res.status(404).json({ error: 'Driver not found' });
+      }
+
+      const result = await executeWithRetry(() =>
+        withTimeout(
+          client.query(
+            `UPDATE orders
+             SET assigned_driver_id = $2,
+                 assigned_driver_name = $3,
+                 driver_assigned_at = CURRENT_TIMESTAMP,
+                 updated_at = CURRENT_TIMESTAMP
+             WHERE id = $1
+             RETURNING id, custom_id, assigned_driver_id, assigned_driver_name, driver_assigned_at`,
+            [id, driver.clerk_id, driver.name]
+          ),
+          10000
+        )
+      );
+
+      if (result.rowCount === 0) {
+        return res.status(404).json({ error: 'Order not found' });
+      }
+
+      const order = result.rows[0];
+      await sendNotificationToDriver(driver.fcm_token, `تم إسناد الطلب ${order.custom_id || id} إليك للتوصيل`);
+
+      return res.status(200).json({ message: 'Driver assigned successfully', order });
+    } catch (error) {
+      console.error('Error assigning driver:', error);
+      return res.status(500).json({ error: 'Internal Server Error', details: error.message });
+    } finally {
+      client.release();
+    }
+  })
+);
+
+export default router;
@@ -0,0 +1,51 @@
+import express from 'express';
+import pkg from 'pg';
+import { asyncHandler } from '../../utils/asyncHandler.js';
+import { requirePermission } from '../../middlewares/permissions.js';
+import { loadOrderEInvoice } from '../../utils/zatca.js';
+
+const { Pool } = pkg;
+const router = express.Router();
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  max: 20,
+  idleTimeoutMillis: 30000,
+  connectionTimeoutMillis: 10000,
+});
+
+pool.on('error', (err) => {
+  console.error('Unexpected error on idle client:', err);
+});
+
+// GET /api/orders/:id/einvoice.xml — the e-invoice as issued when the order
+// was queued for Medad
+router.get('/orders/:id/einvoice.xml', requirePermission('order:einvoice'), asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const client = await pool.connect();
+  try {
+    const einvoice = await loadOrderEInvoice(client, id);
+    if (!einvoice) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+    if (!einvoice.issued) {
+      return res.status(409).json({
+        error: 'لم تصدر الفاتورة الإلكترونية لهذا الطلب بعد',
+        reason: 'einvoice_not_issued',
+      });
+    }
+
+    res.setHeader('Content-Type', 'application/xml; charset=utf-8');
+    res.setHeader('X-Zatca-Invoice-Type', einvoice.type);
+    res.setHeader('X-Zatca-QR', einvoice.qr);
+    return res.status(200).send(einvoice.xml);
+  } catch (error) {
+    console.error('Error loading e-invoice:', error);
+    return res.status(500).json({ error: 'Internal Server Error', details: error.message });
+  } finally {
+    client.release();
+  }
+}));
+
+export default router;
@@ -1,6 +1,7 @@
 import express from 'express';
 import admin from '../../firebase-init.js';
 import pkg from 'pg';
+import { transitionOrder, OrderTransitionError } from '../../utils/orderStateMachine.js';
 const { Pool } = pkg;
 
 const router = express.Router();
@@ -65,34 +66,26 @@ router.put('/mark/:id', async (req, res) => {
     return res.status(400).json({ error: 'Invalid mark value', received: mark });
   }
 
+  const client = await pool.connect();
   try {
-    const updateOrderQuery = `
-      UPDATE orders 
-      SET mark = $1,
-          markAsDone_at = CASE WHEN $1 = 'done' THEN CURRENT_TIMESTAMP ELSE NULL END,
-          updated_at = CURRENT_TIMESTAMP
-      WHERE id = $2
-    `;
+    const action = mark === 'done' ? 'markDone' : 'markPending';
+    const { from, to } = await transitionOrder(client, id, action, { user: req.user });
 
-    console.log('📝 Executing query with values:', [mark, id]);
-    const result = await executeWithRetry(() =>
-      withTimeout(pool.query(updateOrderQuery, [mark, id]), 10000)
-    );
-
-    console.log('✅ Update successful. Rows affected:', result.rowCount);
-
-    if (result.rowCount === 0) {
-      console.warn('⚠️ Order not found for ID:', id);
-      return res.status(404).json({ error: 'Order not found' });
-    }
+    console.log(`✅ Order ${id} moved from ${from} to ${to}`);
 
     return res.status(200).json({ message: `Order marked as ${mark} successfully` });
   } catch (error) {
+    if (error instanceof OrderTransitionError) {
+      console.warn(`⚠️ Order ${id} mark rejected:`, error.reason);
+      return res.status(error.status).json(error.toJSON());
+    }
     console.error('🔥 Database error during update:', error);
     return res.status(500).json({
       error: 'Internal Server Error',
       details: error.message,
     });
+  } finally {
+    client.release();
   }
 });
 
@@ -6,6 +6,8 @@ import path from 'path';
 import pg from 'pg'; // Import the entire pg module
 const { Pool } = pg; // Destructure Pool from the pg module
 import libre from 'libreoffice-convert'; // For .docx to PDF conversion
+import { loadOrderEInvoice, renderQrPng } from '../../utils/zatca.js';
+import { listOrderReturns } from '../../utils/orderReturns.js';
 
 
 // Derive __dirname equivalent for ES modules
@@ -30,8 +32,10 @@ const pool = new Pool({
  * @param {Object} orderData - The order data to populate the template.
  * @param {string} templatePath - The path to the .docx template file.
  * @param {string} filePath - The path to save the PDF (optional).
+ * @param {Object} options - `qrImage`: PNG buffer appended at the end of the document (optional);
+ *   `notes`: lines of text appended as paragraphs before it (optional).
  * @returns {Promise<Buffer>} - Returns the PDF buffer for streaming.
- */export async function generatePDF(orderData, templatePath, filePath = null) {
+ */export async function generatePDF(orderData, templatePath, filePath = null, { qrImage = null, notes = [] } = {}) {
   try {
     console.log('Loading template from:', templatePath);
 
@@ -56,6 +60,13 @@ const pool = new Pool({
       throw new Error(`Failed to render template: ${error.message}`);
     }
 
+    if (notes.length > 0) {
+      appendParagraphsToDocx(doc.getZip(), notes);
+    }
+    if (qrImage) {
+      appendImageToDocx(doc.getZip(), qrImage);
+    }
+
     // Generate the .docx buffer
     const docxBuffer = doc.getZip().generate({ type: 'nodebuffer' });
 
@@ -78,6 +89,94 @@ const pool = new Pool({
     throw new Error(`Failed to generate PDF: ${error.message}`);
   }
 }
+/**
+ * Appends a PNG as a centred paragraph at the end of the document body, so the
+ * templates need no image placeholder.
+ * @param {PizZip} zip - The rendered .docx zip.
+ * @param {Buffer} pngBuffer - The image.
+ * @param {number} sizeEmu - Width and height in EMU (default 3cm).
+ */
+function appendImageToDocx(zip, pngBuffer, sizeEmu = 1080000) {
+  const relId = 'rIdZatcaQr';
+  zip.file('word/media/zatca_qr.png', pngBuffer);
+
+  const relsPath = 'word/_rels/document.xml.rels';
+  const rels = zip.file(relsPath).asText();
+  if (!rels.includes(`Id="${relId}"`)) {
+    zip.file(relsPath, rels.replace(
+      '</Relationships>',
+      `<Relationship Id="${relId}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/image" Target="media/zatca_qr.png"/></Relationships>`
+    ));
+  }
+
+  const typesPath = '[Content_Types].xml';
+  const types = zip.file(typesPath).asText();
+  if (!types.includes('Extension="png"')) {
+    zip.file(typesPath, types.replace('<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">',
+      '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"><Default Extension="png" ContentType="image/png"/>'));
+  }
+
+  const drawing =
+    '<w:p><w:pPr><w:jc w:val="center"/></w:pPr><w:r><w:drawing>' +
+    `<wp:inline distT="0" distB="0" distL="0" distR="0"><wp:extent cx="${sizeEmu}" cy="${sizeEmu}"/>` +
+    '<wp:docPr id="9001" name="ZATCA QR"/>' +
+    '<a:graphic xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main">' +
+    '<a:graphicData uri="http://schemas.openxmlformats.org/drawingml/2006/picture">' +
+    '<pic:pic xmlns:pic="http://schemas.openxmlformats.org/drawingml/2006/picture">' +
+    '<pic:nvPicPr><pic:cNvPr id="9001" name="zatca_qr.png"/><pic:cNvPicPr/></pic:nvPicPr>' +
+    `<pic:blipFill><a:blip r:embed="${relId}"/><a:stretch><a:fillRect/></a:stretch></pic:blipFill>` +
+    `<pic:spPr><a:xfrm><a:off x="0" y="0"/><a:ext cx="${sizeEmu}" cy="${sizeEmu}"/></a:xfrm>` +
+    '<a:prstGeom prst="rect"><a:avLst/></a:prstGeom></pic:spPr>' +
+    '</pic:pic></a:graphicData></a:graphic></wp:inline></w:drawing></w:r></w:p>';
+
+  appendBodyXml(zip, drawing);
+}
+
+const escapeXml = (value) =>
+  String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+/**
+ * Appends right-to-left text paragraphs at the end of the document body.
+ * @param {PizZip} zip - The rendered .docx zip.
+ * @param {string[]} lines - One paragraph per entry; the first one is bold.
+ */
+function appendParagraphsToDocx(zip, lines) {
+  const paragraphs = lines.map((line, index) =>
+    '<w:p><w:pPr><w:bidi/></w:pPr><w:r><w:rPr>' + (index === 0 ? '<w:b/>' : '') + '<w:rtl/></w:rPr>' +
+    `<w:t xml:space="preserve">${escapeXml(line)}</w:t></w:r></w:p>`
+  );
+  appendBodyXml(zip, paragraphs.join(''));
+}
+
+// The body-level sectPr is the last one in the document; content goes before it
+function appendBodyXml(zip, xml) {
+  const documentPath = 'word/document.xml';
+  const documentXml = zip.file(documentPath).asText();
+  const sectPrIndex = documentXml.lastIndexOf('<w:sectPr');
+  const insertAt = sectPrIndex === -1 ? documentXml.lastIndexOf('</w:body>') : sectPrIndex;
+  zip.file(documentPath, documentXml.slice(0, insertAt) + xml + documentXml.slice(insertAt));
+}
+
+/**
+ * Text lines describing the credit notes raised against an order.
+ * @param {Object[]} returns - Rows from listOrderReturns.
+ * @returns {string[]}
+ */
+function creditNoteLines(returns) {
+  if (!returns || returns.length === 0) return [];
+  const lines = ['إشعارات دائنة (مرتجعات)'];
+  for (const orderReturn of returns) {
+    const date = new Date(orderReturn.created_at).toISOString().split('T')[0];
+    lines.push(
+      `${orderReturn.credit_note_no} - ${date} - ${Number(orderReturn.total_subtotal).toFixed(2)} ر.س - ${orderReturn.reason}`
+    );
+    for (const line of orderReturn.lines) {
+      lines.push(`    ${line.description || line.medad_product_no || ''} × ${Number(line.quantity)}`);
+    }
+  }
+  return lines;
+}
+
 /**
  * Converts a .docx buffer to a PDF buffer using libreoffice-convert.
  * @param {Buffer} docxBuffer - The .docx file as a buffer.
@@ -157,6 +256,24 @@ async function fetchOrderDataFromDatabase(orderId) {
       supervisor_name: orderResult.rows[0]?.supervisor_name || 'No Supervisor Assigned', // Include supervisor's name
     };
 
+    // ZATCA QR payload of the issued e-invoice; the PDF is still produced
+    // without it
+    try {
+      const einvoice = await loadOrderEInvoice(pool, orderId);
+      orderData.zatca_qr = einvoice?.qr || null;
+    } catch (error) {
+      console.error('Failed to load ZATCA QR for order PDF:', error);
+      orderData.zatca_qr = null;
+    }
+
+    // Credit notes against the order, also available to templates as {#returns}
+    try {
+      orderData.returns = await listOrderReturns(pool, orderId);
+    } catch (error) {
+      console.error('Failed to load returns for order PDF:', error);
+      orderData.returns = [];
+    }
+
     console.log('Final Order Data:', orderData); // Log the final orderData object
 
     return orderData;
@@ -179,7 +296,9 @@ export async function serveOrderPDF(orderId, res) {
 
     // Generate the PDF
     const templatePath = path.resolve(__dirname, '../../templates/Order.docx');
-    const pdfBuffer = await generatePDF(orderData, templatePath);
+    const qrImage = orderData.zatca_qr ? await renderQrPng(orderData.zatca_qr) : null;
+    const notes = creditNoteLines(orderData.returns);
+    const pdfBuffer = await generatePDF(orderData, templatePath, null, { qrImage, notes });
 
 
       // Use custom_id for the filename
@@ -1,5 +1,6 @@
 import express from 'express';
 import pkg from 'pg';
+import { scopedUsername } from '../../middlewares/auth.js';
 const { Pool } = pkg;
 
 const router = express.Router();
@@ -66,7 +67,7 @@ router.get('/orders/manager/pending-count', async (req, res) => {
 router.get('/orders/supervisor/pending-count', async (req, res) => {
   const client = await pool.connect();
   try {
-    const username = typeof req.query.username === 'string' ? req.query.username.trim() : '';
+    const username = scopedUsername(req);
     const whereParts = [
       "orders.supervisoraccept = 'pending'",
       baseFilter,
@@ -0,0 +1,343 @@
+import express from 'express';
+import pkg from 'pg';
+import { asyncHandler } from '../../utils/asyncHandler.js';
+import { requirePermission } from '../../middlewares/permissions.js';
+import { recordOrderEvent } from '../../utils/orderEvents.js';
+import { deliverMedadSync, enqueueMedadSync, OUTBOX_STATUSES } from '../../utils/medadOutbox.js';
+import { nextDocumentNumber } from '../../utils/numbering.js';
+import { documentTotals, priceStoredLine, roundMoney } from '../../utils/pricing.js';
+import {
+  ensureOrderReturnTables,
+  listOrderReturns,
+  loadReturnedQuantities,
+} from '../../utils/orderReturns.js';
+
+const { Pool } = pkg;
+const router = express.Router();
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  max: 20,
+  idleTimeoutMillis: 30000,
+  connectionTimeoutMillis: 10000,
+});
+
+pool.on('error', (err) => {
+  console.error('Unexpected error on idle client:', err);
+});
+
+const formatDate = (value) => {
+  if (!value) return null;
+  try {
+    return new Date(value).toISOString().split('T')[0];
+  } catch {
+    return null;
+  }
+};
+
+const loadOrder = async (client, orderId, { lock = false } = {}) => {
+  const result = await client.query(
+    `SELECT
+       o.*,
+       c.company_name,
+       c.client_name,
+       c.tax_number,
+       cmc.medad_customer_id,
+       cmc.vat_no AS medad_vat_no,
+       cmc.vat_type AS medad_vat_type,
+       cmc.warehouse_no AS medad_warehouse_no
+     FROM orders o
+     JOIN clients c ON o.client_id = c.id
+     LEFT JOIN client_medad_customers cmc ON o.client_medad_customer_id = cmc.id
+     WHERE o.id = $1
+     ${lock ? 'FOR UPDATE OF o' : ''}`,
+    [orderId]
+  );
+  return result.rows[0] || null;
+};
+
+const buildReturnPayload = (order, orderReturn, lines) => ({
+  orderNo: orderReturn.credit_note_no,
+  refInvoiceNo: order.medad_invoice_no,
+  refOrderNo: order.medad_order_no,
+  orderDate: formatDate(orderReturn.created_at),
+  customerId: order.medad_customer_id,
+  salesmanId: order.medad_salesman_id,
+  warehouseNo: order.medad_warehouse_no || order.warehouse_no,
+  note: orderReturn.reason,
+  net: Number(orderReturn.total_price),
+  total: Number(orderReturn.total_subtotal),
+  totalTax: Number(orderReturn.total_vat),
+  totalCost: Number(orderReturn.total_price),
+  vatType: order.medad_vat_type ?? undefined,
+  vatNo: order.medad_vat_no || order.tax_number || '',
+  orderTaxInPrice: 'N',
+  customerName: order.company_name || order.client_name || '',
+  Order_Detail: lines.map((line, index) => ({
+    lineNo: index + 1,
+    productNo: line.medad_product_no,
+    productDesc: line.description || '',
+    price: Number(line.price),
+    quantity: Number(line.quantity),
+    subTotal: roundMoney(Number(line.price) * Number(line.quantity)),
+    vatPrice: Number(line.vat),
+    tax: Number(line.vat),
+    taxPercent: Number((Number(line.vat_rate) * 100).toFixed(4)),
+    subTotalPlusTax: Number(line.subtotal),
+  })),
+});
+
+// The outbox entry's handler writes the outcome back to the return and the timeline
+const queueReturnSync = (client, order, orderReturn, lines, actor) =>
+  enqueueMedadSync(client, {
+    kind: 'return',
+    idempotencyKey: `return:order_return:${orderReturn.id}`,
+    entityType: 'order_return',
+    entityId: orderReturn.id,
+    payload: buildReturnPayload(order, orderReturn, lines),
+    context: { orderId: order.id, creditNoteNo: orderReturn.credit_note_no },
+    actor,
+  });
+
+const deliverReturnSync = async (db, entryId, returnId) => {
+  const entry = await deliverMedadSync(entryId);
+  const result = await db.query('SELECT * FROM order_returns WHERE id = $1', [returnId]);
+  return { entry, orderReturn: result.rows[0] };
+};
+
+// GET /api/orders/:id/returns
+router.get('/orders/:id/returns', asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const client = await pool.connect();
+  try {
+    const orderResult = await client.query('SELECT id, custom_id FROM orders WHERE id = $1', [id]);
+    if (orderResult.rowCount === 0) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    const returns = await listOrderReturns(client, id);
+    return res.status(200).json({ order: orderResult.rows[0], returns });
+  } catch (error) {
+    console.error('Error fetching order returns:', error);
+    return res.status(500).json({ error: 'Internal Server Error', details: error.message });
+  } finally {
+    client.release();
+  }
+}));
+
+// POST /api/orders/:id/returns
+// Body: { reason, lines: [{ orderProductId, quantity, reason? }] }
+router.post('/orders/:id/returns', requirePermission('order:return'), async (req, res) => {
+  const { id } = req.params;
+  const { reason, lines = [] } = req.body || {};
+
+  if (!reason || !Array.isArray(lines) || lines.length === 0) {
+    return res.status(400).json({
+      error: 'Missing required fields',
+      details: {
+        reason: !reason ? 'Required' : 'Valid',
+        lines: !Array.isArray(lines) || lines.length === 0 ? 'Required and must not be empty' : 'Valid',
+      },
+    });
+  }
+
+  const client = await pool.connect();
+  let created;
+  try {
+    await ensureOrderReturnTables(client);
+    await client.query('BEGIN');
+
+    // Lock the order so concurrent returns cannot over-return a line
+    const order = await loadOrder(client, id, { lock: true });
+    if (!order) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Order not found' });
+    }
+    if (order.medad_sync_status !== 'SENT_TO_MEDAD') {
+      await client.query('ROLLBACK');
+      return res.status(409).json({
+        error: 'لا يمكن تسجيل مرتجع لطلب لم تصدر فاتورته في مداد',
+        reason: 'not_invoiced',
+        medad_sync_status: order.medad_sync_status,
+      });
+    }
+
+    const productsResult = await client.query(
+      `SELECT id, description, medad_product_no, quantity, price, vat_category, vat_rate
+       FROM order_products
+       WHERE order_id = $1`,
+      [id]
+    );
+    const products = new Map(productsResult.rows.map((row) => [Number(row.id), row]));
+    const returned = await loadReturnedQuantities(client, id);
+
+    const problems = [];
+    const returnLines = [];
+    for (const line of lines) {
+      const productId = Number(line.orderProductId);
+      const quantity = Number(line.quantity);
+      const product = products.get(productId);
+
+      if (!product) {
+        problems.push({ orderProductId: line.orderProductId, problem: 'not_on_order' });
+        continue;
+      }
+      if (!Number.isFinite(quantity) || quantity <= 0) {
+        problems.push({ orderProductId: productId, problem: 'invalid_quantity' });
+        continue;
+      }
+
+      const returnable = Number(product.quantity) - (returned.get(productId) || 0);
+      if (quantity > returnable) {
+        problems.push({ orderProductId: productId, problem: 'exceeds_returnable', returnable });
+        continue;
+      }
+      returned.set(productId, (returned.get(productId) || 0) + quantity);
+
+      returnLines.push({
+        ...priceStoredLine({ ...product, quantity }),
+        orderProductId: productId,
+        description: product.description,
+        medadProductNo: product.medad_product_no,
+        reason: line.reason || null,
+      });
+    }
+
+    if (problems.length > 0) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: 'Invalid return lines', details: problems });
+    }
+
+    const totals = documentTotals(returnLines);
+    const creditNoteNo = await nextDocumentNumber(client, 'credit_note');
+
+    const returnResult = await client.query(
+      `INSERT INTO order_returns
+         (order_id, credit_note_no, reason, total_price, total_vat, total_subtotal,
+          created_by_clerk_id, created_by_name)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       RETURNING *`,
+      [id, creditNoteNo, reason, totals.total_price, totals.total_vat, totals.total_subtotal,
+        req.user?.clerkId || null, req.user?.name || null]
+    );
+    const orderReturn = returnResult.rows[0];
+
+    const savedLines = [];
+    for (const line of returnLines) {
+      const lineResult = await client.query(
+        `INSERT INTO order_return_lines
+           (return_id, order_product_id, description, medad_product_no, quantity, price, vat,
+            subtotal, vat_category, vat_rate, reason)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+         RETURNING *`,
+        [orderReturn.id, line.orderProductId, line.description, line.medadProductNo, line.quantity,
+          line.price, line.vat, line.gross, line.vatCategory, line.vatRate, line.reason]
+      );
+      savedLines.push(lineResult.rows[0]);
+    }
+
+    await recordOrderEvent(client, {
+      orderId: order.id,
+      eventType: 'return',
+      actor: req.user,
+      payload: {
+        returnId: orderReturn.id,
+        creditNoteNo,
+        reason,
+        ...totals,
+        lines: returnLines.map((line) => ({
+          orderProductId: line.orderProductId,
+          description: line.description,
+          quantity: line.quantity,
+        })),
+      },
+    });
+
+    // Queued in the same transaction, so every credit note reaches Medad eventually
+    const queued = await queueReturnSync(client, order, orderReturn, savedLines, req.user);
+
+    await client.query('COMMIT');
+    created = { orderReturn, savedLines, queued };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error creating order return:', error);
+    return res.status(500).json({ error: 'Internal Server Error', details: error.message });
+  } finally {
+    client.release();
+  }
+
+  // The credit note is committed from here on; a failed push stays in the outbox
+  // for the worker and must not turn the response into an error
+  let pushed = { entry: created.queued, orderReturn: created.orderReturn };
+  try {
+    pushed = await deliverReturnSync(pool, created.queued.id, created.orderReturn.id);
+  } catch (error) {
+    console.error(`Medad push of credit note ${created.orderReturn.credit_note_no} failed, left in the outbox:`, error);
+  }
+
+  return res.status(201).json({
+    return: { ...pushed.orderReturn, lines: created.savedLines },
+    medad: pushed.entry.response,
+    medadStatus: pushed.entry.status,
+    medadError: pushed.entry.last_error,
+    outboxId: pushed.entry.id,
+  });
+});
+
+// POST /api/orders/:id/returns/:returnId/medad — retry a failed credit note push
+router.post('/orders/:id/returns/:returnId/medad', requirePermission('order:return'), async (req, res) => {
+  const { id, returnId } = req.params;
+
+  const client = await pool.connect();
+  try {
+    await ensureOrderReturnTables(client);
+    const order = await loadOrder(client, id);
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    const returnResult = await client.query(
+      'SELECT * FROM order_returns WHERE id = $1 AND order_id = $2',
+      [returnId, id]
+    );
+    if (returnResult.rowCount === 0) {
+      return res.status(404).json({ error: 'Return not found' });
+    }
+    const orderReturn = returnResult.rows[0];
+    if (orderReturn.medad_sync_status === 'SENT_TO_MEDAD') {
+      return res.status(409).json({ error: 'Credit note already sent to Medad', reason: 'already_sent' });
+    }
+
+    const linesResult = await client.query(
+      'SELECT * FROM order_return_lines WHERE return_id = $1 ORDER BY id ASC',
+      [orderReturn.id]
+    );
+    const queued = await queueReturnSync(client, order, orderReturn, linesResult.rows, req.user);
+    const pushed = await deliverReturnSync(client, queued.id, orderReturn.id);
+    if (pushed.entry.status === OUTBOX_STATUSES.DEAD) {
+      return res.status(502).json({
+        error: 'Medad credit note failed',
+        details: pushed.entry.last_error,
+        outboxId: pushed.entry.id,
+      });
+    }
+    if (pushed.entry.status !== OUTBOX_STATUSES.SENT) {
+      return res.status(202).json({
+        return: pushed.orderReturn,
+        queued: true,
+        details: pushed.entry.last_error,
+        nextAttemptAt: pushed.entry.next_attempt_at,
+        outboxId: pushed.entry.id,
+      });
+    }
+    return res.status(200).json({ return: pushed.orderReturn, medad: pushed.entry.response, outboxId: pushed.entry.id });
+  } catch (error) {
+    console.error('Error pushing credit note to Medad:', error);
+    return res.status(500).json({ error: 'Internal Server Error', details: error.message });
+  } finally {
+    client.release();
+  }
+});
+
+export default router;
@@ -0,0 +1,74 @@
+import express from 'express';
+import pkg from 'pg';
+import { asyncHandler } from '../../utils/asyncHandler.js';
+import { listRevisions, revisionDiff } from '../../utils/revisions.js';
+
+const { Pool } = pkg;
+const router = express.Router();
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  max: 20,
+  idleTimeoutMillis: 30000,
+  connectionTimeoutMillis: 10000,
+});
+
+pool.on('error', (err) => {
+  console.error('Unexpected error on idle client:', err);
+});
+
+const withTimeout = (promise, timeout) => {
+  const timeoutPromise = new Promise((_, reject) =>
+    setTimeout(() => reject(new Error('Database query timed out')), timeout)
+  );
+  return Promise.race([promise, timeoutPromise]);
+};
+
+// GET /api/orders/:id/revisions
+router.get('/orders/:id/revisions', asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const client = await pool.connect();
+  try {
+    const orderResult = await withTimeout(
+      client.query('SELECT id, custom_id FROM orders WHERE id = $1', [id]),
+      10000
+    );
+    if (orderResult.rowCount === 0) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    const revisions = await withTimeout(listRevisions(client, 'order', id), 10000);
+    return res.status(200).json({ order: orderResult.rows[0], revisions });
+  } catch (error) {
+    console.error('Error fetching order revisions:', error);
+    return res.status(500).json({ error: 'Internal Server Error', details: error.message });
+  } finally {
+    client.release();
+  }
+}));
+
+// GET /api/orders/:id/revisions/:n/diff
+router.get('/orders/:id/revisions/:n/diff', asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const revisionNo = Number(req.params.n);
+  if (!Number.isInteger(revisionNo) || revisionNo < 1) {
+    return res.status(400).json({ error: 'Invalid revision number' });
+  }
+
+  const client = await pool.connect();
+  try {
+    const diff = await withTimeout(revisionDiff(client, 'order', id, revisionNo), 10000);
+    if (!diff) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+    return res.status(200).json(diff);
+  } catch (error) {
+    console.error('Error diffing order revision:', error);
+    return res.status(500).json({ error: 'Internal Server Error', details: error.message });
+  } finally {
+    client.release();
+  }
+}));
+
+export default router;
@@ -3,6 +3,10 @@ import moment from 'moment-timezone'; // Ensure moment-timezone is installed
 import admin from '../../firebase-init.js';
 import pkg from 'pg'; // New
 import { resolveUserDefaults } from '../../utils/resolveUserDefaults.js';
+import { recordOrderEvent } from '../../utils/orderEvents.js';
+import { deriveOrderState } from '../../utils/orderStateMachine.js';
+import { nextDocumentNumber, nextSequenceValue } from '../../utils/numbering.js';
+import { priceAndVerify, PricingError } from '../../utils/pricing.js';
 const { Pool } = pkg; // Destructure Pool
 
 const router = express.Router();
@@ -57,29 +61,6 @@ const resolveProductDescription = (product) => {
   return raw ?? null;
 };
 
-// Function to generate custom ID
-// Alternative function using SQL regex - FIXED VERSION
-const generateCustomId = async (client) => {
-  const year = new Date().getFullYear();
-  
-  // Use PostgreSQL regex to extract only numeric part
-  const result = await client.query(
-    `SELECT MAX(
-       CASE 
-         WHEN SUBSTRING(custom_id FROM 'NPO-${year}-(\\d+)') ~ '^\\d+$' 
-         THEN SUBSTRING(custom_id FROM 'NPO-${year}-(\\d+)')::int
-         ELSE 0
-       END
-     ) AS last_id 
-     FROM orders 
-     WHERE custom_id ~ $1`,
-    [`^NPO-${year}-\\d+`]
-  );
-  
-  const lastId = result.rows[0].last_id || 0;
-  const newId = `NPO-${year}-${String(lastId + 1).padStart(5, '0')}`;
-  return newId;
-};
 
 
 
@@ -305,20 +286,19 @@ router.post('/orders/salesRep', async (req, res) => {
   try {
     const {
       client_id,
-      username,
       warehouse_no,
       medad_salesman_id,
-      clerkId,
-      clerk_id,
       delivery_date,
       delivery_type,
       products,
       notes,
       deliveryLocations = [],
+      total_price,
       total_vat,
       total_subtotal,
       status = 'not Delivered'
     } = req.body;
+    const { name: username, clerkId } = req.user;
 
     // Validate required fields first
     if (!client_id || !delivery_date || !delivery_type || !products || products.length === 0) {
@@ -347,23 +327,27 @@ router.post('/orders/salesRep', async (req, res) => {
     const resolvedDefaults = await resolveUserDefaults({
       client,
       role: 'salesRep',
-      clerkId: clerkId || clerk_id || null,
+      clerkId,
       username
     });
     const resolvedWarehouseNo = warehouse_no || resolvedDefaults.warehouse_no || null;
     const resolvedMedadSalesmanId = medad_salesman_id || resolvedDefaults.medad_salesman_id || null;
 
+    // Totals are always ours; client-sent totals are only checked against them
+    const pricing = await priceAndVerify(client, products, { total_price, total_vat, total_subtotal });
+
     // Start transaction
     await client.query('BEGIN');
     transactionStarted = true;
 
     // Generate custom ID
-    const customId = await generateCustomId(client);
+    const customId = await nextDocumentNumber(client, 'order');
+    const newOrderNumber = await nextSequenceValue(client, 'order_number');
 
     const orderResult = await withTimeout(
       client.query(
-        `INSERT INTO orders (client_id, username, warehouse_no, medad_salesman_id, delivery_date, delivery_type, notes, status, total_vat, total_subtotal, custom_id)
-         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11) RETURNING id`,
+        `INSERT INTO orders (client_id, username, warehouse_no, medad_salesman_id, delivery_date, delivery_type, notes, status, total_vat, total_subtotal, custom_id, order_number)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12) RETURNING id`,
         [
           client_id,
           username,
@@ -373,9 +357,10 @@ router.post('/orders/salesRep', async (req, res) => {
           delivery_type,
           notes || null,
           status,
-          total_vat,
-          total_subtotal,
-          customId
+          pricing.totals.total_vat,
+          pricing.totals.total_subtotal,
+          customId,
+          newOrderNumber
         ]
       ),
       10000 // 10-second timeout
@@ -385,23 +370,25 @@ router.post('/orders/salesRep', async (req, res) => {
     console.log('Inserted order ID:', orderId);
 
     // Insert products
-    let totalPrice = 0;
-    for (const product of products) {
-      totalPrice += parseFloat(product.price) * parseFloat(product.quantity || 1);
+    const totalPrice = pricing.totals.total_price;
+    for (const [index, product] of products.entries()) {
+      const line = pricing.lines[index];
       const description = resolveProductDescription(product);
       if (!description) {
         throw new Error('Missing product description');
       }
       await client.query(
-        `INSERT INTO order_products (order_id, description, quantity, price, vat, subtotal)
-         VALUES ($1, $2, $3, $4, $5, $6)`,
+        `INSERT INTO order_products (order_id, description, quantity, price, vat, subtotal, vat_category, vat_rate)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
         [
           orderId,
           description,
-          product.quantity,
-          parseFloat(product.price),
-          parseFloat(product.vat),
-          parseFloat(product.subtotal)
+          line.quantity,
+          line.price,
+          line.vat,
+          line.gross,
+          line.vatCategory,
+          line.vatRate
         ]
       );
     }
@@ -420,6 +407,14 @@ router.post('/orders/salesRep', async (req, res) => {
     // Update total price
     await client.query(`UPDATE orders SET total_price = $1 WHERE id = $2`, [totalPrice, orderId]);
 
+    await recordOrderEvent(client, {
+      orderId,
+      eventType: 'create',
+      actor: req.user,
+      toState: deriveOrderState({ status }),
+      payload: { customId, totalPrice },
+    });
+
     // Commit transaction
     await client.query('COMMIT');
     transactionStarted = false;
@@ -435,7 +430,14 @@ router.post('/orders/salesRep', async (req, res) => {
       // Do not fail the request if notification fails
     }
 
-    return res.status(201).json({ orderId, customId, status: 'success', totalPrice });
+    return res.status(201).json({
+      orderId,
+      customId,
+      status: 'success',
+      totalPrice,
+      totalVat: pricing.totals.total_vat,
+      totalSubtotal: pricing.totals.total_subtotal,
+    });
 
   } catch (error) {
     console.error('Error creating order:', error);
@@ -448,6 +450,10 @@ router.post('/orders/salesRep', async (req, res) => {
       }
     }
 
+    if (error instanceof PricingError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+
     // If earlier we returned 400/404, we would not be here. Default to 500.
     return res.status(500).json({ error: error.message || 'Error creating order' });
   } finally {
@@ -462,7 +468,7 @@ router.post('/orders/salesRep', async (req, res) => {
     const limit = Math.min(parseInt(req.query.limit || '10', 10), 50);
     const page = Math.max(parseInt(req.query.page || '1', 10), 1);
     const query = req.query.query || '';
-    const username = req.query.username || '';
+    const username = req.user.name || '';
     const filter = req.query.filter || 'all';
     const offset = (page - 1) * limit;
 
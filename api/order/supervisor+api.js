@@ -3,6 +3,11 @@ import moment from 'moment-timezone';
 import admin from '../../firebase-init.js';
 import pkg from 'pg';
 import { resolveUserDefaults } from '../../utils/resolveUserDefaults.js';
+import { recordOrderEvent } from '../../utils/orderEvents.js';
+import { deriveOrderState } from '../../utils/orderStateMachine.js';
+import { nextDocumentNumber, nextSequenceValue } from '../../utils/numbering.js';
+import { priceAndVerify, PricingError } from '../../utils/pricing.js';
+import { scopedUsername } from '../../middlewares/auth.js';
 const { Pool } = pkg;
 
 const router = express.Router();
@@ -58,35 +63,6 @@ const resolveProductDescription = (product) => {
   return raw ?? null;
 };
 
-// Function to generate custom ID
-const generateCustomId = async (client) => {
-  try {
-    const year = new Date().getFullYear();
-    
-    // Use a more robust query that handles potential non-numeric suffixes
-    const result = await client.query(
-      `SELECT COALESCE(
-        MAX(
-          CASE 
-            WHEN SUBSTRING(custom_id FROM 'NPO-[0-9]{4}-([0-9]+)')::text ~ '^[0-9]+$' 
-            THEN SUBSTRING(custom_id FROM 'NPO-[0-9]{4}-([0-9]+)')::int
-            ELSE 0
-          END
-        ), 0
-      ) AS last_id 
-      FROM orders 
-      WHERE custom_id ~ $1`,
-      [`^NPO-${year}-[0-9]+`]
-    );
-    
-    const lastId = result.rows[0].last_id || 0;
-    const newId = `NPO-${year}-${String(lastId + 1).padStart(5, '0')}`;
-    return newId;
-  } catch (error) {
-    console.error('Error generating custom ID:', error);
-    throw new Error('Failed to generate order ID');
-  }
-};
 // Function to send notifications to supervisors
 async function sendNotificationToManager(message, title = 'Notification') {
   let client;
@@ -341,21 +317,20 @@ router.post('/orders/supervisor', async (req, res) => {
     // Validate request body first
     const { 
       client_id, 
-      username, 
       warehouse_no,
       medad_salesman_id,
-      clerkId,
-      clerk_id,
       delivery_date, 
       delivery_type, 
       products, 
       notes, 
       deliveryLocations = [],
+      total_price,
       total_vat, 
       total_subtotal,
       status = 'not Delivered', 
       supervisoraccept = 'accepted' 
     } = req.body;
+    const { name: username, clerkId } = req.user;
 
     // Input validation
     if (!client_id || !delivery_date || !delivery_type || !products || products.length === 0) {
@@ -388,6 +363,9 @@ router.post('/orders/supervisor', async (req, res) => {
       });
     }
 
+    // Totals are always ours; client-sent totals are only checked against them
+    const pricing = await priceAndVerify(pool, products, { total_price, total_vat, total_subtotal });
+
     await executeWithRetry(async () => {
       client = await pool.connect();
       
@@ -397,7 +375,7 @@ router.post('/orders/supervisor', async (req, res) => {
         const resolvedDefaults = await resolveUserDefaults({
           client,
           role: 'supervisor',
-          clerkId: clerkId || clerk_id || null,
+          clerkId,
           username
         });
         const resolvedWarehouseNo = warehouse_no || resolvedDefaults.warehouse_no || null;
@@ -412,12 +390,9 @@ router.post('/orders/supervisor', async (req, res) => {
         }
 
         // Generate custom ID
-        const customId = await generateCustomId(client);
+        const customId = await nextDocumentNumber(client, 'order');
 
-        // Fetch the max order_number currently in the DB
-        const { rows } = await client.query('SELECT MAX(order_number) AS max FROM orders');
-        const maxOrderNumber = rows[0].max || 0;
-        const newOrderNumber = maxOrderNumber + 1;
+        const newOrderNumber = await nextSequenceValue(client, 'order_number');
 
         const nowUtc = moment().tz('UTC').format('YYYY-MM-DD HH:mm:ss');
         const supervisoraccept_at =
@@ -432,7 +407,7 @@ router.post('/orders/supervisor', async (req, res) => {
              VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14) RETURNING id`,
             [
               client_id, username, resolvedWarehouseNo, resolvedMedadSalesmanId, formattedDate, delivery_type, notes || null,
-              total_vat, total_subtotal, status, customId, newOrderNumber,
+              pricing.totals.total_vat, pricing.totals.total_subtotal, status, customId, newOrderNumber,
               supervisoraccept, supervisoraccept_at
             ]
           ),
@@ -444,22 +419,22 @@ router.post('/orders/supervisor', async (req, res) => {
         }
 
         const orderId = orderResult.rows[0].id;
-        let totalPrice = 0;
+        const totalPrice = pricing.totals.total_price;
 
         // Insert products
-        for (const product of products) {
-          totalPrice += parseFloat(product.price) * parseFloat(product.quantity || 1);
+        for (const [index, product] of products.entries()) {
+          const line = pricing.lines[index];
           const description = resolveProductDescription(product);
           if (!description) {
             throw new Error('Missing product description');
           }
           await withTimeout(
             client.query(
-              `INSERT INTO order_products (order_id, description, quantity, price, vat, subtotal)
-               VALUES ($1, $2, $3, $4, $5, $6)`,
+              `INSERT INTO order_products (order_id, description, quantity, price, vat, subtotal, vat_category, vat_rate)
+               VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
               [
-                orderId, description, product.quantity,
-                parseFloat(product.price), parseFloat(product.vat), parseFloat(product.subtotal)
+                orderId, description, line.quantity,
+                line.price, line.vat, line.gross, line.vatCategory, line.vatRate
               ]
             ),
             5000
@@ -483,6 +458,14 @@ router.post('/orders/supervisor', async (req, res) => {
           5000
         );
 
+        await recordOrderEvent(client, {
+          orderId,
+          eventType: 'create',
+          actor: req.user,
+          toState: deriveOrderState({ status, supervisoraccept }),
+          payload: { customId, totalPrice },
+        });
+
         await client.query('COMMIT');
 
         // Send notifications (don't let this fail the whole operation)
@@ -497,6 +480,8 @@ router.post('/orders/supervisor', async (req, res) => {
           customId, 
           status: 'success', 
           totalPrice,
+          totalVat: pricing.totals.total_vat,
+          totalSubtotal: pricing.totals.total_subtotal,
           message: 'Order created successfully'
         });
 
@@ -509,6 +494,10 @@ router.post('/orders/supervisor', async (req, res) => {
 
   } catch (error) {
     console.error('Error creating order:', error);
+
+    if (error instanceof PricingError) {
+      return res.status(error.status).json(error.toJSON());
+    }
     
     // Provide more specific error messages
     let errorMessage = 'Error creating order';
@@ -551,7 +540,7 @@ router.get('/supervisor', async (req, res) => {
       const page = Math.max(parseInt(req.query.page || '1', 10), 1);
       const query = `%${req.query.query || ''}%`;
       const status = req.query.status || 'all';
-      const username = typeof req.query.username === 'string' ? req.query.username.trim() : '';
+      const username = scopedUsername(req);
       const offset = (page - 1) * limit;
   
       const hasStatus = status !== 'all';
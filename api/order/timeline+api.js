@@ -0,0 +1,67 @@
+import express from 'express';
+import pkg from 'pg';
+import { asyncHandler } from '../../utils/asyncHandler.js';
+import { ensureOrderEventsTable } from '../../utils/orderEvents.js';
+
+const { Pool } = pkg;
+const router = express.Router();
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  max: 20,
+  idleTimeoutMillis: 30000,
+  connectionTimeoutMillis: 10000,
+});
+
+pool.on('error', (err) => {
+  console.error('Unexpected error on idle client:', err);
+});
+
+const withTimeout = (promise, timeout) => {
+  const timeoutPromise = new Promise((_, reject) =>
+    setTimeout(() => reject(new Error('Database query timed out')), timeout)
+  );
+  return Promise.race([promise, timeoutPromise]);
+};
+
+// GET /api/orders/:id/timeline
+router.get('/orders/:id/timeline', asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const client = await pool.connect();
+  try {
+    await ensureOrderEventsTable(client);
+
+    const orderResult = await withTimeout(
+      client.query('SELECT id, custom_id FROM orders WHERE id = $1', [id]),
+      10000
+    );
+    if (orderResult.rowCount === 0) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    const eventsResult = await withTimeout(
+      client.query(
+        `SELECT id, event_type, actor_clerk_id, actor_role, actor_name,
+                from_state, to_state, payload, created_at
+         FROM order_events
+         WHERE order_id = $1
+         ORDER BY created_at ASC, id ASC`,
+        [id]
+      ),
+      10000
+    );
+
+    return res.status(200).json({
+      order: orderResult.rows[0],
+      events: eventsResult.rows,
+    });
+  } catch (error) {
+    console.error('Error fetching order timeline:', error);
+    return res.status(500).json({ error: 'Internal Server Error', details: error.message });
+  } finally {
+    client.release();
+  }
+}));
+
+export default router;
@@ -1,46 +1,11 @@
 import express from 'express';
 import { Pool } from 'pg';
+import { requirePermission } from '../../middlewares/permissions.js';
+import { deliverMedadSync, enqueueMedadSync, OUTBOX_STATUSES } from '../../utils/medadOutbox.js';
 
 const router = express.Router();
 const pool = new Pool({ connectionString: process.env.DATABASE_URL });
 
-let cachedToken = null;
-let tokenExpiry = 0;
-const getMedadToken = async () => {
-  if (cachedToken && Date.now() < tokenExpiry) return cachedToken;
-
-  const payload = {
-    username: process.env.MEDAD_USERNAME,
-    password: process.env.MEDAD_PASSWORD,
-    subscriptionId: process.env.MEDAD_SUBSCRIPTION_ID,
-    branch: Number(process.env.MEDAD_BRANCH),
-    year: process.env.MEDAD_YEAR,
-  };
-
-  const response = await fetch(`${process.env.MEDAD_BASE_URL}/getToken`, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      Accept: 'application/json',
-    },
-    body: JSON.stringify(payload),
-  });
-
-  if (!response.ok) {
-    const text = await response.text();
-    throw new Error(`Medad token request failed: ${text}`);
-  }
-
-  const data = await response.json();
-  const token = data.token || data.access_token || data?.data?.token;
-  if (!token) throw new Error('Medad token not found in response');
-
-  const expiresIn = Number(data.expiresIn || data.expires_in || 3600);
-  cachedToken = token;
-  tokenExpiry = Date.now() + (expiresIn - 60) * 1000;
-  return cachedToken;
-};
-
 const withTimeout = (promise, timeout = 10000) =>
   Promise.race([
     promise,
@@ -111,9 +76,8 @@ router.post('/payments/workflow', async (req, res) => {
       dueDate,
       description = null,
       isBeneficiaryAccountAdded = null,
-      createdBy = null,
-      createdByClerkId = null,
     } = req.body || {};
+    const { name: createdBy = null, clerkId: createdByClerkId } = req.user;
 
     const numericAmount = Number(amount);
     if (!beneficiaryId || !beneficiaryName || !beneficiaryType || !Number.isFinite(numericAmount) || numericAmount <= 0) {
@@ -162,7 +126,7 @@ router.get('/payments/workflow/accountant', async (req, res) => {
   try {
     await ensureTable(client);
     const status = (req.query.status || 'pending').toString().toLowerCase();
-    const accountantId = (req.query.accountantId || '').toString().trim();
+    const accountantId = req.user.clerkId;
 
     let whereSql = `WHERE stage = 'accountant' AND status = 'pending_accountant'`;
     const params = [];
@@ -202,24 +166,13 @@ router.get('/payments/workflow/operation', async (req, res) => {
   const client = await pool.connect();
   try {
     await ensureTable(client);
-    const createdByClerkId = (req.query.createdByClerkId || '').toString().trim();
-    const createdBy = (req.query.createdBy || '').toString().trim();
+    const createdByClerkId = req.user.clerkId;
     const limit = Math.min(Math.max(Number(req.query.limit || 200), 1), 500);
 
-    if (!createdByClerkId && !createdBy) {
-      return res.status(400).json({ error: 'createdByClerkId or createdBy is required' });
-    }
-
     const whereParts = [];
     const params = [];
-    if (createdByClerkId) {
-      params.push(createdByClerkId);
-      whereParts.push(`created_by_clerk_id = $${params.length}`);
-    }
-    if (createdBy) {
-      params.push(createdBy);
-      whereParts.push(`created_by = $${params.length}`);
-    }
+    params.push(createdByClerkId);
+    whereParts.push(`created_by_clerk_id = $${params.length}`);
     params.push(limit);
 
     const query = `
@@ -244,7 +197,7 @@ router.get('/payments/workflow/manager', async (req, res) => {
   try {
     await ensureTable(client);
     const status = (req.query.status || 'pending').toString().toLowerCase();
-    const managerId = (req.query.managerId || '').toString().trim();
+    const managerId = req.user.clerkId;
 
     let whereSql = `WHERE stage = 'manager' AND status = 'pending_manager'`;
     const params = [];
@@ -288,9 +241,8 @@ router.patch('/payments/workflow/:id/accountant', async (req, res) => {
     const {
       dueAmount,
       accountantNote = null,
-      accountantName = null,
-      accountantId = null,
     } = req.body || {};
+    const { name: accountantName = null, clerkId: accountantId } = req.user;
 
     if (!Number.isFinite(id) || id <= 0) {
       return res.status(400).json({ error: 'Invalid request id' });
@@ -336,7 +288,7 @@ router.patch('/payments/workflow/:id/accountant', async (req, res) => {
   }
 });
 
-router.patch('/payments/workflow/:id/manager', async (req, res) => {
+router.patch('/payments/workflow/:id/manager', requirePermission('payment:approveManager'), async (req, res) => {
   const client = await pool.connect();
   try {
     await ensureTable(client);
@@ -344,9 +296,8 @@ router.patch('/payments/workflow/:id/manager', async (req, res) => {
     const {
       amountToPay,
       priority,
-      managerName = null,
-      managerId = null,
     } = req.body || {};
+    const { name: managerName = null, clerkId: managerId } = req.user;
 
     if (!Number.isFinite(id) || id <= 0) {
       return res.status(400).json({ error: 'Invalid request id' });
@@ -429,71 +380,42 @@ router.patch('/payments/workflow/:id/manager', async (req, res) => {
       version,
     };
 
-    let medadResponseBody = null;
-    let medadSyncStatus = 'FAILED';
-    let medadError = null;
-    let medadHttpStatus = null;
-
-    try {
-      const token = await getMedadToken();
-      const medadRes = await fetch(`${process.env.MEDAD_BASE_URL}/payment`, {
-        method: 'POST',
-        headers: {
-          Authorization: `Bearer ${token}`,
-          'Content-Type': 'application/json',
-          Accept: 'application/json',
-        },
-        body: JSON.stringify(medadPayload),
-      });
-      medadHttpStatus = medadRes.status;
-
-      const rawText = await medadRes.text();
-      try {
-        medadResponseBody = rawText ? JSON.parse(rawText) : {};
-      } catch {
-        medadResponseBody = { raw: rawText };
-      }
-
-      const logicalFailure =
-        medadResponseBody?.success === false ||
-        !!medadResponseBody?.error ||
-        !!medadResponseBody?.errors ||
-        (typeof medadResponseBody?.message === 'string' &&
-          /(validation|exception|error|failed|invalid)/i.test(medadResponseBody.message));
-
-      if (!medadRes.ok || logicalFailure) {
-        medadError = rawText || `Medad payment failed with status ${medadRes.status}`;
-        medadSyncStatus = 'FAILED';
-      } else {
-        medadSyncStatus = 'SENT_TO_MEDAD';
-        medadError = null;
-      }
-    } catch (err) {
-      medadSyncStatus = 'FAILED';
-      medadError = err?.message || 'Medad payment request failed';
-      medadResponseBody = { error: medadError };
-    }
-
     await withTimeout(
       client.query(
         `UPDATE payment_workflow_requests
-         SET medad_payload = $1,
-             medad_response = $2,
-             medad_sync_status = $3,
-             medad_error = $4,
-             medad_http_status = $5,
-             medad_synced_at = CURRENT_TIMESTAMP,
-             updated_at = CURRENT_TIMESTAMP
-         WHERE id = $6`,
-        [medadPayload, medadResponseBody, medadSyncStatus, medadError, medadHttpStatus, id],
+         SET medad_payload = $1, medad_sync_status = 'QUEUED_FOR_MEDAD', updated_at = CURRENT_TIMESTAMP
+         WHERE id = $2`,
+        [medadPayload, id],
       ),
     );
 
+    // The outbox retries the payment if Medad is down; the approval itself stands
+    const queued = await enqueueMedadSync(client, {
+      kind: 'payment',
+      idempotencyKey: `payment:workflow:${id}`,
+      entityType: 'payment_workflow_request',
+      entityId: id,
+      payload: medadPayload,
+      actor: req.user,
+    });
+    const entry = await deliverMedadSync(queued.id);
+
+    const medadSyncStatus =
+      entry.status === OUTBOX_STATUSES.SENT ? 'SENT_TO_MEDAD' :
+      entry.status === OUTBOX_STATUSES.DEAD ? 'FAILED' :
+      'QUEUED_FOR_MEDAD';
+    const medadError = entry.last_error;
+    const medadResponseBody = entry.response;
+
     return res.status(200).json({
       success: true,
-      message: medadSyncStatus === 'SENT_TO_MEDAD' ? 'Payment approved and sent to Medad' : 'Payment approved but Medad sync failed',
+      message:
+        medadSyncStatus === 'SENT_TO_MEDAD' ? 'Payment approved and sent to Medad' :
+        medadSyncStatus === 'QUEUED_FOR_MEDAD' ? 'Payment approved; Medad sync queued for retry' :
+        'Payment approved but Medad sync failed',
       medad: {
         status: medadSyncStatus,
+        outboxId: entry.id,
         error: medadError,
         response: medadResponseBody,
         payload: medadPayload,
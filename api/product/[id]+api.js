@@ -1,6 +1,7 @@
 import express from 'express';
 import { Pool } from 'pg';
 import { asyncHandler } from '../../utils/asyncHandler.js';
+import { normalizeTaxRule } from '../../utils/pricing.js';
 
 
 
@@ -173,6 +174,12 @@ router.put('/products/:id', asyncHandler(async (req, res) => {
       }
     });
 
+    // VAT rule: category S/Z/E (or standard/zero/exempt) and an optional rate
+    if (Object.prototype.hasOwnProperty.call(body, 'vat_category') || Object.prototype.hasOwnProperty.call(body, 'vat_rate')) {
+      const { category, rate } = normalizeTaxRule(body);
+      sets.push(['vat_category', category], ['vat_rate', rate]);
+    }
+
     // build dynamic SQL SET list with placeholders
     let idx = 1;
     const setSql = sets
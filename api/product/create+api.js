@@ -1,6 +1,7 @@
 import express from 'express';
 import { Pool } from 'pg';
 import { asyncHandler } from '../../utils/asyncHandler.js';
+import { normalizeTaxRule, PricingError } from '../../utils/pricing.js';
 
 const pool = new Pool({ connectionString: process.env.DATABASE_URL });
 const router = express.Router();
@@ -10,12 +11,16 @@ router.post('/products', asyncHandler(async (req, res) => {
   const client = await pool.connect();
 
   try {
-    const { supplier_id, name, code, quantity = 0, comment, section_id = null } = req.body;
+    const { supplier_id, name, code, quantity = 0, comment, section_id = null, vat_category, vat_rate } = req.body;
 
     if (!supplier_id || !name || !code) {
       return res.status(400).json({ error: 'supplier_id, name, and code are required' });
     }
 
+    // Only stored when sent; products without a rule use the default VAT rate
+    const hasTaxRule = vat_category !== undefined || vat_rate !== undefined;
+    const taxRule = hasTaxRule ? normalizeTaxRule({ vat_category, vat_rate }) : { category: null, rate: null };
+
     // ✅ Safeguard: check if section_id exists (if provided)
     if (section_id !== null) {
       const sectionCheck = await client.query(
@@ -31,8 +36,8 @@ router.post('/products', asyncHandler(async (req, res) => {
     const status = quantity === 0 ? 'Out of Stock' : 'Available';
 
     const insertQuery = `
-      INSERT INTO products (supplier_id, name, quantity, code, comment, status, section_id)
-      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      INSERT INTO products (supplier_id, name, quantity, code, comment, status, section_id, vat_category, vat_rate)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
       RETURNING *;
     `;
 
@@ -43,11 +48,16 @@ router.post('/products', asyncHandler(async (req, res) => {
       code || null,
       comment || null,
       status,
-      section_id
+      section_id,
+      taxRule.category,
+      taxRule.rate
     ]);
 
     res.status(201).json({ message: 'Product created successfully', product: result.rows[0] });
   } catch (err) {
+    if (err instanceof PricingError) {
+      return res.status(err.status).json(err.toJSON());
+    }
     console.error('Error creating product:', err);
     res.status(500).json({ error: 'Failed to create product' });
   } finally {
@@ -0,0 +1,92 @@
+import express from 'express';
+import { Pool } from 'pg';
+import { asyncHandler } from '../../utils/asyncHandler.js';
+import { requirePermission } from '../../middlewares/permissions.js';
+import { sendNotificationToManagers } from '../../utils/materialRequests.js';
+import {
+  buildLowStockRequestProducts,
+  checkLowStock,
+  createLowStockMaterialRequest,
+  listLowStockAlerts,
+  LOW_STOCK_STATUSES,
+} from '../../utils/lowStock.js';
+
+const pool = new Pool({ connectionString: process.env.DATABASE_URL });
+const router = express.Router();
+
+const parseAlertIds = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  return list.map((id) => parseInt(id, 10)).filter((id) => Number.isInteger(id) && id > 0);
+};
+
+// GET /api/products/low-stock?status=open|resolved|all
+router.get('/products/low-stock', requirePermission('stock:view'), asyncHandler(async (req, res) => {
+  const status = req.query.status || LOW_STOCK_STATUSES.OPEN;
+  if (![...Object.values(LOW_STOCK_STATUSES), 'all'].includes(status)) {
+    return res.status(400).json({ error: 'Invalid status', details: 'status must be open, resolved or all' });
+  }
+
+  const client = await pool.connect();
+  try {
+    const items = await listLowStockAlerts(client, { status });
+    return res.status(200).json({ items });
+  } finally {
+    client.release();
+  }
+}));
+
+// POST /api/products/low-stock/check — run the scheduled check now
+router.post('/products/low-stock/check', requirePermission('stock:view'), asyncHandler(async (_req, res) => {
+  const result = await checkLowStock();
+  return res.status(200).json(result);
+}));
+
+// GET /api/products/low-stock/material-request?alertIds=1,2
+// Pre-filled body for POST /requestMaterial: the shortfall of each open alert
+router.get('/products/low-stock/material-request', requirePermission('stock:view'), asyncHandler(async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const { alerts, products } = await buildLowStockRequestProducts(client, parseAlertIds(req.query.alertIds));
+    return res.status(200).json({
+      products,
+      requestAll: false,
+      note: 'طلب تلقائي من تنبيهات انخفاض المخزون',
+      alertIds: alerts.map((alert) => alert.id),
+    });
+  } finally {
+    client.release();
+  }
+}));
+
+// POST /api/products/low-stock/material-request { alertIds?, note? }
+// Raises the material request directly and links the alerts to it
+router.post('/products/low-stock/material-request', requirePermission('stock:request'), asyncHandler(async (req, res) => {
+  const { note = null } = req.body || {};
+  const client = await pool.connect();
+  let created;
+  try {
+    created = await createLowStockMaterialRequest(client, {
+      alertIds: parseAlertIds(req.body?.alertIds),
+      note,
+      requestedBy: req.user?.name || null,
+    });
+  } finally {
+    client.release();
+  }
+
+  if (!created) {
+    return res.status(409).json({ error: 'No open low stock alerts to request' });
+  }
+
+  await sendNotificationToManagers('طلب مواد لمنتجات تحت الحد الأدنى', created.products.length);
+
+  return res.status(201).json({
+    success: true,
+    requestId: created.requestId,
+    alertIds: created.alerts.map((alert) => alert.id),
+    message: 'تم إرسال طلب المواد للمدير للموافقة',
+  });
+}));
+
+export default router;
@@ -3,6 +3,15 @@ import express from 'express';
 import pkg from 'pg'; // Import the default export
 const { Pool } = pkg; // Destructure Pool from the default export
 import admin from '../../firebase-init.js';
+import { snapshotRevision } from '../../utils/revisions.js';
+import {
+  assertTotalsMatch,
+  documentTotals,
+  lineIdentity,
+  priceAndVerify,
+  priceStoredLine,
+  PricingError,
+} from '../../utils/pricing.js';
 
 const router = express.Router();
 
@@ -19,7 +28,8 @@ const executeWithRetry = async (fn, retries = 3, delay = 1000) => {
   try {
     return await fn();
   } catch (error) {
-    if (retries > 0) {
+    // Pricing errors are the client's fault; retrying won't change the answer
+    if (retries > 0 && !(error instanceof PricingError)) {
       await new Promise(resolve => setTimeout(resolve, delay));
       return executeWithRetry(fn, retries - 1, delay * 2);
     }
@@ -139,8 +149,8 @@ router.put('/quotations/:id', async (req, res) => {
         status = 'not Delivered',
       } = body;
 
-      // Fetch the current quotation to get the custom_id
-      const getQuotationQuery = `SELECT custom_id FROM quotations WHERE id = $1`;
+      // Fetch (and lock) the current quotation to get the custom_id
+      const getQuotationQuery = `SELECT custom_id FROM quotations WHERE id = $1 FOR UPDATE`;
       const quotationResult = await executeWithRetry(async () => {
         return await withTimeout(client.query(getQuotationQuery, [id]), 10000); // 10-second timeout
       });
@@ -150,6 +160,9 @@ router.put('/quotations/:id', async (req, res) => {
         return res.status(404).json({ error: 'Quotation not found' });
       }
 
+      // Keep the version being replaced so the edit can be reviewed later
+      const revisionNo = await snapshotRevision(client, 'quotation', id, req.user);
+
       const currentCustomId = quotationResult.rows[0].custom_id;
       let newCustomId;
 
@@ -165,26 +178,25 @@ router.put('/quotations/:id', async (req, res) => {
       // Set `actual_delivery_date` if the status is "delivered"
       const actualDeliveryDate = status === 'delivered' ? new Date().toISOString() : null;
 
-      // Calculate totals based on products
-      let totalPrice = 0;
-      let totalVat = 0;
-      let totalSubtotal = 0; 
-
+      // Reprice from the submitted lines, or from the stored ones when only the
+      // header changes; client-sent totals are only checked against ours
+      let pricing;
       if (products && products.length > 0) {
-        for (const product of products) {
-          const { price, quantity } = product;
-          const numericPrice = parseFloat(price) || 0;
-          const numericQuantity = parseFloat(quantity) || 0;
-
-          const totalPriceForProduct = numericPrice * numericQuantity; // Total price for the quantity
-          const vat = totalPriceForProduct * 0.15; // VAT is 15% of the total price for the quantity
-          const subtotal = totalPriceForProduct + vat; // Subtotal is total price + VAT
-
-          totalPrice += totalPriceForProduct;
-          totalVat += vat;
-          totalSubtotal += subtotal;
-        }
+        pricing = await priceAndVerify(client, products, body);
+      } else {
+        const storedLines = await client.query(
+          'SELECT quantity, price, vat_category, vat_rate FROM quotation_products WHERE quotation_id = $1',
+          [id]
+        );
+        const lines = storedLines.rows.map(priceStoredLine);
+        pricing = { lines, totals: documentTotals(lines) };
+        assertTotalsMatch(pricing.totals, body);
       }
+      const {
+        total_price: totalPrice,
+        total_vat: totalVat,
+        total_subtotal: totalSubtotal,
+      } = pricing.totals;
 
       // Update the quotation with the new custom_id, totals, and set supervisoraccept to 'pending'
       const updateQuotationQuery = `
@@ -234,23 +246,21 @@ router.put('/quotations/:id', async (req, res) => {
           return await withTimeout(client.query(deleteProductsQuery, [id]), 10000); // 10-second timeout
         });
 
-        for (const product of products) {
-          const { section, type, quantity, description, price } = product;
-
-          // Calculate VAT and subtotal for each product
-          const numericPrice = parseFloat(price) || 0;
-          const numericQuantity = parseFloat(quantity) || 0;
-
-          const totalPriceForProduct = numericPrice * numericQuantity; // Total price for the quantity
-          const vat = totalPriceForProduct * 0.15; // VAT is 15% of the total price for the quantity
-          const subtotal = totalPriceForProduct + vat; // Subtotal is total price + VAT
+        for (const [index, product] of products.entries()) {
+          const { description } = product;
+          // Per unit, like the create routes store them
+          const line = pricing.lines[index];
+          const { productId, medadProductNo } = lineIdentity(product);
 
           await executeWithRetry(async () => {
             return await withTimeout(
               client.query(
-                `INSERT INTO quotation_products (quotation_id, description, quantity, price, vat, subtotal) 
-                  VALUES ($1, $2, $3, $4, $5, $6)`,
-                [id,description, quantity, price, vat, subtotal]
+                `INSERT INTO quotation_products (quotation_id, description, quantity, price, vat, subtotal, vat_category, vat_rate, product_id, medad_product_no) 
+                  VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)`,
+                [
+                  id, description, line.quantity, line.price, line.unitVat, line.unitGross,
+                  line.vatCategory, line.vatRate, productId, medadProductNo,
+                ]
               ),
               10000 // 10-second timeout
             );
@@ -262,10 +272,14 @@ router.put('/quotations/:id', async (req, res) => {
       return res.status(200).json({
         message: 'Quotation and products updated successfully',
         custom_id: newCustomId, // Return the updated custom_id
+        revisionNo,
       });
     });
   } catch (error) {
     await client.query('ROLLBACK'); // Rollback on any error
+    if (error instanceof PricingError) {
+      return res.status(error.status).json(error.toJSON());
+    }
     console.error('Database error:', error);
     return res.status(500).json({
       error: 'Internal Server Error',
@@ -0,0 +1,251 @@
+import express from 'express';
+import pkg from 'pg';
+import admin from '../../firebase-init.js';
+import { requirePermission } from '../../middlewares/permissions.js';
+import { SELF_SCOPED_ROLES } from '../../middlewares/auth.js';
+import { recordOrderEvent } from '../../utils/orderEvents.js';
+import { deriveOrderState } from '../../utils/orderStateMachine.js';
+import { nextDocumentNumber, nextSequenceValue } from '../../utils/numbering.js';
+import { ensureQuotationValidityColumns, isQuotationExpired } from '../../utils/quotationExpiry.js';
+import { documentTotals, priceStoredLine } from '../../utils/pricing.js';
+
+const { Pool } = pkg;
+const router = express.Router();
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  max: 20,
+  idleTimeoutMillis: 30000,
+  connectionTimeoutMillis: 10000,
+});
+
+pool.on('error', (err) => {
+  console.error('Unexpected error on idle client:', err);
+});
+
+const ensureLinkColumns = async (client) => {
+  const alters = [
+    'ALTER TABLE quotations ADD COLUMN IF NOT EXISTS converted_order_id INT',
+    'ALTER TABLE quotations ADD COLUMN IF NOT EXISTS converted_at TIMESTAMPTZ',
+    'ALTER TABLE orders ADD COLUMN IF NOT EXISTS quotation_id INT',
+  ];
+  for (const sql of alters) {
+    await client.query(sql);
+  }
+};
+
+const sendNotificationToStorekeepers = async (message, title = 'Notification') => {
+  try {
+    const result = await pool.query(
+      'SELECT fcm_token FROM Storekeepers WHERE role = $1 AND active = TRUE',
+      ['storekeeper']
+    );
+    const tokens = result.rows.map((row) => row.fcm_token).filter(Boolean);
+    if (tokens.length === 0) {
+      console.warn('No FCM tokens found for storekeepers');
+      return;
+    }
+    await admin.messaging().sendEach(tokens.map((token) => ({
+      notification: { title, body: message },
+      data: { role: 'storekeeper' },
+      token,
+    })));
+  } catch (error) {
+    console.error('Failed to send FCM to storekeepers:', error);
+  }
+};
+
+// POST /api/quotations/:id/convert-to-order
+router.post('/quotations/:id/convert-to-order', requirePermission('quotation:convert'), async (req, res) => {
+  const { id } = req.params;
+  const { deliveryLocations = [] } = req.body || {};
+
+  const client = await pool.connect();
+  try {
+    await ensureLinkColumns(client);
+    await ensureQuotationValidityColumns(client);
+    await client.query('BEGIN');
+
+    const quotationResult = await client.query(
+      `SELECT q.*, c.username AS client_username
+       FROM quotations q
+       LEFT JOIN clients c ON c.id = q.client_id
+       WHERE q.id = $1
+       FOR UPDATE OF q`,
+      [id]
+    );
+    if (quotationResult.rowCount === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Quotation not found' });
+    }
+
+    const quotation = quotationResult.rows[0];
+
+    // Sales reps may only convert their own quotations (theirs, or for one of
+    // their clients), the same scope their quotation lists use
+    if (SELF_SCOPED_ROLES.includes(req.user?.role)) {
+      const own = (req.user.name || '').trim().toLowerCase();
+      const owners = [quotation.username, quotation.client_username].map((name) => (name || '').trim().toLowerCase());
+      if (!own || !owners.includes(own)) {
+        await client.query('ROLLBACK');
+        return res.status(403).json({ error: 'Forbidden', reason: 'not_quotation_owner' });
+      }
+    }
+
+    if (quotation.converted_order_id) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({
+        error: 'تم تحويل عرض السعر إلى طلب مسبقاً',
+        reason: 'already_converted',
+        orderId: quotation.converted_order_id,
+      });
+    }
+
+    const fullyAccepted =
+      quotation.status !== 'rejected' &&
+      quotation.manageraccept === 'accepted' &&
+      quotation.supervisoraccept === 'accepted';
+    if (!fullyAccepted) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({
+        error: 'يجب قبول عرض السعر من المدير والمشرف قبل تحويله إلى طلب',
+        reason: 'not_fully_accepted',
+        manageraccept: quotation.manageraccept,
+        supervisoraccept: quotation.supervisoraccept,
+      });
+    }
+
+    // Checked under the row lock, so the expiry job cannot expire it mid-way
+    if (isQuotationExpired(quotation)) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({
+        error: `انتهت صلاحية عرض السعر ${quotation.custom_id}`,
+        reason: 'quotation_expired',
+        validUntil: quotation.valid_until,
+      });
+    }
+
+    // Lines keep their product identity; ones saved with only a product id take
+    // the code from the product, as the order create route does
+    const productsResult = await client.query(
+      `SELECT qp.description, qp.quantity, qp.price, qp.vat_category, qp.vat_rate, qp.product_id,
+              COALESCE(qp.medad_product_no, p.code) AS medad_product_no
+       FROM quotation_products qp
+       LEFT JOIN products p ON p.id = qp.product_id
+       WHERE qp.quotation_id = $1
+       ORDER BY qp.id ASC`,
+      [id]
+    );
+    if (productsResult.rowCount === 0) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: 'Quotation has no products' });
+    }
+
+    // Reprice from unit price and quantity; the stored vat/subtotal are per unit
+    // for some quotations and per line for others
+    const lines = productsResult.rows.map((row) => ({
+      ...priceStoredLine(row),
+      description: row.description,
+      productId: row.product_id,
+      medadProductNo: row.medad_product_no,
+    }));
+    const {
+      total_price: totalPrice,
+      total_vat: totalVat,
+      total_subtotal: totalSubtotal,
+    } = documentTotals(lines);
+
+    const customId = await nextDocumentNumber(client, 'order');
+    const newOrderNumber = await nextSequenceValue(client, 'order_number');
+
+    // Both approvals were already given on the quotation, so the order goes
+    // straight to the storekeeper.
+    const orderResult = await client.query(
+      `INSERT INTO orders
+         (client_id, username, warehouse_no, medad_salesman_id, delivery_date, delivery_type,
+          notes, manager_notes, status, total_price, total_vat, total_subtotal, custom_id,
+          order_number, manageraccept, manageraccept_at, supervisoraccept, supervisoraccept_at,
+          quotation_id)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, 'not Delivered', $9, $10, $11, $12, $13,
+               'accepted', CURRENT_TIMESTAMP, 'accepted', CURRENT_TIMESTAMP, $14)
+       RETURNING *`,
+      [
+        quotation.client_id,
+        quotation.username,
+        quotation.warehouse_no || null,
+        quotation.medad_salesman_id || null,
+        quotation.delivery_date,
+        quotation.delivery_type,
+        quotation.notes || null,
+        quotation.manager_notes || null,
+        totalPrice,
+        totalVat,
+        totalSubtotal,
+        customId,
+        newOrderNumber,
+        quotation.id,
+      ]
+    );
+    const order = orderResult.rows[0];
+
+    for (const line of lines) {
+      await client.query(
+        `INSERT INTO order_products (order_id, description, quantity, price, vat, subtotal, product_id, medad_product_no, vat_category, vat_rate)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)`,
+        [
+          order.id, line.description, line.quantity,
+          line.price, line.vat, line.gross,
+          line.productId, line.medadProductNo, line.vatCategory, line.vatRate,
+        ]
+      );
+    }
+
+    for (const location of deliveryLocations) {
+      if (location.name && location.url) {
+        await client.query(
+          `INSERT INTO order_locations (order_id, name, url) VALUES ($1, $2, $3)`,
+          [order.id, location.name, location.url]
+        );
+      }
+    }
+
+    await client.query(
+      `UPDATE quotations
+       SET converted_order_id = $2, converted_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1`,
+      [quotation.id, order.id]
+    );
+
+    await recordOrderEvent(client, {
+      orderId: order.id,
+      eventType: 'create',
+      actor: req.user,
+      toState: deriveOrderState(order),
+      payload: { customId, totalPrice, quotationId: quotation.id, quotationCustomId: quotation.custom_id },
+    });
+
+    await client.query('COMMIT');
+
+    await sendNotificationToStorekeepers(
+      `تم إنشاء الطلب ${customId} من عرض السعر ${quotation.custom_id} وهو بانتظار موافقة أمين المخزن.`,
+      'طلب جديد من عرض سعر'
+    );
+
+    return res.status(201).json({
+      orderId: order.id,
+      customId,
+      quotationId: quotation.id,
+      totalPrice,
+      totalVat,
+      totalSubtotal,
+    });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error converting quotation to order:', error);
+    return res.status(500).json({ error: 'Internal Server Error', details: error.message });
+  } finally {
+    client.release();
+  }
+});
+
+export default router;
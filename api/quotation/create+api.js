@@ -3,6 +3,9 @@ import moment from 'moment-timezone';
 import admin from '../../firebase-init.js';
 import pkg from 'pg';
 import { resolveUserDefaults } from '../../utils/resolveUserDefaults.js';
+import { ensureQuotationValidityColumns, QuotationValidityError, resolveValidUntil } from '../../utils/quotationExpiry.js';
+import { nextDocumentNumber, nextSequenceValue } from '../../utils/numbering.js';
+import { lineIdentity, priceAndVerify, PricingError } from '../../utils/pricing.js';
 const { Pool } = pkg;
 
 const router = express.Router();
@@ -55,18 +58,6 @@ const hasQuotationColumn = async (client, columnName) => {
 };
 
 
-const generateCustomId = async (client) => {
-  const year = new Date().getFullYear();
-  const result = await client.query(
-    `SELECT MAX(SUBSTRING(custom_id FROM 10 FOR 5)::int) AS last_id 
-     FROM quotations 
-     WHERE custom_id LIKE $1`,
-    [`NPQ-${year}-%`]
-  );
-  const lastId = result.rows[0].last_id || 0;
-  const newId = `NPQ-${year}-${String(lastId + 1).padStart(5, '0')}`; // Format: NPQ-YYYY-XXXXX
-  return newId;
-};
 
 
 
@@ -119,15 +110,13 @@ async function sendNotificationToSupervisor(message, title = 'Notification') {
 router.post('/quotations', async (req, res) => {
   const client = await pool.connect();
   try {
+    // Before BEGIN: the ALTERs would hold an exclusive lock on quotations until COMMIT
+    await ensureQuotationValidityColumns(client);
         await client.query('BEGIN');
       const {
        client_id, 
-      username, 
-      manager_id, 
       warehouse_no,
       medad_salesman_id,
-      clerkId,
-      clerk_id,
       delivery_date, 
       delivery_type, 
       products,  
@@ -135,8 +124,10 @@ router.post('/quotations', async (req, res) => {
       manager_notes,  
       condition = 'نقدي - كاش', 
       status = 'not Delivered',
-      manageraccept = 'accepted' 
+      manageraccept = 'accepted',
+      valid_until
       } = req.body;
+      const { name: username, clerkId, id: manager_id } = req.user;
 
       // Debugging: Log the request body
       console.log('Request Body:', req.body);
@@ -150,7 +141,7 @@ router.post('/quotations', async (req, res) => {
       const resolvedDefaults = await resolveUserDefaults({
         client,
         role: 'manager',
-        clerkId: clerkId || clerk_id || null,
+        clerkId,
         username
       });
       const resolvedWarehouseNo = warehouse_no || resolvedDefaults.warehouse_no || null;
@@ -160,12 +151,9 @@ router.post('/quotations', async (req, res) => {
       
           // Format delivery date
           const formattedDate = moment(delivery_date).tz('UTC').format('YYYY-MM-DD HH:mm:ss');
-          const customId = await generateCustomId(client);
+          const customId = await nextDocumentNumber(client, 'quotation');
 
-                      // Fetch the max order_number currently in the DB
-const { rows } = await client.query('SELECT MAX(order_number) AS max FROM orders');
-const maxOrderNumber = rows[0].max || 0;
-const newQuotationNumber = maxOrderNumber + 1;
+                      const newQuotationNumber = await nextSequenceValue(client, 'quotation_number');
 
 
 const nowUtc = moment().tz('UTC').format('YYYY-MM-DD HH:mm:ss');
@@ -196,6 +184,7 @@ const manageraccept_at =
         'quotation_number',
         'manageraccept',
         'manageraccept_at',
+        'valid_until',
       ];
       const insertParams = [
         client_id,
@@ -216,6 +205,7 @@ const manageraccept_at =
         newQuotationNumber,
         manageraccept,
         manageraccept_at,
+        resolveValidUntil(valid_until),
       ];
       const insertPlaceholders = insertParams.map((_, i) => `$${i + 1}`).join(', ');
       const insertQuery = `
@@ -224,39 +214,32 @@ const manageraccept_at =
     const quotationResult = await client.query(insertQuery, insertParams);
     const quotationId = quotationResult.rows[0].id;
 
-    let totalPrice = 0, totalVat = 0, totalSubtotal = 0;
-    
+    // quotation_products keeps VAT and subtotal per unit; the totals are per line
+    const pricing = await priceAndVerify(client, products, req.body);
+    const {
+      total_price: totalPrice,
+      total_vat: totalVat,
+      total_subtotal: totalSubtotal,
+    } = pricing.totals;
+
     // Insert products
-    for (const product of products) {
+    for (const [index, product] of products.entries()) {
       const { description, quantity, price } = product;
-      
+
       // Double-check required fields (redundant but safe)
       if (!description || !quantity || !price) {
         throw new Error(`Missing product details for product: ${description || 'unnamed'}`);
       }
-      
-      const numericPrice = parseFloat(price);
-      const numericQuantity = parseInt(quantity);
-      
-      if (isNaN(numericPrice) || numericPrice <= 0) { 
-        throw new Error(`Invalid price format for product: ${description}`); 
-      }
-      
-      if (isNaN(numericQuantity) || numericQuantity <= 0) { 
-        throw new Error(`Invalid quantity for product: ${description}`); 
-      }
-      
-      const vat = numericPrice * 0.15;
-      const subtotal = numericPrice + vat;
-      
-      totalPrice += numericPrice * numericQuantity;
-      totalVat += vat * numericQuantity;
-      totalSubtotal += subtotal * numericQuantity;
-      
+
+      const line = pricing.lines[index];
+      const { productId, medadProductNo } = lineIdentity(product);
       await client.query(
-        `INSERT INTO quotation_products (quotation_id, description, quantity, price, vat, subtotal)
-         VALUES ($1, $2, $3, $4, $5, $6)`,
-        [quotationId, description, numericQuantity, numericPrice, vat, subtotal]
+        `INSERT INTO quotation_products (quotation_id, description, quantity, price, vat, subtotal, vat_category, vat_rate, product_id, medad_product_no)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)`,
+        [
+          quotationId, description, line.quantity, line.price, line.unitVat, line.unitGross,
+          line.vatCategory, line.vatRate, productId, medadProductNo,
+        ]
       );
     }
 
@@ -284,6 +267,9 @@ const manageraccept_at =
   } catch (error) {
     console.error('Transaction Error:', error);
     await client.query('ROLLBACK');
+    if (error instanceof PricingError || error instanceof QuotationValidityError) {
+      return res.status(error.status).json(error.toJSON());
+    }
     return res.status(500).json({
       error: error.message
     });
@@ -35,9 +35,9 @@ const executeWithRetry = async (fn, retries = 3, delay = 1000) => {
 
 
 
-// GET /api/quotations/exported-false-count?salesRep=username
+// GET /api/quotations/exported-false-count (for the signed-in sales rep)
 router.get('/quotations/exported-false-count', async (req, res) => {
-  const username = req.query.username;
+  const username = req.user.name;
 
   if (!username) {
     return res.status(400).json({ error: 'Missing salesRep username' });
@@ -0,0 +1,74 @@
+import express from 'express';
+import pkg from 'pg';
+import { asyncHandler } from '../../utils/asyncHandler.js';
+import { listRevisions, revisionDiff } from '../../utils/revisions.js';
+
+const { Pool } = pkg;
+const router = express.Router();
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  max: 20,
+  idleTimeoutMillis: 30000,
+  connectionTimeoutMillis: 10000,
+});
+
+pool.on('error', (err) => {
+  console.error('Unexpected error on idle client:', err);
+});
+
+const withTimeout = (promise, timeout) => {
+  const timeoutPromise = new Promise((_, reject) =>
+    setTimeout(() => reject(new Error('Database query timed out')), timeout)
+  );
+  return Promise.race([promise, timeoutPromise]);
+};
+
+// GET /api/quotations/:id/revisions
+router.get('/quotations/:id/revisions', asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const client = await pool.connect();
+  try {
+    const quotationResult = await withTimeout(
+      client.query('SELECT id, custom_id FROM quotations WHERE id = $1', [id]),
+      10000
+    );
+    if (quotationResult.rowCount === 0) {
+      return res.status(404).json({ error: 'Quotation not found' });
+    }
+
+    const revisions = await withTimeout(listRevisions(client, 'quotation', id), 10000);
+    return res.status(200).json({ quotation: quotationResult.rows[0], revisions });
+  } catch (error) {
+    console.error('Error fetching quotation revisions:', error);
+    return res.status(500).json({ error: 'Internal Server Error', details: error.message });
+  } finally {
+    client.release();
+  }
+}));
+
+// GET /api/quotations/:id/revisions/:n/diff
+router.get('/quotations/:id/revisions/:n/diff', asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const revisionNo = Number(req.params.n);
+  if (!Number.isInteger(revisionNo) || revisionNo < 1) {
+    return res.status(400).json({ error: 'Invalid revision number' });
+  }
+
+  const client = await pool.connect();
+  try {
+    const diff = await withTimeout(revisionDiff(client, 'quotation', id, revisionNo), 10000);
+    if (!diff) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+    return res.status(200).json(diff);
+  } catch (error) {
+    console.error('Error diffing quotation revision:', error);
+    return res.status(500).json({ error: 'Internal Server Error', details: error.message });
+  } finally {
+    client.release();
+  }
+}));
+
+export default router;
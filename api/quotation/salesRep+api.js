@@ -3,6 +3,9 @@ import moment from 'moment-timezone'; // Ensure moment-timezone is installed
 import admin from '../../firebase-init.js';
 import pkg from 'pg'; // New
 import { resolveUserDefaults } from '../../utils/resolveUserDefaults.js';
+import { ensureQuotationValidityColumns, QuotationValidityError, resolveValidUntil } from '../../utils/quotationExpiry.js';
+import { nextDocumentNumber } from '../../utils/numbering.js';
+import { lineIdentity, priceAndVerify, PricingError } from '../../utils/pricing.js';
 const { Pool } = pkg; // Destructure Pool
 
 const router = express.Router();
@@ -39,18 +42,6 @@ const withTimeout = (promise, timeout) => {
   return Promise.race([promise, timeoutPromise]);
 };
 
-const generateCustomId = async (client) => {
-  const year = new Date().getFullYear();
-  const result = await client.query(
-    `SELECT MAX(SUBSTRING(custom_id FROM 10 FOR 5)::int) AS last_id 
-     FROM quotations 
-     WHERE custom_id LIKE $1`,
-    [`NPQ-${year}-%`]
-  );
-  const lastId = result.rows[0].last_id || 0;
-  const newId = `NPQ-${year}-${String(lastId + 1).padStart(5, '0')}`; // Format: NPQ-YYYY-XXXXX
-  return newId;
-};
 
 async function sendNotificationToManager(message, title = 'Notification') {
   const client = await pool.connect();
@@ -138,8 +129,11 @@ async function sendNotificationToSupervisor(message, title = 'Notification') {
 router.post('/quotations/salesRep', async (req, res) => {
   const client = await pool.connect();
   try {
+    // Before BEGIN: the ALTERs would hold an exclusive lock on quotations until COMMIT
+    await ensureQuotationValidityColumns(client);
     await client.query('BEGIN');
-    const { client_id, username, sales_rep_id, delivery_date, delivery_type, products, notes, manager_notes, condition = 'نقدي - كاش', status = 'not Delivered', warehouse_no, medad_salesman_id, clerkId, clerk_id } = req.body;
+    const { client_id, delivery_date, delivery_type, products, notes, manager_notes, condition = 'نقدي - كاش', status = 'not Delivered', warehouse_no, medad_salesman_id, valid_until } = req.body;
+    const { name: username, clerkId, id: sales_rep_id } = req.user;
 
     // Validate required fields
     if (!client_id || !username || !sales_rep_id || !delivery_date || !delivery_type || !products || products.length === 0) {
@@ -148,12 +142,12 @@ router.post('/quotations/salesRep', async (req, res) => {
 
     // Format delivery date
     const formattedDate = moment(delivery_date).tz('UTC').format('YYYY-MM-DD HH:mm:ss');
-    const customId = await generateCustomId(client); // Generate custom_id without RevX
+    const customId = await nextDocumentNumber(client, 'quotation'); // Generate custom_id without RevX
 
     const resolvedDefaults = await resolveUserDefaults({
       client,
       role: 'salesRep',
-      clerkId: clerkId || clerk_id || null,
+      clerkId,
       username
     });
     const resolvedWarehouseNo = warehouse_no || resolvedDefaults.warehouse_no || null;
@@ -161,31 +155,37 @@ router.post('/quotations/salesRep', async (req, res) => {
 
     // Insert main quotation
     const insertQuery = `
-      INSERT INTO quotations (client_id, username, sales_rep_id, warehouse_no, medad_salesman_id, delivery_date, delivery_type, notes, manager_notes, status, total_price, total_vat, total_subtotal, custom_id, condition)
-      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15) RETURNING id
+      INSERT INTO quotations (client_id, username, sales_rep_id, warehouse_no, medad_salesman_id, delivery_date, delivery_type, notes, manager_notes, status, total_price, total_vat, total_subtotal, custom_id, condition, valid_until)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16) RETURNING id
     `;
-    const insertParams = [client_id, username, sales_rep_id, resolvedWarehouseNo, resolvedMedadSalesmanId, formattedDate, delivery_type, notes || null,  manager_notes || null, status, 0, 0, 0, customId, condition];
+    const insertParams = [client_id, username, sales_rep_id, resolvedWarehouseNo, resolvedMedadSalesmanId, formattedDate, delivery_type, notes || null,  manager_notes || null, status, 0, 0, 0, customId, condition, resolveValidUntil(valid_until)];
     const quotationResult = await client.query(insertQuery, insertParams);
     const quotationId = quotationResult.rows[0].id;
 
-    let totalPrice = 0, totalVat = 0, totalSubtotal = 0;
+    // quotation_products keeps VAT and subtotal per unit; the totals are per line
+    const pricing = await priceAndVerify(client, products, req.body);
+    const {
+      total_price: totalPrice,
+      total_vat: totalVat,
+      total_subtotal: totalSubtotal,
+    } = pricing.totals;
+
     // Insert products
-    for (const product of products) {
+    for (const [index, product] of products.entries()) {
       const { description, quantity, price } = product;
       if (!quantity || !price) {
         throw new Error('Missing product details or price');
       }
-      const numericPrice = parseFloat(price);
-      if (isNaN(numericPrice)) { throw new Error('Invalid price format'); }
-      const vat = numericPrice * 0.15;
-      const subtotal = numericPrice + vat;
-      totalPrice += numericPrice * quantity;
-      totalVat += vat * quantity;
-      totalSubtotal += subtotal * quantity;
+
+      const line = pricing.lines[index];
+      const { productId, medadProductNo } = lineIdentity(product);
       await client.query(
-        `INSERT INTO quotation_products (quotation_id,description, quantity, price, vat, subtotal)
-         VALUES ($1, $2, $3, $4, $5, $6)`,
-        [quotationId,description, quantity, numericPrice, vat, subtotal]
+        `INSERT INTO quotation_products (quotation_id, description, quantity, price, vat, subtotal, vat_category, vat_rate, product_id, medad_product_no)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)`,
+        [
+          quotationId, description, line.quantity, line.price, line.unitVat, line.unitGross,
+          line.vatCategory, line.vatRate, productId, medadProductNo,
+        ]
       );
     }
 
@@ -211,6 +211,9 @@ router.post('/quotations/salesRep', async (req, res) => {
   } catch (error) {
     console.error('Transaction Error:', error);
     await client.query('ROLLBACK');
+    if (error instanceof PricingError || error instanceof QuotationValidityError) {
+      return res.status(error.status).json(error.toJSON());
+    }
     return res.status(500).json({
       error: error.message
     });
@@ -228,7 +231,7 @@ router.get('/quotations/salesRep', async (req, res) => {
     const limit = Math.min(parseInt(req.query.limit || '10', 10), 50);
     const page = Math.max(parseInt(req.query.page || '1', 10), 1);
     const query = req.query.query || '';
-    const username = req.query.username || '';
+    const username = req.user.name || '';
     const filter = req.query.filter || 'all';
     const offset = (page - 1) * limit;
 
@@ -3,6 +3,10 @@ import moment from 'moment-timezone';
 import admin from '../../firebase-init.js';
 import pkg from 'pg';
 import { resolveUserDefaults } from '../../utils/resolveUserDefaults.js';
+import { ensureQuotationValidityColumns, QuotationValidityError, resolveValidUntil } from '../../utils/quotationExpiry.js';
+import { nextDocumentNumber } from '../../utils/numbering.js';
+import { lineIdentity, priceAndVerify, PricingError } from '../../utils/pricing.js';
+import { scopedUsername } from '../../middlewares/auth.js';
 const { Pool } = pkg;
 
 
@@ -51,18 +55,6 @@ const hasQuotationColumn = async (client, columnName) => {
   return result.rowCount > 0;
 };
 
-const generateCustomId = async (client) => {
-  const year = new Date().getFullYear();
-  const result = await client.query(
-    `SELECT MAX(SUBSTRING(custom_id FROM 10 FOR 5)::int) AS last_id 
-     FROM quotations 
-     WHERE custom_id LIKE $1`,
-    [`NPQ-${year}-%`]
-  );
-  const lastId = result.rows[0].last_id || 0;
-  const newId = `NPQ-${year}-${String(lastId + 1).padStart(5, '0')}`; // Format: NPQ-YYYY-XXXXX
-  return newId;
-};
 
 async function sendNotificationToManager(message, title = 'Notification') {
   const client = await pool.connect();
@@ -111,11 +103,11 @@ async function sendNotificationToManager(message, title = 'Notification') {
 router.post('/quotations/supervisor', async (req, res) => {
   const client = await pool.connect();
   try {
+    // Before BEGIN: the ALTERs would hold an exclusive lock on quotations until COMMIT
+    await ensureQuotationValidityColumns(client);
     await client.query('BEGIN');
     const { 
       client_id, 
-      username, 
-      supervisor_id, 
       delivery_date, 
       delivery_type, 
       products,  
@@ -125,9 +117,9 @@ router.post('/quotations/supervisor', async (req, res) => {
       supervisoraccept='accepted',
       warehouse_no,
       medad_salesman_id,
-      clerkId,
-      clerk_id
+      valid_until
     } = req.body;
+    const { name: username, clerkId, id: supervisor_id } = req.user;
 
     // Validate required fields
     if (!client_id || !username || !supervisor_id || !delivery_date || !delivery_type || !products || products.length === 0) {
@@ -144,12 +136,12 @@ const supervisoraccept_at =
  
     // Format delivery date
     const formattedDate = moment(delivery_date).tz('UTC').format('YYYY-MM-DD HH:mm:ss');
-    const customId = await generateCustomId(client); // Generate custom_id without RevX
+    const customId = await nextDocumentNumber(client, 'quotation'); // Generate custom_id without RevX
 
     const resolvedDefaults = await resolveUserDefaults({
       client,
       role: 'supervisor',
-      clerkId: clerkId || clerk_id || null,
+      clerkId,
       username
     });
     const resolvedWarehouseNo = warehouse_no || resolvedDefaults.warehouse_no || null;
@@ -174,6 +166,7 @@ const supervisoraccept_at =
       'condition',
       'supervisoraccept',
       'supervisoraccept_at',
+      'valid_until',
     ];
     const insertParams = [
       client_id,
@@ -192,6 +185,7 @@ const supervisoraccept_at =
       condition,
       supervisoraccept,
       supervisoraccept_at,
+      resolveValidUntil(valid_until),
     ];
     const insertPlaceholders = insertParams.map((_, i) => `$${i + 1}`).join(', ');
     const insertQuery = `
@@ -201,39 +195,32 @@ const supervisoraccept_at =
     const quotationResult = await client.query(insertQuery, insertParams);
     const quotationId = quotationResult.rows[0].id;
 
-    let totalPrice = 0, totalVat = 0, totalSubtotal = 0;
-    
+    // quotation_products keeps VAT and subtotal per unit; the totals are per line
+    const pricing = await priceAndVerify(client, products, req.body);
+    const {
+      total_price: totalPrice,
+      total_vat: totalVat,
+      total_subtotal: totalSubtotal,
+    } = pricing.totals;
+
     // Insert products
-    for (const product of products) {
-      const {description, quantity, price } = product;
-      
+    for (const [index, product] of products.entries()) {
+      const { description, quantity, price } = product;
+
       // Double-check required fields (redundant but safe)
       if (!description || !quantity || !price) {
         throw new Error(`Missing product details for product: ${description || 'unnamed'}`);
       }
-      
-      const numericPrice = parseFloat(price);
-      const numericQuantity = parseInt(quantity);
-      
-      if (isNaN(numericPrice) || numericPrice <= 0) { 
-        throw new Error(`Invalid price format for product: ${description}`); 
-      }
-      
-      if (isNaN(numericQuantity) || numericQuantity <= 0) { 
-        throw new Error(`Invalid quantity for product: ${description}`); 
-      }
-      
-      const vat = numericPrice * 0.15;
-      const subtotal = numericPrice + vat;
-      
-      totalPrice += numericPrice * numericQuantity;
-      totalVat += vat * numericQuantity;
-      totalSubtotal += subtotal * numericQuantity;
-      
+
+      const line = pricing.lines[index];
+      const { productId, medadProductNo } = lineIdentity(product);
       await client.query(
-        `INSERT INTO quotation_products (quotation_id, description, quantity, price, vat, subtotal)
-         VALUES ($1, $2, $3, $4, $5, $6)`,
-        [quotationId,description, numericQuantity, numericPrice, vat, subtotal]
+        `INSERT INTO quotation_products (quotation_id, description, quantity, price, vat, subtotal, vat_category, vat_rate, product_id, medad_product_no)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)`,
+        [
+          quotationId, description, line.quantity, line.price, line.unitVat, line.unitGross,
+          line.vatCategory, line.vatRate, productId, medadProductNo,
+        ]
       );
     }
 
@@ -261,6 +248,9 @@ const supervisoraccept_at =
   } catch (error) {
     console.error('Transaction Error:', error);
     await client.query('ROLLBACK');
+    if (error instanceof PricingError || error instanceof QuotationValidityError) {
+      return res.status(error.status).json(error.toJSON());
+    }
     return res.status(500).json({
       error: error.message
     });
@@ -369,7 +359,7 @@ router.get('/supervisor', async (req, res) => {
       const page = Math.max(parseInt(req.query.page || '1', 10), 1);
       const query = `%${req.query.query || ''}%`;
       const status = req.query.status || 'all';
-      const username = typeof req.query.username === 'string' ? req.query.username.trim() : '';
+      const username = scopedUsername(req);
       const offset = (page - 1) * limit;
   
       const hasStatus = status !== 'all';
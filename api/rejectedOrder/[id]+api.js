@@ -2,6 +2,7 @@ import express from 'express';
 import pkg from 'pg';
 import admin from '../../firebase-init.js'; // make sure this is correct
 import { asyncHandler } from '../../utils/asyncHandler.js';
+import { transitionOrder, OrderTransitionError } from '../../utils/orderStateMachine.js';
 
 const { Pool } = pkg;
 const router = express.Router();
@@ -80,25 +81,10 @@ router.put(
 
     const client = await pool.connect();
     try {
-      const updateQuery = `
-        UPDATE orders 
-        SET status = 'rejected',
-            notes = $1,
-            updated_at = CURRENT_TIMESTAMP,
-            supervisoraccept = 'pending',
-            manageraccept = 'pending',
-            storekeeperaccept = 'pending'
-        WHERE id = $2
-        RETURNING *
-      `;
-
-      const result = await executeWithRetry(() =>
-        withTimeout(client.query(updateQuery, [notes || '', id]), 10000)
-      );
-
-      if (result.rowCount === 0) {
-        return res.status(404).json({ error: 'Order not found' });
-      }
+      await transitionOrder(client, id, 'reject', {
+        user: req.user,
+        payload: { notes },
+      });
 
       const alertMessage = ` تم رفض الطلب ${id}`;
       await Promise.all([
@@ -108,6 +94,9 @@ router.put(
 
       return res.status(200).json({ message: 'Order marked as rejected' });
     } catch (err) {
+      if (err instanceof OrderTransitionError) {
+        return res.status(err.status).json(err.toJSON());
+      }
       console.error('❌ Order update error:', err);
       return res.status(500).json({
         error: 'Internal Server Error',
@@ -0,0 +1,135 @@
+import express from 'express';
+import pkg from 'pg';
+import { asyncHandler } from '../../utils/asyncHandler.js';
+import {
+  STOCKTAKE_TRANSITIONS,
+  StocktakeError,
+  assertStocktakeWarehouse,
+  buildStocktakeWorkbook,
+  createStocktake,
+  listStocktakes,
+  loadStocktake,
+  notifyStocktakeEvent,
+  recordStocktakeCounts,
+  transitionStocktake,
+} from '../../utils/stocktakes.js';
+
+const { Pool } = pkg;
+const router = express.Router();
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  max: 10,
+  idleTimeoutMillis: 30000,
+  connectionTimeoutMillis: 10000,
+});
+
+pool.on('error', (err) => {
+  console.error('Unexpected error on idle client:', err);
+});
+
+const sendStocktakeError = (res, error) => {
+  if (!(error instanceof StocktakeError)) throw error;
+  return res.status(error.status).json(error.toJSON());
+};
+
+// POST /api/stock/stocktakes  { warehouse, sectionId?, note? }
+router.post('/stock/stocktakes', asyncHandler(async (req, res) => {
+  const { warehouse, sectionId, note } = req.body || {};
+  const client = await pool.connect();
+  try {
+    const stocktake = await createStocktake(client, { warehouse, sectionId, note, user: req.user });
+    return res.status(201).json({ stocktake });
+  } catch (error) {
+    return sendStocktakeError(res, error);
+  } finally {
+    client.release();
+  }
+}));
+
+// GET /api/stock/stocktakes?status=&warehouse=&page=&limit=
+router.get('/stock/stocktakes', asyncHandler(async (req, res) => {
+  const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+  const limit = Math.min(200, Math.max(1, parseInt(req.query.limit, 10) || 50));
+  const client = await pool.connect();
+  try {
+    const { stocktakes, total } = await listStocktakes(client, req.user, {
+      status: req.query.status || null,
+      warehouse: req.query.warehouse || null,
+      page,
+      limit,
+    });
+    return res.status(200).json({ stocktakes, total, page, limit, totalPages: Math.max(1, Math.ceil(total / limit)) });
+  } finally {
+    client.release();
+  }
+}));
+
+// GET /api/stock/stocktakes/:id[?format=xlsx]
+// The lines carry variance (counted - snapshot) and varianceValue; xlsx is the variance report.
+router.get('/stock/stocktakes/:id', asyncHandler(async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const stocktake = await loadStocktake(client, req.params.id);
+    if (!stocktake) {
+      return res.status(404).json({ error: 'Stocktake not found' });
+    }
+    await assertStocktakeWarehouse(client, req.user, stocktake.warehouse_code);
+
+    if (req.query.format !== 'xlsx') {
+      return res.status(200).json({ stocktake });
+    }
+    const buffer = await buildStocktakeWorkbook(stocktake);
+    const fileName = `stocktake_${stocktake.stocktake_no || stocktake.id}.xlsx`;
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename=${fileName}`);
+    res.setHeader('Content-Length', buffer.length);
+    return res.status(200).send(Buffer.from(buffer));
+  } catch (error) {
+    return sendStocktakeError(res, error);
+  } finally {
+    client.release();
+  }
+}));
+
+// PUT /api/stock/stocktakes/:id/counts  { counts: [{ productNo, quantity, note? }] }
+// quantity null clears a count.
+router.put('/stock/stocktakes/:id/counts', asyncHandler(async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const stocktake = await recordStocktakeCounts(client, req.params.id, req.body?.counts, { user: req.user });
+    return res.status(200).json({ stocktake });
+  } catch (error) {
+    return sendStocktakeError(res, error);
+  } finally {
+    client.release();
+  }
+}));
+
+// POST /api/stock/stocktakes/:id/:action
+//   submit
+//   approve  { lineIds? }  adjustments to approve, default every line with a variance
+//   reopen   { reason }
+//   cancel
+router.post('/stock/stocktakes/:id/:action', asyncHandler(async (req, res) => {
+  const { id, action } = req.params;
+  if (!STOCKTAKE_TRANSITIONS[action]) {
+    return res.status(404).json({ error: 'Unknown stocktake action', action });
+  }
+
+  const client = await pool.connect();
+  try {
+    let result;
+    try {
+      result = await transitionStocktake(client, id, action, { user: req.user, payload: req.body || {} });
+    } catch (error) {
+      return sendStocktakeError(res, error);
+    }
+    await notifyStocktakeEvent(client, action, result.stocktake);
+    return res.status(200).json(result);
+  } finally {
+    client.release();
+  }
+}));
+
+export default router;
@@ -0,0 +1,132 @@
+import express from 'express';
+import pkg from 'pg';
+import { asyncHandler } from '../../utils/asyncHandler.js';
+import { can } from '../../middlewares/permissions.js';
+import { getUserWarehouseCodes } from '../../utils/medadStock.js';
+import {
+  StockTransferError,
+  TRANSFER_TRANSITIONS,
+  createStockTransfer,
+  deliverTransferSync,
+  listStockTransfers,
+  loadStockTransfer,
+  notifyTransferEvent,
+  transitionStockTransfer,
+} from '../../utils/stockTransfers.js';
+
+const { Pool } = pkg;
+const router = express.Router();
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  max: 10,
+  idleTimeoutMillis: 30000,
+  connectionTimeoutMillis: 10000,
+});
+
+pool.on('error', (err) => {
+  console.error('Unexpected error on idle client:', err);
+});
+
+const sendTransferError = (res, error) => {
+  if (!(error instanceof StockTransferError)) throw error;
+  return res.status(error.status).json(error.toJSON());
+};
+
+// POST /api/stock/transfers
+// Body: { fromWarehouse, toWarehouse, items: [{ productNo, quantity }], note }
+router.post('/stock/transfers', asyncHandler(async (req, res) => {
+  const { fromWarehouse, toWarehouse, items, note } = req.body || {};
+  const client = await pool.connect();
+  try {
+    let transfer;
+    try {
+      transfer = await createStockTransfer(client, { fromWarehouse, toWarehouse, items, note, user: req.user });
+    } catch (error) {
+      return sendTransferError(res, error);
+    }
+    await notifyTransferEvent(client, 'request', transfer);
+    return res.status(201).json({ transfer });
+  } finally {
+    client.release();
+  }
+}));
+
+// GET /api/stock/transfers?status=&warehouse=&page=&limit=
+router.get('/stock/transfers', asyncHandler(async (req, res) => {
+  const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+  const limit = Math.min(200, Math.max(1, parseInt(req.query.limit, 10) || 50));
+  const client = await pool.connect();
+  try {
+    const { transfers, total } = await listStockTransfers(client, req.user, {
+      status: req.query.status || null,
+      warehouse: req.query.warehouse || null,
+      page,
+      limit,
+    });
+    return res.status(200).json({
+      transfers,
+      total,
+      page,
+      limit,
+      totalPages: Math.max(1, Math.ceil(total / limit)),
+    });
+  } finally {
+    client.release();
+  }
+}));
+
+// GET /api/stock/transfers/:id
+router.get('/stock/transfers/:id', asyncHandler(async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const transfer = await loadStockTransfer(client, req.params.id);
+    if (!transfer) {
+      return res.status(404).json({ error: 'Transfer not found' });
+    }
+    if (!can(req.user?.role, 'stock:viewAll') && transfer.driver_id !== req.user?.clerkId) {
+      const codes = await getUserWarehouseCodes(client, req.user?.clerkId);
+      if (!codes.includes(transfer.from_warehouse) && !codes.includes(transfer.to_warehouse)) {
+        return res.status(403).json({ error: 'Forbidden', reason: 'warehouse_not_allowed' });
+      }
+    }
+    return res.status(200).json({ transfer });
+  } finally {
+    client.release();
+  }
+}));
+
+// POST /api/stock/transfers/:id/:action
+//   approve       { items?: [{ itemId, quantity }] }  approved quantities, default as requested
+//   reject        { reason }
+//   assignDriver  { driverId }  (drivers.id or drivers.clerk_id)
+//   dispatch
+//   receive       { items?: [{ itemId, quantity }] }  received quantities, default as approved
+//   cancel
+router.post('/stock/transfers/:id/:action', asyncHandler(async (req, res) => {
+  const { id, action } = req.params;
+  if (!TRANSFER_TRANSITIONS[action]) {
+    return res.status(404).json({ error: 'Unknown transfer action', action });
+  }
+
+  const client = await pool.connect();
+  try {
+    let result;
+    try {
+      result = await transitionStockTransfer(client, id, action, { user: req.user, payload: req.body || {} });
+    } catch (error) {
+      return sendTransferError(res, error);
+    }
+    await notifyTransferEvent(client, action, result.transfer);
+
+    // The step has committed; a failed push leaves the transfer queued in the outbox
+    const medad = result.outboxId ? await deliverTransferSync(result.outboxId) : null;
+
+    const transfer = medad ? await loadStockTransfer(client, id) : result.transfer;
+    return res.status(200).json({ transfer, from: result.from, to: result.to, ...(medad ? { medad } : {}) });
+  } finally {
+    client.release();
+  }
+}));
+
+export default router;
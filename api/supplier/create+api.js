@@ -1,7 +1,8 @@
 import express from 'express';
 import { Pool } from 'pg';
 import { asyncHandler } from '../../utils/asyncHandler.js';
-import { createMedadCustomer } from '../../utils/medad.js';
+import { buildMedadCustomerPayload, normalizeMedadCustomerId } from '../../utils/medad.js';
+import { deliverMedadSync, enqueueMedadSync, OUTBOX_STATUSES } from '../../utils/medadOutbox.js';
 
 const pool = new Pool({ connectionString: process.env.DATABASE_URL });
 const router = express.Router();
@@ -50,23 +51,6 @@ router.post('/suppliers', asyncHandler(async (req, res) => {
       });
     }
 
-    let medadResult;
-    try {
-      medadResult = await createMedadCustomer({
-        accountType: process.env.MEDAD_SUPPLIER_ACCOUNT_TYPE ?? '1',
-        companyName: company_name,
-        contactName: supplier_name,
-        phoneNumber: phone_number,
-        vatNo: tax_number,
-        branchName: company_name,
-      });
-    } catch (medadError) {
-      return res.status(502).json({
-        error: 'Failed to sync supplier to Medad',
-        details: medadError?.message || String(medadError),
-      });
-    }
-
     const insertQuery = `
       INSERT INTO suppliers (
         company_name, username, supplier_name, phone_number,
@@ -83,11 +67,34 @@ router.post('/suppliers', asyncHandler(async (req, res) => {
       withTimeout(supplier.query(insertQuery, values), 10000)
     );
 
+    const createdSupplier = response.rows[0];
+
+    // Created in Medad through the outbox, so a Medad outage does not block it
+    const queued = await enqueueMedadSync(supplier, {
+      kind: 'customer',
+      idempotencyKey: `customer:supplier:${createdSupplier.id}`,
+      entityType: 'supplier',
+      entityId: createdSupplier.id,
+      payload: buildMedadCustomerPayload({
+        accountType: process.env.MEDAD_SUPPLIER_ACCOUNT_TYPE ?? '1',
+        companyName: company_name,
+        contactName: supplier_name,
+        phoneNumber: phone_number,
+        vatNo: tax_number,
+        branchName: company_name,
+      }),
+      actor: req.user,
+    });
+    const entry = await deliverMedadSync(queued.id);
+
     res.status(201).json({
-      data: response.rows[0],
+      data: createdSupplier,
       medad: {
-        synced: true,
-        customerId: medadResult.medadCustomerId || null,
+        synced: entry.status === OUTBOX_STATUSES.SENT,
+        status: entry.status,
+        customerId: normalizeMedadCustomerId(entry.response) || null,
+        error: entry.last_error,
+        outboxId: entry.id,
       },
     });
   } finally {
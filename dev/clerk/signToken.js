@@ -0,0 +1,51 @@
+// dev/clerk/signToken.js
+// Mints a Clerk-shaped session token signed with the local dev key, for use with
+// CLERK_JWKS_PATH=dev/clerk/jwks.json and CLERK_ISSUER=https://clerk.dev.local.
+// Never point production at these keys.
+//
+// The key pair is not in the repo: the first run generates signing-key.json
+// (private) and jwks.json (public) next to this file, both gitignored. Delete
+// the two files to rotate the key.
+//
+// Usage: node dev/clerk/signToken.js <clerkUserId> <role> [email] [expiresIn]
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { exportJWK, generateKeyPair, importJWK, SignJWT } from 'jose';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const signingKeyPath = path.join(__dirname, 'signing-key.json');
+const jwksPath = path.join(__dirname, 'jwks.json');
+
+const [sub, role, email = null, expiresIn = '1h'] = process.argv.slice(2);
+
+if (!sub || !role) {
+  console.error('Usage: node dev/clerk/signToken.js <clerkUserId> <role> [email] [expiresIn]');
+  process.exit(1);
+}
+
+if (!fs.existsSync(signingKeyPath)) {
+  const { publicKey, privateKey } = await generateKeyPair('RS256', { extractable: true });
+  const kid = `dev-${Date.now()}`;
+  const meta = { kid, alg: 'RS256', use: 'sig' };
+  fs.writeFileSync(signingKeyPath, JSON.stringify({ ...(await exportJWK(privateKey)), ...meta }, null, 2), { mode: 0o600 });
+  fs.writeFileSync(jwksPath, JSON.stringify({ keys: [{ ...(await exportJWK(publicKey)), ...meta }] }, null, 2));
+  console.error(`Generated a dev signing key in ${signingKeyPath}`);
+}
+
+const jwk = JSON.parse(fs.readFileSync(signingKeyPath, 'utf8'));
+const key = await importJWK(jwk, 'RS256');
+
+const token = await new SignJWT({
+  email,
+  public_metadata: { role },
+  sid: `sess_dev_${Date.now()}`,
+})
+  .setProtectedHeader({ alg: 'RS256', kid: jwk.kid })
+  .setSubject(sub)
+  .setIssuer(process.env.CLERK_ISSUER || 'https://clerk.dev.local')
+  .setIssuedAt()
+  .setExpirationTime(expiresIn)
+  .sign(key);
+
+console.log(token);
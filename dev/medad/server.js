@@ -0,0 +1,381 @@
+// dev/medad/server.js
+// Stand-in for the Medad ERP API so invoice/payment/customer/product flows can run
+// offline. Point the backend at it with MEDAD_BASE_URL=http://localhost:4010 (any
+// MEDAD_USERNAME/PASSWORD/SUBSCRIPTION_ID work). State lives in memory and is
+// seeded from fixtures.json on start and on POST /__fake/reset.
+//
+// Usage: node dev/medad/server.js [port]
+//
+// Failures are scripted per route, at start through MEDAD_FAKE_FAILURES (JSON
+// array) or at runtime through POST /__fake/failures, e.g.
+//   { "method": "POST", "path": "/invoice", "mode": "error", "status": 500, "times": 2 }
+// Modes: "timeout" (answers after delayMs, default 60s), "error" (HTTP status,
+// default 500), "logical" (200 with success:false), "unauthorized" (401, to
+// exercise token refresh). `times` defaults to every matching call.
+// POSTs carrying an Idempotency-Key are replayed rather than duplicated.
+import express from 'express';
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const FAILURE_MODES = ['timeout', 'error', 'logical', 'unauthorized'];
+
+const loadFixtures = () => JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures.json'), 'utf8'));
+
+const paginate = (rows, query, defaultLimit = 100) => {
+  const page = Math.max(1, parseInt(query.page || '1', 10));
+  const limit = Math.min(100, Math.max(1, parseInt(query.limit || String(defaultLimit), 10)));
+  return {
+    rows: rows.slice((page - 1) * limit, page * limit),
+    page,
+    limit,
+    total: rows.length,
+    total_pages: Math.max(1, Math.ceil(rows.length / limit)),
+  };
+};
+
+// fromDate / toDate filter on a YYYY-MM-DD document date, both inclusive
+const inDateRange = (date, query) =>
+  (!query.fromDate || date >= query.fromDate) && (!query.toDate || date <= query.toDate);
+
+const normalizeFailure = (rule) => {
+  if (!rule?.path || !FAILURE_MODES.includes(rule.mode)) {
+    throw new Error(`Failure needs a path and a mode (${FAILURE_MODES.join(', ')})`);
+  }
+  return {
+    method: rule.method ? String(rule.method).toUpperCase() : null,
+    path: rule.path,
+    mode: rule.mode,
+    status: Number(rule.status) || 500,
+    delayMs: Number(rule.delayMs) || 60000,
+    times: rule.times === undefined || rule.times === null ? Infinity : Number(rule.times),
+  };
+};
+
+/**
+ * Builds the fake Medad app. Returns the express app plus its in-memory state so
+ * scripts can seed data or inspect the documents it received.
+ */
+export const createFakeMedad = ({ failures = [], tokenTtlSeconds = 3600 } = {}) => {
+  const app = express();
+  app.use(express.json());
+
+  const state = {
+    tokens: new Set(),
+    failures: [],
+    customers: [],
+    products: [],
+    invoices: [],
+    returns: [],
+    payments: [],
+    transfers: [],
+    purchaseOrders: [],
+    idempotent: new Map(),
+    sequence: 0,
+  };
+
+  const reset = () => {
+    const fixtures = loadFixtures();
+    state.tokens.clear();
+    state.failures = failures.map(normalizeFailure);
+    state.customers = fixtures.customers;
+    state.products = fixtures.products;
+    state.invoices = [];
+    state.returns = [];
+    state.payments = [];
+    state.transfers = [];
+    state.purchaseOrders = [];
+    state.idempotent.clear();
+    state.sequence = 0;
+  };
+  reset();
+
+  const nextNo = (prefix) => {
+    state.sequence += 1;
+    return `${prefix}-${String(state.sequence).padStart(6, '0')}`;
+  };
+
+  // ---- Control endpoints (not part of Medad) ----
+
+  app.get('/__fake/state', (_req, res) => {
+    res.json({
+      failures: state.failures.map((rule) => ({ ...rule, times: Number.isFinite(rule.times) ? rule.times : null })),
+      customers: state.customers.length,
+      products: state.products.length,
+      invoices: state.invoices,
+      returns: state.returns,
+      payments: state.payments,
+      transfers: state.transfers,
+      purchaseOrders: state.purchaseOrders,
+    });
+  });
+
+  app.post('/__fake/failures', (req, res) => {
+    try {
+      const rules = Array.isArray(req.body) ? req.body : [req.body];
+      state.failures.push(...rules.map(normalizeFailure));
+      res.status(201).json({ failures: state.failures.length });
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  });
+
+  app.delete('/__fake/failures', (_req, res) => {
+    state.failures = [];
+    res.status(204).end();
+  });
+
+  app.post('/__fake/reset', (_req, res) => {
+    reset();
+    res.status(204).end();
+  });
+
+  // ---- Scripted failures ----
+
+  app.use((req, res, next) => {
+    if (req.path.startsWith('/__fake')) return next();
+
+    const rule = state.failures.find(
+      (candidate) =>
+        candidate.times > 0 &&
+        (!candidate.method || candidate.method === req.method) &&
+        (req.path === candidate.path || req.path.startsWith(`${candidate.path}/`))
+    );
+    if (!rule) return next();
+    rule.times -= 1;
+
+    switch (rule.mode) {
+      case 'timeout':
+        setTimeout(() => {
+          if (!res.headersSent) res.status(504).json({ message: 'Fake Medad timeout' });
+        }, rule.delayMs);
+        return undefined;
+      case 'unauthorized':
+        state.tokens.clear();
+        return res.status(401).json({ message: 'Unauthorized' });
+      case 'logical':
+        return res.status(200).json({ success: false, message: 'Validation failed (scripted by fake Medad)' });
+      default:
+        return res.status(rule.status).json({ message: `Scripted failure ${rule.status}` });
+    }
+  });
+
+  // ---- Medad API ----
+
+  app.post('/getToken', (req, res) => {
+    const { username, password, subscriptionId } = req.body || {};
+    if (!username || !password || !subscriptionId) {
+      return res.status(400).json({ message: 'username, password and subscriptionId are required' });
+    }
+    const token = crypto.randomBytes(16).toString('hex');
+    state.tokens.add(token);
+    return res.json({ token, expiresIn: tokenTtlSeconds });
+  });
+
+  app.use((req, res, next) => {
+    const token = (req.headers.authorization || '').replace(/^Bearer\s+/i, '');
+    if (!state.tokens.has(token)) {
+      return res.status(401).json({ message: 'Unauthorized' });
+    }
+    return next();
+  });
+
+  // Document creation honours Idempotency-Key: a repeated key gets the first
+  // successful answer back instead of creating a duplicate
+  app.use((req, res, next) => {
+    const key = req.get('Idempotency-Key');
+    if (req.method !== 'POST' || !key) return next();
+
+    const cacheKey = `${req.path} ${key}`;
+    const previous = state.idempotent.get(cacheKey);
+    if (previous) {
+      return res.status(previous.status).set('Idempotent-Replayed', 'true').json(previous.body);
+    }
+
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      if (res.statusCode < 300 && body?.success !== false) {
+        state.idempotent.set(cacheKey, { status: res.statusCode, body });
+      }
+      return json(body);
+    };
+    return next();
+  });
+
+  app.get('/customers', (req, res) => {
+    const accountType = req.query.accountType === undefined ? null : String(req.query.accountType);
+    const rows = state.customers.filter((customer) => accountType === null || customer.accountType === accountType);
+    const { rows: customers, ...meta } = paginate(rows, req.query);
+    res.json({ customers, ...meta });
+  });
+
+  app.post('/customers', (req, res) => {
+    const body = req.body || {};
+    if (!body.customerName && !body.name) {
+      return res.status(200).json({ success: false, message: 'Validation error: customerName is required' });
+    }
+    const id = Math.max(0, ...state.customers.map((row) => Number(row.id) || 0)) + 1;
+    const customer = { ...body, id, accountType: String(body.accountType ?? '0'), name: body.name || body.customerName };
+    state.customers.push(customer);
+    return res.status(201).json({ success: true, id, customerNo: String(id) });
+  });
+
+  app.get('/products', (req, res) => {
+    const { rows: items, ...meta } = paginate(state.products, req.query);
+    res.json({ items, ...meta });
+  });
+
+  app.get('/products/:productNo', (req, res) => {
+    const product = state.products.find((row) => row.productNo === req.params.productNo);
+    if (!product) return res.status(404).json({ message: 'Product not found' });
+    return res.json(product);
+  });
+
+  app.post('/products', (req, res) => {
+    const body = req.body || {};
+    if (state.products.some((row) => row.productNo === body.productNo)) {
+      return res.status(409).json({ message: 'Product already exists' });
+    }
+    const product = { warehouses: [], ...body };
+    state.products.push(product);
+    return res.status(201).json(product);
+  });
+
+  app.put('/products/:productNo', (req, res) => {
+    const product = state.products.find((row) => row.productNo === req.params.productNo);
+    if (!product) return res.status(404).json({ message: 'Product not found' });
+    Object.assign(product, req.body || {}, { productNo: product.productNo });
+    return res.json(product);
+  });
+
+  app.get('/warehouses/:warehouseNo/inventory', (req, res) => {
+    const warehouseNo = String(req.params.warehouseNo).padStart(4, '0');
+    const rows = state.products
+      .map((product) => {
+        const stock = (product.warehouses || []).find((w) => String(w.warehouseNo).padStart(4, '0') === warehouseNo);
+        if (!stock) return null;
+        return { productNo: product.productNo, description: product.description, unit: product.unit, quantity: stock.quantity };
+      })
+      .filter(Boolean);
+    const { rows: items, ...meta } = paginate(rows, req.query, 50);
+    res.json({ items, ...meta });
+  });
+
+  app.post('/invoice', (req, res) => {
+    const body = req.body || {};
+    if (!body.customerId || !Array.isArray(body.Order_Detail) || body.Order_Detail.length === 0) {
+      return res.status(400).json({ success: false, message: 'customerId and Order_Detail are required' });
+    }
+    const invoice = { orderNo: nextNo('SO'), invoiceNo: nextNo('INV'), payload: body, receivedAt: new Date().toISOString() };
+    state.invoices.push(invoice);
+    return res.json({ success: true, orderNo: invoice.orderNo, invoiceNo: invoice.invoiceNo });
+  });
+
+  app.get('/invoices', (req, res) => {
+    const rows = state.invoices
+      .map((invoice) => ({
+        invoiceNo: invoice.invoiceNo,
+        orderNo: invoice.orderNo,
+        refNo: invoice.payload.orderNo,
+        customerId: invoice.payload.customerId,
+        invoiceDate: invoice.payload.orderDate || invoice.receivedAt.slice(0, 10),
+        net: invoice.payload.net,
+        total: invoice.payload.total,
+        totalTax: invoice.payload.totalTax,
+      }))
+      .filter((invoice) => inDateRange(invoice.invoiceDate, req.query));
+    const { rows: items, ...meta } = paginate(rows, req.query);
+    res.json({ items, ...meta });
+  });
+
+  app.post('/return', (req, res) => {
+    const body = req.body || {};
+    if (!body.refInvoiceNo || !Array.isArray(body.Order_Detail) || body.Order_Detail.length === 0) {
+      return res.status(400).json({ success: false, message: 'refInvoiceNo and Order_Detail are required' });
+    }
+    const creditNote = { returnNo: nextNo('RET'), payload: body, receivedAt: new Date().toISOString() };
+    state.returns.push(creditNote);
+    return res.json({ success: true, returnNo: creditNote.returnNo });
+  });
+
+  app.post('/payment', (req, res) => {
+    const body = req.body || {};
+    if (!body.customerId || !(Number(body.paymentAmount) > 0)) {
+      return res.status(200).json({ success: false, message: 'Validation error: customerId and paymentAmount are required' });
+    }
+    const payment = { paymentNo: nextNo('PAY'), payload: body, receivedAt: new Date().toISOString() };
+    state.payments.push(payment);
+    return res.json({ success: true, paymentNo: payment.paymentNo });
+  });
+
+  app.get('/payments', (req, res) => {
+    const rows = state.payments
+      .map((payment) => ({
+        paymentNo: payment.paymentNo,
+        customerId: payment.payload.customerId,
+        customerName: payment.payload.customerName,
+        paymentDate: payment.receivedAt.slice(0, 10),
+        paymentAmount: payment.payload.paymentAmount,
+      }))
+      .filter((payment) => inDateRange(payment.paymentDate, req.query));
+    const { rows: items, ...meta } = paginate(rows, req.query);
+    res.json({ items, ...meta });
+  });
+
+  // Moves the quantities between the product's warehouse stock rows
+  app.post('/warehouse-transfer', (req, res) => {
+    const body = req.body || {};
+    const details = body.Transfer_Detail;
+    if (!body.fromWarehouseNo || !body.toWarehouseNo || !Array.isArray(details) || details.length === 0) {
+      return res.status(400).json({ success: false, message: 'fromWarehouseNo, toWarehouseNo and Transfer_Detail are required' });
+    }
+    const from = String(body.fromWarehouseNo).padStart(4, '0');
+    const to = String(body.toWarehouseNo).padStart(4, '0');
+    const stockRow = (product, warehouseNo) => {
+      product.warehouses = product.warehouses || [];
+      let row = product.warehouses.find((w) => String(w.warehouseNo).padStart(4, '0') === warehouseNo);
+      if (!row) {
+        row = { warehouseNo, quantity: 0 };
+        product.warehouses.push(row);
+      }
+      return row;
+    };
+    for (const line of details) {
+      const product = state.products.find((row) => row.productNo === line.productNo);
+      if (!product) return res.status(200).json({ success: false, message: `Unknown product ${line.productNo}` });
+      stockRow(product, from).quantity -= Number(line.quantity);
+      stockRow(product, to).quantity += Number(line.quantity);
+    }
+    const transfer = { transferNo: nextNo('TRF'), payload: body, receivedAt: new Date().toISOString() };
+    state.transfers.push(transfer);
+    return res.json({ success: true, transferNo: transfer.transferNo });
+  });
+
+  app.post('/purchase-order', (req, res) => {
+    const body = req.body || {};
+    if (!body.supplierId || !Array.isArray(body.PO_Detail) || body.PO_Detail.length === 0) {
+      return res.status(400).json({ success: false, message: 'supplierId and PO_Detail are required' });
+    }
+    const purchaseOrder = { poNo: nextNo('PO'), payload: body, receivedAt: new Date().toISOString() };
+    state.purchaseOrders.push(purchaseOrder);
+    return res.json({ success: true, poNo: purchaseOrder.poNo });
+  });
+
+  app.use((req, res) => {
+    res.status(404).json({ message: `Fake Medad has no route for ${req.method} ${req.path}` });
+  });
+
+  return { app, state, reset };
+};
+
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  const port = Number(process.argv[2] || process.env.MEDAD_FAKE_PORT || 4010);
+  const failures = process.env.MEDAD_FAKE_FAILURES ? JSON.parse(process.env.MEDAD_FAKE_FAILURES) : [];
+  const { app } = createFakeMedad({ failures });
+  app.listen(port, () => {
+    console.log(`Fake Medad listening on http://localhost:${port}`);
+  });
+}
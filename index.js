@@ -32,6 +32,7 @@ import productsApi from './api/product/create+api.js'
 import sectionsApi from './api/product/sections+api.js';
 import singleProductApi from './api/product/[id]+api.js'
 import productMinimumApi from './api/product/minimum+api.js';
+import productLowStockApi from './api/product/lowStock+api.js';
 import salesOrderApi from './api/order/salesRep+api.js'; 
 import supervisorAcceptOrderApi from './api/order/acceptedOrders+api.js';
 import storekeeperAcceptOrderApi from './api/order/acceptedStorekeeper+api.js';
@@ -64,7 +65,10 @@ import userWarehouseApi from './api/user/warehouse+api.js';
 import ordersForAccountantApi from './api/order/forAccountant.js';
 import quotationsExportedCount from './api/quotation/exported/route.js';
 import requestMaterialApi from './api/material/request+api.js';
+import purchaseOrdersApi from './api/material/purchaseOrders+api.js';
+import materialRfqsApi from './api/material/rfqs+api.js';
 import { errorHandler } from './middlewares/errorHandler.js';
+import { requireAuth } from './middlewares/auth.js';
 import { Pool } from 'pg';
 import medadCustomersApi from './api/medad/customers+api.js';
 import medadClientsApi from './api/client/medad/clients+api.js';
@@ -72,7 +76,27 @@ import medadWarehouseInventoryApi from './api/medad/warehouseInventory+api.js';
 import medadInvoiceApi from './api/medad/invoice+api.js';
 import medadSalesmenApi from './api/medad/salesmen+api.js';
 import medadSuppliersApi from './api/medad/suppliers+api.js';
+import medadOutboxApi from './api/medad/outbox+api.js';
+import medadReconciliationApi from './api/medad/reconciliation+api.js';
+import medadStockApi from './api/medad/stock+api.js';
+import stockTransfersApi from './api/stock/transfers+api.js';
+import stocktakesApi from './api/stock/stocktakes+api.js';
 import paymentWorkflowApi from './api/payment/workflow+api.js';
+import orderDriverApi from './api/order/driver+api.js';
+import orderTimelineApi from './api/order/timeline+api.js';
+import quotationConvertApi from './api/quotation/convert+api.js';
+import orderRevisionsApi from './api/order/revisions+api.js';
+import quotationRevisionsApi from './api/quotation/revisions+api.js';
+import orderEInvoiceApi from './api/order/einvoice+api.js';
+import orderReturnsApi from './api/order/returns+api.js';
+import { startQuotationExpiryJob } from './utils/quotationExpiry.js';
+import { startMedadOutboxWorker } from './utils/medadOutbox.js';
+import { startMedadReconciliationJob } from './utils/medadReconciliation.js';
+import { startMedadProductSyncJob } from './utils/medadProductMirror.js';
+import { startLowStockJob } from './utils/lowStock.js';
+import { ensurePricingColumns } from './utils/pricing.js';
+import { ensureEInvoiceColumns } from './utils/zatca.js';
+import { ensureOrderDriverColumns } from './middlewares/permissions.js';
 
 
 const pool = new Pool({ connectionString: process.env.DATABASE_URL });
@@ -86,6 +110,20 @@ pool.connect()
     process.exit(1);
   });
 
+// Schema changes the pricing module needs, kept out of request transactions
+ensurePricingColumns(pool)
+  .catch(err => {
+    console.error('❌ Failed to add pricing columns:', err);
+  });
+ensureEInvoiceColumns(pool)
+  .catch(err => {
+    console.error('❌ Failed to add e-invoice columns:', err);
+  });
+ensureOrderDriverColumns(pool)
+  .catch(err => {
+    console.error('❌ Failed to add driver assignment columns:', err);
+  });
+
 // Handle unexpected errors globally
 process.on('unhandledRejection', reason => {
   console.error('Unhandled Rejection:', reason);
@@ -106,6 +144,14 @@ const app = express();
 // Middleware
 app.use(cors());
 app.use(express.json());
+
+app.get('/api/health', (req, res) => {
+  res.status(200).json({ status: 'ok' });
+});
+
+// Every other /api route requires a verified Clerk session
+app.use('/api', requireAuth);
+
 app.get('/api/medad/products', medadProducts);
 app.post('/api/medad/products', medadProducts);
 app.put('/api/medad/products', medadProducts);
@@ -152,6 +198,7 @@ app.use('/api', singleAccountantApi);
 app.use('/api', singleOrderApi);
 app.use('/api', singleClientApi);
 app.use('/api', productMinimumApi);
+app.use('/api', productLowStockApi);
 app.use('/api', singleProductApi);
 app.use('/api', singleSupplierApi);
 app.use('/api', singleOperationApi);
@@ -170,13 +217,27 @@ app.use('/api', rejectedOrderApi);
 app.use('/api', rejectedQuotationApi);
 app.use('/api', userWarehouseApi);
 app.use('/api/material', requestMaterialApi);
+app.use('/api/material', purchaseOrdersApi);
+app.use('/api/material', materialRfqsApi);
 app.use('/api', medadCustomersApi);
 app.use('/api', medadClientsApi);
 app.use('/api', medadWarehouseInventoryApi);
 app.use('/api', medadInvoiceApi);
 app.use('/api', medadSalesmenApi);
 app.use('/api', medadSuppliersApi);
+app.use('/api', medadOutboxApi);
+app.use('/api', medadReconciliationApi);
+app.use('/api', medadStockApi);
+app.use('/api', stockTransfersApi);
+app.use('/api', stocktakesApi);
 app.use('/api', paymentWorkflowApi);
+app.use('/api', orderDriverApi);
+app.use('/api', orderTimelineApi);
+app.use('/api', quotationConvertApi);
+app.use('/api', orderRevisionsApi);
+app.use('/api', quotationRevisionsApi);
+app.use('/api', orderEInvoiceApi);
+app.use('/api', orderReturnsApi);
 
 
 
@@ -215,16 +276,17 @@ app.get('/api/order/pdf/:orderId', async (req, res) => {
 
 
 
-app.get('/api/health', (req, res) => {
-  res.status(200).json({ status: 'ok' });
-});
-
 // Final error handler
 app.use(errorHandler);
 
 const PORT = process.env.PORT || 4000;
 app.listen(PORT, () => {
   console.log(`🚀 Server running on port ${PORT}`);
+  startQuotationExpiryJob();
+  startMedadOutboxWorker();
+  startMedadReconciliationJob();
+  startMedadProductSyncJob();
+  startLowStockJob();
 });
 
 
@@ -0,0 +1,140 @@
+import fs from 'fs';
+import pkg from 'pg';
+import { createLocalJWKSet, createRemoteJWKSet, jwtVerify, errors as joseErrors } from 'jose';
+
+const { Pool } = pkg;
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  max: 10,
+  idleTimeoutMillis: 30000,
+  connectionTimeoutMillis: 10000,
+});
+
+pool.on('error', (err) => {
+  console.error('Unexpected error on idle auth client:', err);
+});
+
+// Clerk public_metadata.role -> table holding that user's profile row
+export const ROLE_TABLES = {
+  manager: 'managers',
+  supervisor: 'supervisors',
+  storekeeper: 'storekeepers',
+  driver: 'drivers',
+  salesRep: 'salesreps',
+  salesPro: 'salesreps',
+  accountant: 'accountants',
+  operation: 'operations',
+};
+
+let jwks = null;
+
+// CLERK_JWKS_PATH points at a local JWKS file (see dev/clerk) so tokens can be verified offline.
+const getJwks = () => {
+  if (jwks) return jwks;
+
+  const localPath = process.env.CLERK_JWKS_PATH;
+  if (localPath) {
+    if (process.env.NODE_ENV === 'production') {
+      throw new Error('CLERK_JWKS_PATH must not be used in production');
+    }
+    jwks = createLocalJWKSet(JSON.parse(fs.readFileSync(localPath, 'utf8')));
+    return jwks;
+  }
+
+  if (!process.env.CLERK_JWKS_URL) {
+    throw new Error('Clerk JWKS is not configured on server');
+  }
+  jwks = createRemoteJWKSet(new URL(process.env.CLERK_JWKS_URL));
+  return jwks;
+};
+
+const getIssuer = () => {
+  if (!process.env.CLERK_ISSUER) {
+    throw new Error('CLERK_ISSUER is not configured on server');
+  }
+  return process.env.CLERK_ISSUER;
+};
+
+const readBearerToken = (req) => {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+  if (scheme?.toLowerCase() !== 'bearer' || !token) return null;
+  return token.trim();
+};
+
+const authorizedParties = () =>
+  (process.env.CLERK_AUTHORIZED_PARTIES || '')
+    .split(',')
+    .map((p) => p.trim())
+    .filter(Boolean);
+
+const unauthorized = (res, reason) =>
+  res.status(401).json({ error: 'Unauthorized', reason });
+
+const loadProfile = async (role, clerkId) => {
+  const table = ROLE_TABLES[role];
+  if (!table) return null;
+  const result = await pool.query(
+    `SELECT id, name, email FROM ${table} WHERE clerk_id = $1 LIMIT 1`,
+    [clerkId]
+  );
+  return result.rows[0] || null;
+};
+
+// Roles whose lists only ever show their own records
+export const SELF_SCOPED_ROLES = ['salesRep', 'salesPro'];
+
+/**
+ * Username a list is narrowed to. Sales reps always see only their own
+ * records; other roles are narrowed to themselves when the request asks for it
+ * (`requested`, usually ?username). The name always comes from the token.
+ */
+export const scopedUsername = (req, requested = req.query?.username) => {
+  const own = (req.user?.name || '').trim();
+  if (SELF_SCOPED_ROLES.includes(req.user?.role)) return own;
+  return requested ? own : '';
+};
+
+/**
+ * Verifies the Clerk session token on the request and attaches the caller as `req.user`:
+ * { clerkId, email, role, id, name }. `id`/`name` come from the role's table and are
+ * what handlers store in `username`, `*_id` and `*_name` columns.
+ */
+export const requireAuth = async (req, res, next) => {
+  const token = readBearerToken(req);
+  if (!token) return unauthorized(res, 'missing_token');
+
+  let payload;
+  try {
+    ({ payload } = await jwtVerify(token, getJwks(), { issuer: getIssuer() }));
+  } catch (err) {
+    if (err instanceof joseErrors.JWTExpired) return unauthorized(res, 'token_expired');
+    if (err instanceof joseErrors.JOSEError) return unauthorized(res, 'invalid_token');
+    return next(err);
+  }
+
+  const parties = authorizedParties();
+  if (parties.length && payload.azp && !parties.includes(payload.azp)) {
+    return unauthorized(res, 'invalid_authorized_party');
+  }
+
+  if (!payload.sub) return unauthorized(res, 'invalid_token');
+
+  const metadata = payload.public_metadata || payload.metadata || {};
+  const role = metadata.role || null;
+
+  try {
+    const profile = role ? await loadProfile(role, payload.sub) : null;
+    req.user = {
+      clerkId: payload.sub,
+      email: payload.email || payload.primary_email || profile?.email || null,
+      role,
+      id: profile?.id ?? null,
+      name: profile?.name || payload.name || null,
+    };
+    return next();
+  } catch (err) {
+    return next(err);
+  }
+};
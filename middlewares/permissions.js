@@ -0,0 +1,138 @@
+import pkg from 'pg';
+
+const { Pool } = pkg;
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  max: 10,
+  idleTimeoutMillis: 30000,
+  connectionTimeoutMillis: 10000,
+});
+
+pool.on('error', (err) => {
+  console.error('Unexpected error on idle permissions client:', err);
+});
+
+// Role -> actions it may perform. Anything not listed here is denied.
+export const PERMISSIONS = {
+  manager: [
+    'order:acceptManager',
+    'order:assignDriver',
+    'order:reject',
+    'order:markDone',
+    'order:return',
+    'order:einvoice',
+    'payment:approveManager',
+    'medad:outbox',
+    'medad:reconciliation',
+    'quotation:convert',
+    'stock:view',
+    'stock:viewAll',
+    'stock:request',
+    'transfer:request',
+    'transfer:approve',
+    'transfer:dispatch',
+    'transfer:receive',
+    'stocktake:count',
+    'stocktake:approve',
+    'material:approve',
+    'material:dispatch',
+    'material:receive',
+  ],
+  supervisor: [
+    'order:acceptSupervisor',
+    'order:assignDriver',
+    'order:reject',
+    'quotation:convert',
+  ],
+  storekeeper: [
+    'order:acceptStorekeeper',
+    'order:assignDriver',
+    'order:reject',
+    'stock:view',
+    'stock:request',
+    'transfer:request',
+    'transfer:approve',
+    'transfer:dispatch',
+    'transfer:receive',
+    'stocktake:count',
+    'material:dispatch',
+    'material:receive',
+  ],
+  driver: [
+    'order:deliver',
+    'material:dispatch',
+    'material:receive',
+  ],
+  salesRep: [
+    'quotation:convert',
+  ],
+  salesPro: [
+    'quotation:convert',
+  ],
+  accountant: [
+    'order:markDone',
+    'order:return',
+    'order:einvoice',
+    'medad:outbox',
+    'medad:reconciliation',
+  ],
+  operation: [],
+};
+
+export const can = (role, action) => Boolean(PERMISSIONS[role]?.includes(action));
+
+const forbidden = (res, reason, action) =>
+  res.status(403).json({ error: 'Forbidden', reason, action });
+
+/**
+ * Allows the request through only when the caller's role grants `action`.
+ * Must run after `requireAuth`.
+ */
+export const requirePermission = (action) => (req, res, next) => {
+  const role = req.user?.role;
+  if (!role) return forbidden(res, 'missing_role', action);
+  if (!can(role, action)) return forbidden(res, 'role_not_permitted', action);
+  return next();
+};
+
+// index.js runs this once at startup, like ensurePricingColumns: the driver
+// checks below sit in front of every delivery request
+export const ensureOrderDriverColumns = async (client) => {
+  await client.query(`
+    ALTER TABLE orders
+      ADD COLUMN IF NOT EXISTS assigned_driver_id TEXT,
+      ADD COLUMN IF NOT EXISTS assigned_driver_name TEXT,
+      ADD COLUMN IF NOT EXISTS driver_assigned_at TIMESTAMPTZ
+  `);
+};
+
+/**
+ * Lets the request through only for the driver assigned to order `req.params.id`
+ * (orders.assigned_driver_id holds the driver's Clerk id). Combine with
+ * `requirePermission('order:deliver')`.
+ */
+export const requireAssignedDriver = async (req, res, next) => {
+  const action = 'order:deliver';
+  const client = await pool.connect();
+  try {
+    const result = await client.query(
+      'SELECT assigned_driver_id FROM orders WHERE id = $1',
+      [req.params.id]
+    );
+
+    if (result.rowCount === 0) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    const assignedDriverId = result.rows[0].assigned_driver_id;
+    if (!assignedDriverId) return forbidden(res, 'order_not_assigned', action);
+    if (assignedDriverId !== req.user?.clerkId) return forbidden(res, 'not_assigned_driver', action);
+
+    return next();
+  } catch (err) {
+    return next(err);
+  } finally {
+    client.release();
+  }
+};
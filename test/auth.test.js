@@ -0,0 +1,83 @@
+import { test, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { exportJWK, generateKeyPair, SignJWT } from 'jose';
+
+// A throwaway key pair, published to the middleware through a local JWKS file
+const { publicKey, privateKey: key } = await generateKeyPair('RS256');
+const jwk = { ...(await exportJWK(publicKey)), kid: 'test', alg: 'RS256', use: 'sig' };
+const jwksDir = fs.mkdtempSync(path.join(os.tmpdir(), 'clerk-jwks-'));
+process.env.CLERK_JWKS_PATH = path.join(jwksDir, 'jwks.json');
+fs.writeFileSync(process.env.CLERK_JWKS_PATH, JSON.stringify({ keys: [jwk] }));
+
+const { requireAuth, scopedUsername } = await import('../middlewares/auth.js');
+
+const ISSUER = 'https://clerk.dev.local';
+
+// No role claim, so requireAuth never needs a profile lookup
+const sign = (issuer) =>
+  new SignJWT({ email: 'rep@example.com' })
+    .setProtectedHeader({ alg: 'RS256', kid: jwk.kid })
+    .setSubject('user_test')
+    .setIssuer(issuer)
+    .setIssuedAt()
+    .setExpirationTime('5m')
+    .sign(key);
+
+const run = async (token) => {
+  const req = { headers: { authorization: `Bearer ${token}` } };
+  const outcome = {};
+  const res = {
+    status(code) {
+      outcome.status = code;
+      return this;
+    },
+    json(body) {
+      outcome.body = body;
+      return this;
+    },
+  };
+  await requireAuth(req, res, (err) => {
+    outcome.nextError = err || null;
+  });
+  return { ...outcome, user: req.user };
+};
+
+beforeEach(() => {
+  process.env.CLERK_ISSUER = ISSUER;
+});
+
+after(() => {
+  fs.rmSync(jwksDir, { recursive: true, force: true });
+});
+
+test('accepts a token from the configured issuer', async () => {
+  const outcome = await run(await sign(ISSUER));
+  assert.equal(outcome.nextError, null);
+  assert.equal(outcome.user.clerkId, 'user_test');
+});
+
+test('rejects a token from another issuer', async () => {
+  const outcome = await run(await sign('https://attacker.example'));
+  assert.equal(outcome.status, 401);
+  assert.equal(outcome.body.reason, 'invalid_token');
+});
+
+test('refuses to verify when CLERK_ISSUER is unset', async () => {
+  delete process.env.CLERK_ISSUER;
+  const outcome = await run(await sign(ISSUER));
+  assert.match(outcome.nextError?.message || '', /CLERK_ISSUER/);
+  assert.equal(outcome.user, undefined);
+});
+
+test('scopedUsername ignores the username a client sends', () => {
+  const rep = { user: { role: 'salesRep', name: 'Rep A' }, query: { username: 'Rep B' } };
+  assert.equal(scopedUsername(rep), 'Rep A');
+  assert.equal(scopedUsername({ ...rep, query: {} }), 'Rep A');
+
+  const supervisor = { user: { role: 'supervisor', name: 'Sup' }, query: { username: 'Rep B' } };
+  assert.equal(scopedUsername(supervisor), 'Sup');
+  assert.equal(scopedUsername({ ...supervisor, query: {} }), '');
+});
@@ -0,0 +1,170 @@
+import crypto from 'node:crypto';
+import pg from 'pg';
+import { ensurePricingColumns } from '../../utils/pricing.js';
+import { ensureEInvoiceColumns } from '../../utils/zatca.js';
+
+// Modules under test read their configuration when they are imported (pools,
+// firebase-init), so test files import this first and the modules after
+// useTestSchema().
+
+if (!process.env.FIREBASE_PRIVATE_KEY) {
+  const { privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  process.env.FIREBASE_PRIVATE_KEY = privateKey.export({ type: 'pkcs8', format: 'pem' });
+  process.env.FIREBASE_PROJECT_ID = 'etmam-test';
+  process.env.FIREBASE_CLIENT_EMAIL = 'test@etmam-test.iam.gserviceaccount.com';
+}
+
+export const TEST_DATABASE_URL = process.env.TEST_DATABASE_URL || '';
+
+// Pass as `skip` to tests that need Postgres
+export const skipWithoutDatabase = TEST_DATABASE_URL ? false : 'set TEST_DATABASE_URL to run database tests';
+
+/**
+ * Recreates schema `name` and points DATABASE_URL at it, so the pools the app
+ * modules open on import land there. Resolves to a pool on the same schema.
+ */
+export const useTestSchema = async (name) => {
+  const admin = new pg.Client({ connectionString: TEST_DATABASE_URL });
+  await admin.connect();
+  await admin.query(`DROP SCHEMA IF EXISTS ${name} CASCADE`);
+  await admin.query(`CREATE SCHEMA ${name}`);
+  await admin.end();
+
+  const url = new URL(TEST_DATABASE_URL);
+  url.searchParams.set('options', `-c search_path=${name}`);
+  process.env.DATABASE_URL = url.toString();
+  return new pg.Pool({ connectionString: process.env.DATABASE_URL, max: 20 });
+};
+
+/**
+ * The order tables that predate the repo's ensure* helpers (they live in the
+ * production database), with the columns the code under test reads, plus what
+ * index.js adds at startup.
+ */
+export const createOrderTables = async (pool) => {
+  await pool.query(`
+    CREATE TABLE clients (
+      id SERIAL PRIMARY KEY,
+      company_name TEXT,
+      client_name TEXT,
+      phone_number TEXT,
+      tax_number TEXT,
+      street TEXT,
+      city TEXT,
+      region TEXT,
+      medad_customer_id TEXT,
+      username TEXT
+    );
+    CREATE TABLE client_medad_customers (
+      id SERIAL PRIMARY KEY,
+      client_id INT,
+      medad_customer_id TEXT,
+      vat_no TEXT,
+      branch_name TEXT,
+      phone TEXT,
+      address1 TEXT,
+      address2 TEXT,
+      city TEXT,
+      region TEXT,
+      is_default BOOLEAN DEFAULT FALSE
+    );
+    CREATE TABLE storekeepers (id SERIAL PRIMARY KEY, name TEXT, role TEXT, active BOOLEAN, fcm_token TEXT);
+    CREATE TABLE supervisors (id SERIAL PRIMARY KEY, name TEXT, role TEXT, active BOOLEAN, fcm_token TEXT);
+    CREATE TABLE managers (id SERIAL PRIMARY KEY, name TEXT, role TEXT, active BOOLEAN, fcm_token TEXT);
+    CREATE TABLE salesreps (id SERIAL PRIMARY KEY, name TEXT, role TEXT, active BOOLEAN, fcm_token TEXT);
+    CREATE TABLE products (
+      id SERIAL PRIMARY KEY,
+      code TEXT,
+      name TEXT
+    );
+    CREATE TABLE orders (
+      id SERIAL PRIMARY KEY,
+      client_id INT,
+      client_medad_customer_id INT,
+      username TEXT,
+      warehouse_no TEXT,
+      medad_salesman_id TEXT,
+      delivery_date DATE,
+      delivery_type TEXT,
+      notes TEXT,
+      manager_notes TEXT,
+      status TEXT DEFAULT 'not Delivered',
+      mark TEXT DEFAULT 'pending',
+      "markAsDone_at" TIMESTAMPTZ,
+      manageraccept TEXT DEFAULT 'pending',
+      supervisoraccept TEXT DEFAULT 'pending',
+      storekeeperaccept TEXT DEFAULT 'pending',
+      manageraccept_at TIMESTAMPTZ,
+      supervisoraccept_at TIMESTAMPTZ,
+      storekeeperaccept_at TIMESTAMPTZ,
+      actual_delivery_date TIMESTAMPTZ,
+      storekeeper_notes TEXT,
+      driver_notes TEXT,
+      total_price NUMERIC(12,2) DEFAULT 0,
+      total_vat NUMERIC(12,2) DEFAULT 0,
+      total_subtotal NUMERIC(12,2) DEFAULT 0,
+      custom_id TEXT,
+      order_number INT,
+      medad_sync_status TEXT,
+      medad_order_no TEXT,
+      medad_invoice_no TEXT,
+      medad_error TEXT,
+      medad_synced_at TIMESTAMPTZ,
+      created_at TIMESTAMPTZ DEFAULT NOW(),
+      updated_at TIMESTAMPTZ DEFAULT NOW()
+    );
+    CREATE TABLE order_products (
+      id SERIAL PRIMARY KEY,
+      order_id INT REFERENCES orders(id) ON DELETE CASCADE,
+      product_id INT,
+      medad_product_no TEXT,
+      description TEXT,
+      quantity NUMERIC(12,3),
+      price NUMERIC(12,2),
+      vat NUMERIC(12,2),
+      subtotal NUMERIC(12,2)
+    );
+    CREATE TABLE order_locations (
+      id SERIAL PRIMARY KEY,
+      order_id INT REFERENCES orders(id) ON DELETE CASCADE,
+      name TEXT,
+      url TEXT
+    );
+    CREATE TABLE quotations (
+      id SERIAL PRIMARY KEY,
+      client_id INT,
+      username TEXT,
+      sales_rep_id INT,
+      warehouse_no TEXT,
+      medad_salesman_id TEXT,
+      delivery_date DATE,
+      delivery_type TEXT,
+      notes TEXT,
+      manager_notes TEXT,
+      status TEXT DEFAULT 'pending',
+      manageraccept TEXT DEFAULT 'pending',
+      supervisoraccept TEXT DEFAULT 'pending',
+      total_price NUMERIC(12,2) DEFAULT 0,
+      total_vat NUMERIC(12,2) DEFAULT 0,
+      total_subtotal NUMERIC(12,2) DEFAULT 0,
+      custom_id TEXT,
+      quotation_number INT,
+      created_at TIMESTAMPTZ DEFAULT NOW(),
+      updated_at TIMESTAMPTZ DEFAULT NOW()
+    );
+    CREATE TABLE quotation_products (
+      id SERIAL PRIMARY KEY,
+      quotation_id INT REFERENCES quotations(id) ON DELETE CASCADE,
+      description TEXT,
+      quantity NUMERIC(12,3),
+      price NUMERIC(12,2),
+      vat NUMERIC(12,2),
+      subtotal NUMERIC(12,2)
+    );
+  `);
+  await ensurePricingColumns(pool);
+  await ensureEInvoiceColumns(pool);
+  // Imported here: the module opens its pool on import, which must see the test schema
+  const { ensureOrderDriverColumns } = await import('../../middlewares/permissions.js');
+  await ensureOrderDriverColumns(pool);
+};
@@ -0,0 +1,80 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { skipWithoutDatabase, useTestSchema } from './helpers/database.js';
+
+const manager = { role: 'manager', clerkId: 'user_manager', name: 'Manager' };
+const driverA = { role: 'driver', clerkId: 'user_driver_a', id: 7, name: 'Driver A' };
+const driverB = { role: 'driver', clerkId: 'user_driver_b', id: 8, name: 'Driver B' };
+
+let pool;
+let machine;
+let createMaterialRequest;
+
+before(async () => {
+  if (skipWithoutDatabase) return;
+  pool = await useTestSchema('test_material_machine');
+  machine = await import('../utils/materialRequestStateMachine.js');
+  ({ createMaterialRequest } = await import('../utils/materialRequests.js'));
+});
+
+after(async () => {
+  await pool?.end();
+});
+
+// One approved item sourced to `driver` (by Clerk id or drivers.id)
+const sourcedItem = async (driverId) => {
+  const client = await pool.connect();
+  try {
+    const { requestId } = await createMaterialRequest(client, {
+      products: [{ id: 'P-1', code: 'P-1', name: 'Cups', requested_quantity: 5 }],
+      requestedBy: 'Store',
+    });
+    const item = await client.query('SELECT id FROM material_request_items WHERE request_id = $1', [requestId]);
+    const itemId = item.rows[0].id;
+    await machine.transitionMaterialItems(
+      client,
+      [
+        { itemId, action: 'approve', payload: {} },
+        { itemId, action: 'source', payload: { sourceType: 'driver', driverId, driverName: 'Driver' } },
+      ],
+      { user: manager }
+    );
+    return itemId;
+  } finally {
+    client.release();
+  }
+};
+
+const step = async (itemId, action, user, payload = {}) => {
+  const client = await pool.connect();
+  try {
+    return await machine.transitionMaterialItems(client, [{ itemId, action, payload }], { user });
+  } finally {
+    client.release();
+  }
+};
+
+test('a driver cannot dispatch or receive an item assigned to another driver', { skip: skipWithoutDatabase }, async () => {
+  const itemId = await sourcedItem(driverA.clerkId);
+
+  await assert.rejects(step(itemId, 'dispatch', driverB), { status: 403, reason: 'not_assigned_driver' });
+
+  await step(itemId, 'dispatch', driverA);
+  await assert.rejects(step(itemId, 'receive', driverB), { status: 403, reason: 'not_assigned_driver' });
+
+  const { items } = await step(itemId, 'receive', driverA);
+  assert.equal(items[0].status, 'received');
+});
+
+test('the assignment may name the driver by drivers.id', { skip: skipWithoutDatabase }, async () => {
+  const itemId = await sourcedItem(String(driverA.id));
+  const { items } = await step(itemId, 'dispatch', driverA);
+  assert.equal(items[0].status, 'in_transit');
+});
+
+test('storekeepers and managers are not limited to their own assignments', { skip: skipWithoutDatabase }, async () => {
+  const itemId = await sourcedItem(driverA.clerkId);
+  await step(itemId, 'dispatch', { role: 'storekeeper', clerkId: 'user_store' });
+  const { items } = await step(itemId, 'receive', manager);
+  assert.equal(items[0].status, 'received');
+});
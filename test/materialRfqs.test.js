@@ -0,0 +1,134 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { skipWithoutDatabase, useTestSchema } from './helpers/database.js';
+
+const manager = { role: 'manager', clerkId: 'user_manager', name: 'Manager' };
+const suppliers = [{ source: 'medad', supplierId: 'S-1', supplierName: 'Supplier' }];
+
+let pool;
+let rfqs;
+let machine;
+let createMaterialRequest;
+
+before(async () => {
+  if (skipWithoutDatabase) return;
+  pool = await useTestSchema('test_material_rfqs');
+  rfqs = await import('../utils/materialRfqs.js');
+  machine = await import('../utils/materialRequestStateMachine.js');
+  ({ createMaterialRequest } = await import('../utils/materialRequests.js'));
+  const client = await pool.connect();
+  try {
+    await rfqs.ensureRfqTables(client);
+  } finally {
+    client.release();
+  }
+});
+
+after(async () => {
+  await pool?.end();
+});
+
+const withClient = async (fn) => {
+  const client = await pool.connect();
+  try {
+    return await fn(client);
+  } finally {
+    client.release();
+  }
+};
+
+const approvedItem = () =>
+  withClient(async (client) => {
+    const { requestId } = await createMaterialRequest(client, {
+      products: [{ id: 'P-1', code: 'P-1', name: 'Cups', requested_quantity: 5 }],
+      requestedBy: 'Store',
+    });
+    const item = await client.query('SELECT id FROM material_request_items WHERE request_id = $1', [requestId]);
+    const itemId = item.rows[0].id;
+    await machine.transitionMaterialItems(client, [{ itemId, action: 'approve', payload: {} }], { user: manager });
+    return itemId;
+  });
+
+test('two RFQs opened at once over the same item put it on only one', { skip: skipWithoutDatabase, timeout: 10000 }, async () => {
+  const itemId = await approvedItem();
+
+  // Keep the first request from writing its lines until the second is waiting
+  // on the item it has locked
+  const holder = await pool.connect();
+  let results;
+  try {
+    await holder.query('BEGIN');
+    await holder.query('LOCK TABLE material_rfq_lines IN SHARE MODE');
+    const opening = [1, 2].map(() =>
+      withClient((client) => rfqs.createRfq(client, { itemIds: [itemId], suppliers, user: manager }))
+    );
+    // Polled outside the holder's transaction, which would keep reading one snapshot of the view
+    for (let waiting = 0; waiting < 2; ) {
+      const result = await pool.query(
+        "SELECT COUNT(*)::int AS count FROM pg_stat_activity WHERE wait_event_type = 'Lock' AND datname = current_database()"
+      );
+      waiting = result.rows[0].count;
+    }
+    await holder.query('COMMIT');
+    results = await Promise.allSettled(opening);
+  } finally {
+    holder.release();
+  }
+
+  assert.deepEqual(results.map((result) => result.status).sort(), ['fulfilled', 'rejected']);
+  const rejected = results.find((result) => result.status === 'rejected');
+  assert.equal(rejected.reason.reason, 'no_approved_items');
+  const lines = await pool.query('SELECT COUNT(*)::int AS count FROM material_rfq_lines WHERE material_request_item_id = $1', [itemId]);
+  assert.equal(lines.rows[0].count, 1);
+});
+
+test('the comparison flags the cheapest and fastest quote per line and leaves out declined suppliers', async () => {
+  const { buildRfqComparison } = await import('../utils/materialRfqs.js');
+  const comparison = buildRfqComparison({
+    rfq_no: 'RFQ-1',
+    status: 'open',
+    suppliers: [
+      { id: 1, source: 'medad', supplier_id: 'S-1', supplier_name: 'Alpha', status: 'quoted' },
+      { id: 2, source: 'local', supplier_id: '7', supplier_name: 'Beta', status: 'quoted' },
+      { id: 3, source: 'medad', supplier_id: 'S-3', supplier_name: 'Gamma', status: 'declined' },
+    ],
+    lines: [
+      { id: 10, material_request_item_id: 100, request_id: 5, product_code: 'P-1', description: 'Cups', quantity: '3' },
+      { id: 11, material_request_item_id: 101, request_id: 5, product_code: 'P-2', description: 'Lids', quantity: '10' },
+    ],
+    quotes: [
+      { rfq_line_id: 10, rfq_supplier_id: 1, unit_price: '2.335', lead_time_days: 5 },
+      { rfq_line_id: 10, rfq_supplier_id: 2, unit_price: '2.50', lead_time_days: 2 },
+      { rfq_line_id: 10, rfq_supplier_id: 3, unit_price: '1.00', lead_time_days: 1 },
+      { rfq_line_id: 11, rfq_supplier_id: 2, unit_price: '0.40', lead_time_days: null },
+    ],
+  });
+
+  const [cups, lids] = comparison.lines;
+  assert.deepEqual(
+    cups.quotes.map(({ supplierName, lineTotal, cheapest, fastest }) => [supplierName, lineTotal, cheapest, fastest]),
+    [
+      ['Alpha', 7.01, true, false],
+      ['Beta', 7.5, false, true],
+    ]
+  );
+  assert.deepEqual(
+    lids.quotes.map(({ supplierName, lineTotal, cheapest, fastest }) => [supplierName, lineTotal, cheapest, fastest]),
+    [['Beta', 4, true, false]]
+  );
+  assert.deepEqual(
+    comparison.suppliers.map(({ supplierName, quotedLines, coverage, total, maxLeadTimeDays, cheapestLines }) => [
+      supplierName,
+      quotedLines,
+      coverage,
+      total,
+      maxLeadTimeDays,
+      cheapestLines,
+    ]),
+    [
+      ['Alpha', 1, 0.5, 7.01, 5, 1],
+      ['Beta', 2, 1, 11.5, 2, 1],
+      ['Gamma', 0, 0, 0, null, 0],
+    ]
+  );
+});
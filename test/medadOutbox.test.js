@@ -0,0 +1,97 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createOrderTables, skipWithoutDatabase, useTestSchema } from './helpers/database.js';
+import { createFakeMedad } from '../dev/medad/server.js';
+import { MEDAD_ERROR_CODES } from '../utils/medadClient.js';
+
+let pool;
+let fake;
+let server;
+let medadUrl;
+let outbox;
+
+before(async () => {
+  if (skipWithoutDatabase) return;
+  pool = await useTestSchema('test_medad_outbox');
+  await createOrderTables(pool);
+
+  fake = createFakeMedad();
+  server = fake.app.listen(0);
+  medadUrl = `http://127.0.0.1:${server.address().port}`;
+  process.env.MEDAD_BASE_URL = medadUrl;
+  process.env.MEDAD_USERNAME = 'test';
+  process.env.MEDAD_PASSWORD = 'test';
+  process.env.MEDAD_SUBSCRIPTION_ID = 'test';
+  outbox = await import('../utils/medadOutbox.js');
+});
+
+after(async () => {
+  server?.close();
+  await pool?.end();
+});
+
+const queueInvoice = async () => {
+  const order = await pool.query(
+    "INSERT INTO orders (client_id, custom_id, medad_sync_status) VALUES (1, 'ORD-1', 'READY_FOR_MEDAD') RETURNING id"
+  );
+  const orderId = order.rows[0].id;
+  const client = await pool.connect();
+  try {
+    const entry = await outbox.enqueueMedadSync(client, {
+      kind: 'invoice',
+      idempotencyKey: `invoice:order:${orderId}`,
+      entityType: 'order',
+      entityId: orderId,
+      payload: { orderNo: orderId, customerId: 'C-1', Order_Detail: [{ lineNo: 1, quantity: 1 }] },
+    });
+    return { orderId, entryId: entry.id };
+  } finally {
+    client.release();
+  }
+};
+
+test('a 200 reply with success:false leaves the entry failed, not sent', { skip: skipWithoutDatabase }, async () => {
+  await fetch(`${medadUrl}/__fake/failures`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ method: 'POST', path: '/invoice', mode: 'logical', times: 1 }),
+  });
+  const { orderId, entryId } = await queueInvoice();
+
+  const entry = await outbox.deliverMedadSync(entryId);
+  assert.equal(entry.status, outbox.OUTBOX_STATUSES.DEAD);
+  assert.equal(entry.last_error_code, MEDAD_ERROR_CODES.REJECTED);
+  assert.equal(entry.sent_at, null);
+  assert.equal(fake.state.invoices.length, 0);
+
+  const order = await pool.query('SELECT medad_sync_status FROM orders WHERE id = $1', [orderId]);
+  assert.equal(order.rows[0].medad_sync_status, 'FAILED');
+});
+
+test('a failing write-back keeps the entry sent and is not pushed again', { skip: skipWithoutDatabase }, async () => {
+  await pool.query(`
+    CREATE FUNCTION refuse_update() RETURNS trigger LANGUAGE plpgsql AS $$
+    BEGIN RAISE EXCEPTION 'write-back refused'; END $$;
+    CREATE TRIGGER refuse_order_update BEFORE UPDATE ON orders FOR EACH ROW EXECUTE FUNCTION refuse_update();
+  `);
+  try {
+    const { orderId, entryId } = await queueInvoice();
+    const invoicesBefore = fake.state.invoices.length;
+
+    const entry = await outbox.deliverMedadSync(entryId);
+    assert.equal(entry.status, outbox.OUTBOX_STATUSES.SENT);
+    assert.equal(entry.last_error_code, outbox.WRITE_BACK_FAILED);
+    assert.match(entry.last_error, /write-back refused/);
+    assert.equal(fake.state.invoices.length, invoicesBefore + 1);
+
+    // Even once its lock would count as stale, the worker leaves a sent entry alone
+    await pool.query("UPDATE medad_outbox SET locked_at = NOW() - INTERVAL '1 hour' WHERE id = $1", [entryId]);
+    await outbox.processMedadOutbox();
+    assert.equal(fake.state.invoices.length, invoicesBefore + 1);
+
+    const order = await pool.query('SELECT medad_sync_status FROM orders WHERE id = $1', [orderId]);
+    assert.equal(order.rows[0].medad_sync_status, 'READY_FOR_MEDAD');
+  } finally {
+    await pool.query('DROP TRIGGER refuse_order_update ON orders; DROP FUNCTION refuse_update()');
+  }
+});
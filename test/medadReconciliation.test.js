@@ -0,0 +1,65 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createOrderTables, skipWithoutDatabase, useTestSchema } from './helpers/database.js';
+import { createFakeMedad } from '../dev/medad/server.js';
+
+let pool;
+let fake;
+let server;
+let runMedadReconciliation;
+
+before(async () => {
+  if (skipWithoutDatabase) return;
+  pool = await useTestSchema('test_medad_reconciliation');
+  await createOrderTables(pool);
+
+  fake = createFakeMedad();
+  server = fake.app.listen(0);
+  process.env.MEDAD_BASE_URL = `http://127.0.0.1:${server.address().port}`;
+  process.env.MEDAD_USERNAME = 'test';
+  process.env.MEDAD_PASSWORD = 'test';
+  process.env.MEDAD_SUBSCRIPTION_ID = 'test';
+  ({ runMedadReconciliation } = await import('../utils/medadReconciliation.js'));
+});
+
+after(async () => {
+  server?.close();
+  await pool?.end();
+});
+
+const daysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+
+// An order created `createdDaysAgo` and invoiced today, and Medad's copy of the
+// invoice, which lists the gross total and the tax but not always the net
+const sentInvoice = async ({ orderNumber, createdDaysAgo, net, tax, listsNet = true }) => {
+  await pool.query(
+    `INSERT INTO orders (order_number, total_price, medad_sync_status, medad_invoice_no, medad_synced_at, created_at)
+     VALUES ($1, $2, 'SENT_TO_MEDAD', $3, NOW(), NOW() - make_interval(days => $4))`,
+    [orderNumber, net, `INV-${orderNumber}`, createdDaysAgo]
+  );
+  fake.state.invoices.push({
+    invoiceNo: `INV-${orderNumber}`,
+    payload: {
+      orderNo: orderNumber,
+      orderDate: daysAgo(createdDaysAgo),
+      net: listsNet ? net : undefined,
+      total: net + tax,
+      totalTax: tax,
+    },
+    receivedAt: new Date().toISOString(),
+  });
+};
+
+test('invoices are picked by the day they were sent and compared net to net', { skip: skipWithoutDatabase }, async () => {
+  // Created long before the range, sent inside it
+  await sentInvoice({ orderNumber: 1, createdDaysAgo: 30, net: 100, tax: 15 });
+  await sentInvoice({ orderNumber: 2, createdDaysAgo: 0, net: 200, tax: 30 });
+  await sentInvoice({ orderNumber: 3, createdDaysAgo: 0, net: 300, tax: 45, listsNet: false });
+
+  const today = daysAgo(0);
+  const { run, issues } = await runMedadReconciliation({ from: today, to: today });
+  assert.equal(run.status, 'completed');
+  assert.deepEqual(issues, []);
+  assert.equal(run.summary.invoices.local, 3);
+  assert.equal(run.summary.invoices.matched, 3);
+});
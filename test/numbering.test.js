@@ -0,0 +1,57 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createOrderTables, skipWithoutDatabase, useTestSchema } from './helpers/database.js';
+
+const CREATES = 40;
+
+let pool;
+let numbering;
+
+before(async () => {
+  if (skipWithoutDatabase) return;
+  pool = await useTestSchema('test_numbering');
+  await createOrderTables(pool);
+  numbering = await import('../utils/numbering.js');
+});
+
+after(async () => {
+  await pool?.end();
+});
+
+// One order create: takes a number inside its own transaction and commits, or
+// rolls back when `fail` is set (the number must then go to someone else)
+const createOrder = async (fail) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const customId = await numbering.nextDocumentNumber(client, 'order');
+    await client.query('INSERT INTO orders (custom_id) VALUES ($1)', [customId]);
+    if (fail) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+    await client.query('COMMIT');
+    return customId;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+};
+
+test('parallel creates get unique numbers with no gaps, rollbacks included', { skip: skipWithoutDatabase }, async () => {
+  const results = await Promise.all(
+    Array.from({ length: CREATES }, (_, index) => createOrder(index % 5 === 4))
+  );
+  const committed = results.filter(Boolean);
+  assert.equal(committed.length, CREATES - CREATES / 5);
+  assert.equal(new Set(committed).size, committed.length);
+
+  const year = new Date().getFullYear();
+  const expected = committed.map((_, index) => numbering.formatDocumentNumber('order', index + 1, { year }));
+  assert.deepEqual([...committed].sort(), expected);
+
+  const stored = await pool.query('SELECT custom_id FROM orders ORDER BY custom_id');
+  assert.deepEqual(stored.rows.map((row) => row.custom_id), expected);
+});
@@ -0,0 +1,112 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import { createOrderTables, skipWithoutDatabase, useTestSchema } from './helpers/database.js';
+
+const manager = { role: 'manager', clerkId: 'user_manager', name: 'Manager' };
+const supervisor = { role: 'supervisor', clerkId: 'user_supervisor', name: 'Supervisor' };
+const storekeeper = { role: 'storekeeper', clerkId: 'user_store', name: 'Store' };
+const salesRep = { role: 'salesRep', clerkId: 'user_rep', name: 'Rep' };
+
+let pool;
+let server;
+let baseUrl;
+let transitionOrder;
+let heldQuantities;
+let listOrderReservations;
+
+before(async () => {
+  if (skipWithoutDatabase) return;
+  pool = await useTestSchema('test_order_edit');
+  await createOrderTables(pool);
+  ({ transitionOrder } = await import('../utils/orderStateMachine.js'));
+  ({ heldQuantities, listOrderReservations } = await import('../utils/stockReservations.js'));
+  const { default: singleOrderApi } = await import('../api/order/[id]+api.js');
+
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.user = salesRep;
+    next();
+  });
+  app.use('/api', singleOrderApi);
+  server = app.listen(0);
+  baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+});
+
+after(async () => {
+  server?.close();
+  await pool?.end();
+});
+
+const approvedOrder = async () => {
+  const order = await pool.query(
+    `INSERT INTO orders (client_id, username, warehouse_no, custom_id)
+     VALUES (1, 'Rep', '1', 'ORD-1') RETURNING id`
+  );
+  const orderId = order.rows[0].id;
+  await pool.query(
+    `INSERT INTO order_products (order_id, medad_product_no, description, quantity, price, vat, subtotal)
+     VALUES ($1, 'P-1', 'Cups', 5, 10, 7.5, 57.5)`,
+    [orderId]
+  );
+  return orderId;
+};
+
+const transition = async (orderId, action, user) => {
+  const client = await pool.connect();
+  try {
+    return await transitionOrder(client, orderId, action, { user });
+  } finally {
+    client.release();
+  }
+};
+
+const accept = async (orderId) => {
+  await transition(orderId, 'acceptManager', manager);
+  await transition(orderId, 'acceptSupervisor', supervisor);
+  return transition(orderId, 'acceptStorekeeper', storekeeper);
+};
+
+const held = async () => {
+  const client = await pool.connect();
+  try {
+    return await heldQuantities(client, '1', ['P-1']);
+  } finally {
+    client.release();
+  }
+};
+
+test('editing an accepted order releases its reservations so it can be accepted again', { skip: skipWithoutDatabase }, async () => {
+  const orderId = await approvedOrder();
+  await accept(orderId);
+  assert.deepEqual(await held(), { 'P-1': 5 });
+
+  const response = await fetch(`${baseUrl}/orders/${orderId}`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      client_id: 1,
+      delivery_date: '2026-11-01',
+      delivery_type: 'delivery',
+      products: [{ description: 'Cups', quantity: 3, price: 10 }],
+    }),
+  });
+  assert.equal(response.status, 200);
+  assert.deepEqual(await held(), {});
+
+  const { to } = await accept(orderId);
+  assert.equal(to, 'ready_for_delivery');
+  assert.deepEqual(await held(), { 'P-1': 3 });
+
+  const client = await pool.connect();
+  try {
+    const reservations = await listOrderReservations(client, orderId);
+    assert.deepEqual(
+      reservations.map((row) => [row.status, Number(row.quantity)]).sort(),
+      [['released', 5], ['reserved', 3]]
+    );
+  } finally {
+    client.release();
+  }
+});
@@ -0,0 +1,62 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PricingError, priceDocument, priceLine, roundMoney } from '../utils/pricing.js';
+
+test('amounts round half away from zero to the halala', () => {
+  assert.equal(roundMoney(1.005), 1.01);
+  assert.equal(roundMoney(2.675), 2.68);
+  assert.equal(roundMoney(-1.005), -1.01);
+  assert.equal(roundMoney('abc'), 0);
+});
+
+test('each line is rounded before it is added to the totals', () => {
+  // 3 x 0.335 = 1.005 rounds to 1.01 per line, so the net total is 2.02 where
+  // rounding the unrounded sum (2.01) would not tie back to the lines
+  const { lines, totals } = priceDocument([
+    { description: 'A', quantity: 3, price: 0.335 },
+    { description: 'B', quantity: 3, price: 0.335 },
+  ]);
+  assert.deepEqual(
+    lines.map(({ net, vat, gross }) => ({ net, vat, gross })),
+    [
+      { net: 1.01, vat: 0.15, gross: 1.16 },
+      { net: 1.01, vat: 0.15, gross: 1.16 },
+    ]
+  );
+  assert.deepEqual(totals, { total_price: 2.02, total_vat: 0.3, total_subtotal: 2.32 });
+});
+
+test('a mixed order taxes standard lines only, with the product master winning over the line', () => {
+  const rules = {
+    byId: new Map([['1', { category: 'S', rate: null }]]),
+    byCode: new Map([
+      ['EXP', { category: 'Z', rate: 0 }],
+      ['FIN', { category: 'E', rate: 0 }],
+    ]),
+  };
+  const { lines, totals } = priceDocument(
+    [
+      { product_id: 1, description: 'Cups', quantity: 2, price: 10, vat_category: 'E' },
+      { product_code: 'EXP', description: 'Export', quantity: 1, price: 50 },
+      { product_code: 'FIN', description: 'Fee', quantity: 1, price: 20, vat_category: 'S' },
+      { description: 'Free text', quantity: 1, price: 8, vat_category: 'zero-rated' },
+    ],
+    rules
+  );
+
+  assert.deepEqual(
+    lines.map(({ vatCategory, vatRate, vat }) => [vatCategory, vatRate, vat]),
+    [
+      ['S', 0.15, 3],
+      ['Z', 0, 0],
+      ['E', 0, 0],
+      ['Z', 0, 0],
+    ]
+  );
+  assert.deepEqual(totals, { total_price: 98, total_vat: 3, total_subtotal: 101 });
+});
+
+test('a negative price or a zero quantity is rejected', () => {
+  assert.throws(() => priceLine({ description: 'Cups', quantity: 1, price: -1 }), PricingError);
+  assert.throws(() => priceLine({ description: 'Cups', quantity: 0, price: 1 }), { reason: 'invalid_quantity' });
+});
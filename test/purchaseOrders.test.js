@@ -0,0 +1,77 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import './helpers/database.js';
+import { buildPurchaseOrderLines, buildPurchaseOrderPayload } from '../utils/purchaseOrders.js';
+
+const item = (overrides) => ({
+  id: 1,
+  request_id: 5,
+  product_id: 'P-1',
+  product_code: 'P-1',
+  product_name: 'Cups',
+  supplier_assigned_quantity: '4',
+  ...overrides,
+});
+
+test('each sourced item becomes a line priced by its first key that has a price', () => {
+  const lines = buildPurchaseOrderLines(
+    [
+      item({ id: 1, selection_key: 'sel-1' }),
+      item({ id: 2, product_id: 'P-2', product_code: null, product_name: 'Lids', supplier_assigned_quantity: '10' }),
+      item({ id: 3, product_id: 'P-3', product_code: 'C-3', product_name: 'Straws' }),
+    ],
+    { 'sel-1': '2.5', 'P-1': 9, 'P-2': 0, 3: '1.25' }
+  );
+
+  assert.deepEqual(
+    lines.map(({ product_code, description, quantity, price }) => [product_code, description, quantity, price]),
+    [
+      ['P-1', 'Cups', 4, 2.5],
+      ['P-2', 'Lids', 10, 0],
+      ['C-3', 'Straws', 4, 1.25],
+    ]
+  );
+});
+
+test('items without a price are rejected by key instead of being priced at 0', () => {
+  assert.throws(
+    () =>
+      buildPurchaseOrderLines(
+        [
+          item({ id: 1 }),
+          item({ id: 2, product_id: 'P-2', product_code: null }),
+          item({ id: 3, product_id: 'P-3', product_code: 'C-3' }),
+        ],
+        { 'P-1': 3, 'P-2': '', 'C-3': -1 }
+      ),
+    { status: 400, reason: 'missing_prices', details: { missingPrices: ['P-2', 'C-3'] } }
+  );
+  assert.throws(() => buildPurchaseOrderLines([item({})], null), { reason: 'missing_prices' });
+});
+
+test('the Medad payload carries the stored lines and totals', () => {
+  const payload = buildPurchaseOrderPayload({
+    po_no: 'PO-1',
+    supplier_id: 'S-1',
+    created_at: new Date('2026-03-01T10:00:00Z'),
+    expected_date: null,
+    warehouse_code: '0001',
+    notes: null,
+    total_price: '10.00',
+    total_vat: '1.50',
+    total_subtotal: '11.50',
+    lines: [{ product_code: 'P-1', description: 'Cups', quantity: '4', price: '2.50', vat_rate: '0.1500' }],
+  });
+
+  assert.deepEqual(payload, {
+    poNo: 'PO-1',
+    supplierId: 'S-1',
+    orderDate: '2026-03-01',
+    warehouseNo: '0001',
+    notes: '',
+    net: 10,
+    totalTax: 1.5,
+    total: 11.5,
+    PO_Detail: [{ productNo: 'P-1', description: 'Cups', quantity: 4, price: 2.5, vatRate: 0.15 }],
+  });
+});
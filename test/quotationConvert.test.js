@@ -0,0 +1,99 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import { createOrderTables, skipWithoutDatabase, useTestSchema } from './helpers/database.js';
+
+const repA = { role: 'salesRep', clerkId: 'user_rep_a', name: 'Rep A' };
+const repB = { role: 'salesRep', clerkId: 'user_rep_b', name: 'Rep B' };
+const supervisor = { role: 'supervisor', clerkId: 'user_supervisor', name: 'Supervisor' };
+
+let pool;
+let server;
+let baseUrl;
+let caller;
+
+before(async () => {
+  if (skipWithoutDatabase) return;
+  pool = await useTestSchema('test_quotation_convert');
+  await createOrderTables(pool);
+  const { default: convertApi } = await import('../api/quotation/convert+api.js');
+
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.user = caller;
+    next();
+  });
+  app.use('/api', convertApi);
+  server = app.listen(0);
+  baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+
+  await pool.query("INSERT INTO products (id, code, name) VALUES (42, 'P-42', 'Plates')");
+  await pool.query("INSERT INTO clients (id, company_name, username) VALUES (1, 'Client', 'Rep A')");
+});
+
+after(async () => {
+  server?.close();
+  await pool?.end();
+});
+
+const acceptedQuotation = async ({ username = 'Rep A' } = {}) => {
+  const quotation = await pool.query(
+    `INSERT INTO quotations (client_id, username, custom_id, manageraccept, supervisoraccept, warehouse_no)
+     VALUES (1, $1, 'NPQ-1', 'accepted', 'accepted', '1') RETURNING id`,
+    [username]
+  );
+  const quotationId = quotation.rows[0].id;
+  await pool.query(
+    `INSERT INTO quotation_products (quotation_id, description, quantity, price, vat, subtotal, product_id, medad_product_no)
+     VALUES ($1, 'Cups', 2, 10, 1.5, 11.5, NULL, 'P-1'),
+            ($1, 'Plates', 1, 20, 3, 23, 42, NULL)`,
+    [quotationId]
+  );
+  return quotationId;
+};
+
+const convert = async (quotationId, user) => {
+  caller = user;
+  const response = await fetch(`${baseUrl}/quotations/${quotationId}/convert-to-order`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: '{}',
+  });
+  return { status: response.status, body: await response.json() };
+};
+
+test('order lines keep the product identity of the quotation lines', { skip: skipWithoutDatabase }, async () => {
+  const quotationId = await acceptedQuotation();
+  const { status, body } = await convert(quotationId, repA);
+  assert.equal(status, 201);
+
+  const lines = await pool.query(
+    'SELECT description, product_id, medad_product_no FROM order_products WHERE order_id = $1 ORDER BY id',
+    [body.orderId]
+  );
+  assert.deepEqual(lines.rows, [
+    { description: 'Cups', product_id: null, medad_product_no: 'P-1' },
+    { description: 'Plates', product_id: 42, medad_product_no: 'P-42' },
+  ]);
+});
+
+test('a sales rep cannot convert another rep\'s quotation', { skip: skipWithoutDatabase }, async () => {
+  const quotationId = await acceptedQuotation({ username: 'Rep C' });
+  const denied = await convert(quotationId, repB);
+  assert.equal(denied.status, 403);
+  assert.equal(denied.body.reason, 'not_quotation_owner');
+
+  // Rep A owns the client, and supervisors are not limited to their own
+  assert.equal((await convert(quotationId, repA)).status, 201);
+  const other = await acceptedQuotation({ username: 'Rep C' });
+  assert.equal((await convert(other, supervisor)).status, 201);
+});
+
+test('an expired quotation cannot be converted', { skip: skipWithoutDatabase }, async () => {
+  const quotationId = await acceptedQuotation();
+  await pool.query('UPDATE quotations SET valid_until = CURRENT_DATE - 1 WHERE id = $1', [quotationId]);
+  const { status, body } = await convert(quotationId, repA);
+  assert.equal(status, 409);
+  assert.equal(body.reason, 'quotation_expired');
+});
@@ -0,0 +1,53 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createOrderTables, skipWithoutDatabase, useTestSchema } from './helpers/database.js';
+
+let pool;
+let expiry;
+
+before(async () => {
+  if (!skipWithoutDatabase) {
+    pool = await useTestSchema('test_quotation_expiry');
+    await createOrderTables(pool);
+  }
+  expiry = await import('../utils/quotationExpiry.js');
+});
+
+after(async () => {
+  await pool?.end();
+});
+
+const isoDate = (offsetDays) => {
+  const date = new Date();
+  date.setUTCDate(date.getUTCDate() + offsetDays);
+  return date.toISOString().split('T')[0];
+};
+
+test('resolveValidUntil keeps today or later and refuses past dates', () => {
+  assert.equal(expiry.resolveValidUntil(isoDate(0)), isoDate(0));
+  assert.equal(expiry.resolveValidUntil(isoDate(10)), isoDate(10));
+  assert.equal(expiry.resolveValidUntil(null), isoDate(expiry.QUOTATION_VALIDITY_DAYS));
+  assert.throws(() => expiry.resolveValidUntil(isoDate(-1)), {
+    name: 'QuotationValidityError',
+    status: 400,
+    reason: 'valid_until_in_past',
+  });
+});
+
+test('the expiry job also expires quotations whose client row is gone', { skip: skipWithoutDatabase }, async () => {
+  await expiry.ensureQuotationValidityColumns(pool);
+  await pool.query("INSERT INTO clients (id, username) VALUES (1, 'Rep A')");
+  await pool.query(
+    `INSERT INTO quotations (client_id, username, custom_id, valid_until)
+     VALUES (1, 'Rep A', 'NPQ-1', $1), (999, 'Rep B', 'NPQ-2', $1), (1, 'Rep A', 'NPQ-3', $2)`,
+    [isoDate(-1), isoDate(1)]
+  );
+
+  const expired = await expiry.expireOverdueQuotations();
+  assert.deepEqual(
+    expired.map((row) => [row.custom_id, row.owner_username]).sort(),
+    [['NPQ-1', 'Rep A'], ['NPQ-2', 'Rep B']]
+  );
+  const open = await pool.query("SELECT custom_id FROM quotations WHERE status IS DISTINCT FROM 'expired'");
+  assert.deepEqual(open.rows, [{ custom_id: 'NPQ-3' }]);
+});
@@ -0,0 +1,102 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createOrderTables, skipWithoutDatabase, useTestSchema } from './helpers/database.js';
+
+const manager = { role: 'manager', clerkId: 'user_manager', name: 'Manager' };
+
+let pool;
+let transfers;
+let reservations;
+
+before(async () => {
+  if (skipWithoutDatabase) return;
+  pool = await useTestSchema('test_stock_transfers');
+  await createOrderTables(pool);
+  await pool.query("CREATE TABLE drivers (id SERIAL PRIMARY KEY, name TEXT, clerk_id TEXT, fcm_token TEXT)");
+  await pool.query("INSERT INTO drivers (name, clerk_id) VALUES ('Driver', 'user_driver')");
+  transfers = await import('../utils/stockTransfers.js');
+  reservations = await import('../utils/stockReservations.js');
+});
+
+after(async () => {
+  await pool?.end();
+});
+
+const withClient = async (fn) => {
+  const client = await pool.connect();
+  try {
+    return await fn(client);
+  } finally {
+    client.release();
+  }
+};
+
+const requestTransfer = () =>
+  withClient((client) =>
+    transfers.createStockTransfer(client, {
+      fromWarehouse: '1',
+      toWarehouse: '2',
+      items: [{ productNo: 'P-1', quantity: 10 }],
+      user: manager,
+    })
+  );
+
+const step = (transfer, action, payload = {}) =>
+  withClient((client) => transfers.transitionStockTransfer(client, transfer.id, action, { user: manager, payload }));
+
+const heldAtSource = () => withClient((client) => reservations.heldQuantities(client, '1', ['P-1']));
+
+test('approved quantities are held at the source until the transfer is cancelled', { skip: skipWithoutDatabase }, async () => {
+  const transfer = await requestTransfer();
+  await step(transfer, 'approve', { items: [{ itemId: transfer.items[0].id, quantity: 6 }] });
+  assert.deepEqual(await heldAtSource(), { 'P-1': 6 });
+
+  await step(transfer, 'cancel');
+  assert.deepEqual(await heldAtSource(), {});
+});
+
+test('a received transfer holds what arrived until Medad books it', { skip: skipWithoutDatabase }, async () => {
+  const transfer = await requestTransfer();
+  const itemId = transfer.items[0].id;
+  await step(transfer, 'approve');
+  await step(transfer, 'assignDriver', { driverId: 'user_driver' });
+  await step(transfer, 'dispatch');
+  assert.deepEqual(await heldAtSource(), { 'P-1': 10 });
+
+  await step(transfer, 'receive', { items: [{ itemId, quantity: 8 }] });
+  assert.deepEqual(await heldAtSource(), { 'P-1': 8 });
+
+  await withClient((client) => reservations.markTransferStockBooked(client, transfer.id));
+  assert.deepEqual(await heldAtSource(), {});
+  const rows = await withClient((client) => reservations.listTransferReservations(client, transfer.id));
+  assert.deepEqual(rows.map((row) => [row.status, Number(row.quantity)]), [['consumed', 8]]);
+});
+
+test('the Medad transfer lists only what was received, dated on receipt', async () => {
+  const { buildTransferPayload } = await import('../utils/stockTransfers.js');
+  const payload = buildTransferPayload({
+    transfer_no: 'TRF-1',
+    from_warehouse: '0001',
+    to_warehouse: '0002',
+    note: null,
+    received_at: new Date('2026-03-01T10:00:00Z'),
+    items: [
+      { product_no: 'P-1', received_quantity: '8' },
+      { product_no: 'P-2', received_quantity: '0' },
+      { product_no: 'P-3', received_quantity: null },
+      { product_no: 'P-4', received_quantity: '2.5' },
+    ],
+  });
+
+  assert.deepEqual(payload, {
+    transferNo: 'TRF-1',
+    transferDate: '2026-03-01',
+    fromWarehouseNo: '0001',
+    toWarehouseNo: '0002',
+    notes: '',
+    Transfer_Detail: [
+      { productNo: 'P-1', quantity: 8 },
+      { productNo: 'P-4', quantity: 2.5 },
+    ],
+  });
+});
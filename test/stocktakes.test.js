@@ -0,0 +1,39 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import './helpers/database.js';
+import { lineVariance, summarizeStocktake } from '../utils/stocktakes.js';
+
+test('a line variance is counted minus system quantity, valued at the unit price', () => {
+  assert.deepEqual(lineVariance({ system_quantity: '10', counted_quantity: '8', unit_price: '2.5' }), {
+    variance: -2,
+    varianceValue: -5,
+  });
+  assert.deepEqual(lineVariance({ system_quantity: '4', counted_quantity: '6', unit_price: null }), {
+    variance: 2,
+    varianceValue: null,
+  });
+  assert.deepEqual(lineVariance({ system_quantity: '4', counted_quantity: null, unit_price: '1' }), {
+    variance: null,
+    varianceValue: null,
+  });
+});
+
+test('the summary separates uncounted lines, surplus and shortage', () => {
+  const summary = summarizeStocktake([
+    { system_quantity: '10', counted_quantity: '8', unit_price: '2.5' },
+    { system_quantity: '4', counted_quantity: '7', unit_price: '1' },
+    { system_quantity: '5', counted_quantity: '5', unit_price: '3' },
+    { system_quantity: '6', counted_quantity: '9', unit_price: null },
+    { system_quantity: '2', counted_quantity: null, unit_price: '1' },
+  ]);
+
+  assert.deepEqual(summary, {
+    lines: 5,
+    counted: 4,
+    uncounted: 1,
+    withVariance: 3,
+    surplus: 6,
+    shortage: 2,
+    varianceValue: -2,
+  });
+});
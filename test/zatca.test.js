@@ -0,0 +1,126 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createOrderTables, skipWithoutDatabase, useTestSchema } from './helpers/database.js';
+import { buildInvoiceXml, buildQrPayload, INITIAL_PIH, INVOICE_TYPES } from '../utils/zatca.js';
+import { documentTotals, priceStoredLine } from '../utils/pricing.js';
+
+let pool;
+let zatca;
+
+before(async () => {
+  if (skipWithoutDatabase) return;
+  pool = await useTestSchema('test_zatca');
+  await createOrderTables(pool);
+  await pool.query("INSERT INTO clients (company_name, tax_number) VALUES ('Buyer Co', '300000000000003')");
+  zatca = await import('../utils/zatca.js');
+});
+
+after(async () => {
+  await pool?.end();
+});
+
+const pricedOrder = async () => {
+  const order = await pool.query("INSERT INTO orders (client_id, custom_id) VALUES (1, 'ORD-1') RETURNING id");
+  const orderId = order.rows[0].id;
+  await pool.query(
+    `INSERT INTO order_products (order_id, medad_product_no, description, quantity, price, vat_category, vat_rate)
+     VALUES ($1, 'P-1', 'Cups', 5, 10, 'S', 0.15)`,
+    [orderId]
+  );
+  return orderId;
+};
+
+const issue = async (orderId) => {
+  const client = await pool.connect();
+  try {
+    return await zatca.issueOrderEInvoice(client, orderId);
+  } finally {
+    client.release();
+  }
+};
+
+test('each issued invoice is chained to the hash of the one before it', { skip: skipWithoutDatabase }, async () => {
+  const first = await issue(await pricedOrder());
+  const second = await issue(await pricedOrder());
+
+  assert.equal(first.counter, 1);
+  assert.equal(first.previousHash, INITIAL_PIH);
+  assert.equal(second.counter, 2);
+  assert.equal(second.previousHash, first.hash);
+  assert.notEqual(second.uuid, first.uuid);
+  assert.match(second.xml, new RegExp(`<cbc:ID>PIH</cbc:ID>.*${first.hash.replace(/[+/]/g, '\\$&')}`));
+});
+
+test('an issued invoice is stored once and read back unchanged', { skip: skipWithoutDatabase }, async () => {
+  const orderId = await pricedOrder();
+  assert.equal((await zatca.loadOrderEInvoice(pool, orderId)).issued, false);
+
+  const issued = await issue(orderId);
+  const reissued = await issue(orderId);
+  assert.equal(reissued.uuid, issued.uuid);
+  assert.equal(reissued.counter, issued.counter);
+  assert.deepEqual(await zatca.loadOrderEInvoice(pool, orderId), issued);
+});
+
+// [tag, value] pairs of a base64 TLV payload
+const decodeTlv = (payload) => {
+  const bytes = Buffer.from(payload, 'base64');
+  const fields = [];
+  for (let offset = 0; offset < bytes.length; ) {
+    const tag = bytes[offset];
+    const length = bytes[offset + 1];
+    fields.push([tag, bytes.subarray(offset + 2, offset + 2 + length).toString('utf8')]);
+    offset += 2 + length;
+  }
+  return fields;
+};
+
+test('the QR payload carries seller, VAT number, time and totals as tags 1-5', () => {
+  const payload = buildQrPayload({
+    sellerName: 'مؤسسة إتمام',
+    vatNumber: '310122393500003',
+    timestamp: new Date('2026-03-01T09:30:15.250Z'),
+    total: 115,
+    vatTotal: 15,
+  });
+
+  assert.deepEqual(decodeTlv(payload), [
+    [1, 'مؤسسة إتمام'],
+    [2, '310122393500003'],
+    [3, '2026-03-01T09:30:15Z'],
+    [4, '115.00'],
+    [5, '15.00'],
+  ]);
+});
+
+test('the invoice totals tie back to lines of every VAT category', () => {
+  const lines = [
+    { description: 'Cups', quantity: 3, price: 9.99, vat_category: 'S', vat_rate: 0.15 },
+    { description: 'Export', quantity: 2, price: 10, vat_category: 'Z' },
+    { description: 'Service', quantity: 1, price: 5.555, vat_category: 'E' },
+  ].map((row) => ({ ...priceStoredLine(row), description: row.description }));
+  const source = {
+    order: { id: 1, custom_id: 'ORD-1', einvoice_uuid: '00000000-0000-4000-8000-000000000000' },
+    lines,
+    totals: documentTotals(lines),
+    buyer: { name: 'Buyer Co', vatNumber: '300000000000003' },
+    seller: { name: 'Seller', vatNumber: '310122393500003' },
+  };
+
+  const xml = buildInvoiceXml(source, {
+    type: INVOICE_TYPES.STANDARD,
+    issuedAt: new Date('2026-03-01T09:30:15Z'),
+    counter: 7,
+    previousHash: INITIAL_PIH,
+  });
+
+  const amounts = (tag) => [...xml.matchAll(new RegExp(`<cbc:${tag} currencyID="SAR">([^<]+)<`, 'g'))].map((match) => match[1]);
+  assert.deepEqual(amounts('TaxableAmount'), ['29.97', '20.00', '5.56']);
+  assert.deepEqual(amounts('TaxExclusiveAmount'), ['55.53']);
+  assert.deepEqual(amounts('TaxInclusiveAmount'), ['60.03']);
+  assert.deepEqual(amounts('PayableAmount'), ['60.03']);
+  assert.match(xml, /<cbc:ID>S<\/cbc:ID><cbc:Percent>15\.00<\/cbc:Percent>/);
+  assert.match(xml, /<cbc:ID>E<\/cbc:ID><cbc:Percent>0\.00<\/cbc:Percent><cbc:TaxExemptionReasonCode>/);
+  assert.match(xml, /<cbc:ID>ICV<\/cbc:ID><cbc:UUID>7<\/cbc:UUID>/);
+  assert.doesNotMatch(xml, /<cbc:ID>QR<\/cbc:ID>/);
+});
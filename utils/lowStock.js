@@ -0,0 +1,279 @@
+import pkg from 'pg';
+import admin from '../firebase-init.js';
+import { medad } from './medadClient.js';
+import { ensureMedadProductTables } from './medadProductMirror.js';
+import { listKnownWarehouseCodes, loadWarehouseStock } from './medadStock.js';
+import { createMaterialRequest, normalizeMaterialProducts } from './materialRequests.js';
+
+// Compares stock with product_minimums every LOW_STOCK_CHECK_INTERVAL_MINUTES
+// (60) and keeps one open low_stock_alerts row per product below its minimum.
+// Stock is summed over LOW_STOCK_WAREHOUSES (comma separated, default every
+// warehouse in the Medad mirror); LOW_STOCK_SOURCE=local reads
+// products.quantity instead of Medad. Storekeepers and managers are notified
+// when an alert opens, not on every check.
+
+const { Pool } = pkg;
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  max: 5,
+  idleTimeoutMillis: 30000,
+  connectionTimeoutMillis: 10000,
+});
+
+pool.on('error', (err) => {
+  console.error('Unexpected error on idle low stock client:', err);
+});
+
+const CHECK_INTERVAL_MINUTES = Number(process.env.LOW_STOCK_CHECK_INTERVAL_MINUTES || 60);
+
+export const LOW_STOCK_STATUSES = { OPEN: 'open', RESOLVED: 'resolved' };
+
+export const ensureLowStockTables = async (client) => {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS product_minimums (
+      code TEXT PRIMARY KEY,
+      minimum_qty NUMERIC NOT NULL DEFAULT 0,
+      updated_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS low_stock_alerts (
+      id SERIAL PRIMARY KEY,
+      product_code TEXT NOT NULL,
+      product_name TEXT,
+      quantity NUMERIC NOT NULL,
+      minimum_qty NUMERIC NOT NULL,
+      source TEXT,
+      warehouses TEXT[],
+      status TEXT NOT NULL DEFAULT 'open',
+      material_request_id INT,
+      opened_at TIMESTAMPTZ DEFAULT NOW(),
+      updated_at TIMESTAMPTZ DEFAULT NOW(),
+      resolved_at TIMESTAMPTZ
+    )
+  `);
+  await client.query(
+    "CREATE UNIQUE INDEX IF NOT EXISTS low_stock_alerts_open_idx ON low_stock_alerts (product_code) WHERE status = 'open'"
+  );
+};
+
+const stockSource = () =>
+  process.env.LOW_STOCK_SOURCE === 'local' || !medad.isConfigured() ? 'local' : 'medad';
+
+// code -> { quantity, name } for the given product codes
+const loadLocalQuantities = async (client, codes) => {
+  const result = await client.query(
+    `SELECT code, MAX(name) AS name, COALESCE(SUM(NULLIF(quantity::text, '')::numeric), 0) AS quantity
+     FROM products
+     WHERE code = ANY($1::text[])
+     GROUP BY code`,
+    [codes]
+  );
+  const stock = Object.fromEntries(
+    result.rows.map((row) => [row.code, { quantity: Number(row.quantity) || 0, name: row.name }])
+  );
+  return { stock, warehouses: null };
+};
+
+const loadMedadQuantities = async (client, codes) => {
+  const configured = String(process.env.LOW_STOCK_WAREHOUSES || '')
+    .split(',')
+    .map((code) => code.trim())
+    .filter(Boolean)
+    .map((code) => code.padStart(4, '0'));
+  const warehouses = configured.length ? configured : await listKnownWarehouseCodes(client);
+  // Before the first product sync nothing is known; reading that as zero stock would alert on everything
+  if (warehouses.length === 0) return null;
+
+  const { stock: byWarehouse, errors } = await loadWarehouseStock(client, warehouses, { fresh: true });
+  for (const [code, message] of Object.entries(errors)) {
+    console.warn(`Low stock check used mirrored quantities for warehouse ${code}: ${message}`);
+  }
+
+  await ensureMedadProductTables(client);
+  const names = await client.query(
+    'SELECT product_no, description FROM medad_products WHERE product_no = ANY($1::text[])',
+    [codes]
+  );
+  const nameOf = Object.fromEntries(names.rows.map((row) => [row.product_no, row.description]));
+
+  const stock = {};
+  for (const code of codes) {
+    const quantity = warehouses.reduce((sum, warehouse) => sum + (byWarehouse[warehouse]?.[code] ?? 0), 0);
+    stock[code] = { quantity, name: nameOf[code] || null };
+  }
+  return { stock, warehouses };
+};
+
+const notifyLowStock = async (client, alerts) => {
+  const names = alerts.map((alert) => alert.product_name || alert.product_code);
+  const body = `${alerts.length} منتج تحت الحد الأدنى: ${names.slice(0, 3).join('، ')}${names.length > 3 ? '…' : ''}`;
+
+  const recipients = [
+    { table: 'Storekeepers', role: 'storekeeper' },
+    { table: 'Managers', role: 'manager' },
+  ];
+  for (const { table, role } of recipients) {
+    try {
+      const result = await client.query(`SELECT fcm_token FROM ${table} WHERE role = $1 AND active = TRUE`, [role]);
+      const tokens = result.rows.map((row) => row.fcm_token).filter(Boolean);
+      if (tokens.length === 0) {
+        console.warn(`No FCM tokens found for ${role}`);
+        continue;
+      }
+      await admin.messaging().sendEach(tokens.map((token) => ({
+        notification: { title: 'تنبيه انخفاض المخزون', body },
+        data: { role, type: 'low_stock', alertIds: alerts.map((alert) => alert.id).join(',') },
+        token,
+      })));
+    } catch (error) {
+      console.error(`Failed to send low stock FCM to ${role}:`, error);
+    }
+  }
+};
+
+/**
+ * Runs one check: opens or refreshes alerts for products below their minimum,
+ * resolves the ones back at or above it, and notifies about newly opened ones.
+ * Resolves to { opened, open, resolved }; skipped when no warehouse is known yet.
+ */
+export const checkLowStock = async () => {
+  const client = await pool.connect();
+  try {
+    await ensureLowStockTables(client);
+    const minimums = await client.query('SELECT code, minimum_qty FROM product_minimums WHERE minimum_qty > 0');
+    const codes = minimums.rows.map((row) => row.code);
+
+    const source = stockSource();
+    const loaded = codes.length === 0
+      ? { stock: {}, warehouses: null }
+      : source === 'local'
+        ? await loadLocalQuantities(client, codes)
+        : await loadMedadQuantities(client, codes);
+    if (!loaded) {
+      return { skipped: 'no_warehouses', opened: 0, open: 0, resolved: 0 };
+    }
+    const { stock, warehouses } = loaded;
+
+    const opened = [];
+    const low = [];
+    await client.query('BEGIN');
+    try {
+      for (const { code, minimum_qty: minimumQty } of minimums.rows) {
+        const quantity = stock[code]?.quantity ?? 0;
+        if (quantity >= Number(minimumQty)) continue;
+
+        low.push(code);
+        const result = await client.query(
+          `INSERT INTO low_stock_alerts (product_code, product_name, quantity, minimum_qty, source, warehouses)
+           VALUES ($1, $2, $3, $4, $5, $6)
+           ON CONFLICT (product_code) WHERE status = 'open' DO UPDATE
+             SET quantity = EXCLUDED.quantity,
+                 minimum_qty = EXCLUDED.minimum_qty,
+                 product_name = COALESCE(EXCLUDED.product_name, low_stock_alerts.product_name),
+                 source = EXCLUDED.source,
+                 warehouses = EXCLUDED.warehouses,
+                 updated_at = NOW()
+           RETURNING *, (xmax = 0) AS inserted`,
+          [code, stock[code]?.name || null, quantity, minimumQty, source, warehouses]
+        );
+        if (result.rows[0].inserted) opened.push(result.rows[0]);
+      }
+
+      const resolved = await client.query(
+        `UPDATE low_stock_alerts
+         SET status = 'resolved', resolved_at = NOW(), updated_at = NOW()
+         WHERE status = 'open' AND NOT (product_code = ANY($1::text[]))`,
+        [low]
+      );
+      await client.query('COMMIT');
+
+      if (opened.length > 0) {
+        await notifyLowStock(client, opened);
+      }
+      return { opened: opened.length, open: low.length, resolved: resolved.rowCount };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    }
+  } finally {
+    client.release();
+  }
+};
+
+export const listLowStockAlerts = async (client, { status = LOW_STOCK_STATUSES.OPEN } = {}) => {
+  await ensureLowStockTables(client);
+  const result = status === 'all'
+    ? await client.query('SELECT * FROM low_stock_alerts ORDER BY opened_at DESC LIMIT 500')
+    : await client.query('SELECT * FROM low_stock_alerts WHERE status = $1 ORDER BY opened_at DESC LIMIT 500', [status]);
+  return result.rows;
+};
+
+// Open alerts to put on a material request: the given ids, or every open
+// alert that has not been requested yet
+const alertsForRequest = async (client, alertIds) => {
+  await ensureLowStockTables(client);
+  const result = alertIds?.length
+    ? await client.query(
+      "SELECT * FROM low_stock_alerts WHERE status = 'open' AND id = ANY($1::int[]) ORDER BY product_code",
+      [alertIds]
+    )
+    : await client.query(
+      "SELECT * FROM low_stock_alerts WHERE status = 'open' AND material_request_id IS NULL ORDER BY product_code"
+    );
+  return result.rows;
+};
+
+/**
+ * Material request products for the alerts, asking for the shortfall up to
+ * each minimum; the same shape POST /requestMaterial accepts.
+ */
+export const buildLowStockRequestProducts = async (client, alertIds = null) => {
+  const alerts = await alertsForRequest(client, alertIds);
+  const products = alerts.map((alert) => ({
+    code: alert.product_code,
+    name: alert.product_name || alert.product_code,
+    quantity: Number(alert.quantity),
+    requestedQuantity: Math.max(0, Number(alert.minimum_qty) - Number(alert.quantity)),
+  }));
+  return { alerts, products };
+};
+
+/**
+ * Raises a material request for the alerts and links them to it.
+ * Resolves to { requestId, alerts, products }, or null when nothing is open.
+ */
+export const createLowStockMaterialRequest = async (client, { alertIds = null, note = null, requestedBy = null }) => {
+  const { alerts, products } = await buildLowStockRequestProducts(client, alertIds);
+  if (alerts.length === 0) return null;
+
+  const normalized = normalizeMaterialProducts(products);
+  await client.query('BEGIN');
+  try {
+    const { requestId } = await createMaterialRequest(client, {
+      products: normalized,
+      note: note || 'طلب تلقائي من تنبيهات انخفاض المخزون',
+      requestedBy,
+    });
+    await client.query(
+      'UPDATE low_stock_alerts SET material_request_id = $2, updated_at = NOW() WHERE id = ANY($1::int[])',
+      [alerts.map((alert) => alert.id), requestId]
+    );
+    await client.query('COMMIT');
+    return { requestId, alerts, products: normalized };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  }
+};
+
+export const startLowStockJob = () => {
+  const run = () =>
+    checkLowStock().catch((err) => console.error('Low stock check failed:', err));
+
+  run();
+  const timer = setInterval(run, CHECK_INTERVAL_MINUTES * 60 * 1000);
+  timer.unref();
+  return timer;
+};
@@ -0,0 +1,301 @@
+import { can } from '../middlewares/permissions.js';
+import { ensureMaterialRequestTables } from './materialRequests.js';
+
+// Material requests move item by item: pending -> approved -> sourced (from a
+// driver or a supplier) -> in_transit -> received, with partially_received in
+// between while receipts do not yet cover the sourced quantity. Any item not
+// yet in transit can be cancelled. The request's own status is never written
+// directly; it is recomputed from its items after every change.
+
+export const MATERIAL_ITEM_STATES = {
+  PENDING: 'pending',
+  APPROVED: 'approved',
+  SOURCED: 'sourced',
+  IN_TRANSIT: 'in_transit',
+  PARTIALLY_RECEIVED: 'partially_received',
+  RECEIVED: 'received',
+  CANCELLED: 'cancelled',
+};
+
+const {
+  PENDING,
+  APPROVED,
+  SOURCED,
+  IN_TRANSIT,
+  PARTIALLY_RECEIVED,
+  RECEIVED,
+  CANCELLED,
+} = MATERIAL_ITEM_STATES;
+
+export const MATERIAL_SOURCE_TYPES = ['driver', 'supplier'];
+
+// Request status when nothing has been received: the least advanced item
+const STAGE_ORDER = [PENDING, APPROVED, SOURCED, IN_TRANSIT];
+
+export class MaterialTransitionError extends Error {
+  constructor(status, reason, details = {}) {
+    super(reason);
+    this.name = 'MaterialTransitionError';
+    this.status = status;
+    this.reason = reason;
+    this.details = details;
+  }
+
+  toJSON() {
+    const error = {
+      400: 'Invalid material request update',
+      404: 'Material request item not found',
+      403: 'Forbidden',
+      409: 'Illegal material request transition',
+    }[this.status] || 'Material request transition failed';
+    return { error, reason: this.reason, ...this.details };
+  }
+}
+
+const positive = (value) => {
+  const quantity = Number(value);
+  return Number.isFinite(quantity) && quantity > 0 ? quantity : null;
+};
+
+/**
+ * Quantity an item is expected to arrive with: what was sourced, else what
+ * was approved, else what was asked for.
+ */
+export const itemTargetQuantity = (item) => {
+  const sourced = item.source_type === 'supplier' ? item.supplier_assigned_quantity : item.assigned_quantity;
+  return Number(sourced ?? item.approved_quantity ?? item.requested_quantity ?? 0);
+};
+
+/**
+ * Request status from its items: cancelled when every item is, completed
+ * when every remaining item is received, partially_received once anything has
+ * arrived, otherwise the stage of the least advanced item.
+ */
+export const deriveRequestStatus = (items) => {
+  const active = items.filter((item) => item.status !== CANCELLED);
+  if (items.length > 0 && active.length === 0) return CANCELLED;
+  if (active.length === 0) return PENDING;
+  if (active.every((item) => item.status === RECEIVED)) return 'completed';
+  if (active.some((item) => item.status === RECEIVED || item.status === PARTIALLY_RECEIVED)) return PARTIALLY_RECEIVED;
+  const stages = active.map((item) => STAGE_ORDER.indexOf(item.status)).filter((index) => index >= 0);
+  return STAGE_ORDER[stages.length ? Math.min(...stages) : 0];
+};
+
+// Drivers only move items assigned to them. assigned_driver_id holds what the
+// manager picked: the driver's Clerk id or their drivers.id.
+const assignedDriverGuard = (item, user) => {
+  if (user?.role !== 'driver') return null;
+  if (!item.assigned_driver_id) return 'item_not_assigned';
+  const own = [user.clerkId, user.id].filter((value) => value !== null && value !== undefined).map(String);
+  return own.includes(String(item.assigned_driver_id)) ? null : 'not_assigned_driver';
+};
+
+/**
+ * Item transitions. `permission` is checked against the role map, `from`
+ * lists the states the item may be in, `guard` (optional) returns a 403 reason
+ * for the caller, and `apply` validates the payload and returns
+ * { status, set, quantity } for the update and the event row.
+ */
+export const MATERIAL_ITEM_TRANSITIONS = {
+  // { quantity } the manager's approved quantity; re-approving amends it
+  approve: {
+    permission: 'material:approve',
+    from: [PENDING, APPROVED],
+    apply: (item, { quantity }) => {
+      const approved = quantity === undefined ? Number(item.requested_quantity) : positive(quantity);
+      if (!approved) throw new MaterialTransitionError(400, 'invalid_quantity', { quantity });
+      return { status: APPROVED, set: { approved_quantity: approved, assigned_quantity: approved }, quantity: approved };
+    },
+  },
+  // { sourceType: 'driver', driverId, driverName, driverEmail, quantity? }
+  // { sourceType: 'supplier', supplierId, supplierName, quantity? }
+  source: {
+    permission: 'material:approve',
+    from: [APPROVED],
+    apply: (item, payload) => {
+      if (!MATERIAL_SOURCE_TYPES.includes(payload.sourceType)) {
+        throw new MaterialTransitionError(400, 'invalid_source_type', { sourceType: payload.sourceType ?? null });
+      }
+      const quantity = payload.quantity === undefined || payload.quantity === null
+        ? Number(item.approved_quantity ?? item.requested_quantity)
+        : positive(payload.quantity);
+      if (!quantity) throw new MaterialTransitionError(400, 'invalid_quantity', { quantity: payload.quantity });
+
+      const set = payload.sourceType === 'driver'
+        ? {
+          source_type: 'driver',
+          assigned_quantity: quantity,
+          assigned_driver_id: payload.driverId ?? null,
+          assigned_driver_name: payload.driverName ?? null,
+          assigned_driver_email: payload.driverEmail ?? null,
+        }
+        : {
+          source_type: 'supplier',
+          supplier_assigned_quantity: quantity,
+          supplier_requested: true,
+          supplier_id: payload.supplierId ?? null,
+          supplier_name: payload.supplierName ?? null,
+        };
+      return { status: SOURCED, set, quantity };
+    },
+  },
+  dispatch: {
+    permission: 'material:dispatch',
+    from: [SOURCED],
+    guard: assignedDriverGuard,
+    apply: () => ({ status: IN_TRANSIT, set: {} }),
+  },
+  // { quantity? } received now, default the rest of the target quantity
+  receive: {
+    permission: 'material:receive',
+    from: [IN_TRANSIT, PARTIALLY_RECEIVED],
+    guard: assignedDriverGuard,
+    apply: (item, { quantity }) => {
+      const target = itemTargetQuantity(item);
+      const already = Number(item.received_quantity || 0);
+      const remaining = target - already;
+      const received = quantity === undefined || quantity === null ? remaining : positive(quantity);
+      if (!received || received > remaining) {
+        throw new MaterialTransitionError(400, 'invalid_quantity', { quantity: quantity ?? null, remaining });
+      }
+      const total = already + received;
+      return {
+        status: total >= target ? RECEIVED : PARTIALLY_RECEIVED,
+        set: { received_quantity: total, ...(total >= target ? { delivered_at: new Date() } : {}) },
+        quantity: received,
+      };
+    },
+  },
+  cancel: {
+    permission: 'material:approve',
+    from: [PENDING, APPROVED, SOURCED],
+    apply: () => ({ status: CANCELLED, set: {} }),
+  },
+};
+
+const buildSet = (columns) => {
+  const parts = [];
+  const params = [];
+  for (const [column, value] of Object.entries(columns)) {
+    params.push(value);
+    parts.push(`${column} = $${params.length + 1}`);
+  }
+  return { sql: parts.join(', '), params };
+};
+
+/**
+ * Applies `action` to one item. Must run inside the caller's transaction; the
+ * caller recomputes the request status afterwards (see
+ * refreshMaterialRequestStatus). Resolves to { item, from, to }; throws
+ * MaterialTransitionError.
+ */
+export const applyMaterialItemTransition = async (client, itemId, action, { user, payload = {} } = {}) => {
+  const transition = MATERIAL_ITEM_TRANSITIONS[action];
+  if (!transition) throw new MaterialTransitionError(400, 'unknown_action', { action });
+
+  if (!can(user?.role, transition.permission)) {
+    throw new MaterialTransitionError(403, user?.role ? 'role_not_permitted' : 'missing_role', { action });
+  }
+
+  const current = await client.query('SELECT * FROM material_request_items WHERE id = $1 FOR UPDATE', [itemId]);
+  if (current.rowCount === 0) {
+    throw new MaterialTransitionError(404, 'item_not_found', { action, itemId });
+  }
+  const before = current.rows[0];
+  const denied = transition.guard?.(before, user);
+  if (denied) {
+    throw new MaterialTransitionError(403, denied, { action, itemId: before.id });
+  }
+  const from = before.status || PENDING;
+  if (!transition.from.includes(from)) {
+    throw new MaterialTransitionError(409, 'illegal_transition', { action, from, itemId: before.id });
+  }
+
+  const { status, set, quantity = null } = transition.apply(before, payload);
+  const { sql, params } = buildSet({ ...set, status });
+  const updated = await client.query(
+    `UPDATE material_request_items SET ${sql}, status_updated_at = CURRENT_TIMESTAMP WHERE id = $1 RETURNING *`,
+    [itemId, ...params]
+  );
+
+  await client.query(
+    `INSERT INTO material_request_item_events
+       (item_id, request_id, action, from_status, to_status, quantity, actor_clerk_id, actor_role, actor_name, payload)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)`,
+    [
+      before.id,
+      before.request_id,
+      action,
+      from,
+      status,
+      quantity,
+      user?.clerkId || null,
+      user?.role || null,
+      user?.name || null,
+      Object.keys(payload).length ? JSON.stringify(payload) : null,
+    ]
+  );
+
+  return { item: updated.rows[0], from, to: status };
+};
+
+/**
+ * Writes the status derived from the request's items. Requests without items
+ * (request_all) keep the status they have. Resolves to the new status.
+ */
+export const refreshMaterialRequestStatus = async (client, requestId) => {
+  const items = await client.query('SELECT status FROM material_request_items WHERE request_id = $1', [requestId]);
+  if (items.rowCount === 0) return null;
+  const status = deriveRequestStatus(items.rows);
+  await client.query('UPDATE material_requests SET status = $2 WHERE id = $1 AND status IS DISTINCT FROM $2', [
+    requestId,
+    status,
+  ]);
+  return status;
+};
+
+/**
+ * Applies `steps` ([{ itemId, action, payload }]) in order inside the
+ * caller's transaction, then recomputes the touched requests.
+ * Resolves to { items, requests: [{ id, status }] }.
+ */
+export const applyMaterialSteps = async (client, steps, { user }) => {
+  const items = new Map();
+  for (const { itemId, action, payload } of steps) {
+    const { item } = await applyMaterialItemTransition(client, itemId, action, { user, payload });
+    items.set(item.id, item);
+  }
+
+  const requestIds = [...new Set([...items.values()].map((item) => item.request_id))];
+  const requests = [];
+  for (const requestId of requestIds) {
+    requests.push({ id: requestId, status: await refreshMaterialRequestStatus(client, requestId) });
+  }
+  return { items: [...items.values()], requests };
+};
+
+/**
+ * applyMaterialSteps in its own transaction: any illegal step rolls the whole
+ * batch back.
+ */
+export const transitionMaterialItems = async (client, steps, { user }) => {
+  await ensureMaterialRequestTables(client);
+  await client.query('BEGIN');
+  try {
+    const result = await applyMaterialSteps(client, steps, { user });
+    await client.query('COMMIT');
+    return result;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  }
+};
+
+export const listMaterialItemEvents = async (client, itemId) => {
+  await ensureMaterialRequestTables(client);
+  const result = await client.query(
+    'SELECT * FROM material_request_item_events WHERE item_id = $1 ORDER BY created_at ASC, id ASC',
+    [itemId]
+  );
+  return result.rows;
+};
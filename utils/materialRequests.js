@@ -0,0 +1,269 @@
+import { Pool } from 'pg';
+import admin from '../firebase-init.js';
+
+// Shared by the material request routes and the low-stock checker, so a
+// request raised from an alert goes through the same tables and manager
+// notification as one raised from the app.
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  max: 5,
+  idleTimeoutMillis: 30000,
+  connectionTimeoutMillis: 10000,
+});
+
+const executeWithRetry = async (fn, retries = 3, delay = 1000) => {
+  try {
+    return await fn();
+  } catch (error) {
+    if (retries > 0) {
+      await new Promise(resolve => setTimeout(resolve, delay));
+      return executeWithRetry(fn, retries - 1, delay * 2);
+    }
+    throw error;
+  }
+};
+
+const withTimeout = (promise, timeout) => {
+  const timeoutPromise = new Promise((_, reject) =>
+    setTimeout(() => reject(new Error('Database query timed out')), timeout)
+  );
+  return Promise.race([promise, timeoutPromise]);
+};
+
+export const ensureMaterialRequestTables = async client => {
+  const createSql = `
+    CREATE TABLE IF NOT EXISTS material_requests (
+      id SERIAL PRIMARY KEY,
+      products JSONB NOT NULL,
+      request_all BOOLEAN DEFAULT FALSE,
+      requested_by TEXT,
+      note TEXT,
+      status TEXT DEFAULT 'pending',
+      created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+    );
+  `;
+  await executeWithRetry(() => withTimeout(client.query(createSql), 10000));
+  const alterStatements = [
+    "ALTER TABLE material_requests ADD COLUMN IF NOT EXISTS assigned_driver_id TEXT",
+    "ALTER TABLE material_requests ADD COLUMN IF NOT EXISTS assigned_driver_name TEXT",
+    "ALTER TABLE material_requests ADD COLUMN IF NOT EXISTS assigned_driver_email TEXT",
+    "ALTER TABLE material_requests ADD COLUMN IF NOT EXISTS assigned_at TIMESTAMPTZ",
+    "ALTER TABLE material_requests ADD COLUMN IF NOT EXISTS manager_note TEXT",
+    "ALTER TABLE material_requests ADD COLUMN IF NOT EXISTS assigned_quantity NUMERIC",
+    "ALTER TABLE material_requests ADD COLUMN IF NOT EXISTS supplier_id TEXT",
+    "ALTER TABLE material_requests ADD COLUMN IF NOT EXISTS supplier_name TEXT",
+    "ALTER TABLE material_requests ADD COLUMN IF NOT EXISTS storekeeper_total_quantity NUMERIC",
+    "ALTER TABLE material_requests ADD COLUMN IF NOT EXISTS manager_quantities JSONB",
+    "ALTER TABLE material_requests ADD COLUMN IF NOT EXISTS supplier_requested BOOLEAN DEFAULT FALSE",
+    "ALTER TABLE material_requests ADD COLUMN IF NOT EXISTS supplier_requested_at TIMESTAMPTZ",
+    "ALTER TABLE material_requests ADD COLUMN IF NOT EXISTS supplier_requested_by TEXT"
+  ];
+  for (const sql of alterStatements) {
+    await executeWithRetry(() => withTimeout(client.query(sql), 10000));
+  }
+
+  const createItemsSql = `
+    CREATE TABLE IF NOT EXISTS material_request_items (
+      id SERIAL PRIMARY KEY,
+      request_id INT REFERENCES material_requests(id) ON DELETE CASCADE,
+      product_id TEXT,
+      product_code TEXT,
+      product_name TEXT,
+      section TEXT,
+      supplier TEXT,
+      company TEXT,
+      requested_quantity NUMERIC,
+      status TEXT DEFAULT 'pending',
+      assigned_driver_id TEXT,
+      assigned_driver_name TEXT,
+      assigned_driver_email TEXT,
+      assigned_quantity NUMERIC,
+      supplier_id TEXT,
+      supplier_name TEXT,
+      supplier_requested BOOLEAN DEFAULT FALSE,
+      supplier_assigned_quantity NUMERIC,
+      selection_key TEXT,
+      created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+    );
+    CREATE INDEX IF NOT EXISTS idx_material_request_items_request ON material_request_items(request_id);
+  `;
+  await executeWithRetry(() => withTimeout(client.query(createItemsSql), 10000));
+  const alterItemStatements = [
+    "ALTER TABLE material_request_items ADD COLUMN IF NOT EXISTS supplier_requested BOOLEAN DEFAULT FALSE",
+    "ALTER TABLE material_request_items ADD COLUMN IF NOT EXISTS supplier_assigned_quantity NUMERIC",
+    "ALTER TABLE material_request_items ADD COLUMN IF NOT EXISTS delivered_at TIMESTAMPTZ",
+    "ALTER TABLE material_request_items ADD COLUMN IF NOT EXISTS approved_quantity NUMERIC",
+    "ALTER TABLE material_request_items ADD COLUMN IF NOT EXISTS source_type TEXT",
+    "ALTER TABLE material_request_items ADD COLUMN IF NOT EXISTS received_quantity NUMERIC NOT NULL DEFAULT 0",
+    "ALTER TABLE material_request_items ADD COLUMN IF NOT EXISTS status_updated_at TIMESTAMPTZ"
+  ];
+  for (const sql of alterItemStatements) {
+    await executeWithRetry(() => withTimeout(client.query(sql), 10000));
+  }
+
+  const createEventsSql = `
+    CREATE TABLE IF NOT EXISTS material_request_item_events (
+      id SERIAL PRIMARY KEY,
+      item_id INT NOT NULL,
+      request_id INT NOT NULL,
+      action TEXT NOT NULL,
+      from_status TEXT,
+      to_status TEXT,
+      quantity NUMERIC,
+      actor_clerk_id TEXT,
+      actor_role TEXT,
+      actor_name TEXT,
+      payload JSONB,
+      created_at TIMESTAMPTZ DEFAULT NOW()
+    );
+    CREATE INDEX IF NOT EXISTS idx_material_request_item_events_item ON material_request_item_events(item_id, created_at);
+  `;
+  await executeWithRetry(() => withTimeout(client.query(createEventsSql), 10000));
+
+  // Statuses written before the per-item state machine, mapped onto its states
+  const migrateItemsSql = `
+    UPDATE material_request_items
+    SET
+      source_type = CASE status WHEN 'assigned' THEN 'driver' WHEN 'requested' THEN 'supplier' ELSE source_type END,
+      received_quantity = CASE
+        WHEN status IN ('completed', 'delivered', 'done', 'supplied')
+          THEN COALESCE(supplier_assigned_quantity, assigned_quantity, requested_quantity, 0)
+        ELSE received_quantity
+      END,
+      approved_quantity = COALESCE(approved_quantity, assigned_quantity, supplier_assigned_quantity),
+      status = CASE
+        WHEN status IN ('assigned', 'requested') THEN 'sourced'
+        WHEN status = 'ordered' THEN 'in_transit'
+        ELSE 'received'
+      END
+    WHERE status IN ('assigned', 'requested', 'ordered', 'completed', 'delivered', 'done', 'supplied')
+  `;
+  await executeWithRetry(() => withTimeout(client.query(migrateItemsSql), 10000));
+  const migrateRequestsSql = `
+    UPDATE material_requests
+    SET status = CASE
+      WHEN status IN ('assigned', 'requested') THEN 'sourced'
+      WHEN status = 'ordered' THEN 'in_transit'
+      ELSE 'completed'
+    END
+    WHERE status IN ('assigned', 'requested', 'ordered', 'delivered', 'done', 'supplied')
+  `;
+  await executeWithRetry(() => withTimeout(client.query(migrateRequestsSql), 10000));
+};
+
+export const sendNotificationToManagers = async (summary, count) => {
+  const client = await pool.connect();
+  try {
+    const result = await executeWithRetry(() =>
+      withTimeout(
+        client.query('SELECT fcm_token FROM Managers WHERE role = $1 AND active = TRUE', ['manager']),
+        10000
+      )
+    );
+
+    const tokens = result.rows.map(r => r.fcm_token).filter(Boolean);
+    if (!tokens.length) {
+      console.warn('⚠️ No FCM tokens found for managers. Skipping notification.');
+      return;
+    }
+
+    const body = `${summary}${count ? ` (${count})` : ''} بانتظار موافقتك.`;
+    const messages = tokens.map(token => ({
+      notification: {
+        title: 'طلب مواد جديد',
+        body,
+      },
+      data: {
+        role: 'manager',
+        type: 'material_request',
+      },
+      token,
+    }));
+
+    await admin.messaging().sendEach(messages);
+  } catch (err) {
+    console.error('🚨 Failed to send FCM messages to managers:', err);
+  } finally {
+    client.release();
+  }
+};
+
+const positiveQuantity = value => {
+  const qty = Number(value);
+  return Number.isFinite(qty) && qty > 0 ? qty : 0;
+};
+
+/**
+ * Maps the product shapes the app sends (local products, Medad products,
+ * previous request lines) to the stored material request product.
+ */
+export const normalizeMaterialProducts = products =>
+  Array.isArray(products)
+    ? products.map(p => {
+        const requested = positiveQuantity(p.requestedQuantity ?? p.requested_quantity ?? p.request_qty ?? p.requestQty ?? 0);
+        return {
+          id: p.id ?? p.productNo ?? p.code ?? null,
+          name: p.name ?? p.description ?? 'بدون اسم',
+          code: p.code ?? p.productNo ?? '',
+          quantity: Number(p.quantity ?? p.availableQuantity ?? p.qty ?? 0) || 0,
+          section: p.section_name ?? p.category ?? '',
+          supplier: p.supplier_name ?? p.vendorName ?? '',
+          company: p.company_name ?? p.vendorId ?? '',
+          requested_quantity: requested,
+          requestedQuantity: requested,
+        };
+      })
+    : [];
+
+/**
+ * Inserts a pending material request and one item row per product.
+ * `products` must already be normalized. Resolves to { requestId, createdAt }.
+ */
+export const createMaterialRequest = async (client, { products, requestAll = false, note = null, requestedBy = null }) => {
+  const storekeeperTotalQuantity = products.reduce((sum, p) => sum + (p.requested_quantity || 0), 0);
+  const storekeeperTotalQuantityValue = Number.isFinite(storekeeperTotalQuantity) ? storekeeperTotalQuantity : null;
+
+  await ensureMaterialRequestTables(client);
+
+  const insertSql = `
+    INSERT INTO material_requests (products, request_all, requested_by, note, status, storekeeper_total_quantity)
+    VALUES ($1, $2, $3, $4, 'pending', $5)
+    RETURNING id, created_at
+  `;
+  const insertParams = [JSON.stringify(products), requestAll, requestedBy, note, storekeeperTotalQuantityValue];
+  const result = await executeWithRetry(() => withTimeout(client.query(insertSql, insertParams), 10000));
+  const requestId = result.rows[0]?.id;
+
+  // also insert per-product rows for granular assignment
+  if (requestId && products.length) {
+    const itemValues = products.map(p => [
+      requestId,
+      p.id || p.code || null,
+      p.code || null,
+      p.name || 'بدون اسم',
+      p.section || null,
+      p.supplier || null,
+      p.company || null,
+      Number(p.requested_quantity || p.requestedQuantity || 0) || 0,
+      'pending',
+      p.code || p.id || null,
+    ]);
+
+    const valuesSql = itemValues
+      .map(
+        (_, idx) =>
+          `($${idx * 10 + 1}, $${idx * 10 + 2}, $${idx * 10 + 3}, $${idx * 10 + 4}, $${idx * 10 + 5}, $${idx * 10 + 6}, $${idx * 10 + 7}, $${idx * 10 + 8}, $${idx * 10 + 9}, $${idx * 10 + 10})`,
+      )
+      .join(', ');
+
+    const insertItemsSql = `
+      INSERT INTO material_request_items
+      (request_id, product_id, product_code, product_name, section, supplier, company, requested_quantity, status, selection_key)
+      VALUES ${valuesSql}
+    `;
+    await executeWithRetry(() => withTimeout(client.query(insertItemsSql, itemValues.flat()), 10000));
+  }
+
+  return { requestId, createdAt: result.rows[0]?.created_at };
+};
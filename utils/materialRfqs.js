@@ -0,0 +1,547 @@
+import { nextDocumentNumber } from './numbering.js';
+import { roundMoney } from './pricing.js';
+import { ensureMaterialRequestTables } from './materialRequests.js';
+import { MATERIAL_ITEM_STATES, applyMaterialSteps } from './materialRequestStateMachine.js';
+import { createPurchaseOrder } from './purchaseOrders.js';
+
+// Requests for quotation on approved material request items. The manager
+// invites several suppliers (local `suppliers` rows or Medad vendors), records
+// each one's unit price and lead time per line, compares them side by side and
+// awards lines. Awarding sources the items from the winning supplier and issues
+// one purchase order per winner, priced with its quotes.
+
+export const RFQ_STATUSES = {
+  OPEN: 'open',
+  PARTIALLY_AWARDED: 'partially_awarded',
+  AWARDED: 'awarded',
+  CANCELLED: 'cancelled',
+};
+
+const { OPEN, PARTIALLY_AWARDED, AWARDED, CANCELLED } = RFQ_STATUSES;
+
+export const RFQ_SUPPLIER_SOURCES = ['local', 'medad'];
+
+export const ensureRfqTables = async (client) => {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS material_rfqs (
+      id SERIAL PRIMARY KEY,
+      rfq_no TEXT UNIQUE,
+      status TEXT NOT NULL DEFAULT 'open',
+      request_ids INT[],
+      due_date DATE,
+      notes TEXT,
+      cancel_reason TEXT,
+      created_by TEXT,
+      created_by_name TEXT,
+      closed_at TIMESTAMPTZ,
+      created_at TIMESTAMPTZ DEFAULT NOW(),
+      updated_at TIMESTAMPTZ DEFAULT NOW()
+    )
+  `);
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS material_rfq_suppliers (
+      id SERIAL PRIMARY KEY,
+      rfq_id INT NOT NULL REFERENCES material_rfqs(id) ON DELETE CASCADE,
+      source TEXT NOT NULL,
+      supplier_id TEXT NOT NULL,
+      medad_supplier_id TEXT,
+      supplier_name TEXT,
+      phone_number TEXT,
+      status TEXT NOT NULL DEFAULT 'invited',
+      note TEXT,
+      quoted_at TIMESTAMPTZ,
+      UNIQUE (rfq_id, source, supplier_id)
+    )
+  `);
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS material_rfq_lines (
+      id SERIAL PRIMARY KEY,
+      rfq_id INT NOT NULL REFERENCES material_rfqs(id) ON DELETE CASCADE,
+      material_request_item_id INT NOT NULL,
+      request_id INT,
+      product_id TEXT,
+      product_code TEXT,
+      description TEXT,
+      quantity NUMERIC NOT NULL,
+      awarded_rfq_supplier_id INT,
+      purchase_order_id INT,
+      awarded_at TIMESTAMPTZ
+    )
+  `);
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS material_rfq_quotes (
+      id SERIAL PRIMARY KEY,
+      rfq_line_id INT NOT NULL REFERENCES material_rfq_lines(id) ON DELETE CASCADE,
+      rfq_supplier_id INT NOT NULL REFERENCES material_rfq_suppliers(id) ON DELETE CASCADE,
+      unit_price NUMERIC NOT NULL,
+      lead_time_days INT,
+      note TEXT,
+      quoted_by TEXT,
+      quoted_at TIMESTAMPTZ DEFAULT NOW(),
+      UNIQUE (rfq_line_id, rfq_supplier_id)
+    )
+  `);
+  await client.query(
+    'CREATE INDEX IF NOT EXISTS material_rfq_lines_item_idx ON material_rfq_lines (material_request_item_id)'
+  );
+};
+
+export class RfqError extends Error {
+  constructor(status, reason, details = {}) {
+    super(reason);
+    this.name = 'RfqError';
+    this.status = status;
+    this.reason = reason;
+    this.details = details;
+  }
+
+  toJSON() {
+    const error = {
+      400: 'Invalid RFQ update',
+      404: 'RFQ not found',
+      409: 'Illegal RFQ update',
+    }[this.status] || 'RFQ update failed';
+    return { error, reason: this.reason, ...this.details };
+  }
+}
+
+const toNumber = (value) => (value === null || value === undefined ? null : Number(value));
+
+export const loadRfq = async (client, id, { forUpdate = false } = {}) => {
+  await ensureRfqTables(client);
+  const result = await client.query(`SELECT * FROM material_rfqs WHERE id = $1${forUpdate ? ' FOR UPDATE' : ''}`, [id]);
+  if (result.rowCount === 0) return null;
+  const suppliers = await client.query('SELECT * FROM material_rfq_suppliers WHERE rfq_id = $1 ORDER BY id ASC', [id]);
+  const lines = await client.query('SELECT * FROM material_rfq_lines WHERE rfq_id = $1 ORDER BY id ASC', [id]);
+  const quotes = await client.query(
+    `SELECT q.*
+     FROM material_rfq_quotes q
+     JOIN material_rfq_lines l ON l.id = q.rfq_line_id
+     WHERE l.rfq_id = $1
+     ORDER BY q.id ASC`,
+    [id]
+  );
+  return { ...result.rows[0], suppliers: suppliers.rows, lines: lines.rows, quotes: quotes.rows };
+};
+
+export const listRfqs = async (client, { status = null, requestId = null, page = 1, limit = 50 } = {}) => {
+  await ensureRfqTables(client);
+  const conditions = [];
+  const values = [];
+  if (status) {
+    values.push(status);
+    conditions.push(`r.status = $${values.length}`);
+  }
+  if (requestId) {
+    values.push(Number(requestId));
+    conditions.push(`$${values.length} = ANY(r.request_ids)`);
+  }
+  const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+
+  const countResult = await client.query(`SELECT COUNT(*) AS count FROM material_rfqs r ${where}`, values);
+  const rowsResult = await client.query(
+    `SELECT r.*,
+            (SELECT COUNT(*) FROM material_rfq_lines l WHERE l.rfq_id = r.id) AS line_count,
+            (SELECT COUNT(*) FROM material_rfq_suppliers s WHERE s.rfq_id = r.id) AS supplier_count,
+            (SELECT COUNT(*) FROM material_rfq_suppliers s WHERE s.rfq_id = r.id AND s.status = 'quoted') AS quoted_count
+     FROM material_rfqs r
+     ${where}
+     ORDER BY r.created_at DESC, r.id DESC
+     LIMIT $${values.length + 1} OFFSET $${values.length + 2}`,
+    [...values, limit, (page - 1) * limit]
+  );
+  return { rfqs: rowsResult.rows, total: Number(countResult.rows[0].count) };
+};
+
+/**
+ * Side-by-side view of a loaded RFQ. Per line every supplier's quote with its
+ * line total, flagging the cheapest and the fastest; per supplier how many
+ * lines it quoted, its total over those lines and its longest lead time.
+ */
+export const buildRfqComparison = (rfq) => {
+  const supplierById = new Map(rfq.suppliers.map((supplier) => [supplier.id, supplier]));
+
+  const lines = rfq.lines.map((line) => {
+    const quantity = Number(line.quantity);
+    const quotes = rfq.quotes
+      .filter((quote) => quote.rfq_line_id === line.id && supplierById.get(quote.rfq_supplier_id)?.status !== 'declined')
+      .map((quote) => ({
+        rfqSupplierId: quote.rfq_supplier_id,
+        supplierName: supplierById.get(quote.rfq_supplier_id)?.supplier_name || null,
+        unitPrice: Number(quote.unit_price),
+        leadTimeDays: toNumber(quote.lead_time_days),
+        lineTotal: roundMoney(Number(quote.unit_price) * quantity),
+        note: quote.note,
+      }));
+
+    const lowest = quotes.length ? Math.min(...quotes.map((quote) => quote.unitPrice)) : null;
+    const leadTimes = quotes.map((quote) => quote.leadTimeDays).filter((days) => days !== null);
+    const fastest = leadTimes.length ? Math.min(...leadTimes) : null;
+
+    return {
+      lineId: line.id,
+      itemId: line.material_request_item_id,
+      requestId: line.request_id,
+      productCode: line.product_code,
+      description: line.description,
+      quantity,
+      awardedRfqSupplierId: line.awarded_rfq_supplier_id,
+      purchaseOrderId: line.purchase_order_id,
+      quotes: quotes.map((quote) => ({
+        ...quote,
+        cheapest: quote.unitPrice === lowest,
+        fastest: fastest !== null && quote.leadTimeDays === fastest,
+      })),
+    };
+  });
+
+  const suppliers = rfq.suppliers.map((supplier) => {
+    const quoted = lines.flatMap((line) => line.quotes.filter((quote) => quote.rfqSupplierId === supplier.id));
+    const leadTimes = quoted.map((quote) => quote.leadTimeDays).filter((days) => days !== null);
+    return {
+      rfqSupplierId: supplier.id,
+      source: supplier.source,
+      supplierId: supplier.supplier_id,
+      supplierName: supplier.supplier_name,
+      status: supplier.status,
+      quotedLines: quoted.length,
+      coverage: lines.length ? quoted.length / lines.length : 0,
+      total: roundMoney(quoted.reduce((sum, quote) => sum + quote.lineTotal, 0)),
+      maxLeadTimeDays: leadTimes.length ? Math.max(...leadTimes) : null,
+      cheapestLines: lines.filter((line) => line.quotes.some((quote) => quote.rfqSupplierId === supplier.id && quote.cheapest)).length,
+    };
+  });
+
+  return { rfqNo: rfq.rfq_no, status: rfq.status, lines, suppliers };
+};
+
+// [{ source, supplierId, supplierName?, medadSupplierId? }] -> rows to insert;
+// local suppliers are looked up so the name and phone come from our table
+const resolveSuppliers = async (client, suppliers) => {
+  if (!Array.isArray(suppliers) || suppliers.length === 0) {
+    throw new RfqError(400, 'suppliers_required');
+  }
+  const resolved = new Map();
+  for (const entry of suppliers) {
+    const source = entry?.source || 'medad';
+    const supplierId = String(entry?.supplierId ?? entry?.id ?? '').trim();
+    if (!RFQ_SUPPLIER_SOURCES.includes(source) || !supplierId) {
+      throw new RfqError(400, 'invalid_supplier', { supplier: entry ?? null });
+    }
+
+    let supplierName = entry.supplierName || entry.supplier_name || null;
+    let phoneNumber = entry.phoneNumber || entry.phone_number || null;
+    if (source === 'local') {
+      const local = await client.query('SELECT * FROM suppliers WHERE CAST(id AS TEXT) = $1', [supplierId]);
+      if (local.rowCount === 0) throw new RfqError(400, 'supplier_not_found', { source, supplierId });
+      supplierName = local.rows[0].company_name || local.rows[0].supplier_name || supplierName;
+      phoneNumber = local.rows[0].phone_number || phoneNumber;
+    }
+
+    resolved.set(`${source}:${supplierId}`, {
+      source,
+      supplierId,
+      medadSupplierId: source === 'medad' ? supplierId : entry.medadSupplierId ?? null,
+      supplierName,
+      phoneNumber,
+    });
+  }
+  return [...resolved.values()];
+};
+
+/**
+ * Opens an RFQ over the approved items of `requestIds` (or the given
+ * `itemIds`) that are not already out on another open RFQ. Quantities are the
+ * manager's approved quantities.
+ */
+export const createRfq = async (client, { requestIds = [], itemIds = [], suppliers, dueDate = null, notes = null, user }) => {
+  if (!requestIds.length && !itemIds.length) throw new RfqError(400, 'items_required');
+
+  await ensureMaterialRequestTables(client);
+  await ensureRfqTables(client);
+  await client.query('BEGIN');
+  try {
+    const invited = await resolveSuppliers(client, suppliers);
+    const locked = await client.query(
+      `SELECT id
+       FROM material_request_items
+       WHERE (request_id = ANY($1::int[]) OR id = ANY($2::int[]))
+         AND status = $3
+       ORDER BY id ASC
+       FOR UPDATE`,
+      [requestIds, itemIds, MATERIAL_ITEM_STATES.APPROVED]
+    );
+    // Checked only once the items are locked: this statement's snapshot then
+    // sees the lines of an RFQ opened concurrently over the same items
+    const items = await client.query(
+      `SELECT i.*
+       FROM material_request_items i
+       WHERE i.id = ANY($1::int[])
+         AND NOT EXISTS (
+           SELECT 1
+           FROM material_rfq_lines l
+           JOIN material_rfqs r ON r.id = l.rfq_id
+           WHERE l.material_request_item_id = i.id
+             AND l.awarded_at IS NULL
+             AND r.status IN ($2, $3)
+         )
+       ORDER BY i.request_id ASC, i.id ASC`,
+      [locked.rows.map((row) => row.id), OPEN, PARTIALLY_AWARDED]
+    );
+    if (items.rowCount === 0) throw new RfqError(400, 'no_approved_items');
+
+    const rfqNo = await nextDocumentNumber(client, 'rfq');
+    const created = await client.query(
+      `INSERT INTO material_rfqs (rfq_no, request_ids, due_date, notes, created_by, created_by_name)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING id`,
+      [
+        rfqNo,
+        [...new Set(items.rows.map((item) => item.request_id))],
+        dueDate,
+        notes,
+        user?.clerkId || null,
+        user?.name || null,
+      ]
+    );
+    const rfqId = created.rows[0].id;
+
+    for (const supplier of invited) {
+      await client.query(
+        `INSERT INTO material_rfq_suppliers (rfq_id, source, supplier_id, medad_supplier_id, supplier_name, phone_number)
+         VALUES ($1, $2, $3, $4, $5, $6)`,
+        [rfqId, supplier.source, supplier.supplierId, supplier.medadSupplierId, supplier.supplierName, supplier.phoneNumber]
+      );
+    }
+    for (const item of items.rows) {
+      await client.query(
+        `INSERT INTO material_rfq_lines
+           (rfq_id, material_request_item_id, request_id, product_id, product_code, description, quantity)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+        [
+          rfqId,
+          item.id,
+          item.request_id,
+          item.product_id,
+          item.product_code || item.product_id || null,
+          item.product_name,
+          Number(item.approved_quantity ?? item.requested_quantity),
+        ]
+      );
+    }
+
+    await client.query('COMMIT');
+    return loadRfq(client, rfqId);
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  }
+};
+
+const lockActiveRfq = async (client, id, action) => {
+  const rfq = await loadRfq(client, id, { forUpdate: true });
+  if (!rfq) throw new RfqError(404, 'rfq_not_found');
+  if (![OPEN, PARTIALLY_AWARDED].includes(rfq.status)) {
+    throw new RfqError(409, 'illegal_transition', { action, from: rfq.status });
+  }
+  return rfq;
+};
+
+/**
+ * Records one supplier's answer. `quotes` is [{ lineId, unitPrice,
+ * leadTimeDays?, note? }]; a null unitPrice withdraws the quote for that line.
+ * `declined: true` marks the supplier as not quoting at all.
+ */
+export const recordRfqQuotes = async (client, id, rfqSupplierId, { quotes = [], declined = false, note = null }, { user }) => {
+  await ensureRfqTables(client);
+  await client.query('BEGIN');
+  try {
+    const rfq = await lockActiveRfq(client, id, 'quote');
+    const supplier = rfq.suppliers.find((row) => row.id === Number(rfqSupplierId));
+    if (!supplier) throw new RfqError(404, 'supplier_not_invited', { rfqSupplierId });
+
+    if (declined) {
+      await client.query(
+        "UPDATE material_rfq_suppliers SET status = 'declined', note = COALESCE($2, note), quoted_at = NOW() WHERE id = $1",
+        [supplier.id, note]
+      );
+    } else {
+      if (!Array.isArray(quotes) || quotes.length === 0) throw new RfqError(400, 'quotes_required');
+      for (const entry of quotes) {
+        const lineId = Number(entry?.lineId ?? entry?.id);
+        const line = rfq.lines.find((row) => row.id === lineId);
+        if (!line) throw new RfqError(400, 'unknown_line', { lineId: entry?.lineId ?? null });
+        if (line.awarded_at) throw new RfqError(409, 'line_already_awarded', { lineId });
+
+        if (entry.unitPrice === null) {
+          await client.query('DELETE FROM material_rfq_quotes WHERE rfq_line_id = $1 AND rfq_supplier_id = $2', [
+            lineId,
+            supplier.id,
+          ]);
+          continue;
+        }
+        const unitPrice = Number(entry.unitPrice);
+        const leadTimeDays = entry.leadTimeDays === undefined || entry.leadTimeDays === null ? null : Number(entry.leadTimeDays);
+        if (!Number.isFinite(unitPrice) || unitPrice < 0 || (leadTimeDays !== null && !(Number.isInteger(leadTimeDays) && leadTimeDays >= 0))) {
+          throw new RfqError(400, 'invalid_quote', { quote: entry });
+        }
+        await client.query(
+          `INSERT INTO material_rfq_quotes (rfq_line_id, rfq_supplier_id, unit_price, lead_time_days, note, quoted_by)
+           VALUES ($1, $2, $3, $4, $5, $6)
+           ON CONFLICT (rfq_line_id, rfq_supplier_id) DO UPDATE
+             SET unit_price = EXCLUDED.unit_price,
+                 lead_time_days = EXCLUDED.lead_time_days,
+                 note = EXCLUDED.note,
+                 quoted_by = EXCLUDED.quoted_by,
+                 quoted_at = NOW()`,
+          [lineId, supplier.id, unitPrice, leadTimeDays, entry.note || null, user?.clerkId || null]
+        );
+      }
+      await client.query(
+        "UPDATE material_rfq_suppliers SET status = 'quoted', note = COALESCE($2, note), quoted_at = NOW() WHERE id = $1",
+        [supplier.id, note]
+      );
+    }
+
+    await client.query('UPDATE material_rfqs SET updated_at = NOW() WHERE id = $1', [rfq.id]);
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  }
+  return loadRfq(client, id);
+};
+
+const addDays = (days) => {
+  const date = new Date();
+  date.setDate(date.getDate() + days);
+  return date.toISOString().slice(0, 10);
+};
+
+/**
+ * Awards lines: `awards` is [{ lineId, rfqSupplierId }], or `rfqSupplierId`
+ * alone awards that supplier every open line it quoted. Each winner's items are
+ * sourced from it and get one purchase order at the quoted prices, expected
+ * after its longest lead time. Resolves to { rfq, purchaseOrders, outboxIds };
+ * the caller delivers the outbox entries after this returns.
+ */
+export const awardRfq = async (client, id, { awards = null, rfqSupplierId = null }, { user }) => {
+  await ensureRfqTables(client);
+  await client.query('BEGIN');
+  try {
+    const rfq = await lockActiveRfq(client, id, 'award');
+    const quoteFor = (lineId, supplierId) =>
+      rfq.quotes.find((quote) => quote.rfq_line_id === lineId && quote.rfq_supplier_id === supplierId);
+
+    const requested = Array.isArray(awards) && awards.length
+      ? awards.map((entry) => ({ lineId: Number(entry?.lineId), rfqSupplierId: Number(entry?.rfqSupplierId) }))
+      : rfqSupplierId
+        ? rfq.lines
+          .filter((line) => !line.awarded_at && quoteFor(line.id, Number(rfqSupplierId)))
+          .map((line) => ({ lineId: line.id, rfqSupplierId: Number(rfqSupplierId) }))
+        : [];
+    if (requested.length === 0) throw new RfqError(400, 'awards_required');
+
+    const groups = new Map();
+    for (const { lineId, rfqSupplierId: supplierId } of requested) {
+      const line = rfq.lines.find((row) => row.id === lineId);
+      if (!line) throw new RfqError(400, 'unknown_line', { lineId });
+      if (line.awarded_at) throw new RfqError(409, 'line_already_awarded', { lineId });
+      const supplier = rfq.suppliers.find((row) => row.id === supplierId);
+      if (!supplier) throw new RfqError(400, 'supplier_not_invited', { rfqSupplierId: supplierId });
+      const quote = quoteFor(lineId, supplierId);
+      if (!quote || supplier.status === 'declined') {
+        throw new RfqError(409, 'no_quote', { lineId, rfqSupplierId: supplierId });
+      }
+      if (!groups.has(supplierId)) groups.set(supplierId, { supplier, entries: [] });
+      if (groups.get(supplierId).entries.some((entry) => entry.line.id === lineId)) continue;
+      groups.get(supplierId).entries.push({ line, quote });
+    }
+    const awardedLines = [...groups.values()].flatMap((group) => group.entries.map((entry) => entry.line.id));
+    if (new Set(awardedLines).size !== awardedLines.length) throw new RfqError(400, 'line_awarded_twice');
+
+    const purchaseOrders = [];
+    const outboxIds = [];
+    for (const { supplier, entries } of groups.values()) {
+      const supplierId = supplier.medad_supplier_id || supplier.supplier_id;
+      const steps = entries.map(({ line }) => ({
+        itemId: line.material_request_item_id,
+        action: 'source',
+        payload: {
+          sourceType: 'supplier',
+          supplierId,
+          supplierName: supplier.supplier_name,
+          quantity: Number(line.quantity),
+          rfqId: rfq.id,
+        },
+      }));
+      const { items } = await applyMaterialSteps(client, steps, { user });
+
+      const prices = Object.fromEntries(entries.map(({ line, quote }) => [line.material_request_item_id, Number(quote.unit_price)]));
+      const leadTimes = entries.map(({ quote }) => quote.lead_time_days).filter((days) => days !== null);
+      const { purchaseOrder, outboxId } = await createPurchaseOrder(client, {
+        items,
+        supplierId,
+        supplierName: supplier.supplier_name,
+        prices,
+        expectedDate: leadTimes.length ? addDays(Math.max(...leadTimes)) : null,
+        notes: `RFQ ${rfq.rfq_no}`,
+        user,
+      });
+      purchaseOrders.push(purchaseOrder);
+      outboxIds.push(outboxId);
+
+      await client.query(
+        `UPDATE material_rfq_lines
+         SET awarded_rfq_supplier_id = $2, purchase_order_id = $3, awarded_at = NOW()
+         WHERE id = ANY($1::int[])`,
+        [entries.map(({ line }) => line.id), supplier.id, purchaseOrder.id]
+      );
+      await client.query(
+        `UPDATE material_requests
+         SET supplier_requested = TRUE,
+             supplier_requested_at = CURRENT_TIMESTAMP,
+             supplier_requested_by = COALESCE($2, supplier_requested_by)
+         WHERE id = ANY($1::int[])`,
+        [[...new Set(items.map((item) => item.request_id))], user?.name || null]
+      );
+    }
+
+    const open = rfq.lines.filter((line) => !line.awarded_at && !awardedLines.includes(line.id)).length;
+    await client.query(
+      `UPDATE material_rfqs
+       SET status = $2, closed_at = CASE WHEN $3 THEN NOW() ELSE closed_at END, updated_at = NOW()
+       WHERE id = $1`,
+      [rfq.id, open === 0 ? AWARDED : PARTIALLY_AWARDED, open === 0]
+    );
+    await client.query('COMMIT');
+    return { rfq: await loadRfq(client, rfq.id), purchaseOrders, outboxIds };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  }
+};
+
+/**
+ * Closes an RFQ without awarding its open lines; their items stay approved
+ * and can go out on a new RFQ or straight to a supplier. Lines already awarded
+ * keep their purchase orders.
+ */
+export const cancelRfq = async (client, id, { reason = null } = {}) => {
+  await ensureRfqTables(client);
+  await client.query('BEGIN');
+  try {
+    const rfq = await lockActiveRfq(client, id, 'cancel');
+    await client.query(
+      `UPDATE material_rfqs
+       SET status = $2, cancel_reason = $3, closed_at = NOW(), updated_at = NOW()
+       WHERE id = $1`,
+      [rfq.id, CANCELLED, reason]
+    );
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  }
+  return loadRfq(client, id);
+};
@@ -1,5 +1,4 @@
-let cachedToken = null;
-let tokenExpiry = 0;
+import { medad } from './medadClient.js';
 
 const isNonEmpty = value => value !== undefined && value !== null && String(value).trim() !== '';
 
@@ -8,61 +7,7 @@ const pickFirst = (...values) => values.find(isNonEmpty);
 const compact = obj =>
   Object.fromEntries(Object.entries(obj).filter(([, value]) => isNonEmpty(value)));
 
-const parseJsonSafe = async response => {
-  const text = await response.text();
-  if (!text) return null;
-  try {
-    return JSON.parse(text);
-  } catch {
-    return { raw: text };
-  }
-};
-
-const hasMedadConfig = () =>
-  isNonEmpty(process.env.MEDAD_BASE_URL) &&
-  isNonEmpty(process.env.MEDAD_USERNAME) &&
-  isNonEmpty(process.env.MEDAD_PASSWORD) &&
-  isNonEmpty(process.env.MEDAD_SUBSCRIPTION_ID);
-
-export const getMedadToken = async () => {
-  if (!hasMedadConfig()) {
-    throw new Error('Medad integration is not configured on server');
-  }
-
-  if (cachedToken && Date.now() < tokenExpiry) return cachedToken;
-
-  const payload = {
-    username: process.env.MEDAD_USERNAME,
-    password: process.env.MEDAD_PASSWORD,
-    subscriptionId: process.env.MEDAD_SUBSCRIPTION_ID,
-    branch: Number(process.env.MEDAD_BRANCH),
-    year: process.env.MEDAD_YEAR,
-  };
-
-  const response = await fetch(`${process.env.MEDAD_BASE_URL}/getToken`, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      Accept: 'application/json',
-    },
-    body: JSON.stringify(payload),
-  });
-
-  const data = await parseJsonSafe(response);
-  if (!response.ok) {
-    throw new Error(`Medad token request failed: ${JSON.stringify(data)}`);
-  }
-
-  const token = data?.token || data?.access_token || data?.data?.token;
-  if (!token) throw new Error('Medad token not found in response');
-
-  const expiresIn = Number(data?.expiresIn || data?.expires_in || 3600);
-  cachedToken = token;
-  tokenExpiry = Date.now() + (expiresIn - 60) * 1000;
-  return cachedToken;
-};
-
-const normalizeMedadCustomerId = body =>
+export const normalizeMedadCustomerId = body =>
   pickFirst(
     body?.id,
     body?.customerId,
@@ -78,7 +23,10 @@ const normalizeMedadCustomerId = body =>
     body?.result?.customerId,
   );
 
-export const createMedadCustomer = async ({
+/**
+ * Medad customer/vendor body for the local client or supplier fields.
+ */
+export const buildMedadCustomerPayload = ({
   accountType,
   companyName,
   contactName,
@@ -92,10 +40,8 @@ export const createMedadCustomer = async ({
   salesmanId,
   salesmanName,
   warehouseNo,
-}) => {
-  const token = await getMedadToken();
-
-  const payload = compact({
+}) =>
+  compact({
     accountType: String(accountType),
     customerName: companyName,
     name: companyName,
@@ -114,26 +60,11 @@ export const createMedadCustomer = async ({
     warehouseNo,
   });
 
-  const response = await fetch(`${process.env.MEDAD_BASE_URL}/customers`, {
-    method: 'POST',
-    headers: {
-      Authorization: `Bearer ${token}`,
-      'Content-Type': 'application/json',
-      Accept: 'application/json',
-    },
-    body: JSON.stringify(payload),
-  });
-
-  const body = await parseJsonSafe(response);
-  const logicalFailure =
-    body?.success === false ||
-    !!body?.error ||
-    !!body?.errors ||
-    (typeof body?.message === 'string' && /(validation|exception|error|failed|invalid)/i.test(body.message));
+export const createMedadCustomer = async (fields) => {
+  const payload = buildMedadCustomerPayload(fields);
 
-  if (!response.ok || logicalFailure) {
-    throw new Error(`Medad customer create failed: ${JSON.stringify(body)}`);
-  }
+  // Throws MedadError (reason `rejected`) when Medad answers with a failure body
+  const body = await medad.createCustomer(payload);
 
   return {
     payload,
@@ -142,3 +73,32 @@ export const createMedadCustomer = async ({
   };
 };
 
+/**
+ * Records the local client <-> Medad customer mapping used by the invoice sync,
+ * unless that pair is already linked.
+ */
+export const linkClientToMedadCustomer = async (client, link) => {
+  await client.query(
+    `INSERT INTO client_medad_customers (
+       client_id, medad_customer_id, vat_no, branch_name, phone, address1, address2, city, region, is_default
+     )
+     SELECT $1, $2, $3, $4, $5, $6, $7, $8, $9, TRUE
+     WHERE NOT EXISTS (
+       SELECT 1
+       FROM client_medad_customers
+       WHERE CAST(client_id AS TEXT) = CAST($1 AS TEXT)
+         AND CAST(medad_customer_id AS TEXT) = CAST($2 AS TEXT)
+     )`,
+    [
+      link.clientId,
+      link.medadCustomerId,
+      link.vatNo,
+      link.branchName || null,
+      link.phone || null,
+      link.address1 || null,
+      link.address2 || null,
+      link.city || null,
+      link.region || null,
+    ]
+  );
+};
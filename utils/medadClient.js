@@ -0,0 +1,391 @@
+// One client for the Medad ERP API. Routes share the `medad` instance, and with
+// it one token cache; a token Medad no longer accepts is refreshed once on 401.
+// Every call has a timeout and failures surface as MedadError.
+
+export const MEDAD_ERROR_CODES = {
+  NOT_CONFIGURED: 'not_configured',
+  TIMEOUT: 'timeout',
+  NETWORK: 'network_error',
+  AUTH: 'auth_failed',
+  HTTP: 'http_error',
+  REJECTED: 'rejected',
+};
+
+export class MedadError extends Error {
+  constructor(code, message, { status = null, path = null, details = null, text = null } = {}) {
+    super(message);
+    this.name = 'MedadError';
+    this.code = code;
+    this.status = status;
+    this.path = path;
+    this.details = details;
+    this.text = text;
+  }
+
+  toJSON() {
+    return { error: this.message, reason: this.code, status: this.status, details: this.details };
+  }
+}
+
+/**
+ * Status a route should answer with for a MedadError. Medad's 4xx passes through,
+ * except auth failures which are ours (502) and not the app user's.
+ */
+export const medadErrorStatus = (error) => {
+  switch (error?.code) {
+    case MEDAD_ERROR_CODES.TIMEOUT:
+      return 504;
+    case MEDAD_ERROR_CODES.NETWORK:
+    case MEDAD_ERROR_CODES.AUTH:
+      return 502;
+    case MEDAD_ERROR_CODES.REJECTED:
+      return 422;
+    case MEDAD_ERROR_CODES.HTTP:
+      return error.status >= 400 && error.status < 500 ? error.status : 502;
+    default:
+      return 500;
+  }
+};
+
+const DEFAULT_TIMEOUT_MS = Number(process.env.MEDAD_TIMEOUT_MS) || 15000;
+const DEFAULT_PAGE_SIZE = 100; // Medad max limit per docs
+
+const isNonEmpty = (value) => value !== undefined && value !== null && String(value).trim() !== '';
+
+const parseBody = (text) => {
+  if (!text) return null;
+  try {
+    return JSON.parse(text);
+  } catch {
+    return { raw: text };
+  }
+};
+
+// Medad answers 200 with an error body for some validation failures
+const isLogicalFailure = (body) =>
+  body?.success === false ||
+  !!body?.error ||
+  !!body?.errors ||
+  (typeof body?.message === 'string' && /(validation|exception|error|failed|invalid)/i.test(body.message));
+
+/**
+ * Rows of a list response, whatever key Medad wrapped them in.
+ */
+export const medadItems = (data) => {
+  const raw = data?.customers || data?.items || data?.data || (Array.isArray(data) ? data : []);
+  return Array.isArray(raw) ? raw : [];
+};
+
+const medadTotalPages = (data) => data?.total_pages || data?.totalPages || data?.totalpages || null;
+
+export class MedadClient {
+  /**
+   * Options default to the MEDAD_* environment variables, read on each call so
+   * a changed MEDAD_BASE_URL (e.g. the dev fake server) is picked up.
+   */
+  constructor(options = {}) {
+    this.options = options;
+    this.token = null;
+    this.tokenExpiry = 0;
+    this.pendingToken = null;
+  }
+
+  config() {
+    const env = process.env;
+    return {
+      baseUrl: this.options.baseUrl ?? env.MEDAD_BASE_URL,
+      username: this.options.username ?? env.MEDAD_USERNAME,
+      password: this.options.password ?? env.MEDAD_PASSWORD,
+      subscriptionId: this.options.subscriptionId ?? env.MEDAD_SUBSCRIPTION_ID,
+      branch: Number(this.options.branch ?? env.MEDAD_BRANCH),
+      year: this.options.year ?? env.MEDAD_YEAR,
+      timeoutMs: this.options.timeoutMs ?? DEFAULT_TIMEOUT_MS,
+    };
+  }
+
+  isConfigured() {
+    const { baseUrl, username, password, subscriptionId } = this.config();
+    return [baseUrl, username, password, subscriptionId].every(isNonEmpty);
+  }
+
+  invalidateToken() {
+    this.token = null;
+    this.tokenExpiry = 0;
+  }
+
+  async getToken({ force = false } = {}) {
+    if (!this.isConfigured()) {
+      throw new MedadError(MEDAD_ERROR_CODES.NOT_CONFIGURED, 'Medad integration is not configured on server');
+    }
+    if (!force && this.token && Date.now() < this.tokenExpiry) return this.token;
+
+    // Concurrent callers wait for the same token request
+    if (!this.pendingToken) {
+      this.pendingToken = this.requestToken().finally(() => {
+        this.pendingToken = null;
+      });
+    }
+    return this.pendingToken;
+  }
+
+  async requestToken() {
+    const { username, password, subscriptionId, branch, year } = this.config();
+    const { body, text, status, ok } = await this.send('POST', '/getToken', {
+      body: { username, password, subscriptionId, branch, year },
+    });
+
+    if (!ok) {
+      throw new MedadError(MEDAD_ERROR_CODES.AUTH, `Medad token request failed: ${text}`, {
+        status,
+        path: '/getToken',
+        details: body,
+        text,
+      });
+    }
+
+    const token = body?.token || body?.access_token || body?.data?.token;
+    if (!token) {
+      throw new MedadError(MEDAD_ERROR_CODES.AUTH, 'Medad token not found in response', {
+        status,
+        path: '/getToken',
+        details: body,
+        text,
+      });
+    }
+
+    const expiresIn = Number(body.expiresIn || body.expires_in || 3600);
+    this.token = token;
+    this.tokenExpiry = Date.now() + (expiresIn - 60) * 1000; // refresh 1 min early
+    return token;
+  }
+
+  // Raw HTTP call with a timeout; never throws for HTTP error statuses
+  async send(method, path, { query = null, body = undefined, token = null, timeoutMs = null, headers: extra = {} } = {}) {
+    const { baseUrl, timeoutMs: defaultTimeout } = this.config();
+    const search = query
+      ? new URLSearchParams(Object.entries(query).filter(([, value]) => isNonEmpty(value))).toString()
+      : '';
+    const url = `${baseUrl}${path}${search ? `?${search}` : ''}`;
+
+    const headers = { Accept: 'application/json', ...extra };
+    if (body !== undefined) headers['Content-Type'] = 'application/json';
+    if (token) headers.Authorization = `Bearer ${token}`;
+
+    const timeout = timeoutMs ?? defaultTimeout;
+    let response;
+    let text;
+    try {
+      response = await fetch(url, {
+        method,
+        headers,
+        body: body === undefined ? undefined : JSON.stringify(body),
+        signal: AbortSignal.timeout(timeout),
+      });
+      text = await response.text();
+    } catch (error) {
+      if (error?.name === 'TimeoutError' || error?.name === 'AbortError') {
+        throw new MedadError(MEDAD_ERROR_CODES.TIMEOUT, `Medad ${method} ${path} timed out after ${timeout}ms`, { path });
+      }
+      throw new MedadError(MEDAD_ERROR_CODES.NETWORK, `Medad ${method} ${path} failed: ${error.message}`, { path });
+    }
+
+    return { ok: response.ok, status: response.status, text, body: parseBody(text) };
+  }
+
+  /**
+   * Authenticated call. Resolves to the parsed body (`{ status, body }` with
+   * `withStatus`); throws MedadError on HTTP errors and, with `strict`, on 200
+   * responses that report a failure. `idempotencyKey` is sent as the
+   * Idempotency-Key header; whether Medad dedupes on it is not confirmed.
+   */
+  async request(
+    method,
+    path,
+    { query = null, body = undefined, timeoutMs = null, strict = false, withStatus = false, idempotencyKey = null } = {}
+  ) {
+    const headers = idempotencyKey ? { 'Idempotency-Key': idempotencyKey } : {};
+    let token = await this.getToken();
+    let result = await this.send(method, path, { query, body, token, timeoutMs, headers });
+
+    if (result.status === 401) {
+      this.invalidateToken();
+      token = await this.getToken({ force: true });
+      result = await this.send(method, path, { query, body, token, timeoutMs, headers });
+    }
+
+    if (!result.ok) {
+      throw new MedadError(
+        result.status === 401 ? MEDAD_ERROR_CODES.AUTH : MEDAD_ERROR_CODES.HTTP,
+        `Medad ${method} ${path} failed with status ${result.status}`,
+        { status: result.status, path, details: result.body, text: result.text }
+      );
+    }
+    if (strict && isLogicalFailure(result.body)) {
+      throw new MedadError(MEDAD_ERROR_CODES.REJECTED, `Medad ${method} ${path} was rejected`, {
+        status: result.status,
+        path,
+        details: result.body,
+        text: result.text,
+      });
+    }
+    return withStatus ? { status: result.status, body: result.body } : result.body;
+  }
+
+  /**
+   * Fetches pages of a list endpoint until Medad runs out of rows. With `key`,
+   * rows seen on an earlier page are dropped and a page with nothing new ends
+   * the loop (some endpoints ignore `page`).
+   */
+  async collectPages(path, { query = {}, pageSize = DEFAULT_PAGE_SIZE, maxPages = 200, key = null } = {}) {
+    const all = [];
+    const seen = new Set();
+
+    for (let page = 1; page <= maxPages; page += 1) {
+      const data = await this.request('GET', path, { query: { ...query, page, limit: pageSize } });
+      const items = medadItems(data);
+      const fresh = key
+        ? items.filter((item) => {
+            const id = key(item);
+            if (seen.has(id)) return false;
+            seen.add(id);
+            return true;
+          })
+        : items;
+      all.push(...fresh);
+
+      const totalPages = medadTotalPages(data);
+      if ((totalPages && page >= totalPages) || items.length < pageSize || (key && fresh.length === 0)) break;
+    }
+    return all;
+  }
+
+  // ---- Customers / vendors (accountType 0 = customer, 1 = vendor) ----
+
+  async listCustomers({ accountType = '0', page = 1, limit = DEFAULT_PAGE_SIZE } = {}) {
+    const data = await this.request('GET', '/customers', { query: { accountType, page, limit } });
+    return { items: medadItems(data), page, limit, totalPages: medadTotalPages(data) };
+  }
+
+  listAllCustomers({ accountType = '0', maxPages = 200 } = {}) {
+    return this.collectPages('/customers', {
+      query: { accountType: String(accountType) },
+      maxPages,
+      key: (customer) => customer.id ?? customer.customerId ?? JSON.stringify(customer),
+    });
+  }
+
+  createCustomer(payload, { idempotencyKey = null, withStatus = false } = {}) {
+    return this.request('POST', '/customers', { body: payload, strict: true, idempotencyKey, withStatus });
+  }
+
+  // ---- Products ----
+
+  async listProducts({ page = 1, limit = DEFAULT_PAGE_SIZE } = {}) {
+    const data = await this.request('GET', '/products', { query: { page, limit } });
+    return { items: medadItems(data), page, limit, totalPages: medadTotalPages(data) };
+  }
+
+  listAllProducts({ maxPages = 200 } = {}) {
+    return this.collectPages('/products', {
+      maxPages,
+      key: (product) => product.productNo || product.id || JSON.stringify(product),
+    });
+  }
+
+  getProduct(productNo) {
+    return this.request('GET', `/products/${encodeURIComponent(productNo)}`);
+  }
+
+  createProduct(payload) {
+    return this.request('POST', '/products', { body: payload });
+  }
+
+  updateProduct(productNo, payload) {
+    return this.request('PUT', `/products/${encodeURIComponent(productNo)}`, { body: { ...payload, productNo } });
+  }
+
+  // ---- Warehouses ----
+
+  async warehouseInventory(warehouseNo, { page = 1, limit = 50 } = {}) {
+    const data = await this.request('GET', `/warehouses/${encodeURIComponent(warehouseNo)}/inventory`, {
+      query: { page, limit },
+    });
+    const items = medadItems(data);
+    const total = data?.total ?? data?.total_items ?? data?.totalItems ?? items.length;
+    return {
+      items,
+      total,
+      page,
+      limit,
+      totalPages: data?.total_pages ?? data?.totalPages ?? (Math.ceil(total / limit) || 1),
+    };
+  }
+
+  listAllWarehouseInventory(warehouseNo, { maxPages = 200 } = {}) {
+    return this.collectPages(`/warehouses/${encodeURIComponent(warehouseNo)}/inventory`, {
+      maxPages,
+      key: (item) => item.productNo ?? item.product_no ?? JSON.stringify(item),
+    });
+  }
+
+  // ---- Documents ----
+
+  // Document methods take `{ idempotencyKey, withStatus }`, see request(). They are
+  // strict, so a 200 that reports a failure throws instead of counting as booked
+
+  createInvoice(payload, { idempotencyKey = null, withStatus = false } = {}) {
+    return this.request('POST', '/invoice', { body: payload, strict: true, idempotencyKey, withStatus });
+  }
+
+  // Sales returns / credit notes
+  createReturn(payload, { idempotencyKey = null, withStatus = false } = {}) {
+    return this.request('POST', process.env.MEDAD_RETURN_PATH || '/return', {
+      body: payload,
+      strict: true,
+      idempotencyKey,
+      withStatus,
+    });
+  }
+
+  createPayment(payload, { idempotencyKey = null, withStatus = false } = {}) {
+    return this.request('POST', '/payment', { body: payload, strict: true, idempotencyKey, withStatus });
+  }
+
+  // Stock moved between two of our warehouses
+  createWarehouseTransfer(payload, { idempotencyKey = null, withStatus = false } = {}) {
+    return this.request('POST', process.env.MEDAD_TRANSFER_PATH || '/warehouse-transfer', {
+      body: payload,
+      strict: true,
+      idempotencyKey,
+      withStatus,
+    });
+  }
+
+  createPurchaseOrder(payload, { idempotencyKey = null, withStatus = false } = {}) {
+    return this.request('POST', process.env.MEDAD_PURCHASE_ORDER_PATH || '/purchase-order', {
+      body: payload,
+      strict: true,
+      idempotencyKey,
+      withStatus,
+    });
+  }
+
+  // Document listings, used by reconciliation. Dates are YYYY-MM-DD and inclusive.
+  listAllInvoices({ from = null, to = null, maxPages = 200 } = {}) {
+    return this.collectPages(process.env.MEDAD_INVOICES_PATH || '/invoices', {
+      query: { fromDate: from, toDate: to },
+      maxPages,
+      key: (invoice) => invoice.invoiceNo ?? invoice.invoice_no ?? JSON.stringify(invoice),
+    });
+  }
+
+  listAllPayments({ from = null, to = null, maxPages = 200 } = {}) {
+    return this.collectPages(process.env.MEDAD_PAYMENTS_PATH || '/payments', {
+      query: { fromDate: from, toDate: to },
+      maxPages,
+      key: (payment) => payment.paymentNo ?? payment.payment_no ?? JSON.stringify(payment),
+    });
+  }
+}
+
+export const medad = new MedadClient();
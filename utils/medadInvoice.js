@@ -0,0 +1,283 @@
+import pkg from 'pg';
+import admin from '../firebase-init.js';
+import { recordOrderEvent } from './orderEvents.js';
+import { deliverMedadSync, enqueueMedadSync } from './medadOutbox.js';
+import { documentTotals, priceStoredLine } from './pricing.js';
+import { issueOrderEInvoice } from './zatca.js';
+
+// Builds Medad sales invoices from orders and queues them on the outbox, either
+// on demand (POST /medad/invoice/:orderId) or automatically when an order makes
+// one of the transitions listed in MEDAD_AUTO_INVOICE_ON, e.g.
+//   MEDAD_AUTO_INVOICE_ON=deliver
+// Accepted values: acceptStorekeeper, deliver, markDone (comma separated).
+// Unset or empty means invoices are only pushed by hand.
+
+const { Pool } = pkg;
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  max: 5,
+  idleTimeoutMillis: 30000,
+  connectionTimeoutMillis: 10000,
+});
+
+pool.on('error', (err) => {
+  console.error('Medad invoice pool error:', err);
+});
+
+export const AUTO_INVOICE_ACTIONS = ['acceptStorekeeper', 'deliver', 'markDone'];
+
+export const autoInvoiceActions = () =>
+  String(process.env.MEDAD_AUTO_INVOICE_ON || '')
+    .split(',')
+    .map((value) => value.trim())
+    .filter((value) => AUTO_INVOICE_ACTIONS.includes(value));
+
+const formatDate = (value) => {
+  if (!value) return null;
+  try {
+    return new Date(value).toISOString().split('T')[0];
+  } catch {
+    return null;
+  }
+};
+
+// `reason` is what the API returns, `label` is what the accountant is told
+const READINESS_CHECKS = [
+  {
+    reason: 'Missing linked Medad customer',
+    label: 'العميل غير مربوط بعميل في مدد',
+    failed: (order) => !order.client_medad_customer_id || !order.medad_customer_id,
+  },
+  {
+    reason: 'Missing warehouse_no',
+    label: 'لم يتم تحديد المستودع',
+    failed: (order) => !order.warehouse_no,
+  },
+  {
+    reason: 'Missing medad_salesman_id',
+    label: 'لم يتم تحديد المندوب في مدد',
+    failed: (order) => !order.medad_salesman_id,
+  },
+  {
+    reason: 'One or more products missing medad_product_no',
+    label: 'منتج واحد أو أكثر بدون رقم صنف في مدد',
+    failed: (order, products) => products.some((p) => !p.medad_product_no),
+  },
+];
+
+/**
+ * Loads the order with its client / Medad customer columns and its lines.
+ * Resolves to null when the order does not exist.
+ */
+export const loadInvoiceOrder = async (client, orderId) => {
+  const orderResult = await client.query(
+    `SELECT
+       o.*,
+       c.company_name,
+       c.client_name,
+       c.phone_number,
+       c.street,
+       c.city,
+       c.region,
+       c.tax_number,
+       cmc.medad_customer_id,
+       cmc.vat_no AS medad_vat_no,
+       cmc.salesman_name,
+       cmc.address1 AS medad_address1,
+       cmc.address2 AS medad_address2,
+       cmc.city AS medad_city,
+       cmc.region AS medad_region,
+       cmc.phone AS medad_phone,
+       cmc.vat_type AS medad_vat_type,
+       cmc.warehouse_no AS medad_warehouse_no
+     FROM orders o
+     JOIN clients c ON o.client_id = c.id
+     LEFT JOIN client_medad_customers cmc ON o.client_medad_customer_id = cmc.id
+     WHERE o.id = $1`,
+    [orderId]
+  );
+  if (orderResult.rows.length === 0) return null;
+
+  const productsResult = await client.query(
+    `SELECT id, medad_product_no, description, quantity, price, vat, subtotal, vat_category, vat_rate
+     FROM order_products
+     WHERE order_id = $1
+     ORDER BY id ASC`,
+    [orderId]
+  );
+
+  return { order: orderResult.rows[0], products: productsResult.rows };
+};
+
+/** Returns the failed readiness checks; an empty list means the order can be invoiced. */
+export const invoiceReadiness = (order, products) =>
+  READINESS_CHECKS.filter((check) => check.failed(order, products));
+
+export const buildInvoicePayload = (order, products) => {
+  const orderDate = formatDate(order.created_at);
+  const dueDate = formatDate(order.delivery_date) || orderDate;
+
+  // Lines are repriced with the rate stored on them, so the tax percent is
+  // the real one instead of being derived from rounded amounts
+  const pricedLines = products.map(priceStoredLine);
+  const totals = documentTotals(pricedLines);
+
+  const orderDetail = products.map((p, index) => {
+    const line = pricedLines[index];
+
+    return {
+      lineNo: index + 1,
+      productNo: p.medad_product_no,
+      productDesc: p.description || '',
+      price: line.price,
+      quantity: line.quantity,
+      subTotal: line.net,
+      vatPrice: line.vat,
+      tax: line.vat,
+      taxPercent: Number((line.vatRate * 100).toFixed(4)),
+      subTotalPlusTax: line.gross,
+    };
+  });
+
+  return {
+    orderNo: order.order_number,
+    orderDate,
+    customerId: order.medad_customer_id,
+    salesmanId: order.medad_salesman_id,
+    warehouseNo: order.medad_warehouse_no || order.warehouse_no,
+    note: order.notes || '',
+    net: totals.total_price,
+    total: totals.total_subtotal,
+    totalTax: totals.total_vat,
+    totalCost: totals.total_price,
+    dueDate,
+    address1: order.medad_address1 || order.street || '',
+    address2: order.medad_address2 || order.medad_city || order.medad_region || order.city || order.region || '',
+    vatType: order.medad_vat_type ?? undefined,
+    vatNo: order.medad_vat_no || order.tax_number || '',
+    orderTaxInPrice: 'N',
+    customerName: order.company_name || order.client_name || '',
+    Order_Detail: orderDetail,
+  };
+};
+
+/**
+ * Runs the readiness checks and, when they pass, issues the order's e-invoice
+ * and queues the invoice on the outbox (delivery is left to the caller or the
+ * worker).
+ * Resolves to { status } where status is one of
+ *   'not_found', 'already_sent', 'not_ready' (with reasons / labels),
+ *   'queued' (with entry and payload).
+ */
+export const queueOrderInvoice = async (client, orderId, { actor = null, trigger = null } = {}) => {
+  const loaded = await loadInvoiceOrder(client, orderId);
+  if (!loaded) return { status: 'not_found' };
+
+  const { order, products } = loaded;
+  if (order.medad_sync_status === 'SENT_TO_MEDAD') {
+    return { status: 'already_sent', order };
+  }
+
+  const failed = invoiceReadiness(order, products);
+  if (failed.length > 0) {
+    const reasons = failed.map((check) => check.reason);
+    await client.query(
+      `UPDATE orders
+       SET medad_sync_status = 'FAILED', medad_error = $2, medad_synced_at = NOW()
+       WHERE id = $1`,
+      [order.id, reasons.join('; ')]
+    );
+    await recordOrderEvent(client, {
+      orderId: order.id,
+      eventType: 'medadInvoiceSync',
+      actor,
+      payload: { status: 'FAILED', reasons, ...(trigger ? { trigger } : {}) },
+    });
+    return { status: 'not_ready', order, reasons, labels: failed.map((check) => check.label) };
+  }
+
+  // Issued first: an issued order can no longer be edited, so the stored
+  // e-invoice matches what is sent
+  await issueOrderEInvoice(client, order.id);
+
+  await client.query(
+    `UPDATE orders
+     SET medad_sync_status = 'READY_FOR_MEDAD', medad_error = NULL
+     WHERE id = $1`,
+    [order.id]
+  );
+
+  const payload = buildInvoicePayload(order, products);
+  const entry = await enqueueMedadSync(client, {
+    kind: 'invoice',
+    idempotencyKey: `invoice:order:${order.id}`,
+    entityType: 'order',
+    entityId: order.id,
+    payload,
+    context: trigger ? { trigger } : {},
+    actor,
+  });
+
+  return { status: 'queued', order, entry, payload };
+};
+
+const notifyAccountantsNotReady = async (order, labels) => {
+  try {
+    const result = await pool.query(
+      'SELECT fcm_token FROM accountants WHERE fcm_token IS NOT NULL'
+    );
+    const tokens = result.rows.map((row) => row.fcm_token).filter(Boolean);
+    if (tokens.length === 0) {
+      console.warn('No FCM tokens found for accountants');
+      return;
+    }
+
+    const orderRef = order.custom_id || order.order_number || order.id;
+    await admin.messaging().sendEach(tokens.map((token) => ({
+      notification: {
+        title: 'فاتورة مدد غير جاهزة',
+        body: `تعذر إرسال فاتورة الطلب ${orderRef} إلى مدد تلقائياً: ${labels.join('، ')}`,
+      },
+      data: {
+        role: 'accountant',
+        type: 'medad_invoice_not_ready',
+        orderId: String(order.id),
+      },
+      token,
+    })));
+  } catch (error) {
+    console.error('Failed to send FCM to accountants:', error);
+  }
+};
+
+/**
+ * Called after an order transition commits. Queues and tries to deliver the
+ * invoice when the policy covers `action`; never throws, so a Medad problem
+ * cannot undo or fail the transition itself.
+ */
+export const autoPushInvoice = async (orderId, action, actor) => {
+  if (!autoInvoiceActions().includes(action)) return null;
+
+  let result;
+  let client;
+  try {
+    client = await pool.connect();
+    result = await queueOrderInvoice(client, orderId, { actor, trigger: action });
+  } catch (error) {
+    console.error(`Automatic Medad invoice for order ${orderId} failed:`, error);
+    return null;
+  } finally {
+    client?.release();
+  }
+
+  if (result.status === 'not_ready') {
+    await notifyAccountantsNotReady(result.order, result.labels);
+  } else if (result.status === 'queued') {
+    // A failed attempt stays on the outbox for the worker
+    await deliverMedadSync(result.entry.id).catch((error) => {
+      console.error(`Medad invoice delivery for order ${orderId} failed:`, error);
+    });
+  }
+  return result;
+};
@@ -0,0 +1,563 @@
+// Durable queue for everything we push to Medad. Routes enqueue a sync and try
+// to deliver it right away; when Medad is down the entry stays `pending` and the
+// worker retries it with exponential backoff until it is `sent` or `dead`.
+// Each entry carries an idempotency key (one per document) that is also sent to
+// Medad as the Idempotency-Key header. Only the dev fake is known to honour it;
+// if the real API ignores the header, a push that timed out after Medad booked
+// it is sent again on retry and can create a duplicate. The reconciliation
+// report (medadReconciliation.js) flags such duplicates.
+import pkg from 'pg';
+import { medad, MedadError, MEDAD_ERROR_CODES } from './medadClient.js';
+import { linkClientToMedadCustomer, normalizeMedadCustomerId } from './medad.js';
+import { recordOrderEvent } from './orderEvents.js';
+import { markTransferStockBooked } from './stockReservations.js';
+
+const { Pool } = pkg;
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  max: 5,
+  idleTimeoutMillis: 30000,
+  connectionTimeoutMillis: 10000,
+});
+
+pool.on('error', (err) => {
+  console.error('Unexpected error on idle Medad outbox client:', err);
+});
+
+export const OUTBOX_STATUSES = {
+  PENDING: 'pending',
+  PROCESSING: 'processing',
+  SENT: 'sent',
+  DEAD: 'dead',
+  CANCELLED: 'cancelled',
+};
+
+// last_error_code of a sent entry whose local write-back (onSent) failed
+export const WRITE_BACK_FAILED = 'write_back_failed';
+
+const MAX_ATTEMPTS = Number(process.env.MEDAD_OUTBOX_MAX_ATTEMPTS || 8);
+const BASE_DELAY_SECONDS = Number(process.env.MEDAD_OUTBOX_BASE_DELAY_SECONDS || 30);
+const MAX_DELAY_SECONDS = Number(process.env.MEDAD_OUTBOX_MAX_DELAY_SECONDS || 6 * 60 * 60);
+const WORKER_INTERVAL_SECONDS = Number(process.env.MEDAD_OUTBOX_INTERVAL_SECONDS || 30);
+const BATCH_SIZE = Number(process.env.MEDAD_OUTBOX_BATCH_SIZE || 20);
+// A `processing` entry older than this belongs to a crashed worker
+const STALE_LOCK_MINUTES = 10;
+
+export const ensureMedadOutboxTable = async (client) => {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS medad_outbox (
+      id SERIAL PRIMARY KEY,
+      kind TEXT NOT NULL,
+      idempotency_key TEXT UNIQUE NOT NULL,
+      entity_type TEXT,
+      entity_id TEXT,
+      payload JSONB NOT NULL,
+      context JSONB,
+      status TEXT NOT NULL DEFAULT 'pending',
+      attempts INT NOT NULL DEFAULT 0,
+      max_attempts INT NOT NULL DEFAULT ${MAX_ATTEMPTS},
+      next_attempt_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      last_error TEXT,
+      last_error_code TEXT,
+      last_http_status INT,
+      response JSONB,
+      locked_at TIMESTAMPTZ,
+      sent_at TIMESTAMPTZ,
+      created_by_clerk_id TEXT,
+      created_at TIMESTAMPTZ DEFAULT NOW(),
+      updated_at TIMESTAMPTZ DEFAULT NOW()
+    )
+  `);
+  await client.query(
+    'CREATE INDEX IF NOT EXISTS medad_outbox_due_idx ON medad_outbox (status, next_attempt_at)'
+  );
+  await client.query(
+    'CREATE INDEX IF NOT EXISTS medad_outbox_entity_idx ON medad_outbox (entity_type, entity_id)'
+  );
+};
+
+const actorOf = (entry) => entry.context?.actor || null;
+
+// Per kind: how to send the payload and what to write back locally afterwards.
+// onFailed runs on the first failure and when the entry goes dead, not on every retry.
+const HANDLERS = {
+  invoice: {
+    send: (entry) => medad.createInvoice(entry.payload, { idempotencyKey: entry.idempotency_key, withStatus: true }),
+    onSent: async (client, entry, body) => {
+      const medadOrderNo = body?.orderNo || body?.order_no || null;
+      const medadInvoiceNo = body?.invoiceNo || body?.invoice_no || null;
+      await client.query(
+        `UPDATE orders
+         SET medad_sync_status = 'SENT_TO_MEDAD',
+             medad_order_no = $2,
+             medad_invoice_no = $3,
+             medad_error = NULL,
+             medad_synced_at = NOW()
+         WHERE id = $1`,
+        [entry.entity_id, medadOrderNo, medadInvoiceNo]
+      );
+      await recordOrderEvent(client, {
+        orderId: entry.entity_id,
+        eventType: 'medadInvoiceSync',
+        actor: actorOf(entry),
+        payload: { status: 'SENT_TO_MEDAD', medadOrderNo, medadInvoiceNo, outboxId: entry.id },
+      });
+    },
+    onFailed: async (client, entry, failure) => {
+      await client.query(
+        `UPDATE orders
+         SET medad_sync_status = $2, medad_error = $3, medad_synced_at = NOW()
+         WHERE id = $1`,
+        [entry.entity_id, failure.dead ? 'FAILED' : 'QUEUED_FOR_MEDAD', failure.error]
+      );
+      await recordOrderEvent(client, {
+        orderId: entry.entity_id,
+        eventType: 'medadInvoiceSync',
+        actor: actorOf(entry),
+        payload: { status: failure.dead ? 'FAILED' : 'RETRY_SCHEDULED', outboxId: entry.id, ...failure },
+      });
+    },
+  },
+
+  return: {
+    send: (entry) => medad.createReturn(entry.payload, { idempotencyKey: entry.idempotency_key, withStatus: true }),
+    onSent: async (client, entry, body) => {
+      const medadReturnNo = body?.returnNo || body?.invoiceNo || body?.orderNo || null;
+      await client.query(
+        `UPDATE order_returns
+         SET medad_sync_status = 'SENT_TO_MEDAD', medad_return_no = COALESCE($2, medad_return_no),
+             medad_error = NULL, medad_synced_at = NOW()
+         WHERE id = $1`,
+        [entry.entity_id, medadReturnNo]
+      );
+      await recordOrderEvent(client, {
+        orderId: entry.context.orderId,
+        eventType: 'medadReturnSync',
+        actor: actorOf(entry),
+        payload: {
+          returnId: Number(entry.entity_id),
+          creditNoteNo: entry.context.creditNoteNo,
+          status: 'SENT_TO_MEDAD',
+          medadReturnNo,
+          outboxId: entry.id,
+        },
+      });
+    },
+    onFailed: async (client, entry, failure) => {
+      await client.query(
+        `UPDATE order_returns
+         SET medad_sync_status = $2, medad_error = $3, medad_synced_at = NOW()
+         WHERE id = $1`,
+        [entry.entity_id, failure.dead ? 'FAILED' : 'QUEUED_FOR_MEDAD', failure.error]
+      );
+      await recordOrderEvent(client, {
+        orderId: entry.context.orderId,
+        eventType: 'medadReturnSync',
+        actor: actorOf(entry),
+        payload: {
+          returnId: Number(entry.entity_id),
+          creditNoteNo: entry.context.creditNoteNo,
+          status: failure.dead ? 'FAILED' : 'RETRY_SCHEDULED',
+          outboxId: entry.id,
+          ...failure,
+        },
+      });
+    },
+  },
+
+  payment: {
+    send: (entry) => medad.createPayment(entry.payload, { idempotencyKey: entry.idempotency_key, withStatus: true }),
+    onSent: async (client, entry, body, httpStatus) => {
+      await client.query(
+        `UPDATE payment_workflow_requests
+         SET medad_response = $2,
+             medad_sync_status = 'SENT_TO_MEDAD',
+             medad_error = NULL,
+             medad_http_status = $3,
+             medad_synced_at = CURRENT_TIMESTAMP,
+             updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1`,
+        [entry.entity_id, JSON.stringify(body || {}), httpStatus]
+      );
+    },
+    onFailed: async (client, entry, failure) => {
+      await client.query(
+        `UPDATE payment_workflow_requests
+         SET medad_response = $2,
+             medad_sync_status = $3,
+             medad_error = $4,
+             medad_http_status = $5,
+             medad_synced_at = CURRENT_TIMESTAMP,
+             updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1`,
+        [
+          entry.entity_id,
+          JSON.stringify(failure.details || { error: failure.error }),
+          failure.dead ? 'FAILED' : 'QUEUED_FOR_MEDAD',
+          failure.error,
+          failure.httpStatus,
+        ]
+      );
+    },
+  },
+
+  transfer: {
+    send: (entry) => medad.createWarehouseTransfer(entry.payload, { idempotencyKey: entry.idempotency_key, withStatus: true }),
+    onSent: async (client, entry, body) => {
+      await client.query(
+        `UPDATE stock_transfers
+         SET medad_sync_status = 'SENT_TO_MEDAD',
+             medad_transfer_no = COALESCE($2, medad_transfer_no),
+             medad_error = NULL,
+             medad_synced_at = NOW()
+         WHERE id = $1`,
+        [entry.entity_id, body?.transferNo || body?.transfer_no || null]
+      );
+      await markTransferStockBooked(client, entry.entity_id);
+    },
+    onFailed: async (client, entry, failure) => {
+      await client.query(
+        `UPDATE stock_transfers
+         SET medad_sync_status = $2, medad_error = $3, medad_synced_at = NOW()
+         WHERE id = $1`,
+        [entry.entity_id, failure.dead ? 'FAILED' : 'QUEUED_FOR_MEDAD', failure.error]
+      );
+    },
+  },
+
+  purchase_order: {
+    send: (entry) => medad.createPurchaseOrder(entry.payload, { idempotencyKey: entry.idempotency_key, withStatus: true }),
+    onSent: async (client, entry, body) => {
+      await client.query(
+        `UPDATE purchase_orders
+         SET medad_sync_status = 'SENT_TO_MEDAD',
+             medad_po_no = COALESCE($2, medad_po_no),
+             medad_error = NULL,
+             medad_synced_at = NOW()
+         WHERE id = $1`,
+        [entry.entity_id, body?.poNo || body?.po_no || body?.orderNo || null]
+      );
+    },
+    onFailed: async (client, entry, failure) => {
+      await client.query(
+        `UPDATE purchase_orders
+         SET medad_sync_status = $2, medad_error = $3, medad_synced_at = NOW()
+         WHERE id = $1`,
+        [entry.entity_id, failure.dead ? 'FAILED' : 'QUEUED_FOR_MEDAD', failure.error]
+      );
+    },
+  },
+
+  // Clients (accountType 0) and suppliers (vendors); only clients get linked
+  customer: {
+    send: (entry) => medad.createCustomer(entry.payload, { idempotencyKey: entry.idempotency_key, withStatus: true }),
+    onSent: async (client, entry, body) => {
+      const medadCustomerId = normalizeMedadCustomerId(body);
+      const link = entry.context?.link;
+      if (medadCustomerId && link) {
+        await linkClientToMedadCustomer(client, { ...link, medadCustomerId });
+      }
+    },
+  },
+};
+
+export const OUTBOX_KINDS = Object.keys(HANDLERS);
+
+/**
+ * Adds a sync to the outbox. Enqueuing the same idempotency key again updates
+ * the payload of an unsent entry and returns an already-sent one unchanged.
+ */
+export const enqueueMedadSync = async (
+  client,
+  { kind, idempotencyKey, entityType = null, entityId = null, payload, context = null, actor = null }
+) => {
+  if (!HANDLERS[kind]) {
+    throw new Error(`Unknown Medad outbox kind: ${kind}`);
+  }
+  await ensureMedadOutboxTable(client);
+
+  const fullContext = { ...(context || {}), actor: actor ? { clerkId: actor.clerkId, role: actor.role, name: actor.name } : null };
+  const result = await client.query(
+    `INSERT INTO medad_outbox
+       (kind, idempotency_key, entity_type, entity_id, payload, context, created_by_clerk_id)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)
+     ON CONFLICT (idempotency_key) DO UPDATE
+       SET payload = CASE WHEN medad_outbox.status IN ('sent', 'processing') THEN medad_outbox.payload ELSE EXCLUDED.payload END,
+           context = CASE WHEN medad_outbox.status IN ('sent', 'processing') THEN medad_outbox.context ELSE EXCLUDED.context END,
+           attempts = CASE WHEN medad_outbox.status IN ('dead', 'cancelled') THEN 0 ELSE medad_outbox.attempts END,
+           status = CASE WHEN medad_outbox.status IN ('sent', 'processing') THEN medad_outbox.status ELSE 'pending' END,
+           next_attempt_at = CASE WHEN medad_outbox.status IN ('sent', 'processing') THEN medad_outbox.next_attempt_at ELSE NOW() END,
+           updated_at = NOW()
+     RETURNING *`,
+    [
+      kind,
+      idempotencyKey,
+      entityType,
+      entityId === null ? null : String(entityId),
+      JSON.stringify(payload),
+      JSON.stringify(fullContext),
+      actor?.clerkId || null,
+    ]
+  );
+  return result.rows[0];
+};
+
+const isRetryable = (error) => {
+  if (!(error instanceof MedadError)) return true;
+  switch (error.code) {
+    case MEDAD_ERROR_CODES.REJECTED:
+      return false;
+    case MEDAD_ERROR_CODES.HTTP:
+      return error.status >= 500 || error.status === 408 || error.status === 429;
+    default:
+      return true;
+  }
+};
+
+export const backoffSeconds = (attempts) => {
+  const delay = Math.min(MAX_DELAY_SECONDS, BASE_DELAY_SECONDS * 2 ** Math.max(0, attempts - 1));
+  // +/-20% jitter so entries that failed together do not retry together
+  return Math.round(delay * (0.8 + Math.random() * 0.4));
+};
+
+const claimEntries = async (client, { id = null, limit = BATCH_SIZE } = {}) => {
+  const result = await client.query(
+    `UPDATE medad_outbox
+     SET status = 'processing', locked_at = NOW(), updated_at = NOW()
+     WHERE id IN (
+       SELECT id FROM medad_outbox
+       WHERE status = 'pending'
+         AND ($1::int IS NOT NULL AND id = $1 OR $1::int IS NULL AND next_attempt_at <= NOW())
+       ORDER BY next_attempt_at ASC
+       LIMIT $2
+       FOR UPDATE SKIP LOCKED
+     )
+     RETURNING *`,
+    [id, limit]
+  );
+  return result.rows;
+};
+
+// Medad has booked the document, so `sent` is committed on its own before the
+// local write-back: a failing onSent must not roll the entry back to a state
+// the worker would push again. Its error is kept on the sent entry instead.
+const recordSent = async (client, handler, entry, sent) => {
+  const result = await client.query(
+    `UPDATE medad_outbox
+     SET status = 'sent', attempts = attempts + 1, response = $2, last_http_status = $3,
+         last_error = NULL, last_error_code = NULL, sent_at = NOW(), locked_at = NULL, updated_at = NOW()
+     WHERE id = $1
+     RETURNING *`,
+    [entry.id, JSON.stringify(sent.body ?? null), sent.status]
+  );
+  if (!handler.onSent) return result.rows[0];
+
+  try {
+    await client.query('BEGIN');
+    await handler.onSent(client, entry, sent.body, sent.status);
+    await client.query('COMMIT');
+    return result.rows[0];
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error(`Medad outbox entry ${entry.id} (${entry.kind}) was sent but its write-back failed:`, err);
+    const failed = await client.query(
+      `UPDATE medad_outbox
+       SET last_error = $2, last_error_code = $3, updated_at = NOW()
+       WHERE id = $1
+       RETURNING *`,
+      [entry.id, `Sent to Medad, but the local write-back failed: ${err.message}`, WRITE_BACK_FAILED]
+    );
+    return failed.rows[0];
+  }
+};
+
+const processEntry = async (entry) => {
+  const handler = HANDLERS[entry.kind];
+  let sent = null;
+  let error = null;
+  try {
+    sent = await handler.send(entry);
+  } catch (err) {
+    error = err;
+  }
+
+  const client = await pool.connect();
+  if (!error) {
+    try {
+      return await recordSent(client, handler, entry, sent);
+    } finally {
+      client.release();
+    }
+  }
+
+  try {
+    await client.query('BEGIN');
+    const attempts = entry.attempts + 1;
+    const dead = !isRetryable(error) || attempts >= entry.max_attempts;
+    const message = error.text || error.message || String(error);
+    const result = await client.query(
+      `UPDATE medad_outbox
+       SET status = $2, attempts = $3, last_error = $4, last_error_code = $5, last_http_status = $6,
+           next_attempt_at = NOW() + make_interval(secs => $7), locked_at = NULL, updated_at = NOW()
+       WHERE id = $1
+       RETURNING *`,
+      [
+        entry.id,
+        dead ? OUTBOX_STATUSES.DEAD : OUTBOX_STATUSES.PENDING,
+        attempts,
+        message,
+        error.code || null,
+        error.status || null,
+        dead ? 0 : backoffSeconds(attempts),
+      ]
+    );
+    const updated = result.rows[0];
+    if (dead || attempts === 1) {
+      await handler.onFailed?.(client, entry, {
+        dead,
+        attempts,
+        error: message,
+        reason: error.code || null,
+        httpStatus: error.status || null,
+        details: error.details || null,
+        nextAttemptAt: dead ? null : updated.next_attempt_at,
+      });
+    }
+    if (dead) {
+      console.error(`Medad outbox entry ${entry.id} (${entry.kind}) is dead after ${attempts} attempt(s): ${message}`);
+    }
+    await client.query('COMMIT');
+    return updated;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Tries to deliver one entry now (used by routes right after enqueuing).
+ * Resolves to the entry as it is afterwards; an entry another worker holds, or
+ * that is not pending, is returned unchanged.
+ */
+export const deliverMedadSync = async (id) => {
+  const client = await pool.connect();
+  let claimed;
+  try {
+    claimed = await claimEntries(client, { id, limit: 1 });
+    if (claimed.length === 0) {
+      const result = await client.query('SELECT * FROM medad_outbox WHERE id = $1', [id]);
+      return result.rows[0] || null;
+    }
+  } finally {
+    client.release();
+  }
+  return processEntry(claimed[0]);
+};
+
+/**
+ * One worker pass: releases stale locks, then sends every due entry.
+ */
+export const processMedadOutbox = async ({ limit = BATCH_SIZE } = {}) => {
+  const client = await pool.connect();
+  let claimed;
+  try {
+    await ensureMedadOutboxTable(client);
+    await client.query(
+      `UPDATE medad_outbox
+       SET status = 'pending', locked_at = NULL, updated_at = NOW()
+       WHERE status = 'processing' AND locked_at < NOW() - INTERVAL '${STALE_LOCK_MINUTES} minutes'`
+    );
+    claimed = await claimEntries(client, { limit });
+  } finally {
+    client.release();
+  }
+
+  const results = [];
+  for (const entry of claimed) {
+    try {
+      results.push(await processEntry(entry));
+    } catch (err) {
+      console.error(`Medad outbox entry ${entry.id} could not be processed:`, err);
+    }
+  }
+  return results;
+};
+
+export const startMedadOutboxWorker = () => {
+  let running = false;
+  const run = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await processMedadOutbox();
+    } catch (err) {
+      console.error('Medad outbox worker failed:', err);
+    } finally {
+      running = false;
+    }
+  };
+
+  run();
+  const timer = setInterval(run, WORKER_INTERVAL_SECONDS * 1000);
+  timer.unref();
+  return timer;
+};
+
+export const listMedadOutbox = async (client, { status, kind, entityType, entityId, page = 1, limit = 50 } = {}) => {
+  await ensureMedadOutboxTable(client);
+  const conditions = [];
+  const values = [];
+  const add = (sql, value) => {
+    values.push(value);
+    conditions.push(sql.replace('?', `$${values.length}`));
+  };
+  if (status) add('status = ?', status);
+  if (kind) add('kind = ?', kind);
+  if (entityType) add('entity_type = ?', entityType);
+  if (entityId) add('entity_id = ?', String(entityId));
+  const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+
+  const countResult = await client.query(`SELECT COUNT(*) AS count FROM medad_outbox ${where}`, values);
+  const rowsResult = await client.query(
+    `SELECT * FROM medad_outbox ${where}
+     ORDER BY created_at DESC, id DESC
+     LIMIT $${values.length + 1} OFFSET $${values.length + 2}`,
+    [...values, limit, (page - 1) * limit]
+  );
+  return { entries: rowsResult.rows, total: Number(countResult.rows[0].count) };
+};
+
+/**
+ * Puts a dead, cancelled or waiting entry back at the front of the queue with
+ * a fresh attempt budget. Resolves to null when the entry cannot be retried.
+ */
+export const retryMedadSync = async (client, id) => {
+  await ensureMedadOutboxTable(client);
+  const result = await client.query(
+    `UPDATE medad_outbox
+     SET status = 'pending', attempts = 0, next_attempt_at = NOW(), updated_at = NOW()
+     WHERE id = $1 AND status IN ('pending', 'dead', 'cancelled')
+     RETURNING *`,
+    [id]
+  );
+  return result.rows[0] || null;
+};
+
+/**
+ * Stops retrying an unsent entry. Resolves to null when it is already sent or
+ * being sent.
+ */
+export const cancelMedadSync = async (client, id) => {
+  await ensureMedadOutboxTable(client);
+  const result = await client.query(
+    `UPDATE medad_outbox
+     SET status = 'cancelled', updated_at = NOW()
+     WHERE id = $1 AND status IN ('pending', 'dead')
+     RETURNING *`,
+    [id]
+  );
+  return result.rows[0] || null;
+};
@@ -0,0 +1,300 @@
+import pkg from 'pg';
+import crypto from 'crypto';
+import { medad } from './medadClient.js';
+
+// Local copy of the Medad product catalogue in medad_products, so product
+// pickers query Postgres instead of paging through Medad on every call.
+// A job refreshes it every MEDAD_PRODUCTS_SYNC_INTERVAL_MINUTES (30); rows are
+// only rewritten when the product changed in Medad, and products Medad no
+// longer returns are flagged removed_at rather than deleted.
+
+const { Pool } = pkg;
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  max: 5,
+  idleTimeoutMillis: 30000,
+  connectionTimeoutMillis: 10000,
+});
+
+pool.on('error', (err) => {
+  console.error('Unexpected error on idle Medad product mirror client:', err);
+});
+
+const SYNC_INTERVAL_MINUTES = Number(process.env.MEDAD_PRODUCTS_SYNC_INTERVAL_MINUTES || 30);
+const UPSERT_BATCH_SIZE = 500;
+const SYNC_KEY = 'products';
+
+export const ensureMedadProductTables = async (client) => {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS medad_products (
+      product_no TEXT PRIMARY KEY,
+      description TEXT,
+      unit TEXT,
+      category TEXT,
+      barcode TEXT,
+      price NUMERIC,
+      warehouses JSONB NOT NULL DEFAULT '{}'::jsonb,
+      total_quantity NUMERIC NOT NULL DEFAULT 0,
+      raw JSONB NOT NULL,
+      row_hash TEXT NOT NULL,
+      removed_at TIMESTAMPTZ,
+      synced_at TIMESTAMPTZ DEFAULT NOW(),
+      created_at TIMESTAMPTZ DEFAULT NOW()
+    )
+  `);
+  await client.query(
+    'CREATE INDEX IF NOT EXISTS medad_products_description_idx ON medad_products (lower(description))'
+  );
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS medad_sync_state (
+      key TEXT PRIMARY KEY,
+      last_synced_at TIMESTAMPTZ,
+      last_attempt_at TIMESTAMPTZ,
+      last_error TEXT,
+      stats JSONB
+    )
+  `);
+};
+
+const firstOf = (row, keys) => {
+  for (const key of keys) {
+    if (row?.[key] !== undefined && row[key] !== null && row[key] !== '') return row[key];
+  }
+  return null;
+};
+
+export const warehouseCode = (value) => String(value).padStart(4, '0');
+
+// { "0001": 420, ... } from Medad's [{ warehouseNo, quantity }]
+const normalizeWarehouses = (warehouses) => {
+  const result = {};
+  for (const warehouse of Array.isArray(warehouses) ? warehouses : []) {
+    if (warehouse?.warehouseNo === undefined || warehouse?.warehouseNo === null) continue;
+    const quantity = Number(warehouse.quantity);
+    result[warehouseCode(warehouse.warehouseNo)] = Number.isFinite(quantity) ? quantity : 0;
+  }
+  return result;
+};
+
+const toMirrorRow = (product) => {
+  const warehouses = normalizeWarehouses(product.warehouses);
+  const price = Number(firstOf(product, ['price', 'salePrice', 'unitPrice']));
+  return {
+    product_no: String(firstOf(product, ['productNo', 'product_no', 'code'])),
+    description: firstOf(product, ['description', 'name', 'productName']),
+    unit: firstOf(product, ['unit', 'unitName']),
+    category: firstOf(product, ['category', 'categoryName', 'groupName', 'section']),
+    barcode: firstOf(product, ['barcode', 'barCode']),
+    price: Number.isFinite(price) ? price : null,
+    warehouses,
+    total_quantity: Object.values(warehouses).reduce((sum, quantity) => sum + quantity, 0),
+    raw: product,
+    row_hash: crypto.createHash('md5').update(JSON.stringify(product)).digest('hex'),
+  };
+};
+
+/**
+ * Inserts or refreshes products in the mirror; unchanged rows are skipped.
+ * Resolves to the number of rows written.
+ */
+export const upsertMirroredProducts = async (client, products) => {
+  const rows = products
+    .filter((product) => firstOf(product, ['productNo', 'product_no', 'code']) !== null)
+    .map(toMirrorRow);
+
+  let written = 0;
+  for (let start = 0; start < rows.length; start += UPSERT_BATCH_SIZE) {
+    const batch = rows.slice(start, start + UPSERT_BATCH_SIZE);
+    const result = await client.query(
+      `INSERT INTO medad_products
+         (product_no, description, unit, category, barcode, price, warehouses, total_quantity, raw, row_hash)
+       SELECT product_no, description, unit, category, barcode, price, warehouses, total_quantity, raw, row_hash
+       FROM jsonb_to_recordset($1::jsonb) AS p(
+         product_no TEXT, description TEXT, unit TEXT, category TEXT, barcode TEXT, price NUMERIC,
+         warehouses JSONB, total_quantity NUMERIC, raw JSONB, row_hash TEXT
+       )
+       ON CONFLICT (product_no) DO UPDATE
+         SET description = EXCLUDED.description,
+             unit = EXCLUDED.unit,
+             category = EXCLUDED.category,
+             barcode = EXCLUDED.barcode,
+             price = EXCLUDED.price,
+             warehouses = EXCLUDED.warehouses,
+             total_quantity = EXCLUDED.total_quantity,
+             raw = EXCLUDED.raw,
+             row_hash = EXCLUDED.row_hash,
+             removed_at = NULL,
+             synced_at = NOW()
+         WHERE medad_products.row_hash IS DISTINCT FROM EXCLUDED.row_hash
+            OR medad_products.removed_at IS NOT NULL`,
+      [JSON.stringify(batch)]
+    );
+    written += result.rowCount;
+  }
+  return written;
+};
+
+const recordSyncState = (client, { error = null, stats = null }) =>
+  client.query(
+    `INSERT INTO medad_sync_state (key, last_synced_at, last_attempt_at, last_error, stats)
+     VALUES ($1, CASE WHEN $2::text IS NULL THEN NOW() END, NOW(), $2, $3)
+     ON CONFLICT (key) DO UPDATE
+       SET last_synced_at = CASE WHEN $2::text IS NULL THEN NOW() ELSE medad_sync_state.last_synced_at END,
+           last_attempt_at = NOW(),
+           last_error = $2,
+           stats = COALESCE($3, medad_sync_state.stats)`,
+    [SYNC_KEY, error, stats ? JSON.stringify(stats) : null]
+  );
+
+const syncProducts = async () => {
+  const client = await pool.connect();
+  try {
+    await ensureMedadProductTables(client);
+
+    let products;
+    try {
+      products = await medad.listAllProducts();
+    } catch (error) {
+      await recordSyncState(client, { error: error.message });
+      throw error;
+    }
+
+    await client.query('BEGIN');
+    try {
+      const written = await upsertMirroredProducts(client, products);
+      const seen = products
+        .map((product) => firstOf(product, ['productNo', 'product_no', 'code']))
+        .filter((productNo) => productNo !== null)
+        .map(String);
+
+      // An empty answer is more likely a Medad hiccup than an empty catalogue
+      let removed = 0;
+      if (seen.length > 0) {
+        const result = await client.query(
+          `UPDATE medad_products SET removed_at = NOW()
+           WHERE removed_at IS NULL AND NOT (product_no = ANY($1::text[]))`,
+          [seen]
+        );
+        removed = result.rowCount;
+      }
+
+      const stats = { fetched: products.length, written, removed };
+      await recordSyncState(client, { stats });
+      await client.query('COMMIT');
+      return stats;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    }
+  } finally {
+    client.release();
+  }
+};
+
+let pendingSync = null;
+
+/**
+ * Pulls the whole catalogue from Medad into the mirror. Concurrent callers
+ * (the job and a ?fresh=1 request) share one sync. Resolves to
+ * { fetched, written, removed }.
+ */
+export const syncMedadProducts = () => {
+  if (!pendingSync) {
+    pendingSync = syncProducts().finally(() => {
+      pendingSync = null;
+    });
+  }
+  return pendingSync;
+};
+
+/**
+ * Fetches one product live and stores it in the mirror. Resolves to the
+ * Medad product, or rethrows the MedadError (e.g. 404).
+ */
+export const refreshMirroredProduct = async (productNo) => {
+  const product = await medad.getProduct(productNo);
+  const client = await pool.connect();
+  try {
+    await ensureMedadProductTables(client);
+    await upsertMirroredProducts(client, [product]);
+  } finally {
+    client.release();
+  }
+  return product;
+};
+
+export const getProductSyncState = async (client) => {
+  await ensureMedadProductTables(client);
+  const result = await client.query('SELECT * FROM medad_sync_state WHERE key = $1', [SYNC_KEY]);
+  return result.rows[0] || null;
+};
+
+/**
+ * Searches the mirror. `search` matches product number, description and
+ * barcode; `warehouse` limits to products stocked in that warehouse, and
+ * `inStock` to a positive quantity (in that warehouse when given).
+ * Without `limit` every matching row is returned. Resolves to { rows, total }.
+ */
+export const searchMirroredProducts = async (
+  client,
+  { search = null, category = null, unit = null, warehouse = null, inStock = false, page = 1, limit = null } = {}
+) => {
+  await ensureMedadProductTables(client);
+
+  const conditions = ['removed_at IS NULL'];
+  const values = [];
+  const add = (value) => {
+    values.push(value);
+    return `$${values.length}`;
+  };
+
+  if (search) {
+    const term = add(`%${search}%`);
+    conditions.push(`(product_no ILIKE ${term} OR description ILIKE ${term} OR barcode ILIKE ${term})`);
+  }
+  if (category) conditions.push(`category = ${add(category)}`);
+  if (unit) conditions.push(`unit = ${add(unit)}`);
+  if (warehouse) {
+    const code = add(warehouseCode(warehouse));
+    conditions.push(`warehouses ? ${code}`);
+    if (inStock) conditions.push(`(warehouses ->> ${code})::numeric > 0`);
+  } else if (inStock) {
+    conditions.push('total_quantity > 0');
+  }
+
+  const where = conditions.join(' AND ');
+  const countResult = await client.query(`SELECT COUNT(*)::int AS total FROM medad_products WHERE ${where}`, values);
+
+  let paging = '';
+  if (limit) {
+    paging = ` LIMIT ${add(limit)} OFFSET ${add((page - 1) * limit)}`;
+  }
+  const rowsResult = await client.query(
+    `SELECT * FROM medad_products WHERE ${where} ORDER BY product_no ASC${paging}`,
+    values
+  );
+
+  return { rows: rowsResult.rows, total: countResult.rows[0].total };
+};
+
+export const getMirroredProduct = async (client, productNo) => {
+  await ensureMedadProductTables(client);
+  const result = await client.query(
+    'SELECT * FROM medad_products WHERE product_no = $1 AND removed_at IS NULL',
+    [productNo]
+  );
+  return result.rows[0] || null;
+};
+
+export const startMedadProductSyncJob = () => {
+  const run = () => {
+    if (!medad.isConfigured()) return;
+    syncMedadProducts().catch((err) => console.error('Medad product sync failed:', err));
+  };
+
+  run();
+  const timer = setInterval(run, SYNC_INTERVAL_MINUTES * 60 * 1000);
+  timer.unref();
+  return timer;
+};
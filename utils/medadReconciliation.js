@@ -0,0 +1,440 @@
+import pkg from 'pg';
+import ExcelJS from 'exceljs';
+import { medad } from './medadClient.js';
+
+// Compares what we recorded as sent to Medad (orders -> invoices,
+// payment_workflow_requests -> payments) with Medad's own document lists and
+// stores the differences as a run. A daily job reconciles the last
+// MEDAD_RECONCILIATION_DAYS; GET /medad/reconciliation runs any range on demand.
+
+const { Pool } = pkg;
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  max: 5,
+  idleTimeoutMillis: 30000,
+  connectionTimeoutMillis: 10000,
+});
+
+pool.on('error', (err) => {
+  console.error('Unexpected error on idle Medad reconciliation client:', err);
+});
+
+const JOB_INTERVAL_HOURS = Number(process.env.MEDAD_RECONCILIATION_INTERVAL_HOURS || 24);
+const JOB_WINDOW_DAYS = Number(process.env.MEDAD_RECONCILIATION_DAYS || 7);
+const AMOUNT_TOLERANCE = 0.01;
+
+export const RECONCILIATION_ISSUES = {
+  MISSING: 'missing_in_medad', // we think it was sent, Medad has no such document
+  DUPLICATED: 'duplicated', // more than one Medad document for one local record, or the reverse
+  AMOUNT_MISMATCH: 'amount_mismatch',
+};
+
+export const ensureMedadReconciliationTables = async (client) => {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS medad_reconciliation_runs (
+      id SERIAL PRIMARY KEY,
+      from_date DATE NOT NULL,
+      to_date DATE NOT NULL,
+      status TEXT NOT NULL DEFAULT 'running',
+      summary JSONB,
+      error TEXT,
+      triggered_by TEXT,
+      started_at TIMESTAMPTZ DEFAULT NOW(),
+      finished_at TIMESTAMPTZ
+    )
+  `);
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS medad_reconciliation_issues (
+      id SERIAL PRIMARY KEY,
+      run_id INT NOT NULL REFERENCES medad_reconciliation_runs(id) ON DELETE CASCADE,
+      document_type TEXT NOT NULL,
+      issue TEXT NOT NULL,
+      local_id TEXT,
+      local_ref TEXT,
+      medad_no TEXT,
+      local_amount NUMERIC,
+      medad_amount NUMERIC,
+      details JSONB
+    )
+  `);
+  await client.query(
+    'CREATE INDEX IF NOT EXISTS medad_reconciliation_issues_run_idx ON medad_reconciliation_issues (run_id)'
+  );
+};
+
+const toNumber = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+const toDateString = (value) => {
+  if (!value) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString().split('T')[0];
+};
+
+const firstOf = (row, keys) => {
+  for (const key of keys) {
+    if (row?.[key] !== undefined && row[key] !== null && row[key] !== '') return row[key];
+  }
+  return null;
+};
+
+const sameAmount = (a, b) => a !== null && b !== null && Math.abs(a - b) <= AMOUNT_TOLERANCE;
+
+// Medad list rows use a few spellings; reduce them to what we compare.
+// Invoice amounts are net of VAT on both sides: orders.total_price is the `net`
+// we send, and Medad's `total` is the gross, so it only counts minus the tax.
+const normalizeMedadInvoice = (row) => {
+  const net = toNumber(firstOf(row, ['net', 'totalNet']));
+  const total = toNumber(row.total);
+  const tax = toNumber(firstOf(row, ['totalTax', 'tax']));
+  return {
+    no: String(firstOf(row, ['invoiceNo', 'invoice_no', 'id']) ?? ''),
+    ref: firstOf(row, ['refNo', 'reference', 'customerRef', 'externalOrderNo']),
+    customerId: firstOf(row, ['customerId', 'customer_id']),
+    date: toDateString(firstOf(row, ['invoiceDate', 'orderDate', 'date'])),
+    amount: net ?? (total !== null && tax !== null ? Number((total - tax).toFixed(2)) : null),
+  };
+};
+
+const normalizeMedadPayment = (row) => ({
+  no: String(firstOf(row, ['paymentNo', 'payment_no', 'voucherNo', 'id']) ?? ''),
+  ref: firstOf(row, ['refNo', 'reference']),
+  customerId: firstOf(row, ['customerId', 'customer_id']),
+  date: toDateString(firstOf(row, ['paymentDate', 'date'])),
+  amount: toNumber(firstOf(row, ['paymentAmount', 'amount'])),
+});
+
+/**
+ * Matches local records to Medad documents, by Medad number first and by our
+ * reference (order number) when we never stored the number. Pure; returns
+ * { matched, issues }.
+ *
+ * locals:  [{ id, ref, medadNo, customerId, amount }] (invoice amounts net of VAT)
+ * remotes: [{ no, ref, customerId, date, amount }]
+ */
+export const reconcileDocuments = (documentType, locals, remotes) => {
+  const byNo = new Map(remotes.filter((remote) => remote.no).map((remote) => [remote.no, remote]));
+  const claimedBy = new Map();
+  const issues = [];
+  const matches = [];
+
+  const issue = (type, local, remote, details = null) => {
+    issues.push({
+      documentType,
+      issue: type,
+      localId: local ? String(local.id) : null,
+      localRef: local?.ref ?? null,
+      medadNo: remote?.no ?? local?.medadNo ?? null,
+      localAmount: local?.amount ?? null,
+      medadAmount: remote?.amount ?? null,
+      details,
+    });
+  };
+
+  for (const local of locals) {
+    let remote = local.medadNo ? byNo.get(String(local.medadNo)) : null;
+    if (!remote && !local.medadNo && local.ref) {
+      remote = remotes.find((candidate) => candidate.ref === local.ref && !claimedBy.has(candidate.no));
+    }
+    if (!remote) {
+      issue(RECONCILIATION_ISSUES.MISSING, local, null);
+      continue;
+    }
+
+    const other = claimedBy.get(remote.no);
+    if (other) {
+      issue(RECONCILIATION_ISSUES.DUPLICATED, local, remote, { alsoClaimedBy: String(other.id) });
+      continue;
+    }
+    claimedBy.set(remote.no, local);
+    matches.push({ local, remote });
+
+    if (!sameAmount(local.amount, remote.amount)) {
+      issue(RECONCILIATION_ISSUES.AMOUNT_MISMATCH, local, remote, {
+        difference: local.amount !== null && remote.amount !== null
+          ? Number((remote.amount - local.amount).toFixed(2))
+          : null,
+      });
+    }
+  }
+
+  // Unclaimed Medad documents that look like a second copy of a matched one:
+  // same reference, or same customer, amount and date when Medad has no reference
+  for (const { local, remote } of matches) {
+    const copies = remotes.filter(
+      (candidate) =>
+        !claimedBy.has(candidate.no) &&
+        (candidate.ref && local.ref
+          ? candidate.ref === local.ref
+          : !candidate.ref &&
+            String(candidate.customerId ?? '') === String(local.customerId ?? '') &&
+            sameAmount(candidate.amount, remote.amount) &&
+            candidate.date === remote.date)
+    );
+    if (copies.length > 0) {
+      issue(RECONCILIATION_ISSUES.DUPLICATED, local, remote, { medadCopies: copies.map((copy) => copy.no) });
+    }
+  }
+
+  return { matched: matches.length, issues };
+};
+
+const loadLocalInvoices = async (client, from, to) => {
+  const result = await client.query(
+    `SELECT o.id, o.order_number, o.medad_invoice_no, o.total_price, o.created_at, cmc.medad_customer_id
+     FROM orders o
+     LEFT JOIN client_medad_customers cmc ON o.client_medad_customer_id = cmc.id
+     WHERE o.medad_sync_status = 'SENT_TO_MEDAD'
+       AND o.medad_synced_at::date BETWEEN $1 AND $2
+     ORDER BY o.id ASC`,
+    [from, to]
+  );
+  return result.rows.map((row) => ({
+    id: row.id,
+    ref: row.order_number ? String(row.order_number) : null,
+    medadNo: row.medad_invoice_no,
+    customerId: row.medad_customer_id,
+    amount: toNumber(row.total_price),
+    // The orderDate buildInvoicePayload gave Medad, which dates the invoice with it
+    invoiceDate: toDateString(row.created_at),
+  }));
+};
+
+const loadLocalPayments = async (client, from, to) => {
+  const exists = await client.query("SELECT to_regclass('payment_workflow_requests') AS name");
+  if (!exists.rows[0].name) return [];
+
+  const result = await client.query(
+    `SELECT id, beneficiary_id, manager_pay_amount, medad_response
+     FROM payment_workflow_requests
+     WHERE medad_sync_status = 'SENT_TO_MEDAD'
+       AND medad_synced_at::date BETWEEN $1 AND $2
+     ORDER BY id ASC`,
+    [from, to]
+  );
+  return result.rows.map((row) => ({
+    id: row.id,
+    ref: null,
+    medadNo: firstOf(row.medad_response || {}, ['paymentNo', 'payment_no', 'voucherNo']),
+    customerId: row.beneficiary_id,
+    amount: toNumber(row.manager_pay_amount),
+  }));
+};
+
+const summarize = (locals, remotes, result) => {
+  const count = (type) => result.issues.filter((entry) => entry.issue === type).length;
+  return {
+    local: locals.length,
+    medad: remotes.length,
+    matched: result.matched,
+    missing: count(RECONCILIATION_ISSUES.MISSING),
+    duplicated: count(RECONCILIATION_ISSUES.DUPLICATED),
+    amountMismatch: count(RECONCILIATION_ISSUES.AMOUNT_MISMATCH),
+  };
+};
+
+/**
+ * Reconciles invoices and payments sent to Medad between `from` and `to`
+ * (YYYY-MM-DD, inclusive) and stores the run. Resolves to { run, issues }; a Medad failure
+ * marks the run failed and is rethrown.
+ */
+export const runMedadReconciliation = async ({ from, to, triggeredBy = null }) => {
+  const client = await pool.connect();
+  try {
+    await ensureMedadReconciliationTables(client);
+    const started = await client.query(
+      'INSERT INTO medad_reconciliation_runs (from_date, to_date, triggered_by) VALUES ($1, $2, $3) RETURNING *',
+      [from, to, triggeredBy]
+    );
+    const runId = started.rows[0].id;
+
+    try {
+      const [localInvoices, localPayments] = await Promise.all([
+        loadLocalInvoices(client, from, to),
+        loadLocalPayments(client, from, to),
+      ]);
+      // Local invoices are picked by the day they were sent, Medad's by invoice
+      // date, which can be earlier; reach back far enough to list all of ours
+      const invoicesFrom = localInvoices.reduce(
+        (earliest, local) => (local.invoiceDate && local.invoiceDate < earliest ? local.invoiceDate : earliest),
+        from
+      );
+      const [medadInvoices, medadPayments] = await Promise.all([
+        medad.listAllInvoices({ from: invoicesFrom, to }),
+        medad.listAllPayments({ from, to }),
+      ]);
+
+      const remoteInvoices = medadInvoices.map(normalizeMedadInvoice);
+      const remotePayments = medadPayments.map(normalizeMedadPayment);
+      const invoices = reconcileDocuments('invoice', localInvoices, remoteInvoices);
+      const payments = reconcileDocuments('payment', localPayments, remotePayments);
+      const issues = [...invoices.issues, ...payments.issues];
+
+      await client.query('BEGIN');
+      for (const entry of issues) {
+        await client.query(
+          `INSERT INTO medad_reconciliation_issues
+             (run_id, document_type, issue, local_id, local_ref, medad_no, local_amount, medad_amount, details)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+          [
+            runId,
+            entry.documentType,
+            entry.issue,
+            entry.localId,
+            entry.localRef,
+            entry.medadNo,
+            entry.localAmount,
+            entry.medadAmount,
+            entry.details ? JSON.stringify(entry.details) : null,
+          ]
+        );
+      }
+      const summary = {
+        invoices: summarize(localInvoices, remoteInvoices, invoices),
+        payments: summarize(localPayments, remotePayments, payments),
+      };
+      const finished = await client.query(
+        `UPDATE medad_reconciliation_runs
+         SET status = 'completed', summary = $2, finished_at = NOW()
+         WHERE id = $1
+         RETURNING *`,
+        [runId, JSON.stringify(summary)]
+      );
+      await client.query('COMMIT');
+
+      return loadReconciliationRun(client, finished.rows[0].id);
+    } catch (error) {
+      await client.query('ROLLBACK').catch(() => {});
+      await client.query(
+        "UPDATE medad_reconciliation_runs SET status = 'failed', error = $2, finished_at = NOW() WHERE id = $1",
+        [runId, error.message]
+      );
+      throw error;
+    }
+  } finally {
+    client.release();
+  }
+};
+
+export const loadReconciliationRun = async (client, runId) => {
+  await ensureMedadReconciliationTables(client);
+  const runResult = await client.query('SELECT * FROM medad_reconciliation_runs WHERE id = $1', [runId]);
+  if (runResult.rowCount === 0) return null;
+
+  const issuesResult = await client.query(
+    'SELECT * FROM medad_reconciliation_issues WHERE run_id = $1 ORDER BY document_type, issue, id',
+    [runId]
+  );
+  return { run: runResult.rows[0], issues: issuesResult.rows };
+};
+
+export const listReconciliationRuns = async (client, { limit = 20 } = {}) => {
+  await ensureMedadReconciliationTables(client);
+  const result = await client.query(
+    'SELECT * FROM medad_reconciliation_runs ORDER BY started_at DESC LIMIT $1',
+    [limit]
+  );
+  return result.rows;
+};
+
+const ISSUE_LABELS = {
+  [RECONCILIATION_ISSUES.MISSING]: 'غير موجود في مدد',
+  [RECONCILIATION_ISSUES.DUPLICATED]: 'مكرر',
+  [RECONCILIATION_ISSUES.AMOUNT_MISMATCH]: 'اختلاف في المبلغ',
+};
+
+/**
+ * Builds the XLSX export of a run: a summary sheet and one row per issue.
+ * @returns {Promise<Buffer>}
+ */
+export const buildReconciliationWorkbook = async ({ run, issues }) => {
+  const workbook = new ExcelJS.Workbook();
+
+  const summarySheet = workbook.addWorksheet('Summary');
+  summarySheet.columns = [
+    { header: 'Document', key: 'document', width: 14 },
+    { header: 'Local', key: 'local', width: 10 },
+    { header: 'Medad', key: 'medad', width: 10 },
+    { header: 'Matched', key: 'matched', width: 10 },
+    { header: 'Missing', key: 'missing', width: 10 },
+    { header: 'Duplicated', key: 'duplicated', width: 12 },
+    { header: 'Amount mismatch', key: 'amountMismatch', width: 18 },
+  ];
+  for (const [document, counts] of Object.entries(run.summary || {})) {
+    summarySheet.addRow({ document, ...counts });
+  }
+  summarySheet.addRow([]);
+  summarySheet.addRow(['From', toDateString(run.from_date)]);
+  summarySheet.addRow(['To', toDateString(run.to_date)]);
+  summarySheet.addRow(['Run at', run.started_at ? new Date(run.started_at).toISOString() : null]);
+  summarySheet.getRow(1).font = { bold: true };
+
+  const issuesSheet = workbook.addWorksheet('Issues');
+  issuesSheet.columns = [
+    { header: 'Document', key: 'document_type', width: 12 },
+    { header: 'Issue', key: 'issue', width: 20 },
+    { header: 'Local ID', key: 'local_id', width: 10 },
+    { header: 'Local reference', key: 'local_ref', width: 18 },
+    { header: 'Medad no.', key: 'medad_no', width: 18 },
+    { header: 'Local amount', key: 'local_amount', width: 14 },
+    { header: 'Medad amount', key: 'medad_amount', width: 14 },
+    { header: 'Details', key: 'details', width: 40 },
+  ];
+  for (const entry of issues) {
+    issuesSheet.addRow({
+      ...entry,
+      issue: ISSUE_LABELS[entry.issue] || entry.issue,
+      local_amount: toNumber(entry.local_amount),
+      medad_amount: toNumber(entry.medad_amount),
+      details: entry.details ? JSON.stringify(entry.details) : '',
+    });
+  }
+  issuesSheet.getRow(1).font = { bold: true };
+
+  return workbook.xlsx.writeBuffer();
+};
+
+const reconcileRecentDocuments = async () => {
+  if (!medad.isConfigured()) return null;
+
+  // Restarts should not trigger an extra run inside the interval
+  const client = await pool.connect();
+  try {
+    await ensureMedadReconciliationTables(client);
+    const recent = await client.query(
+      `SELECT 1 FROM medad_reconciliation_runs
+       WHERE triggered_by = 'job' AND started_at > NOW() - $1 * INTERVAL '1 hour'
+       LIMIT 1`,
+      [JOB_INTERVAL_HOURS]
+    );
+    if (recent.rowCount > 0) return null;
+  } finally {
+    client.release();
+  }
+
+  const to = new Date();
+  const from = new Date(to.getTime() - (JOB_WINDOW_DAYS - 1) * 24 * 60 * 60 * 1000);
+  const result = await runMedadReconciliation({
+    from: toDateString(from),
+    to: toDateString(to),
+    triggeredBy: 'job',
+  });
+  if (result.issues.length > 0) {
+    console.warn(`Medad reconciliation run ${result.run.id} found ${result.issues.length} issue(s)`);
+  }
+  return result;
+};
+
+export const startMedadReconciliationJob = () => {
+  const run = () =>
+    reconcileRecentDocuments().catch((err) => console.error('Medad reconciliation job failed:', err));
+
+  run();
+  const timer = setInterval(run, JOB_INTERVAL_HOURS * 60 * 60 * 1000);
+  timer.unref();
+  return timer;
+};
@@ -0,0 +1,192 @@
+import { medad } from './medadClient.js';
+import {
+  ensureMedadProductTables,
+  getProductSyncState,
+  syncMedadProducts,
+  warehouseCode,
+} from './medadProductMirror.js';
+
+// Stock per product and warehouse. Quantities come from Medad's warehouse
+// inventory, kept in memory for MEDAD_STOCK_CACHE_SECONDS (60) so a screen
+// full of requests costs one Medad walk per warehouse. When Medad cannot be
+// reached the quantities mirrored in medad_products are used instead.
+
+const STOCK_CACHE_SECONDS = Number(process.env.MEDAD_STOCK_CACHE_SECONDS || 60);
+
+const stockCache = new Map(); // warehouse code -> { at, quantities, pending }
+
+const fetchWarehouseQuantities = async (code) => {
+  const items = await medad.listAllWarehouseInventory(code);
+  const quantities = {};
+  for (const item of items) {
+    const productNo = item.productNo ?? item.product_no;
+    if (productNo === undefined || productNo === null) continue;
+    const quantity = Number(item.quantity ?? item.qty);
+    quantities[String(productNo)] = Number.isFinite(quantity) ? quantity : 0;
+  }
+  return quantities;
+};
+
+const cachedWarehouseQuantities = (code, { fresh = false } = {}) => {
+  const cached = stockCache.get(code);
+  if (!fresh && cached?.quantities && Date.now() - cached.at < STOCK_CACHE_SECONDS * 1000) {
+    return Promise.resolve(cached.quantities);
+  }
+  if (cached?.pending) return cached.pending;
+
+  const pending = fetchWarehouseQuantities(code)
+    .then((quantities) => {
+      stockCache.set(code, { at: Date.now(), quantities, pending: null });
+      return quantities;
+    })
+    .catch((error) => {
+      stockCache.delete(code);
+      throw error;
+    });
+  stockCache.set(code, { ...(cached || {}), pending });
+  return pending;
+};
+
+/**
+ * Warehouses the user may see: user_warehouses.warehouse_code plus
+ * warehouse_codes, as 4-digit codes. Empty when nothing is assigned.
+ */
+export const getUserWarehouseCodes = async (client, clerkId) => {
+  if (!clerkId) return [];
+  const exists = await client.query("SELECT to_regclass('user_warehouses') AS name");
+  if (!exists.rows[0].name) return [];
+
+  const result = await client.query(
+    'SELECT warehouse_code, warehouse_codes FROM user_warehouses WHERE clerk_id = $1',
+    [clerkId]
+  );
+  const row = result.rows[0];
+  if (!row) return [];
+  const codes = [row.warehouse_code, ...(row.warehouse_codes || [])].filter(Boolean).map(warehouseCode);
+  return [...new Set(codes)].sort();
+};
+
+// Every warehouse the mirrored catalogue mentions
+export const listKnownWarehouseCodes = async (client) => {
+  await ensureMedadProductTables(client);
+  const result = await client.query(
+    `SELECT DISTINCT jsonb_object_keys(warehouses) AS code
+     FROM medad_products
+     WHERE removed_at IS NULL
+     ORDER BY code`
+  );
+  return result.rows.map((row) => row.code);
+};
+
+/**
+ * Quantities for `codes`. Resolves to
+ * { stock: { code: { productNo: quantity } }, sources: { code: 'medad' | 'mirror' }, errors: { code: message } }.
+ */
+export const loadWarehouseStock = async (client, codes, { fresh = false } = {}) => {
+  const stock = {};
+  const sources = {};
+  const errors = {};
+
+  const settled = await Promise.allSettled(codes.map((code) => cachedWarehouseQuantities(code, { fresh })));
+  const failed = [];
+  settled.forEach((outcome, index) => {
+    const code = codes[index];
+    if (outcome.status === 'fulfilled') {
+      stock[code] = outcome.value;
+      sources[code] = 'medad';
+    } else {
+      errors[code] = outcome.reason?.message || String(outcome.reason);
+      failed.push(code);
+    }
+  });
+
+  if (failed.length > 0) {
+    await ensureMedadProductTables(client);
+    for (const code of failed) {
+      const result = await client.query(
+        `SELECT product_no, (warehouses ->> $1)::numeric AS quantity
+         FROM medad_products
+         WHERE removed_at IS NULL AND warehouses ? $1`,
+        [code]
+      );
+      stock[code] = Object.fromEntries(result.rows.map((row) => [row.product_no, Number(row.quantity)]));
+      sources[code] = 'mirror';
+    }
+  }
+
+  return { stock, sources, errors };
+};
+
+/**
+ * Product x warehouse matrix for `codes`, with products taken from the mirror
+ * and their section from the local products table (matched on code). `section`
+ * matches the local section name or the Medad category.
+ * Resolves to { items, total, sources, errors }.
+ */
+export const buildStockMatrix = async (
+  client,
+  { codes, search = null, section = null, sectionId = null, inStock = false, page = 1, limit = 50, fresh = false }
+) => {
+  const syncState = await getProductSyncState(client);
+  if (!syncState?.last_synced_at) {
+    await syncMedadProducts();
+  }
+
+  const conditions = ['mp.removed_at IS NULL'];
+  const values = [];
+  const add = (value) => {
+    values.push(value);
+    return `$${values.length}`;
+  };
+  if (search) {
+    const term = add(`%${search}%`);
+    conditions.push(`(mp.product_no ILIKE ${term} OR mp.description ILIKE ${term} OR mp.barcode ILIKE ${term})`);
+  }
+  if (sectionId) conditions.push(`s.id = ${add(sectionId)}`);
+  if (section) {
+    const name = add(section);
+    conditions.push(`(s.name = ${name} OR mp.category = ${name})`);
+  }
+
+  const productsResult = await client.query(
+    `SELECT mp.product_no, mp.description, mp.unit, mp.category, s.id AS section_id, s.name AS section_name
+     FROM medad_products mp
+     LEFT JOIN LATERAL (
+       SELECT section_id FROM products WHERE code = mp.product_no ORDER BY id LIMIT 1
+     ) lp ON TRUE
+     LEFT JOIN sections s ON s.id = lp.section_id
+     WHERE ${conditions.join(' AND ')}
+     ORDER BY mp.product_no ASC`,
+    values
+  );
+
+  const { stock, sources, errors } = await loadWarehouseStock(client, codes, { fresh });
+
+  let rows = productsResult.rows.map((product) => {
+    const quantities = {};
+    let total = 0;
+    for (const code of codes) {
+      const quantity = stock[code]?.[product.product_no] ?? 0;
+      quantities[code] = quantity;
+      total += quantity;
+    }
+    return {
+      productNo: product.product_no,
+      description: product.description,
+      unit: product.unit,
+      category: product.category,
+      sectionId: product.section_id,
+      section: product.section_name || product.category || null,
+      quantities,
+      total,
+    };
+  });
+  if (inStock) rows = rows.filter((row) => row.total > 0);
+
+  return {
+    items: rows.slice((page - 1) * limit, page * limit),
+    total: rows.length,
+    sources,
+    errors,
+  };
+};
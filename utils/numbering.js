@@ -0,0 +1,154 @@
+// Document numbering backed by the document_sequences table. Every call must run
+// inside the caller's transaction: the sequence row stays locked until COMMIT, so
+// concurrent creates queue up behind each other, and a ROLLBACK hands the number
+// back, which keeps each series gap-free.
+
+const envNumber = (name, fallback) => {
+  const value = Number(process.env[name]);
+  return Number.isInteger(value) && value > 0 ? value : fallback;
+};
+
+/**
+ * Known series. `prefix`/`padding` shape the formatted id (PREFIX-YYYY-00001);
+ * `seed` tells the service where existing numbers live so a new sequence row
+ * starts after them instead of at 1.
+ */
+export const NUMBER_SERIES = {
+  order: {
+    prefix: process.env.ORDER_NUMBER_PREFIX || 'NPO',
+    padding: envNumber('ORDER_NUMBER_PADDING', 5),
+    perYear: true,
+    seed: { table: 'orders', column: 'custom_id' },
+  },
+  quotation: {
+    prefix: process.env.QUOTATION_NUMBER_PREFIX || 'NPQ',
+    padding: envNumber('QUOTATION_NUMBER_PADDING', 5),
+    perYear: true,
+    seed: { table: 'quotations', column: 'custom_id' },
+  },
+  credit_note: {
+    prefix: process.env.CREDIT_NOTE_NUMBER_PREFIX || 'NPC',
+    padding: envNumber('CREDIT_NOTE_NUMBER_PADDING', 5),
+    perYear: true,
+    seed: { table: 'order_returns', column: 'credit_note_no' },
+  },
+  stock_transfer: {
+    prefix: process.env.STOCK_TRANSFER_NUMBER_PREFIX || 'NPT',
+    padding: envNumber('STOCK_TRANSFER_NUMBER_PADDING', 5),
+    perYear: true,
+    seed: { table: 'stock_transfers', column: 'transfer_no' },
+  },
+  stocktake: {
+    prefix: process.env.STOCKTAKE_NUMBER_PREFIX || 'NPS',
+    padding: envNumber('STOCKTAKE_NUMBER_PADDING', 5),
+    perYear: true,
+    seed: { table: 'stocktakes', column: 'stocktake_no' },
+  },
+  purchase_order: {
+    prefix: process.env.PURCHASE_ORDER_NUMBER_PREFIX || 'NPP',
+    padding: envNumber('PURCHASE_ORDER_NUMBER_PADDING', 5),
+    perYear: true,
+    seed: { table: 'purchase_orders', column: 'po_no' },
+  },
+  rfq: {
+    prefix: process.env.RFQ_NUMBER_PREFIX || 'NPR',
+    padding: envNumber('RFQ_NUMBER_PADDING', 5),
+    perYear: true,
+    seed: { table: 'material_rfqs', column: 'rfq_no' },
+  },
+  // Plain running counters used for orders.order_number / quotations.quotation_number
+  order_number: {
+    perYear: false,
+    seed: { table: 'orders', column: 'order_number', numeric: true },
+  },
+  quotation_number: {
+    perYear: false,
+    seed: { table: 'quotations', column: 'quotation_number', numeric: true },
+  },
+};
+
+export const ensureDocumentSequencesTable = async (client) => {
+  const existing = await client.query("SELECT to_regclass('document_sequences') IS NOT NULL AS present");
+  if (existing.rows[0].present) return;
+
+  // Runs inside the caller's transaction, where two first calls would both try
+  // to create the table and one would fail; the lock makes the others wait for
+  // the first to commit, after which IF NOT EXISTS sees its table
+  await client.query("SELECT pg_advisory_xact_lock(hashtext('document_sequences'))");
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS document_sequences (
+      series TEXT NOT NULL,
+      year INT NOT NULL,
+      last_value INT NOT NULL DEFAULT 0,
+      updated_at TIMESTAMPTZ DEFAULT NOW(),
+      PRIMARY KEY (series, year)
+    )
+  `);
+};
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Scalar subquery returning the highest number already used by `config`'s table.
+const seedExpression = (config, year) => {
+  if (!config.seed) return { sql: '0', params: [] };
+
+  const { table, column, numeric } = config.seed;
+  if (numeric) {
+    return { sql: `(SELECT COALESCE(MAX(${column}), 0)::int FROM ${table})`, params: [] };
+  }
+  // Existing ids may carry suffixes such as " Rev2"; only the leading digits count.
+  const pattern = `^${escapeRegex(config.prefix)}-${year}-(\\d+)`;
+  return {
+    sql: `(SELECT COALESCE(MAX(SUBSTRING(${column} FROM $3)::int), 0) FROM ${table} WHERE ${column} ~ $3)`,
+    params: [pattern],
+  };
+};
+
+/**
+ * Reserves and returns the next integer in `series` for `year`.
+ */
+export const nextSequenceValue = async (client, series, { year = new Date().getFullYear() } = {}) => {
+  const config = NUMBER_SERIES[series];
+  if (!config) throw new Error(`Unknown number series: ${series}`);
+
+  const sequenceYear = config.perYear ? year : 0;
+  await ensureDocumentSequencesTable(client);
+
+  const existing = await client.query(
+    'SELECT 1 FROM document_sequences WHERE series = $1 AND year = $2',
+    [series, sequenceYear]
+  );
+  if (existing.rowCount === 0) {
+    const seed = seedExpression(config, sequenceYear);
+    await client.query(
+      `INSERT INTO document_sequences (series, year, last_value)
+       VALUES ($1, $2, ${seed.sql})
+       ON CONFLICT (series, year) DO NOTHING`,
+      [series, sequenceYear, ...seed.params]
+    );
+  }
+
+  const result = await client.query(
+    `UPDATE document_sequences
+     SET last_value = last_value + 1, updated_at = NOW()
+     WHERE series = $1 AND year = $2
+     RETURNING last_value`,
+    [series, sequenceYear]
+  );
+  return result.rows[0].last_value;
+};
+
+export const formatDocumentNumber = (series, value, { year = new Date().getFullYear() } = {}) => {
+  const { prefix, padding } = NUMBER_SERIES[series];
+  return `${prefix}-${year}-${String(value).padStart(padding, '0')}`;
+};
+
+/**
+ * Next formatted id for a prefixed series, e.g. nextDocumentNumber(client, 'order')
+ * -> 'NPO-2025-00042'.
+ */
+export const nextDocumentNumber = async (client, series, options = {}) => {
+  const year = options.year || new Date().getFullYear();
+  const value = await nextSequenceValue(client, series, { year });
+  return formatDocumentNumber(series, value, { year });
+};
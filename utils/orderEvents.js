@@ -0,0 +1,49 @@
+// Append-only history of everything that happens to an order. Rows are written
+// in the same transaction as the change they describe where one exists.
+
+export const ensureOrderEventsTable = async (client) => {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS order_events (
+      id SERIAL PRIMARY KEY,
+      order_id INT NOT NULL,
+      event_type TEXT NOT NULL,
+      actor_clerk_id TEXT,
+      actor_role TEXT,
+      actor_name TEXT,
+      from_state TEXT,
+      to_state TEXT,
+      payload JSONB,
+      created_at TIMESTAMPTZ DEFAULT NOW()
+    )
+  `);
+  await client.query(
+    'CREATE INDEX IF NOT EXISTS order_events_order_id_idx ON order_events (order_id, created_at)'
+  );
+};
+
+/**
+ * Inserts one order_events row. `actor` is `req.user` (or null for system jobs).
+ */
+export const recordOrderEvent = async (
+  client,
+  { orderId, eventType, actor = null, fromState = null, toState = null, payload = null }
+) => {
+  await ensureOrderEventsTable(client);
+  const result = await client.query(
+    `INSERT INTO order_events
+       (order_id, event_type, actor_clerk_id, actor_role, actor_name, from_state, to_state, payload)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+     RETURNING *`,
+    [
+      orderId,
+      eventType,
+      actor?.clerkId || null,
+      actor?.role || null,
+      actor?.name || null,
+      fromState,
+      toState,
+      payload ? JSON.stringify(payload) : null,
+    ]
+  );
+  return result.rows[0];
+};
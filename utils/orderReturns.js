@@ -0,0 +1,77 @@
+// Returns / credit notes raised against invoiced orders. Each order_returns row is
+// one credit note; its lines point back at the order_products they reverse.
+
+export const ensureOrderReturnTables = async (client) => {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS order_returns (
+      id SERIAL PRIMARY KEY,
+      order_id INT NOT NULL,
+      credit_note_no TEXT UNIQUE NOT NULL,
+      reason TEXT NOT NULL,
+      total_price NUMERIC(12,2) NOT NULL DEFAULT 0,
+      total_vat NUMERIC(12,2) NOT NULL DEFAULT 0,
+      total_subtotal NUMERIC(12,2) NOT NULL DEFAULT 0,
+      medad_sync_status TEXT NOT NULL DEFAULT 'PENDING',
+      medad_return_no TEXT,
+      medad_error TEXT,
+      medad_synced_at TIMESTAMPTZ,
+      created_by_clerk_id TEXT,
+      created_by_name TEXT,
+      created_at TIMESTAMPTZ DEFAULT NOW()
+    )
+  `);
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS order_return_lines (
+      id SERIAL PRIMARY KEY,
+      return_id INT NOT NULL REFERENCES order_returns(id) ON DELETE CASCADE,
+      order_product_id INT NOT NULL,
+      description TEXT,
+      medad_product_no TEXT,
+      quantity NUMERIC(12,3) NOT NULL,
+      price NUMERIC(12,2) NOT NULL,
+      vat NUMERIC(12,2) NOT NULL,
+      subtotal NUMERIC(12,2) NOT NULL,
+      vat_category TEXT,
+      vat_rate NUMERIC(6,4),
+      reason TEXT
+    )
+  `);
+  await client.query('CREATE INDEX IF NOT EXISTS order_returns_order_id_idx ON order_returns (order_id)');
+};
+
+/**
+ * Quantity already returned per order_products.id for `orderId`.
+ */
+export const loadReturnedQuantities = async (client, orderId) => {
+  const result = await client.query(
+    `SELECT l.order_product_id, SUM(l.quantity) AS returned
+     FROM order_return_lines l
+     JOIN order_returns r ON r.id = l.return_id
+     WHERE r.order_id = $1
+     GROUP BY l.order_product_id`,
+    [orderId]
+  );
+  return new Map(result.rows.map((row) => [Number(row.order_product_id), Number(row.returned)]));
+};
+
+/**
+ * Credit notes of an order, oldest first, each with its lines.
+ */
+export const listOrderReturns = async (client, orderId) => {
+  await ensureOrderReturnTables(client);
+  const returnsResult = await client.query(
+    'SELECT * FROM order_returns WHERE order_id = $1 ORDER BY created_at ASC, id ASC',
+    [orderId]
+  );
+  if (returnsResult.rowCount === 0) return [];
+
+  const linesResult = await client.query(
+    `SELECT * FROM order_return_lines WHERE return_id = ANY($1::int[]) ORDER BY id ASC`,
+    [returnsResult.rows.map((row) => row.id)]
+  );
+
+  return returnsResult.rows.map((orderReturn) => ({
+    ...orderReturn,
+    lines: linesResult.rows.filter((line) => line.return_id === orderReturn.id),
+  }));
+};
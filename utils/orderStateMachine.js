@@ -0,0 +1,222 @@
+import { can } from '../middlewares/permissions.js';
+import { recordOrderEvent } from './orderEvents.js';
+import { autoPushInvoice } from './medadInvoice.js';
+import { consumeOrderStock, prepareOrderStock, releaseOrderStock, reserveOrderStock } from './stockReservations.js';
+
+// Order state is stored across status / manageraccept / supervisoraccept /
+// storekeeperaccept / mark. This module derives a single lifecycle state from
+// those columns and is the only place allowed to move an order between states.
+
+export const ORDER_STATES = {
+  PENDING_APPROVAL: 'pending_approval', // waiting for manager and/or supervisor
+  APPROVED: 'approved', // manager + supervisor accepted, waiting for storekeeper
+  READY_FOR_DELIVERY: 'ready_for_delivery', // storekeeper accepted
+  DELIVERED: 'delivered',
+  DONE: 'done', // marked done by accounting
+  REJECTED: 'rejected',
+};
+
+const {
+  PENDING_APPROVAL,
+  APPROVED,
+  READY_FOR_DELIVERY,
+  DELIVERED,
+  DONE,
+  REJECTED,
+} = ORDER_STATES;
+
+const isAccepted = (value) => String(value || '').toLowerCase() === 'accepted';
+
+export const deriveOrderState = (order) => {
+  if (String(order.status || '').toLowerCase() === 'rejected') return REJECTED;
+  if (String(order.mark || '').toLowerCase() === 'done') return DONE;
+  if (order.status === 'Delivered') return DELIVERED;
+  if (isAccepted(order.storekeeperaccept)) return READY_FOR_DELIVERY;
+  if (isAccepted(order.manageraccept) && isAccepted(order.supervisoraccept)) return APPROVED;
+  return PENDING_APPROVAL;
+};
+
+// Marker for columns that should be set to CURRENT_TIMESTAMP
+const NOW = Symbol('now');
+
+const resetApprovals = {
+  supervisoraccept: 'pending',
+  manageraccept: 'pending',
+  storekeeperaccept: 'pending',
+};
+
+// Stock reservation side effects, run inside the transition's transaction
+const reserveStock = async (client, order, { user, prepared }) => {
+  const { shortages, skipped } = await reserveOrderStock(client, order, { user, snapshot: prepared });
+  if (skipped === 'stale_snapshot') {
+    throw new OrderTransitionError(409, 'order_changed', { action: 'acceptStorekeeper' });
+  }
+  if (shortages.length > 0) {
+    throw new OrderTransitionError(409, 'insufficient_stock', { action: 'acceptStorekeeper', shortages });
+  }
+};
+const releaseStock = (client, order) => releaseOrderStock(client, order.id);
+const consumeStock = (client, order) => consumeOrderStock(client, order.id);
+
+/**
+ * Legal transitions. `permission` is checked against the role permission map,
+ * `from` lists the states the order may be in, `guard` adds per-column checks,
+ * `set` returns the columns to write and `effect` runs after the update in the
+ * same transaction (throwing rolls the transition back). `prepare` runs before
+ * the transaction, without locks, for slow reads such as Medad stock; its
+ * result reaches `effect` as `prepared`.
+ */
+export const ORDER_TRANSITIONS = {
+  acceptManager: {
+    permission: 'order:acceptManager',
+    from: [PENDING_APPROVAL],
+    guard: (order) => !isAccepted(order.manageraccept),
+    set: () => ({ manageraccept: 'accepted', manageraccept_at: NOW }),
+  },
+  acceptSupervisor: {
+    permission: 'order:acceptSupervisor',
+    from: [PENDING_APPROVAL],
+    guard: (order) => !isAccepted(order.supervisoraccept),
+    set: () => ({ supervisoraccept: 'accepted', supervisoraccept_at: NOW }),
+  },
+  acceptStorekeeper: {
+    permission: 'order:acceptStorekeeper',
+    from: [APPROVED],
+    set: () => ({ storekeeperaccept: 'accepted', storekeeperaccept_at: NOW }),
+    prepare: (client, orderId) => prepareOrderStock(client, orderId),
+    effect: reserveStock,
+  },
+  deliver: {
+    permission: 'order:deliver',
+    from: [READY_FOR_DELIVERY],
+    set: () => ({ status: 'Delivered', actual_delivery_date: NOW }),
+    effect: consumeStock,
+  },
+  notDeliver: {
+    permission: 'order:deliver',
+    from: [READY_FOR_DELIVERY],
+    set: ({ driverNotes }) => ({
+      status: 'not Delivered',
+      driver_notes: driverNotes || '',
+      actual_delivery_date: null,
+      ...resetApprovals,
+    }),
+    effect: releaseStock,
+  },
+  reject: {
+    permission: 'order:reject',
+    from: [PENDING_APPROVAL, APPROVED, READY_FOR_DELIVERY],
+    set: ({ notes }) => ({ status: 'rejected', notes: notes || '', ...resetApprovals }),
+    effect: releaseStock,
+  },
+  markDone: {
+    permission: 'order:markDone',
+    from: [READY_FOR_DELIVERY, DELIVERED],
+    set: () => ({ mark: 'done', markAsDone_at: NOW }),
+    effect: consumeStock,
+  },
+  markPending: {
+    permission: 'order:markDone',
+    from: [DONE],
+    set: () => ({ mark: 'pending', markAsDone_at: null }),
+  },
+};
+
+export class OrderTransitionError extends Error {
+  constructor(status, reason, details = {}) {
+    super(reason);
+    this.name = 'OrderTransitionError';
+    this.status = status;
+    this.reason = reason;
+    this.details = details;
+  }
+
+  toJSON() {
+    const error = {
+      404: 'Order not found',
+      403: 'Forbidden',
+      409: 'Illegal order transition',
+    }[this.status] || 'Order transition failed';
+    return { error, reason: this.reason, ...this.details };
+  }
+}
+
+const buildSet = (columns) => {
+  const parts = [];
+  const params = [];
+  for (const [column, value] of Object.entries(columns)) {
+    if (value === NOW) {
+      parts.push(`${column} = CURRENT_TIMESTAMP`);
+    } else {
+      params.push(value);
+      parts.push(`${column} = $${params.length + 1}`);
+    }
+  }
+  parts.push('updated_at = CURRENT_TIMESTAMP');
+  return { sql: parts.join(', '), params };
+};
+
+/**
+ * Applies `action` to order `orderId` inside its own transaction, locking the row
+ * first so concurrent requests cannot both pass the state check, and records the
+ * change in order_events. Transitions covered by the automatic invoice policy
+ * also queue the Medad invoice once committed.
+ * Resolves to { order, from, to }; throws OrderTransitionError (404/403/409).
+ */
+export const transitionOrder = async (client, orderId, action, { user, payload = {} } = {}) => {
+  const transition = ORDER_TRANSITIONS[action];
+  if (!transition) throw new Error(`Unknown order transition: ${action}`);
+
+  if (!can(user?.role, transition.permission)) {
+    throw new OrderTransitionError(403, user?.role ? 'role_not_permitted' : 'missing_role', { action });
+  }
+
+  const prepared = transition.prepare ? await transition.prepare(client, orderId) : null;
+
+  await client.query('BEGIN');
+  try {
+    const current = await client.query('SELECT * FROM orders WHERE id = $1 FOR UPDATE', [orderId]);
+    if (current.rowCount === 0) {
+      throw new OrderTransitionError(404, 'order_not_found', { action });
+    }
+
+    const before = current.rows[0];
+    const from = deriveOrderState(before);
+    const allowed = transition.from.includes(from) && (!transition.guard || transition.guard(before));
+    if (!allowed) {
+      throw new OrderTransitionError(409, 'illegal_transition', { action, from });
+    }
+
+    const { sql, params } = buildSet(transition.set(payload));
+    const updated = await client.query(
+      `UPDATE orders SET ${sql} WHERE id = $1 RETURNING *`,
+      [orderId, ...params]
+    );
+    const order = updated.rows[0];
+    const to = deriveOrderState(order);
+
+    if (transition.effect) {
+      await transition.effect(client, order, { user, payload, prepared });
+    }
+
+    await recordOrderEvent(client, {
+      orderId: order.id,
+      eventType: action,
+      actor: user,
+      fromState: from,
+      toState: to,
+      payload: Object.keys(payload).length ? payload : null,
+    });
+
+    await client.query('COMMIT');
+
+    // Runs after the commit and is not awaited: the Medad push must not hold
+    // or fail the transition (see MEDAD_AUTO_INVOICE_ON)
+    autoPushInvoice(order.id, action, user);
+
+    return { order, from, to };
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  }
+};
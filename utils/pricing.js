@@ -0,0 +1,287 @@
+// Single place where line and document totals are calculated. Every amount is
+// rounded to 2 decimals (halalas) per line, half away from zero; document totals
+// are the sum of the rounded lines so they always tie back to the lines.
+
+const envRate = (name, fallback) => {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value >= 0 && value < 1 ? value : fallback;
+};
+
+export const DEFAULT_VAT_RATE = envRate('VAT_RATE', 0.15);
+
+// Same codes ZATCA uses for the tax category of a line
+export const VAT_CATEGORIES = {
+  STANDARD: 'S',
+  ZERO_RATED: 'Z',
+  EXEMPT: 'E',
+};
+
+// Client totals may differ from ours by at most this much before being rejected
+export const TOTALS_TOLERANCE = 0.01;
+
+export class PricingError extends Error {
+  constructor(reason, message, details = null) {
+    super(message);
+    this.name = 'PricingError';
+    this.status = 400;
+    this.reason = reason;
+    this.details = details;
+  }
+
+  toJSON() {
+    return { error: this.message, reason: this.reason, details: this.details };
+  }
+}
+
+export const roundMoney = (value) => {
+  const number = Number(value) || 0;
+  // toPrecision strips binary noise first, so 1.005 rounds to 1.01 and not 1.00
+  const halalas = Math.round(Number((Math.abs(number) * 100).toPrecision(15)));
+  return (Math.sign(number) * halalas) / 100;
+};
+
+const CATEGORY_ALIASES = {
+  s: VAT_CATEGORIES.STANDARD,
+  standard: VAT_CATEGORIES.STANDARD,
+  z: VAT_CATEGORIES.ZERO_RATED,
+  zero: VAT_CATEGORIES.ZERO_RATED,
+  zero_rated: VAT_CATEGORIES.ZERO_RATED,
+  'zero-rated': VAT_CATEGORIES.ZERO_RATED,
+  e: VAT_CATEGORIES.EXEMPT,
+  exempt: VAT_CATEGORIES.EXEMPT,
+};
+
+export const normalizeVatCategory = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  return CATEGORY_ALIASES[String(value).trim().toLowerCase()] || null;
+};
+
+/**
+ * Validates a category/rate pair as entered on a product. Returns
+ * `{ category, rate }`; the rate is forced to 0 for zero-rated and exempt.
+ */
+export const normalizeTaxRule = ({ vat_category, vat_rate } = {}) => {
+  const category = normalizeVatCategory(vat_category) || VAT_CATEGORIES.STANDARD;
+  if (vat_category !== undefined && vat_category !== null && vat_category !== '' && !normalizeVatCategory(vat_category)) {
+    throw new PricingError('invalid_vat_category', `Unknown VAT category: ${vat_category}`);
+  }
+  if (category !== VAT_CATEGORIES.STANDARD) return { category, rate: 0 };
+
+  if (vat_rate === undefined || vat_rate === null || vat_rate === '') {
+    return { category, rate: null };
+  }
+  const rate = Number(vat_rate);
+  if (!Number.isFinite(rate) || rate < 0 || rate >= 1) {
+    throw new PricingError('invalid_vat_rate', 'vat_rate must be a fraction between 0 and 1 (e.g. 0.15)');
+  }
+  return { category, rate };
+};
+
+const ensureProductTaxColumns = async (client) => {
+  const alters = [
+    'ALTER TABLE products ADD COLUMN IF NOT EXISTS vat_category TEXT',
+    'ALTER TABLE products ADD COLUMN IF NOT EXISTS vat_rate NUMERIC(6,4)',
+  ];
+  for (const sql of alters) {
+    await client.query(sql);
+  }
+};
+
+const ensureLineTaxColumns = async (client) => {
+  const alters = [
+    'ALTER TABLE order_products ADD COLUMN IF NOT EXISTS vat_category TEXT',
+    'ALTER TABLE order_products ADD COLUMN IF NOT EXISTS vat_rate NUMERIC(6,4)',
+    'ALTER TABLE quotation_products ADD COLUMN IF NOT EXISTS vat_category TEXT',
+    'ALTER TABLE quotation_products ADD COLUMN IF NOT EXISTS vat_rate NUMERIC(6,4)',
+  ];
+  for (const sql of alters) {
+    await client.query(sql);
+  }
+};
+
+// Quotation lines did not record which product they were for; orders did
+const ensureLineIdentityColumns = async (client) => {
+  const alters = [
+    'ALTER TABLE quotation_products ADD COLUMN IF NOT EXISTS product_id INT',
+    'ALTER TABLE quotation_products ADD COLUMN IF NOT EXISTS medad_product_no TEXT',
+  ];
+  for (const sql of alters) {
+    await client.query(sql);
+  }
+};
+
+/**
+ * Adds the columns this module reads and writes. index.js runs it once at
+ * startup: ALTER TABLE takes an ACCESS EXCLUSIVE lock even when the column
+ * exists, so running it inside a create or update transaction would block every
+ * reader of the table until that request commits.
+ */
+export const ensurePricingColumns = async (client) => {
+  await ensureProductTaxColumns(client);
+  await ensureLineTaxColumns(client);
+  await ensureLineIdentityColumns(client);
+};
+
+const lineProductId = (line) => line.product_id ?? line.productId ?? null;
+const lineProductCode = (line) =>
+  line.medad_product_no ?? line.product_code ?? line.productNo ?? line.code ?? null;
+
+/**
+ * The product a submitted line refers to, whichever key the client used.
+ * Resolves to { productId, medadProductNo } (either may be null).
+ */
+export const lineIdentity = (line) => ({
+  productId: lineProductId(line),
+  medadProductNo: lineProductCode(line),
+});
+
+/**
+ * Loads the VAT rules configured on the products referenced by `lines` (by
+ * product id or code). Resolves to `{ byId, byCode }` maps of `{ category, rate }`.
+ */
+export const loadProductTaxRules = async (client, lines) => {
+  const ids = [...new Set(lines.map(lineProductId).filter(Boolean).map(String))];
+  const codes = [...new Set(lines.map(lineProductCode).filter(Boolean).map(String))];
+  const rules = { byId: new Map(), byCode: new Map() };
+  if (ids.length === 0 && codes.length === 0) return rules;
+
+  const result = await client.query(
+    `SELECT id, code, vat_category, vat_rate
+     FROM products
+     WHERE (id::text = ANY($1::text[]) OR code = ANY($2::text[]))
+       AND (vat_category IS NOT NULL OR vat_rate IS NOT NULL)`,
+    [ids, codes]
+  );
+
+  for (const row of result.rows) {
+    const rule = {
+      category: normalizeVatCategory(row.vat_category) || VAT_CATEGORIES.STANDARD,
+      rate: row.vat_rate === null ? null : Number(row.vat_rate),
+    };
+    rules.byId.set(String(row.id), rule);
+    if (row.code) rules.byCode.set(String(row.code), rule);
+  }
+  return rules;
+};
+
+// Product master wins; a category sent on the line only applies to products
+// without a configured rule (e.g. free-text lines).
+const resolveLineTax = (line, rules) => {
+  const id = lineProductId(line);
+  const code = lineProductCode(line);
+  const rule =
+    (id !== null && rules?.byId.get(String(id))) ||
+    (code !== null && rules?.byCode.get(String(code))) ||
+    null;
+
+  const category = rule?.category || normalizeVatCategory(line.vat_category) || VAT_CATEGORIES.STANDARD;
+  if (category !== VAT_CATEGORIES.STANDARD) return { category, rate: 0 };
+  return { category, rate: rule?.rate ?? DEFAULT_VAT_RATE };
+};
+
+const applyTax = (line, { category, rate }) => {
+  const price = Number(line.price);
+  const quantity = Number(line.quantity ?? 1);
+  const label = line.description || 'unnamed';
+
+  if (!Number.isFinite(price) || price < 0) {
+    throw new PricingError('invalid_price', `Invalid price format for product: ${label}`);
+  }
+  if (!Number.isFinite(quantity) || quantity <= 0) {
+    throw new PricingError('invalid_quantity', `Invalid quantity for product: ${label}`);
+  }
+
+  const net = roundMoney(price * quantity);
+  const vat = roundMoney(net * rate);
+  const unitVat = roundMoney(price * rate);
+
+  return {
+    price,
+    quantity,
+    vatCategory: category,
+    vatRate: rate,
+    net,
+    vat,
+    gross: roundMoney(net + vat),
+    unitVat,
+    unitGross: roundMoney(price + unitVat),
+  };
+};
+
+/**
+ * Prices a single line. `price` is the unit price before VAT. Besides the line
+ * amounts it returns per-unit VAT/gross for tables that store those instead.
+ */
+export const priceLine = (line, rules = null) => applyTax(line, resolveLineTax(line, rules));
+
+/**
+ * Re-prices an order_products / quotation_products row with the category and
+ * rate stored on it (rows saved before those columns existed use the default).
+ */
+export const priceStoredLine = (row) => {
+  const category = normalizeVatCategory(row.vat_category) || VAT_CATEGORIES.STANDARD;
+  const rate = category !== VAT_CATEGORIES.STANDARD
+    ? 0
+    : row.vat_rate === null || row.vat_rate === undefined ? DEFAULT_VAT_RATE : Number(row.vat_rate);
+  return applyTax(row, { category, rate });
+};
+
+/**
+ * Sums already-priced lines into document totals, using the column names of the
+ * orders/quotations tables: total_price (net), total_vat, total_subtotal (gross).
+ */
+export const documentTotals = (pricedLines) =>
+  pricedLines.reduce(
+    (sum, line) => ({
+      total_price: roundMoney(sum.total_price + line.net),
+      total_vat: roundMoney(sum.total_vat + line.vat),
+      total_subtotal: roundMoney(sum.total_subtotal + line.gross),
+    }),
+    { total_price: 0, total_vat: 0, total_subtotal: 0 }
+  );
+
+export const priceDocument = (lines, rules = null) => {
+  const priced = lines.map((line) => priceLine(line, rules));
+  return { lines: priced, totals: documentTotals(priced) };
+};
+
+/**
+ * Compares the totals a client sent (any of total_price / total_vat /
+ * total_subtotal) with ours. Returns null when they match or were not sent.
+ */
+export const findTotalsMismatch = (totals, submitted = {}) => {
+  const mismatches = {};
+  for (const field of Object.keys(totals)) {
+    const received = submitted[field];
+    if (received === undefined || received === null || received === '') continue;
+    if (Number.isNaN(Number(received)) || Math.abs(Number(received) - totals[field]) > TOTALS_TOLERANCE) {
+      mismatches[field] = { expected: totals[field], received: Number(received) };
+    }
+  }
+  return Object.keys(mismatches).length ? mismatches : null;
+};
+
+/**
+ * Throws a 400 PricingError when the client's totals disagree with `totals`.
+ */
+export const assertTotalsMatch = (totals, submitted = {}) => {
+  const mismatch = findTotalsMismatch(totals, submitted);
+  if (mismatch) {
+    throw new PricingError(
+      'totals_mismatch',
+      'الإجماليات المرسلة لا تطابق الإجماليات المحسوبة',
+      mismatch
+    );
+  }
+};
+
+/**
+ * Prices `lines` against the product tax rules and checks the client's totals.
+ * Meant for create/update routes.
+ */
+export const priceAndVerify = async (client, lines, submitted = {}) => {
+  const rules = await loadProductTaxRules(client, lines);
+  const priced = priceDocument(lines, rules);
+  assertTotalsMatch(priced.totals, submitted);
+  return priced;
+};
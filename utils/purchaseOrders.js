@@ -0,0 +1,385 @@
+import { deliverMedadSync, enqueueMedadSync, OUTBOX_STATUSES } from './medadOutbox.js';
+import { nextDocumentNumber } from './numbering.js';
+import { loadProductTaxRules, priceDocument } from './pricing.js';
+import { MATERIAL_ITEM_STATES, applyMaterialSteps } from './materialRequestStateMachine.js';
+
+// Purchase orders raised when material request items are sourced from a
+// supplier. One PO per requestSupplier call, one line per sourced item with
+// the quantity it was sourced with (the manager's approved quantity unless
+// overridden). The PO is pushed to Medad through the outbox; receiving against
+// it moves the linked items to partially_received / received.
+
+export const PURCHASE_ORDER_STATUSES = {
+  ISSUED: 'issued',
+  PARTIALLY_RECEIVED: 'partially_received',
+  RECEIVED: 'received',
+};
+
+export const ensurePurchaseOrderTables = async (client) => {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS purchase_orders (
+      id SERIAL PRIMARY KEY,
+      po_no TEXT UNIQUE,
+      supplier_id TEXT,
+      supplier_name TEXT,
+      status TEXT NOT NULL DEFAULT 'issued',
+      warehouse_code TEXT,
+      request_ids INT[],
+      notes TEXT,
+      condition TEXT,
+      expected_date DATE,
+      total_price NUMERIC,
+      total_vat NUMERIC,
+      total_subtotal NUMERIC,
+      created_by TEXT,
+      created_by_name TEXT,
+      medad_sync_status TEXT,
+      medad_po_no TEXT,
+      medad_error TEXT,
+      medad_synced_at TIMESTAMPTZ,
+      received_at TIMESTAMPTZ,
+      created_at TIMESTAMPTZ DEFAULT NOW(),
+      updated_at TIMESTAMPTZ DEFAULT NOW()
+    )
+  `);
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS purchase_order_lines (
+      id SERIAL PRIMARY KEY,
+      purchase_order_id INT NOT NULL REFERENCES purchase_orders(id) ON DELETE CASCADE,
+      material_request_item_id INT,
+      request_id INT,
+      product_code TEXT,
+      description TEXT,
+      quantity NUMERIC NOT NULL,
+      price NUMERIC NOT NULL DEFAULT 0,
+      vat NUMERIC NOT NULL DEFAULT 0,
+      subtotal NUMERIC NOT NULL DEFAULT 0,
+      vat_category TEXT,
+      vat_rate NUMERIC,
+      received_quantity NUMERIC NOT NULL DEFAULT 0
+    )
+  `);
+  await client.query(
+    'CREATE INDEX IF NOT EXISTS purchase_order_lines_po_idx ON purchase_order_lines (purchase_order_id)'
+  );
+  await client.query(
+    'CREATE INDEX IF NOT EXISTS purchase_order_lines_item_idx ON purchase_order_lines (material_request_item_id)'
+  );
+};
+
+export class PurchaseOrderError extends Error {
+  constructor(status, reason, details = {}) {
+    super(reason);
+    this.name = 'PurchaseOrderError';
+    this.status = status;
+    this.reason = reason;
+    this.details = details;
+  }
+
+  toJSON() {
+    const error = {
+      400: 'Invalid purchase order update',
+      404: 'Purchase order not found',
+      409: 'Illegal purchase order update',
+    }[this.status] || 'Purchase order failed';
+    return { error, reason: this.reason, ...this.details };
+  }
+}
+
+export const loadPurchaseOrder = async (client, id, { forUpdate = false } = {}) => {
+  await ensurePurchaseOrderTables(client);
+  const result = await client.query(`SELECT * FROM purchase_orders WHERE id = $1${forUpdate ? ' FOR UPDATE' : ''}`, [id]);
+  if (result.rowCount === 0) return null;
+  const lines = await client.query('SELECT * FROM purchase_order_lines WHERE purchase_order_id = $1 ORDER BY id ASC', [id]);
+  return { ...result.rows[0], lines: lines.rows };
+};
+
+export const listPurchaseOrders = async (client, { status = null, supplierId = null, requestId = null, page = 1, limit = 50 } = {}) => {
+  await ensurePurchaseOrderTables(client);
+  const conditions = [];
+  const values = [];
+  const add = (sql, value) => {
+    values.push(value);
+    conditions.push(sql.replace('?', `$${values.length}`));
+  };
+  if (status) add('status = ?', status);
+  if (supplierId) add('supplier_id = ?', String(supplierId));
+  if (requestId) add('? = ANY(request_ids)', Number(requestId));
+  const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+
+  const countResult = await client.query(`SELECT COUNT(*) AS count FROM purchase_orders ${where}`, values);
+  const rowsResult = await client.query(
+    `SELECT * FROM purchase_orders ${where}
+     ORDER BY created_at DESC, id DESC
+     LIMIT $${values.length + 1} OFFSET $${values.length + 2}`,
+    [...values, limit, (page - 1) * limit]
+  );
+  return { purchaseOrders: rowsResult.rows, total: Number(countResult.rows[0].count) };
+};
+
+export const buildPurchaseOrderPayload = (po) => ({
+  poNo: po.po_no,
+  supplierId: po.supplier_id,
+  orderDate: new Date(po.created_at || Date.now()).toISOString().slice(0, 10),
+  ...(po.expected_date ? { deliveryDate: new Date(po.expected_date).toISOString().slice(0, 10) } : {}),
+  ...(po.warehouse_code ? { warehouseNo: po.warehouse_code } : {}),
+  notes: po.notes || '',
+  net: Number(po.total_price),
+  totalTax: Number(po.total_vat),
+  total: Number(po.total_subtotal),
+  PO_Detail: po.lines.map((line) => ({
+    productNo: line.product_code,
+    description: line.description,
+    quantity: Number(line.quantity),
+    price: Number(line.price),
+    vatRate: line.vat_rate === null ? null : Number(line.vat_rate),
+  })),
+});
+
+const priceKeys = (item) =>
+  [item.selection_key, item.product_code, item.product_id, item.id].filter((key) => key !== null && key !== undefined);
+
+// Unit price for an item from `prices` ({ selectionKey | product code | item id: price }),
+// or null when none of its keys has one
+const priceFor = (prices, item) => {
+  for (const key of priceKeys(item)) {
+    const value = prices?.[key];
+    if (value === null || value === undefined || value === '') continue;
+    const price = Number(value);
+    if (Number.isFinite(price) && price >= 0) return price;
+  }
+  return null;
+};
+
+/**
+ * One PO line per sourced item, before tax. Every item needs a price, since a
+ * line is never pushed to Medad at 0: throws a 400 listing the keys of the
+ * items left without one.
+ */
+export const buildPurchaseOrderLines = (items, prices) => {
+  const lines = items.map((item) => ({
+    item,
+    product_id: item.product_id,
+    product_code: item.product_code || item.product_id || null,
+    description: item.product_name,
+    quantity: Number(item.supplier_assigned_quantity),
+    price: priceFor(prices, item),
+  }));
+  const unpriced = lines.filter((line) => line.price === null);
+  if (unpriced.length) {
+    throw new PurchaseOrderError(400, 'missing_prices', {
+      missingPrices: unpriced.map((line) => String(priceKeys(line.item)[0])),
+    });
+  }
+  return lines;
+};
+
+/**
+ * Creates a PO for `items` (material_request_items rows just sourced from the
+ * supplier) and queues its Medad push. Must run inside the caller's
+ * transaction. Resolves to { purchaseOrder, outboxId }.
+ */
+export const createPurchaseOrder = async (
+  client,
+  { items, supplierId = null, supplierName = null, prices = null, notes = null, condition = null, expectedDate = null, warehouse = null, user = null }
+) => {
+  if (!items.length) throw new PurchaseOrderError(400, 'no_items');
+  if (!supplierId) throw new PurchaseOrderError(400, 'supplier_required');
+
+  const lines = buildPurchaseOrderLines(items, prices);
+  await ensurePurchaseOrderTables(client);
+  const rules = await loadProductTaxRules(client, lines);
+  const { lines: priced, totals } = priceDocument(lines, rules);
+
+  const poNo = await nextDocumentNumber(client, 'purchase_order');
+  const created = await client.query(
+    `INSERT INTO purchase_orders
+       (po_no, supplier_id, supplier_name, warehouse_code, request_ids, notes, condition, expected_date,
+        total_price, total_vat, total_subtotal, created_by, created_by_name, medad_sync_status)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, 'QUEUED_FOR_MEDAD')
+     RETURNING id`,
+    [
+      poNo,
+      String(supplierId),
+      supplierName,
+      warehouse ? String(warehouse).padStart(4, '0') : null,
+      [...new Set(items.map((item) => item.request_id))],
+      notes,
+      condition,
+      expectedDate,
+      totals.total_price,
+      totals.total_vat,
+      totals.total_subtotal,
+      user?.clerkId || null,
+      user?.name || null,
+    ]
+  );
+  const purchaseOrderId = created.rows[0].id;
+
+  for (const [index, line] of lines.entries()) {
+    const amounts = priced[index];
+    await client.query(
+      `INSERT INTO purchase_order_lines
+         (purchase_order_id, material_request_item_id, request_id, product_code, description,
+          quantity, price, vat, subtotal, vat_category, vat_rate)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)`,
+      [
+        purchaseOrderId,
+        line.item.id,
+        line.item.request_id,
+        line.product_code,
+        line.description,
+        amounts.quantity,
+        amounts.price,
+        amounts.vat,
+        amounts.gross,
+        amounts.vatCategory,
+        amounts.vatRate,
+      ]
+    );
+  }
+
+  const purchaseOrder = await loadPurchaseOrder(client, purchaseOrderId);
+  const entry = await enqueueMedadSync(client, {
+    kind: 'purchase_order',
+    idempotencyKey: `purchase_order:purchase_order:${purchaseOrderId}`,
+    entityType: 'purchase_order',
+    entityId: purchaseOrderId,
+    payload: buildPurchaseOrderPayload(purchaseOrder),
+    context: { poNo },
+    actor: user,
+  });
+  return { purchaseOrder, outboxId: entry.id };
+};
+
+/**
+ * Tries the Medad push of a PO queued by createPurchaseOrder, once the caller
+ * has committed. Never throws: the PO is already saved, so a failed attempt is
+ * logged and left in the outbox for the worker. Resolves to
+ * { outboxId, status, error } for the response.
+ */
+export const deliverPurchaseOrderSync = async (outboxId) => {
+  try {
+    const entry = await deliverMedadSync(outboxId);
+    return { outboxId: entry.id, status: entry.status, error: entry.last_error || null };
+  } catch (err) {
+    console.error(`Medad push of purchase order outbox entry ${outboxId} failed, left in the outbox:`, err);
+    return { outboxId, status: OUTBOX_STATUSES.PENDING, error: err.message };
+  }
+};
+
+/**
+ * Records a receipt against PO `id` in its own transaction: `lines` is
+ * [{ lineId, quantity }], default the rest of every line. The linked material
+ * request items are received by the same quantities (dispatched first when the
+ * supplier's shipment was not recorded). Resolves to { purchaseOrder, items, requests }.
+ */
+export const receivePurchaseOrder = async (client, id, { lines = null, user }) => {
+  await ensurePurchaseOrderTables(client);
+  await client.query('BEGIN');
+  try {
+    const po = await loadPurchaseOrder(client, id, { forUpdate: true });
+    if (!po) throw new PurchaseOrderError(404, 'purchase_order_not_found');
+    if (po.status === PURCHASE_ORDER_STATUSES.RECEIVED) {
+      throw new PurchaseOrderError(409, 'already_received', { poNo: po.po_no });
+    }
+
+    const requested = Array.isArray(lines) && lines.length
+      ? lines.map((entry) => ({ lineId: Number(entry?.lineId ?? entry?.id), quantity: Number(entry?.quantity) }))
+      : po.lines.map((line) => ({ lineId: line.id, quantity: Number(line.quantity) - Number(line.received_quantity) }))
+        .filter((entry) => entry.quantity > 0);
+
+    const receipts = [];
+    for (const { lineId, quantity } of requested) {
+      const line = po.lines.find((row) => row.id === lineId);
+      if (!line) throw new PurchaseOrderError(400, 'unknown_line', { lineId });
+      const remaining = Number(line.quantity) - Number(line.received_quantity);
+      if (!Number.isFinite(quantity) || quantity <= 0 || quantity > remaining) {
+        throw new PurchaseOrderError(400, 'invalid_quantity', { lineId, quantity, remaining });
+      }
+      receipts.push({ line, quantity });
+    }
+    if (receipts.length === 0) throw new PurchaseOrderError(400, 'nothing_to_receive');
+
+    const steps = [];
+    for (const { line, quantity } of receipts) {
+      await client.query(
+        'UPDATE purchase_order_lines SET received_quantity = received_quantity + $2 WHERE id = $1',
+        [line.id, quantity]
+      );
+      if (!line.material_request_item_id) continue;
+      const item = await client.query('SELECT status FROM material_request_items WHERE id = $1', [line.material_request_item_id]);
+      if (item.rows[0]?.status === MATERIAL_ITEM_STATES.SOURCED) {
+        steps.push({ itemId: line.material_request_item_id, action: 'dispatch', payload: { poId: po.id } });
+      }
+      steps.push({ itemId: line.material_request_item_id, action: 'receive', payload: { quantity, poId: po.id } });
+    }
+    const { items, requests } = await applyMaterialSteps(client, steps, { user });
+
+    const open = await client.query(
+      'SELECT COUNT(*) AS count FROM purchase_order_lines WHERE purchase_order_id = $1 AND received_quantity < quantity',
+      [po.id]
+    );
+    const fullyReceived = Number(open.rows[0].count) === 0;
+    await client.query(
+      `UPDATE purchase_orders
+       SET status = $2, received_at = CASE WHEN $3 THEN NOW() ELSE received_at END, updated_at = NOW()
+       WHERE id = $1`,
+      [po.id, fullyReceived ? PURCHASE_ORDER_STATUSES.RECEIVED : PURCHASE_ORDER_STATUSES.PARTIALLY_RECEIVED, fullyReceived]
+    );
+
+    const purchaseOrder = await loadPurchaseOrder(client, po.id);
+    await client.query('COMMIT');
+    return { purchaseOrder, items, requests };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  }
+};
+
+/**
+ * Data for templates/PurchaseOrder.docx; the product loop uses the same field
+ * names as the quotation template so generatePDF formats the amounts.
+ */
+export const buildPurchaseOrderDocument = async (client, po) => {
+  // Supplier ids are Medad vendor ids; contact details come from the local
+  // suppliers table when one carries the same name
+  const supplier = po.supplier_name
+    ? (await client.query(
+      'SELECT * FROM suppliers WHERE company_name = $1 OR supplier_name = $1 ORDER BY id ASC LIMIT 1',
+      [po.supplier_name]
+    )).rows[0] || null
+    : null;
+
+  const date = (value) => (value ? new Date(value).toISOString().split('T')[0] : '');
+  return {
+    po_no: po.po_no,
+    created_at: date(po.created_at),
+    expected_date: date(po.expected_date),
+    warehouse: po.warehouse_code || '',
+    request_refs: (po.request_ids || []).map((requestId) => `#${requestId}`).join(', '),
+    prepared_by: po.created_by_name || '',
+    approved_by: po.created_by_name || '',
+    supplier_name: po.supplier_name || '',
+    supplier_phone: supplier?.phone_number || '',
+    supplier_email: supplier?.email || '',
+    supplier_tax_number: supplier?.tax_number || '',
+    supplier_address: supplier?.address || '',
+    delivery_address: process.env.PURCHASE_ORDER_DELIVERY_ADDRESS || '',
+    delivery_terms: process.env.PURCHASE_ORDER_DELIVERY_TERMS || '',
+    condition: po.condition || '',
+    notes: po.notes || '',
+    total_price: Number(po.total_price),
+    total_vat: Number(po.total_vat),
+    total_subtotal: Number(po.total_subtotal),
+    products: po.lines.map((line, index) => ({
+      productNumber: String(index + 1).padStart(3, '0'),
+      product_code: line.product_code || '',
+      description: line.description || '',
+      quantity: Number(line.quantity),
+      price: Number(line.price),
+      vat: Number(line.vat),
+      subtotal: Number(line.subtotal),
+    })),
+  };
+};
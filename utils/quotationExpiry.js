@@ -0,0 +1,169 @@
+import pkg from 'pg';
+import admin from '../firebase-init.js';
+
+const { Pool } = pkg;
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  max: 5,
+  idleTimeoutMillis: 30000,
+  connectionTimeoutMillis: 10000,
+});
+
+pool.on('error', (err) => {
+  console.error('Unexpected error on idle quotation expiry client:', err);
+});
+
+export const QUOTATION_VALIDITY_DAYS = Number(process.env.QUOTATION_VALIDITY_DAYS || 30);
+const EXPIRY_INTERVAL_MINUTES = Number(process.env.QUOTATION_EXPIRY_INTERVAL_MINUTES || 60);
+
+export const ensureQuotationValidityColumns = async (client) => {
+  const alters = [
+    'ALTER TABLE quotations ADD COLUMN IF NOT EXISTS valid_until DATE',
+    'ALTER TABLE quotations ADD COLUMN IF NOT EXISTS expired_at TIMESTAMPTZ',
+    'ALTER TABLE quotations ADD COLUMN IF NOT EXISTS converted_order_id INT',
+  ];
+  for (const sql of alters) {
+    await client.query(sql);
+  }
+};
+
+export class QuotationValidityError extends Error {
+  constructor(reason, message, details = null) {
+    super(message);
+    this.name = 'QuotationValidityError';
+    this.status = 400;
+    this.reason = reason;
+    this.details = details;
+  }
+
+  toJSON() {
+    return { error: this.message, reason: this.reason, details: this.details };
+  }
+}
+
+const todayUtc = () => new Date().toISOString().split('T')[0];
+
+/**
+ * Returns the YYYY-MM-DD valid_until for a new quotation: the caller's value when
+ * it is a valid date, otherwise today + QUOTATION_VALIDITY_DAYS. Throws a
+ * QuotationValidityError (400) for a date already past.
+ */
+export const resolveValidUntil = (value) => {
+  const parsed = value ? new Date(value) : null;
+  if (parsed && !Number.isNaN(parsed.getTime())) {
+    const validUntil = parsed.toISOString().split('T')[0];
+    if (validUntil < todayUtc()) {
+      throw new QuotationValidityError(
+        'valid_until_in_past',
+        'تاريخ صلاحية عرض السعر يجب ألا يكون في الماضي',
+        { validUntil }
+      );
+    }
+    return validUntil;
+  }
+  const date = new Date();
+  date.setUTCDate(date.getUTCDate() + QUOTATION_VALIDITY_DAYS);
+  return date.toISOString().split('T')[0];
+};
+
+export const isQuotationExpired = (quotation) => {
+  if (quotation.status === 'expired') return true;
+  if (!quotation.valid_until) return false;
+  const validUntil = new Date(quotation.valid_until).toISOString().split('T')[0];
+  return validUntil < todayUtc();
+};
+
+// The same test as isQuotationExpired, negated, for a WHERE clause on
+// quotations. Accept routes add it to their UPDATE so a quotation that expires
+// between their check and the write is not accepted.
+export const QUOTATION_NOT_EXPIRED_SQL =
+  "status IS DISTINCT FROM 'expired' AND (valid_until IS NULL OR valid_until >= (CURRENT_TIMESTAMP AT TIME ZONE 'UTC')::date)";
+
+/**
+ * Loads the quotation's expiry fields; used by the accept routes before they
+ * update anything. Resolves to null when the quotation does not exist.
+ */
+export const loadQuotationValidity = async (client, quotationId) => {
+  await ensureQuotationValidityColumns(client);
+  const result = await client.query(
+    'SELECT id, custom_id, status, valid_until FROM quotations WHERE id = $1',
+    [quotationId]
+  );
+  return result.rows[0] || null;
+};
+
+const notifySalesRep = async (client, quotation) => {
+  const result = await client.query(
+    `SELECT fcm_token
+     FROM salesreps
+     WHERE (id = $1 OR LOWER(TRIM(name)) = LOWER(TRIM($2)))
+       AND fcm_token IS NOT NULL
+     LIMIT 1`,
+    [quotation.sales_rep_id || null, quotation.owner_username || '']
+  );
+  const token = result.rows[0]?.fcm_token;
+  if (!token) {
+    console.warn(`No FCM token found for the sales rep of quotation ${quotation.custom_id}`);
+    return;
+  }
+
+  await admin.messaging().sendEach([{
+    notification: {
+      title: 'انتهاء صلاحية عرض السعر',
+      body: `انتهت صلاحية عرض السعر ${quotation.custom_id}`,
+    },
+    data: { role: 'salesRep' },
+    token,
+  }]);
+};
+
+/**
+ * Marks every quotation past its valid_until as `expired` and notifies the owning
+ * sales rep. Converted and rejected quotations are left alone; quotations whose
+ * client row is gone still expire and notify the rep named on the quotation.
+ */
+export const expireOverdueQuotations = async () => {
+  const client = await pool.connect();
+  try {
+    await ensureQuotationValidityColumns(client);
+    const result = await client.query(`
+      UPDATE quotations q
+      SET status = 'expired',
+          expired_at = CURRENT_TIMESTAMP,
+          updated_at = CURRENT_TIMESTAMP
+      FROM quotations src
+      LEFT JOIN clients c ON c.id = src.client_id
+      WHERE q.id = src.id
+        AND q.valid_until < (CURRENT_TIMESTAMP AT TIME ZONE 'UTC')::date
+        AND q.status NOT IN ('expired', 'rejected')
+        AND q.converted_order_id IS NULL
+      RETURNING q.id, q.custom_id, q.sales_rep_id, COALESCE(c.username, q.username) AS owner_username
+    `);
+
+    for (const quotation of result.rows) {
+      try {
+        await notifySalesRep(client, quotation);
+      } catch (err) {
+        console.error(`Failed to notify sales rep for quotation ${quotation.custom_id}:`, err);
+      }
+    }
+
+    if (result.rowCount > 0) {
+      console.log(`⏰ Expired ${result.rowCount} quotation(s)`);
+    }
+    return result.rows;
+  } finally {
+    client.release();
+  }
+};
+
+export const startQuotationExpiryJob = () => {
+  const run = () =>
+    expireOverdueQuotations().catch((err) => console.error('Quotation expiry job failed:', err));
+
+  run();
+  const timer = setInterval(run, EXPIRY_INTERVAL_MINUTES * 60 * 1000);
+  timer.unref();
+  return timer;
+};
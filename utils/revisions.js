@@ -0,0 +1,232 @@
+// Snapshots of orders / quotations taken just before an edit overwrites them.
+// Revision n is the document as it stood before its nth edit; the live row is
+// always the newest version and is never stored here.
+
+const DOCUMENTS = {
+  order: {
+    table: 'orders',
+    linesTable: 'order_products',
+    foreignKey: 'order_id',
+    locationsTable: 'order_locations',
+  },
+  quotation: {
+    table: 'quotations',
+    linesTable: 'quotation_products',
+    foreignKey: 'quotation_id',
+    locationsTable: null,
+  },
+};
+
+// Header fields reported in a diff
+const HEADER_FIELDS = [
+  'custom_id',
+  'client_id',
+  'delivery_date',
+  'delivery_type',
+  'notes',
+  'status',
+  'total_price',
+  'total_vat',
+  'total_subtotal',
+];
+
+export const ensureRevisionsTable = async (client) => {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS document_revisions (
+      id SERIAL PRIMARY KEY,
+      document_type TEXT NOT NULL,
+      document_id INT NOT NULL,
+      revision_no INT NOT NULL,
+      custom_id TEXT,
+      header JSONB NOT NULL,
+      lines JSONB NOT NULL,
+      locations JSONB,
+      created_by_clerk_id TEXT,
+      created_by_name TEXT,
+      created_at TIMESTAMPTZ DEFAULT NOW(),
+      UNIQUE (document_type, document_id, revision_no)
+    )
+  `);
+};
+
+const loadCurrent = async (client, type, documentId) => {
+  const doc = DOCUMENTS[type];
+  const headerResult = await client.query(`SELECT * FROM ${doc.table} WHERE id = $1`, [documentId]);
+  if (headerResult.rowCount === 0) return null;
+
+  const linesResult = await client.query(
+    `SELECT * FROM ${doc.linesTable} WHERE ${doc.foreignKey} = $1 ORDER BY id ASC`,
+    [documentId]
+  );
+  const locationsResult = doc.locationsTable
+    ? await client.query(
+      `SELECT name, url FROM ${doc.locationsTable} WHERE ${doc.foreignKey} = $1 ORDER BY id ASC`,
+      [documentId]
+    )
+    : null;
+
+  return {
+    header: headerResult.rows[0],
+    lines: linesResult.rows,
+    locations: locationsResult ? locationsResult.rows : null,
+  };
+};
+
+/**
+ * Stores the current header + lines of `type` ('order' | 'quotation') as the next
+ * revision. Call inside the edit's transaction, after locking the row and before
+ * anything is updated. Resolves to the new revision number (null if not found).
+ */
+export const snapshotRevision = async (client, type, documentId, actor = null) => {
+  await ensureRevisionsTable(client);
+  const current = await loadCurrent(client, type, documentId);
+  if (!current) return null;
+
+  const nextResult = await client.query(
+    `SELECT COALESCE(MAX(revision_no), 0) + 1 AS next
+     FROM document_revisions
+     WHERE document_type = $1 AND document_id = $2`,
+    [type, documentId]
+  );
+  const revisionNo = nextResult.rows[0].next;
+
+  await client.query(
+    `INSERT INTO document_revisions
+       (document_type, document_id, revision_no, custom_id, header, lines, locations,
+        created_by_clerk_id, created_by_name)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+    [
+      type,
+      documentId,
+      revisionNo,
+      current.header.custom_id,
+      JSON.stringify(current.header),
+      JSON.stringify(current.lines),
+      current.locations ? JSON.stringify(current.locations) : null,
+      actor?.clerkId || null,
+      actor?.name || null,
+    ]
+  );
+
+  return revisionNo;
+};
+
+export const listRevisions = async (client, type, documentId) => {
+  await ensureRevisionsTable(client);
+  const result = await client.query(
+    `SELECT revision_no, custom_id, created_by_clerk_id, created_by_name, created_at,
+            header->>'total_subtotal' AS total_subtotal,
+            jsonb_array_length(lines) AS line_count
+     FROM document_revisions
+     WHERE document_type = $1 AND document_id = $2
+     ORDER BY revision_no ASC`,
+    [type, documentId]
+  );
+  return result.rows;
+};
+
+const normalize = (value) => String(value ?? '').trim().toLowerCase();
+
+// Lines have no stable id across edits (they are deleted and re-inserted), so
+// they are matched on product number, then product id, then description.
+const keyLines = (lines) => {
+  const seen = {};
+  const keyed = new Map();
+  for (const line of lines) {
+    const base = line.medad_product_no
+      ? `no:${normalize(line.medad_product_no)}`
+      : line.product_id
+        ? `id:${line.product_id}`
+        : `desc:${normalize(line.description)}`;
+    seen[base] = (seen[base] || 0) + 1;
+    keyed.set(seen[base] > 1 ? `${base}#${seen[base]}` : base, line);
+  }
+  return keyed;
+};
+
+const toNumber = (value) => (value === null || value === undefined ? null : Number(value));
+
+const lineSummary = (line) => ({
+  description: line.description,
+  medad_product_no: line.medad_product_no ?? null,
+  quantity: toNumber(line.quantity),
+  price: toNumber(line.price),
+});
+
+export const diffLines = (beforeLines, afterLines) => {
+  const before = keyLines(beforeLines);
+  const after = keyLines(afterLines);
+  const added = [];
+  const removed = [];
+  const changed = [];
+
+  for (const [key, line] of after) {
+    if (!before.has(key)) added.push(lineSummary(line));
+  }
+
+  for (const [key, line] of before) {
+    const next = after.get(key);
+    if (!next) {
+      removed.push(lineSummary(line));
+      continue;
+    }
+
+    const changes = {};
+    for (const field of ['quantity', 'price']) {
+      const from = toNumber(line[field]);
+      const to = toNumber(next[field]);
+      if (from !== to) changes[field] = { from, to, delta: to - from };
+    }
+    if (Object.keys(changes).length) {
+      changed.push({ ...lineSummary(next), changes });
+    }
+  }
+
+  return { added, removed, changed };
+};
+
+const diffHeader = (before, after) => {
+  const changes = {};
+  for (const field of HEADER_FIELDS) {
+    const from = before[field] ?? null;
+    const to = after[field] ?? null;
+    if (JSON.stringify(from) !== JSON.stringify(to)) changes[field] = { from, to };
+  }
+  return changes;
+};
+
+/**
+ * What edit `revisionNo` changed: revision n compared with revision n + 1, or with
+ * the live document when n is the latest revision. Resolves to null when the
+ * revision does not exist.
+ */
+export const revisionDiff = async (client, type, documentId, revisionNo) => {
+  await ensureRevisionsTable(client);
+  const result = await client.query(
+    `SELECT revision_no, custom_id, header, lines, created_at
+     FROM document_revisions
+     WHERE document_type = $1 AND document_id = $2 AND revision_no IN ($3, $3 + 1)
+     ORDER BY revision_no ASC`,
+    [type, documentId, revisionNo]
+  );
+
+  const base = result.rows.find((row) => row.revision_no === revisionNo);
+  if (!base) return null;
+
+  let target = result.rows.find((row) => row.revision_no === revisionNo + 1);
+  let targetLabel = target ? target.revision_no : 'current';
+  if (!target) {
+    const current = await loadCurrent(client, type, documentId);
+    if (!current) return null;
+    // Round-trip through JSON so values compare the same way as stored snapshots
+    target = JSON.parse(JSON.stringify({ header: current.header, lines: current.lines }));
+    targetLabel = 'current';
+  }
+
+  return {
+    from: { revision: base.revision_no, custom_id: base.custom_id },
+    to: { revision: targetLabel, custom_id: target.header.custom_id },
+    header: diffHeader(base.header, target.header),
+    lines: diffLines(base.lines, target.lines),
+  };
+};
@@ -0,0 +1,385 @@
+import { medad } from './medadClient.js';
+import { loadWarehouseStock } from './medadStock.js';
+import { warehouseCode } from './medadProductMirror.js';
+
+// Stock held for orders, one row per (order line, product, warehouse).
+// Rows are reserved when the storekeeper accepts, released on rejection or
+// not-delivered, and consumed on delivery (or mark done). Consumed rows keep
+// holding stock until the order's invoice is in Medad, since Medad's on-hand
+// quantity only drops then, for at most STOCK_CONSUMED_HOLD_HOURS (48).
+// Stock transfers hold the approved quantities at the source the same way
+// (stock_transfer_reservations): reserved on approve, released on reject or
+// cancel, consumed on receive and held until Medad has booked the transfer.
+//
+// STOCK_RESERVATION_MODE: 'enforce' (default) refuses an accept that would
+// exceed what is available, 'track' only records. Without a Medad config
+// there is no on-hand figure, so reservations are tracked only.
+
+export const RESERVATION_STATUSES = {
+  RESERVED: 'reserved',
+  RELEASED: 'released',
+  CONSUMED: 'consumed',
+};
+
+const CONSUMED_HOLD_HOURS = Number(process.env.STOCK_CONSUMED_HOLD_HOURS || 48);
+
+export const reservationMode = () => {
+  const mode = process.env.STOCK_RESERVATION_MODE || 'enforce';
+  return mode === 'enforce' && !medad.isConfigured() ? 'track' : mode;
+};
+
+export const ensureStockReservationTable = async (client) => {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS stock_reservations (
+      id SERIAL PRIMARY KEY,
+      order_id INT NOT NULL,
+      order_product_id INT NOT NULL,
+      product_no TEXT NOT NULL,
+      warehouse_code TEXT NOT NULL,
+      quantity NUMERIC NOT NULL,
+      status TEXT NOT NULL DEFAULT 'reserved',
+      reserved_by TEXT,
+      reserved_at TIMESTAMPTZ DEFAULT NOW(),
+      released_at TIMESTAMPTZ,
+      consumed_at TIMESTAMPTZ,
+      updated_at TIMESTAMPTZ DEFAULT NOW(),
+      UNIQUE (order_product_id, product_no, warehouse_code)
+    )
+  `);
+  await client.query(
+    'CREATE INDEX IF NOT EXISTS stock_reservations_product_idx ON stock_reservations (warehouse_code, product_no, status)'
+  );
+  await client.query(
+    'CREATE INDEX IF NOT EXISTS stock_reservations_order_idx ON stock_reservations (order_id)'
+  );
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS stock_transfer_reservations (
+      id SERIAL PRIMARY KEY,
+      transfer_id INT NOT NULL,
+      transfer_item_id INT NOT NULL UNIQUE,
+      product_no TEXT NOT NULL,
+      warehouse_code TEXT NOT NULL,
+      quantity NUMERIC NOT NULL,
+      status TEXT NOT NULL DEFAULT 'reserved',
+      reserved_by TEXT,
+      reserved_at TIMESTAMPTZ DEFAULT NOW(),
+      released_at TIMESTAMPTZ,
+      consumed_at TIMESTAMPTZ,
+      booked_at TIMESTAMPTZ,
+      updated_at TIMESTAMPTZ DEFAULT NOW()
+    )
+  `);
+  await client.query(
+    'CREATE INDEX IF NOT EXISTS stock_transfer_reservations_product_idx ON stock_transfer_reservations (warehouse_code, product_no, status)'
+  );
+};
+
+/**
+ * Quantity held per product in a warehouse by orders (other than
+ * `excludeOrderId`) and by outgoing transfers. Resolves to { productNo: quantity }.
+ */
+export const heldQuantities = async (client, warehouse, productNos, { excludeOrderId = null } = {}) => {
+  await ensureStockReservationTable(client);
+  const result = await client.query(
+    `SELECT held.product_no, SUM(held.quantity) AS quantity
+     FROM (
+       SELECT r.product_no, r.quantity
+       FROM stock_reservations r
+       JOIN orders o ON o.id = r.order_id
+       WHERE r.warehouse_code = $1
+         AND r.product_no = ANY($2::text[])
+         AND ($3::int IS NULL OR r.order_id <> $3)
+         AND (
+           r.status = 'reserved'
+           OR (
+             r.status = 'consumed'
+             AND o.medad_sync_status IS DISTINCT FROM 'SENT_TO_MEDAD'
+             AND r.consumed_at > NOW() - $4 * INTERVAL '1 hour'
+           )
+         )
+       UNION ALL
+       SELECT t.product_no, t.quantity
+       FROM stock_transfer_reservations t
+       WHERE t.warehouse_code = $1
+         AND t.product_no = ANY($2::text[])
+         AND (
+           t.status = 'reserved'
+           OR (t.status = 'consumed' AND t.booked_at IS NULL AND t.consumed_at > NOW() - $4 * INTERVAL '1 hour')
+         )
+     ) held
+     GROUP BY held.product_no`,
+    [warehouseCode(warehouse), productNos, excludeOrderId, CONSUMED_HOLD_HOURS]
+  );
+  return Object.fromEntries(result.rows.map((row) => [row.product_no, Number(row.quantity)]));
+};
+
+/**
+ * On-hand quantities of one warehouse (Medad, or the mirror when Medad is
+ * unreachable). May call Medad, so load it before taking any locks.
+ * Resolves to { warehouse, source, stock: { productNo: quantity } }.
+ */
+export const loadStockSnapshot = async (client, warehouse, { fresh = false } = {}) => {
+  const code = warehouseCode(warehouse);
+  const { stock, sources } = await loadWarehouseStock(client, [code], { fresh });
+  return { warehouse: code, source: sources[code] || null, stock: stock[code] || {} };
+};
+
+const availabilityFrom = async (client, snapshot, productNos, { excludeOrderId = null } = {}) => {
+  const held = await heldQuantities(client, snapshot.warehouse, productNos, { excludeOrderId });
+  return {
+    warehouse: snapshot.warehouse,
+    source: snapshot.source,
+    items: productNos.map((productNo) => {
+      const onHand = snapshot.stock[productNo] ?? 0;
+      const heldQuantity = held[productNo] ?? 0;
+      return { productNo, onHand, held: heldQuantity, available: onHand - heldQuantity };
+    }),
+  };
+};
+
+/**
+ * On hand (Medad), held (reservations) and available per product in one
+ * warehouse. Resolves to { warehouse, source, items: [{ productNo, onHand, held, available }] }.
+ */
+export const getStockAvailability = async (client, warehouse, productNos, { excludeOrderId = null, fresh = false } = {}) => {
+  const snapshot = await loadStockSnapshot(client, warehouse, { fresh });
+  return availabilityFrom(client, snapshot, productNos, { excludeOrderId });
+};
+
+/**
+ * The stock snapshot reserveOrderStock needs for order `orderId`, or null when
+ * nothing will be checked. Call before BEGIN: it reads the order without
+ * locking it and may call Medad.
+ */
+export const prepareOrderStock = async (client, orderId) => {
+  if (reservationMode() !== 'enforce') return null;
+  const result = await client.query('SELECT warehouse_no FROM orders WHERE id = $1', [orderId]);
+  const warehouse = result.rows[0]?.warehouse_no;
+  return warehouse ? loadStockSnapshot(client, warehouse) : null;
+};
+
+const lockProducts = async (client, code, productNos) => {
+  // Sorted so two accepts touching the same products cannot deadlock
+  for (const productNo of [...productNos].sort()) {
+    await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [`stock:${code}:${productNo}`]);
+  }
+};
+
+/**
+ * Reserves every line of `order` that has a Medad product number. Must run
+ * inside the caller's transaction, with `snapshot` from prepareOrderStock
+ * loaded before it began: only reservations are read under the locks.
+ * Resolves to { reservations, shortages, skipped }; with shortages nothing
+ * should be committed (the caller decides). skipped 'stale_snapshot' means the
+ * snapshot is missing or for another warehouse and nothing was reserved.
+ */
+export const reserveOrderStock = async (client, order, { user = null, snapshot = null } = {}) => {
+  const mode = reservationMode();
+  if (mode === 'off') return { reservations: [], shortages: [], skipped: 'disabled' };
+  if (!order.warehouse_no) return { reservations: [], shortages: [], skipped: 'no_warehouse' };
+
+  await ensureStockReservationTable(client);
+  const linesResult = await client.query(
+    `SELECT id, medad_product_no, quantity
+     FROM order_products
+     WHERE order_id = $1 AND medad_product_no IS NOT NULL AND quantity > 0
+     ORDER BY id ASC`,
+    [order.id]
+  );
+  const lines = linesResult.rows;
+  if (lines.length === 0) return { reservations: [], shortages: [], skipped: 'no_lines' };
+
+  const code = warehouseCode(order.warehouse_no);
+  if (mode === 'enforce' && snapshot?.warehouse !== code) {
+    return { reservations: [], shortages: [], skipped: 'stale_snapshot' };
+  }
+  const productNos = [...new Set(lines.map((line) => line.medad_product_no))];
+  await lockProducts(client, code, productNos);
+
+  const shortages = [];
+  if (mode === 'enforce') {
+    const availability = await availabilityFrom(client, snapshot, productNos, { excludeOrderId: order.id });
+    const needed = {};
+    for (const line of lines) {
+      needed[line.medad_product_no] = (needed[line.medad_product_no] || 0) + Number(line.quantity);
+    }
+    for (const item of availability.items) {
+      if (needed[item.productNo] > item.available) {
+        shortages.push({ ...item, requested: needed[item.productNo] });
+      }
+    }
+    if (shortages.length > 0) return { reservations: [], shortages, skipped: null };
+  }
+
+  const reservations = [];
+  for (const line of lines) {
+    const result = await client.query(
+      `INSERT INTO stock_reservations (order_id, order_product_id, product_no, warehouse_code, quantity, reserved_by)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       ON CONFLICT (order_product_id, product_no, warehouse_code) DO UPDATE
+         SET quantity = EXCLUDED.quantity,
+             status = 'reserved',
+             reserved_by = EXCLUDED.reserved_by,
+             reserved_at = NOW(),
+             released_at = NULL,
+             consumed_at = NULL,
+             updated_at = NOW()
+       RETURNING *`,
+      [order.id, line.id, line.medad_product_no, code, line.quantity, user?.clerkId || null]
+    );
+    reservations.push(result.rows[0]);
+  }
+  return { reservations, shortages, skipped: null };
+};
+
+const settleOrderStock = async (client, orderId, status, column) => {
+  await ensureStockReservationTable(client);
+  const result = await client.query(
+    `UPDATE stock_reservations
+     SET status = $2, ${column} = NOW(), updated_at = NOW()
+     WHERE order_id = $1 AND status = 'reserved'
+     RETURNING *`,
+    [orderId, status]
+  );
+  return result.rows;
+};
+
+export const releaseOrderStock = (client, orderId) =>
+  settleOrderStock(client, orderId, RESERVATION_STATUSES.RELEASED, 'released_at');
+
+export const consumeOrderStock = (client, orderId) =>
+  settleOrderStock(client, orderId, RESERVATION_STATUSES.CONSUMED, 'consumed_at');
+
+export const listOrderReservations = async (client, orderId) => {
+  await ensureStockReservationTable(client);
+  const result = await client.query(
+    'SELECT * FROM stock_reservations WHERE order_id = $1 ORDER BY order_product_id ASC',
+    [orderId]
+  );
+  return result.rows;
+};
+
+// ---- Stock transfers ----
+
+/**
+ * The snapshot of the source warehouse reserveTransferStock needs for
+ * transfer `transferId`, or null when nothing will be checked. Call before
+ * BEGIN, like prepareOrderStock.
+ */
+export const prepareTransferStock = async (client, transferId) => {
+  if (reservationMode() !== 'enforce') return null;
+  const result = await client.query('SELECT from_warehouse FROM stock_transfers WHERE id = $1', [transferId]);
+  const warehouse = result.rows[0]?.from_warehouse;
+  return warehouse ? loadStockSnapshot(client, warehouse) : null;
+};
+
+/**
+ * Holds `lines` ([{ itemId, productNo, quantity }]) of `transfer` at its source
+ * warehouse. Must run inside the caller's transaction, with `snapshot` from
+ * prepareTransferStock. Resolves like reserveOrderStock: with shortages
+ * nothing is reserved and nothing should be committed.
+ */
+export const reserveTransferStock = async (client, transfer, lines, { user = null, snapshot = null } = {}) => {
+  const mode = reservationMode();
+  if (mode === 'off') return { reservations: [], shortages: [], skipped: 'disabled' };
+  const held = lines.filter((line) => line.quantity > 0);
+  if (held.length === 0) return { reservations: [], shortages: [], skipped: 'no_lines' };
+
+  await ensureStockReservationTable(client);
+  const code = warehouseCode(transfer.from_warehouse);
+  if (mode === 'enforce' && snapshot?.warehouse !== code) {
+    return { reservations: [], shortages: [], skipped: 'stale_snapshot' };
+  }
+  const productNos = [...new Set(held.map((line) => line.productNo))];
+  await lockProducts(client, code, productNos);
+
+  if (mode === 'enforce') {
+    const availability = await availabilityFrom(client, snapshot, productNos);
+    const needed = {};
+    for (const line of held) {
+      needed[line.productNo] = (needed[line.productNo] || 0) + line.quantity;
+    }
+    const shortages = availability.items
+      .filter((item) => needed[item.productNo] > item.available)
+      .map((item) => ({ ...item, requested: needed[item.productNo] }));
+    if (shortages.length > 0) return { reservations: [], shortages, skipped: null };
+  }
+
+  const reservations = [];
+  for (const line of held) {
+    const result = await client.query(
+      `INSERT INTO stock_transfer_reservations (transfer_id, transfer_item_id, product_no, warehouse_code, quantity, reserved_by)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       ON CONFLICT (transfer_item_id) DO UPDATE
+         SET quantity = EXCLUDED.quantity,
+             status = 'reserved',
+             reserved_by = EXCLUDED.reserved_by,
+             reserved_at = NOW(),
+             released_at = NULL,
+             consumed_at = NULL,
+             booked_at = NULL,
+             updated_at = NOW()
+       RETURNING *`,
+      [transfer.id, line.itemId, line.productNo, code, line.quantity, user?.clerkId || null]
+    );
+    reservations.push(result.rows[0]);
+  }
+  return { reservations, shortages: [], skipped: null };
+};
+
+export const releaseTransferStock = async (client, transferId) => {
+  await ensureStockReservationTable(client);
+  const result = await client.query(
+    `UPDATE stock_transfer_reservations
+     SET status = 'released', released_at = NOW(), updated_at = NOW()
+     WHERE transfer_id = $1 AND status = 'reserved'
+     RETURNING *`,
+    [transferId]
+  );
+  return result.rows;
+};
+
+/**
+ * Consumes the hold of a received transfer, cut to what arrived
+ * (`received`: Map of itemId to quantity), which is what the Medad transfer
+ * moves. Held until markTransferStockBooked.
+ */
+export const consumeTransferStock = async (client, transferId, received) => {
+  await ensureStockReservationTable(client);
+  const reservations = await client.query(
+    "SELECT id, transfer_item_id FROM stock_transfer_reservations WHERE transfer_id = $1 AND status = 'reserved'",
+    [transferId]
+  );
+  const consumed = [];
+  for (const row of reservations.rows) {
+    const result = await client.query(
+      `UPDATE stock_transfer_reservations
+       SET status = 'consumed', quantity = $2, consumed_at = NOW(), updated_at = NOW()
+       WHERE id = $1
+       RETURNING *`,
+      [row.id, received.get(row.transfer_item_id) ?? 0]
+    );
+    consumed.push(result.rows[0]);
+  }
+  return consumed;
+};
+
+// Medad has booked the transfer, so its on-hand figures now show the move
+export const markTransferStockBooked = async (client, transferId) => {
+  await ensureStockReservationTable(client);
+  await client.query(
+    `UPDATE stock_transfer_reservations
+     SET booked_at = NOW(), updated_at = NOW()
+     WHERE transfer_id = $1 AND status = 'consumed'`,
+    [transferId]
+  );
+};
+
+export const listTransferReservations = async (client, transferId) => {
+  await ensureStockReservationTable(client);
+  const result = await client.query(
+    'SELECT * FROM stock_transfer_reservations WHERE transfer_id = $1 ORDER BY transfer_item_id ASC',
+    [transferId]
+  );
+  return result.rows;
+};
@@ -0,0 +1,581 @@
+import admin from '../firebase-init.js';
+import { can } from '../middlewares/permissions.js';
+import { deliverMedadSync, enqueueMedadSync, OUTBOX_STATUSES } from './medadOutbox.js';
+import { ensureMedadProductTables, warehouseCode } from './medadProductMirror.js';
+import { getUserWarehouseCodes } from './medadStock.js';
+import { nextDocumentNumber } from './numbering.js';
+import {
+  consumeTransferStock,
+  prepareTransferStock,
+  releaseTransferStock,
+  reserveTransferStock,
+} from './stockReservations.js';
+
+// Stock moved between two of our warehouses. The destination's storekeeper
+// requests it, the source's storekeeper approves, assigns a driver and
+// dispatches it, and the destination confirms what arrived. Approved
+// quantities are reserved at the source until then, so orders cannot sell
+// them. The received quantities are then pushed to Medad as a warehouse
+// transfer through the outbox. Users act for the warehouses in user_warehouses; roles with
+// stock:viewAll act for any warehouse.
+
+export const TRANSFER_STATUSES = {
+  REQUESTED: 'requested',
+  APPROVED: 'approved',
+  IN_TRANSIT: 'in_transit',
+  RECEIVED: 'received',
+  REJECTED: 'rejected',
+  CANCELLED: 'cancelled',
+};
+
+const { REQUESTED, APPROVED, IN_TRANSIT, RECEIVED, REJECTED, CANCELLED } = TRANSFER_STATUSES;
+
+export const ensureStockTransferTables = async (client) => {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS stock_transfers (
+      id SERIAL PRIMARY KEY,
+      transfer_no TEXT UNIQUE,
+      from_warehouse TEXT NOT NULL,
+      to_warehouse TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'requested',
+      note TEXT,
+      requested_by TEXT,
+      requested_by_name TEXT,
+      approved_by TEXT,
+      approved_at TIMESTAMPTZ,
+      rejected_by TEXT,
+      rejected_at TIMESTAMPTZ,
+      rejection_reason TEXT,
+      driver_id TEXT,
+      driver_name TEXT,
+      driver_assigned_at TIMESTAMPTZ,
+      dispatched_by TEXT,
+      dispatched_at TIMESTAMPTZ,
+      received_by TEXT,
+      received_at TIMESTAMPTZ,
+      cancelled_at TIMESTAMPTZ,
+      medad_sync_status TEXT,
+      medad_transfer_no TEXT,
+      medad_error TEXT,
+      medad_synced_at TIMESTAMPTZ,
+      created_at TIMESTAMPTZ DEFAULT NOW(),
+      updated_at TIMESTAMPTZ DEFAULT NOW()
+    )
+  `);
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS stock_transfer_items (
+      id SERIAL PRIMARY KEY,
+      transfer_id INT NOT NULL REFERENCES stock_transfers(id) ON DELETE CASCADE,
+      product_no TEXT NOT NULL,
+      description TEXT,
+      requested_quantity NUMERIC NOT NULL,
+      approved_quantity NUMERIC,
+      received_quantity NUMERIC
+    )
+  `);
+  await client.query(
+    'CREATE INDEX IF NOT EXISTS stock_transfer_items_transfer_idx ON stock_transfer_items (transfer_id)'
+  );
+};
+
+export class StockTransferError extends Error {
+  constructor(status, reason, details = {}) {
+    super(reason);
+    this.name = 'StockTransferError';
+    this.status = status;
+    this.reason = reason;
+    this.details = details;
+  }
+
+  toJSON() {
+    const error = {
+      400: 'Invalid transfer',
+      404: 'Transfer not found',
+      403: 'Forbidden',
+      409: 'Illegal transfer transition',
+    }[this.status] || 'Transfer failed';
+    return { error, reason: this.reason, ...this.details };
+  }
+}
+
+// ---- Notifications ----
+
+const sendEach = async (tokens, { title, body, data }) => {
+  const unique = [...new Set(tokens.filter(Boolean))];
+  if (unique.length === 0) return;
+  try {
+    await admin.messaging().sendEach(unique.map((token) => ({ notification: { title, body }, data, token })));
+  } catch (error) {
+    console.error('Failed to send stock transfer FCM:', error);
+  }
+};
+
+// Storekeepers assigned to `code` in user_warehouses
+const warehouseStorekeeperTokens = async (client, code) => {
+  const exists = await client.query("SELECT to_regclass('user_warehouses') AS name");
+  if (!exists.rows[0].name) return [];
+  const result = await client.query(
+    `SELECT s.fcm_token
+     FROM Storekeepers s
+     JOIN user_warehouses uw ON uw.clerk_id = s.clerk_id
+     WHERE s.active = TRUE
+       AND (LPAD(uw.warehouse_code, 4, '0') = $1
+            OR EXISTS (SELECT 1 FROM unnest(uw.warehouse_codes) c WHERE LPAD(c, 4, '0') = $1))`,
+    [code]
+  );
+  return result.rows.map((row) => row.fcm_token);
+};
+
+const userTokens = async (client, clerkId) => {
+  if (!clerkId) return [];
+  const result = await client.query(
+    `SELECT fcm_token FROM Storekeepers WHERE clerk_id = $1
+     UNION ALL
+     SELECT fcm_token FROM Managers WHERE clerk_id = $1`,
+    [clerkId]
+  );
+  return result.rows.map((row) => row.fcm_token);
+};
+
+const driverTokens = async (client, clerkId) => {
+  if (!clerkId) return [];
+  const result = await client.query('SELECT fcm_token FROM drivers WHERE clerk_id = $1', [clerkId]);
+  return result.rows.map((row) => row.fcm_token);
+};
+
+/**
+ * Sends the FCM for `event` on `transfer`. Never throws: a failed notification
+ * must not fail the step that already committed.
+ */
+export const notifyTransferEvent = async (client, event, transfer) => {
+  const label = transfer.transfer_no || `#${transfer.id}`;
+  const data = { type: 'stock_transfer', event, transferId: String(transfer.id) };
+  try {
+    switch (event) {
+      case 'request':
+        await sendEach(await warehouseStorekeeperTokens(client, transfer.from_warehouse), {
+          title: 'طلب تحويل مخزني',
+          body: `طلب تحويل ${label} من المستودع ${transfer.from_warehouse} إلى ${transfer.to_warehouse} بانتظار موافقتك`,
+          data,
+        });
+        break;
+      case 'approve':
+        await sendEach(await userTokens(client, transfer.requested_by), {
+          title: 'تمت الموافقة على التحويل',
+          body: `تمت الموافقة على طلب التحويل ${label} وسيتم إرساله قريباً`,
+          data,
+        });
+        break;
+      case 'reject':
+        await sendEach(await userTokens(client, transfer.requested_by), {
+          title: 'تم رفض التحويل',
+          body: `تم رفض طلب التحويل ${label}${transfer.rejection_reason ? `: ${transfer.rejection_reason}` : ''}`,
+          data,
+        });
+        break;
+      case 'assignDriver':
+        await sendEach(await driverTokens(client, transfer.driver_id), {
+          title: 'تحويل مخزني جديد',
+          body: `تم إسناد التحويل ${label} إليك من المستودع ${transfer.from_warehouse} إلى ${transfer.to_warehouse}`,
+          data: { ...data, role: 'driver' },
+        });
+        break;
+      case 'dispatch':
+        await sendEach(await warehouseStorekeeperTokens(client, transfer.to_warehouse), {
+          title: 'تحويل في الطريق',
+          body: `تم إرسال التحويل ${label} مع ${transfer.driver_name || 'السائق'}، يرجى تأكيد الاستلام عند الوصول`,
+          data,
+        });
+        break;
+      case 'receive':
+        await sendEach(await warehouseStorekeeperTokens(client, transfer.from_warehouse), {
+          title: 'تم استلام التحويل',
+          body: `تم استلام التحويل ${label} في المستودع ${transfer.to_warehouse}`,
+          data,
+        });
+        break;
+      default:
+        break;
+    }
+  } catch (error) {
+    console.error(`Failed to notify stock transfer ${transfer.id} (${event}):`, error);
+  }
+};
+
+// ---- Reads ----
+
+export const loadStockTransfer = async (client, id, { forUpdate = false } = {}) => {
+  await ensureStockTransferTables(client);
+  const result = await client.query(
+    `SELECT * FROM stock_transfers WHERE id = $1${forUpdate ? ' FOR UPDATE' : ''}`,
+    [id]
+  );
+  if (result.rowCount === 0) return null;
+  const items = await client.query(
+    'SELECT * FROM stock_transfer_items WHERE transfer_id = $1 ORDER BY id ASC',
+    [id]
+  );
+  return { ...result.rows[0], items: items.rows };
+};
+
+/**
+ * Transfers the user can see: those touching one of their warehouses or
+ * assigned to them as driver; every transfer for stock:viewAll.
+ */
+export const listStockTransfers = async (client, user, { status = null, warehouse = null, page = 1, limit = 50 } = {}) => {
+  await ensureStockTransferTables(client);
+  const conditions = [];
+  const values = [];
+  const add = (value) => {
+    values.push(value);
+    return `$${values.length}`;
+  };
+
+  if (!can(user?.role, 'stock:viewAll')) {
+    const codes = await getUserWarehouseCodes(client, user?.clerkId);
+    const codesParam = add(codes);
+    conditions.push(
+      `(from_warehouse = ANY(${codesParam}::text[]) OR to_warehouse = ANY(${codesParam}::text[]) OR driver_id = ${add(user?.clerkId || null)})`
+    );
+  }
+  if (status) conditions.push(`status = ${add(status)}`);
+  if (warehouse) {
+    const code = add(warehouseCode(warehouse));
+    conditions.push(`(from_warehouse = ${code} OR to_warehouse = ${code})`);
+  }
+  const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+
+  const countResult = await client.query(`SELECT COUNT(*) AS count FROM stock_transfers ${where}`, values);
+  const rowsResult = await client.query(
+    `SELECT * FROM stock_transfers ${where}
+     ORDER BY created_at DESC, id DESC
+     LIMIT $${values.length + 1} OFFSET $${values.length + 2}`,
+    [...values, limit, (page - 1) * limit]
+  );
+  return { transfers: rowsResult.rows, total: Number(countResult.rows[0].count) };
+};
+
+// ---- Steps ----
+
+const assertWarehouse = async (client, user, code, reason) => {
+  if (can(user?.role, 'stock:viewAll')) return;
+  const codes = await getUserWarehouseCodes(client, user?.clerkId);
+  if (!codes.includes(code)) {
+    throw new StockTransferError(403, reason, { warehouse: code });
+  }
+};
+
+const normalizeItems = (items) => {
+  if (!Array.isArray(items) || items.length === 0) {
+    throw new StockTransferError(400, 'items_required');
+  }
+  const byProduct = new Map();
+  for (const item of items) {
+    const productNo = String(item?.productNo ?? item?.product_no ?? '').trim();
+    const quantity = Number(item?.quantity);
+    if (!productNo || !Number.isFinite(quantity) || quantity <= 0) {
+      throw new StockTransferError(400, 'invalid_item', { item });
+    }
+    byProduct.set(productNo, (byProduct.get(productNo) || 0) + quantity);
+  }
+  return [...byProduct].map(([productNo, quantity]) => ({ productNo, quantity }));
+};
+
+/**
+ * Creates a transfer request into `toWarehouse`. Runs in its own transaction.
+ * Resolves to the transfer with its items.
+ */
+export const createStockTransfer = async (client, { fromWarehouse, toWarehouse, items, note = null, user }) => {
+  if (!can(user?.role, 'transfer:request')) {
+    throw new StockTransferError(403, user?.role ? 'role_not_permitted' : 'missing_role', { action: 'request' });
+  }
+  if (!fromWarehouse || !toWarehouse) {
+    throw new StockTransferError(400, 'warehouses_required');
+  }
+  const from = warehouseCode(fromWarehouse);
+  const to = warehouseCode(toWarehouse);
+  if (from === to) {
+    throw new StockTransferError(400, 'same_warehouse', { warehouse: from });
+  }
+  const lines = normalizeItems(items);
+  await assertWarehouse(client, user, to, 'not_destination_warehouse');
+
+  await ensureStockTransferTables(client);
+  await ensureMedadProductTables(client);
+  await client.query('BEGIN');
+  try {
+    const transferNo = await nextDocumentNumber(client, 'stock_transfer');
+    const created = await client.query(
+      `INSERT INTO stock_transfers (transfer_no, from_warehouse, to_warehouse, note, requested_by, requested_by_name)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING id`,
+      [transferNo, from, to, note, user?.clerkId || null, user?.name || null]
+    );
+    const transferId = created.rows[0].id;
+
+    const names = await client.query(
+      'SELECT product_no, description FROM medad_products WHERE product_no = ANY($1::text[])',
+      [lines.map((line) => line.productNo)]
+    );
+    const descriptionOf = Object.fromEntries(names.rows.map((row) => [row.product_no, row.description]));
+    for (const line of lines) {
+      await client.query(
+        `INSERT INTO stock_transfer_items (transfer_id, product_no, description, requested_quantity)
+         VALUES ($1, $2, $3, $4)`,
+        [transferId, line.productNo, descriptionOf[line.productNo] || null, line.quantity]
+      );
+    }
+
+    const transfer = await loadStockTransfer(client, transferId);
+    await client.query('COMMIT');
+    return transfer;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  }
+};
+
+// Per item quantity overrides from a request body: [{ itemId, quantity }]
+const quantityOverrides = (items, transfer, { max }) => {
+  const overrides = new Map();
+  for (const entry of Array.isArray(items) ? items : []) {
+    const itemId = Number(entry?.itemId ?? entry?.id);
+    const quantity = Number(entry?.quantity);
+    const item = transfer.items.find((row) => row.id === itemId);
+    if (!item) throw new StockTransferError(400, 'unknown_item', { itemId: entry?.itemId ?? entry?.id });
+    if (!Number.isFinite(quantity) || quantity < 0 || quantity > Number(item[max])) {
+      throw new StockTransferError(400, 'invalid_quantity', { itemId, quantity, max: Number(item[max]) });
+    }
+    overrides.set(itemId, quantity);
+  }
+  return overrides;
+};
+
+// Holds the approved quantities at the source; refuses the step on shortages
+const reserveSourceStock = async (client, transfer, quantities, { user, prepared }) => {
+  const lines = transfer.items.map((item) => ({
+    itemId: item.id,
+    productNo: item.product_no,
+    quantity: quantities.get(item.id) ?? Number(item.requested_quantity),
+  }));
+  const { shortages, skipped } = await reserveTransferStock(client, transfer, lines, { user, snapshot: prepared });
+  if (skipped === 'stale_snapshot') {
+    throw new StockTransferError(409, 'transfer_changed', { action: 'approve' });
+  }
+  if (shortages.length > 0) {
+    throw new StockTransferError(409, 'insufficient_stock', { action: 'approve', shortages });
+  }
+};
+
+const findDriver = async (client, driverId) => {
+  const result = await client.query(
+    `SELECT id, name, clerk_id
+     FROM drivers
+     WHERE (CAST(id AS TEXT) = CAST($1 AS TEXT) OR clerk_id = $1)
+     LIMIT 1`,
+    [String(driverId)]
+  );
+  return result.rows[0] || null;
+};
+
+export const buildTransferPayload = (transfer) => ({
+  transferNo: transfer.transfer_no,
+  transferDate: new Date(transfer.received_at || Date.now()).toISOString().slice(0, 10),
+  fromWarehouseNo: transfer.from_warehouse,
+  toWarehouseNo: transfer.to_warehouse,
+  notes: transfer.note || '',
+  Transfer_Detail: transfer.items
+    .filter((item) => Number(item.received_quantity) > 0)
+    .map((item) => ({ productNo: item.product_no, quantity: Number(item.received_quantity) })),
+});
+
+/**
+ * Steps. `permission` is checked against the role map, `from` lists the
+ * statuses the transfer may be in and `side` is the warehouse the user must
+ * belong to. `apply` writes the step and resolves to extra response fields.
+ * `prepare` runs before the transaction, without locks (Medad stock); its
+ * result reaches `apply` as `prepared`.
+ */
+export const TRANSFER_TRANSITIONS = {
+  approve: {
+    permission: 'transfer:approve',
+    from: [REQUESTED],
+    side: 'from_warehouse',
+    prepare: (client, transferId) => prepareTransferStock(client, transferId),
+    apply: async (client, transfer, { user, payload, prepared }) => {
+      const overrides = quantityOverrides(payload.items, transfer, { max: 'requested_quantity' });
+      await reserveSourceStock(client, transfer, overrides, { user, prepared });
+      for (const item of transfer.items) {
+        await client.query(
+          'UPDATE stock_transfer_items SET approved_quantity = $2 WHERE id = $1',
+          [item.id, overrides.get(item.id) ?? Number(item.requested_quantity)]
+        );
+      }
+      await client.query(
+        `UPDATE stock_transfers
+         SET status = $2, approved_by = $3, approved_at = NOW(), updated_at = NOW()
+         WHERE id = $1`,
+        [transfer.id, APPROVED, user?.clerkId || null]
+      );
+    },
+  },
+  reject: {
+    permission: 'transfer:approve',
+    from: [REQUESTED, APPROVED],
+    side: 'from_warehouse',
+    apply: async (client, transfer, { user, payload }) => {
+      await client.query(
+        `UPDATE stock_transfers
+         SET status = $2, rejected_by = $3, rejected_at = NOW(), rejection_reason = $4, updated_at = NOW()
+         WHERE id = $1`,
+        [transfer.id, REJECTED, user?.clerkId || null, payload.reason || null]
+      );
+      await releaseTransferStock(client, transfer.id);
+    },
+  },
+  assignDriver: {
+    permission: 'transfer:dispatch',
+    from: [APPROVED],
+    side: 'from_warehouse',
+    apply: async (client, transfer, { payload }) => {
+      if (!payload.driverId) throw new StockTransferError(400, 'driver_required');
+      const driver = await findDriver(client, payload.driverId);
+      if (!driver) throw new StockTransferError(404, 'driver_not_found');
+      await client.query(
+        `UPDATE stock_transfers
+         SET driver_id = $2, driver_name = $3, driver_assigned_at = NOW(), updated_at = NOW()
+         WHERE id = $1`,
+        [transfer.id, driver.clerk_id, driver.name]
+      );
+    },
+  },
+  dispatch: {
+    permission: 'transfer:dispatch',
+    from: [APPROVED],
+    side: 'from_warehouse',
+    guard: (transfer) => (transfer.driver_id ? null : 'driver_not_assigned'),
+    apply: async (client, transfer, { user }) => {
+      await client.query(
+        `UPDATE stock_transfers
+         SET status = $2, dispatched_by = $3, dispatched_at = NOW(), updated_at = NOW()
+         WHERE id = $1`,
+        [transfer.id, IN_TRANSIT, user?.clerkId || null]
+      );
+    },
+  },
+  receive: {
+    permission: 'transfer:receive',
+    from: [IN_TRANSIT],
+    side: 'to_warehouse',
+    apply: async (client, transfer, { user, payload }) => {
+      const overrides = quantityOverrides(payload.items, transfer, { max: 'approved_quantity' });
+      const receivedQuantities = new Map();
+      for (const item of transfer.items) {
+        const quantity = overrides.get(item.id) ?? Number(item.approved_quantity);
+        receivedQuantities.set(item.id, quantity);
+        await client.query('UPDATE stock_transfer_items SET received_quantity = $2 WHERE id = $1', [item.id, quantity]);
+      }
+      // The hold now covers what the Medad transfer below will move
+      await consumeTransferStock(client, transfer.id, receivedQuantities);
+      await client.query(
+        `UPDATE stock_transfers
+         SET status = $2, received_by = $3, received_at = NOW(), updated_at = NOW()
+         WHERE id = $1`,
+        [transfer.id, RECEIVED, user?.clerkId || null]
+      );
+
+      const received = await loadStockTransfer(client, transfer.id);
+      const payloadForMedad = buildTransferPayload(received);
+      if (payloadForMedad.Transfer_Detail.length === 0) return {};
+
+      const entry = await enqueueMedadSync(client, {
+        kind: 'transfer',
+        idempotencyKey: `transfer:stock_transfer:${transfer.id}`,
+        entityType: 'stock_transfer',
+        entityId: transfer.id,
+        payload: payloadForMedad,
+        context: { transferNo: transfer.transfer_no },
+        actor: user,
+      });
+      await client.query(
+        "UPDATE stock_transfers SET medad_sync_status = 'QUEUED_FOR_MEDAD' WHERE id = $1",
+        [transfer.id]
+      );
+      return { outboxId: entry.id };
+    },
+  },
+  cancel: {
+    permission: 'transfer:request',
+    from: [REQUESTED, APPROVED],
+    side: 'to_warehouse',
+    guard: (transfer, user) =>
+      transfer.requested_by === user?.clerkId || can(user?.role, 'stock:viewAll') ? null : 'not_requester',
+    apply: async (client, transfer) => {
+      await client.query(
+        'UPDATE stock_transfers SET status = $2, cancelled_at = NOW(), updated_at = NOW() WHERE id = $1',
+        [transfer.id, CANCELLED]
+      );
+      await releaseTransferStock(client, transfer.id);
+    },
+  },
+};
+
+/**
+ * Tries the Medad push queued by a committed receive step. Never throws: the
+ * transfer is already received, so a failed attempt is logged and left in the
+ * outbox for the worker. Resolves to { outboxId, status, error } for the response.
+ */
+export const deliverTransferSync = async (outboxId) => {
+  try {
+    const entry = await deliverMedadSync(outboxId);
+    return { outboxId: entry.id, status: entry.status, error: entry.last_error || null };
+  } catch (err) {
+    console.error(`Medad push of stock transfer outbox entry ${outboxId} failed, left in the outbox:`, err);
+    return { outboxId, status: OUTBOX_STATUSES.PENDING, error: err.message };
+  }
+};
+
+/**
+ * Applies `action` to transfer `id` in its own transaction, locking the row
+ * first. Resolves to { transfer, from, to, outboxId? }; throws
+ * StockTransferError (400/403/404/409).
+ */
+export const transitionStockTransfer = async (client, id, action, { user, payload = {} } = {}) => {
+  const transition = TRANSFER_TRANSITIONS[action];
+  if (!transition) throw new Error(`Unknown stock transfer transition: ${action}`);
+
+  if (!can(user?.role, transition.permission)) {
+    throw new StockTransferError(403, user?.role ? 'role_not_permitted' : 'missing_role', { action });
+  }
+
+  await ensureStockTransferTables(client);
+  const prepared = transition.prepare ? await transition.prepare(client, id) : null;
+
+  await client.query('BEGIN');
+  try {
+    const before = await loadStockTransfer(client, id, { forUpdate: true });
+    if (!before) throw new StockTransferError(404, 'transfer_not_found', { action });
+
+    await assertWarehouse(
+      client,
+      user,
+      before[transition.side],
+      transition.side === 'from_warehouse' ? 'not_source_warehouse' : 'not_destination_warehouse'
+    );
+    if (!transition.from.includes(before.status)) {
+      throw new StockTransferError(409, 'illegal_transition', { action, from: before.status });
+    }
+    const blocked = transition.guard?.(before, user);
+    if (blocked) {
+      throw new StockTransferError(409, blocked, { action, from: before.status });
+    }
+
+    const extra = (await transition.apply(client, before, { user, payload, prepared })) || {};
+    const transfer = await loadStockTransfer(client, id);
+    await client.query('COMMIT');
+    return { transfer, from: before.status, to: transfer.status, ...extra };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  }
+};
@@ -0,0 +1,498 @@
+import ExcelJS from 'exceljs';
+import admin from '../firebase-init.js';
+import { can } from '../middlewares/permissions.js';
+import { ensureMedadProductTables, warehouseCode } from './medadProductMirror.js';
+import { getUserWarehouseCodes, loadWarehouseStock } from './medadStock.js';
+import { nextDocumentNumber } from './numbering.js';
+
+// Cycle counts. A session is opened for a warehouse, optionally limited to one
+// section, and takes a snapshot of the Medad quantities at that moment; the
+// storekeeper enters counted quantities against it, submits, and a manager
+// approves the adjustments (all of them or chosen lines) or reopens the
+// session for a recount. Variance = counted - snapshot.
+
+export const STOCKTAKE_STATUSES = {
+  OPEN: 'open',
+  SUBMITTED: 'submitted',
+  APPROVED: 'approved',
+  CANCELLED: 'cancelled',
+};
+
+const { OPEN, SUBMITTED, APPROVED, CANCELLED } = STOCKTAKE_STATUSES;
+
+export const ensureStocktakeTables = async (client) => {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS stocktakes (
+      id SERIAL PRIMARY KEY,
+      stocktake_no TEXT UNIQUE,
+      warehouse_code TEXT NOT NULL,
+      section_id INT,
+      section_name TEXT,
+      status TEXT NOT NULL DEFAULT 'open',
+      note TEXT,
+      snapshot_source TEXT,
+      snapshot_at TIMESTAMPTZ,
+      created_by TEXT,
+      created_by_name TEXT,
+      submitted_by TEXT,
+      submitted_at TIMESTAMPTZ,
+      approved_by TEXT,
+      approved_at TIMESTAMPTZ,
+      reopened_at TIMESTAMPTZ,
+      reopen_reason TEXT,
+      cancelled_at TIMESTAMPTZ,
+      created_at TIMESTAMPTZ DEFAULT NOW(),
+      updated_at TIMESTAMPTZ DEFAULT NOW()
+    )
+  `);
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS stocktake_lines (
+      id SERIAL PRIMARY KEY,
+      stocktake_id INT NOT NULL REFERENCES stocktakes(id) ON DELETE CASCADE,
+      product_no TEXT NOT NULL,
+      description TEXT,
+      unit TEXT,
+      unit_price NUMERIC,
+      system_quantity NUMERIC NOT NULL DEFAULT 0,
+      counted_quantity NUMERIC,
+      in_snapshot BOOLEAN NOT NULL DEFAULT TRUE,
+      note TEXT,
+      counted_by TEXT,
+      counted_at TIMESTAMPTZ,
+      adjustment_approved BOOLEAN NOT NULL DEFAULT FALSE,
+      UNIQUE (stocktake_id, product_no)
+    )
+  `);
+};
+
+export class StocktakeError extends Error {
+  constructor(status, reason, details = {}) {
+    super(reason);
+    this.name = 'StocktakeError';
+    this.status = status;
+    this.reason = reason;
+    this.details = details;
+  }
+
+  toJSON() {
+    const error = {
+      400: 'Invalid stocktake',
+      404: 'Stocktake not found',
+      403: 'Forbidden',
+      409: 'Illegal stocktake transition',
+    }[this.status] || 'Stocktake failed';
+    return { error, reason: this.reason, ...this.details };
+  }
+}
+
+const toNumber = (value) => (value === null || value === undefined ? null : Number(value));
+
+// Variance figures for one line; uncounted lines have none
+export const lineVariance = (line) => {
+  const counted = toNumber(line.counted_quantity);
+  if (counted === null) return { variance: null, varianceValue: null };
+  const variance = counted - Number(line.system_quantity);
+  const price = toNumber(line.unit_price);
+  return { variance, varianceValue: price === null ? null : variance * price };
+};
+
+export const summarizeStocktake = (lines) => {
+  const summary = { lines: lines.length, counted: 0, uncounted: 0, withVariance: 0, surplus: 0, shortage: 0, varianceValue: 0 };
+  for (const line of lines) {
+    const { variance, varianceValue } = lineVariance(line);
+    if (variance === null) {
+      summary.uncounted += 1;
+      continue;
+    }
+    summary.counted += 1;
+    if (variance !== 0) summary.withVariance += 1;
+    if (variance > 0) summary.surplus += variance;
+    if (variance < 0) summary.shortage += -variance;
+    summary.varianceValue += varianceValue || 0;
+  }
+  return summary;
+};
+
+export const loadStocktake = async (client, id, { forUpdate = false } = {}) => {
+  await ensureStocktakeTables(client);
+  const result = await client.query(`SELECT * FROM stocktakes WHERE id = $1${forUpdate ? ' FOR UPDATE' : ''}`, [id]);
+  if (result.rowCount === 0) return null;
+  const lines = await client.query('SELECT * FROM stocktake_lines WHERE stocktake_id = $1 ORDER BY product_no ASC', [id]);
+  const withVariance = lines.rows.map((line) => ({ ...line, ...lineVariance(line) }));
+  return { ...result.rows[0], lines: withVariance, summary: summarizeStocktake(lines.rows) };
+};
+
+export const listStocktakes = async (client, user, { status = null, warehouse = null, page = 1, limit = 50 } = {}) => {
+  await ensureStocktakeTables(client);
+  const conditions = [];
+  const values = [];
+  const add = (value) => {
+    values.push(value);
+    return `$${values.length}`;
+  };
+  if (!can(user?.role, 'stock:viewAll')) {
+    conditions.push(`warehouse_code = ANY(${add(await getUserWarehouseCodes(client, user?.clerkId))}::text[])`);
+  }
+  if (status) conditions.push(`status = ${add(status)}`);
+  if (warehouse) conditions.push(`warehouse_code = ${add(warehouseCode(warehouse))}`);
+  const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+
+  const countResult = await client.query(`SELECT COUNT(*) AS count FROM stocktakes ${where}`, values);
+  const rowsResult = await client.query(
+    `SELECT * FROM stocktakes ${where}
+     ORDER BY created_at DESC, id DESC
+     LIMIT $${values.length + 1} OFFSET $${values.length + 2}`,
+    [...values, limit, (page - 1) * limit]
+  );
+  return { stocktakes: rowsResult.rows, total: Number(countResult.rows[0].count) };
+};
+
+export const assertStocktakeWarehouse = async (client, user, code) => {
+  if (can(user?.role, 'stock:viewAll')) return;
+  const codes = await getUserWarehouseCodes(client, user?.clerkId);
+  if (!codes.includes(code)) {
+    throw new StocktakeError(403, 'warehouse_not_allowed', { warehouse: code });
+  }
+};
+
+// Catalogue facts (description, unit, price) for the products, from the mirror
+// and, failing that, the local products table
+const productFacts = async (client, productNos) => {
+  await ensureMedadProductTables(client);
+  const result = await client.query(
+    `SELECT p.product_no,
+            COALESCE(mp.description, lp.name) AS description,
+            mp.unit,
+            mp.price
+     FROM unnest($1::text[]) AS p(product_no)
+     LEFT JOIN medad_products mp ON mp.product_no = p.product_no
+     LEFT JOIN LATERAL (SELECT name FROM products WHERE code = p.product_no ORDER BY id LIMIT 1) lp ON TRUE`,
+    [productNos]
+  );
+  return Object.fromEntries(result.rows.map((row) => [row.product_no, row]));
+};
+
+/**
+ * Opens a session and snapshots the warehouse. With `sectionId` the lines are
+ * the section's products (products.code); otherwise every product Medad lists
+ * in the warehouse. Resolves to the stocktake with its lines.
+ */
+export const createStocktake = async (client, { warehouse, sectionId = null, note = null, user }) => {
+  if (!can(user?.role, 'stocktake:count')) {
+    throw new StocktakeError(403, user?.role ? 'role_not_permitted' : 'missing_role', { action: 'create' });
+  }
+  if (!warehouse) throw new StocktakeError(400, 'warehouse_required');
+  const code = warehouseCode(warehouse);
+  await assertStocktakeWarehouse(client, user, code);
+  await ensureStocktakeTables(client);
+
+  let section = null;
+  if (sectionId) {
+    const result = await client.query('SELECT id, name FROM sections WHERE id = $1', [sectionId]);
+    section = result.rows[0];
+    if (!section) throw new StocktakeError(404, 'section_not_found', { sectionId });
+  }
+
+  const { stock, sources } = await loadWarehouseStock(client, [code], { fresh: true });
+  const snapshot = stock[code] || {};
+
+  let productNos;
+  if (section) {
+    const result = await client.query(
+      "SELECT DISTINCT code FROM products WHERE section_id = $1 AND code IS NOT NULL AND code <> '' ORDER BY code",
+      [section.id]
+    );
+    productNos = result.rows.map((row) => row.code);
+  } else {
+    productNos = Object.keys(snapshot).sort();
+  }
+  if (productNos.length === 0) {
+    throw new StocktakeError(409, 'nothing_to_count', { warehouse: code, sectionId: section?.id || null });
+  }
+  const facts = await productFacts(client, productNos);
+
+  await client.query('BEGIN');
+  try {
+    const stocktakeNo = await nextDocumentNumber(client, 'stocktake');
+    const created = await client.query(
+      `INSERT INTO stocktakes
+         (stocktake_no, warehouse_code, section_id, section_name, note, snapshot_source, snapshot_at, created_by, created_by_name)
+       VALUES ($1, $2, $3, $4, $5, $6, NOW(), $7, $8)
+       RETURNING id`,
+      [stocktakeNo, code, section?.id || null, section?.name || null, note, sources[code] || null, user?.clerkId || null, user?.name || null]
+    );
+    const stocktakeId = created.rows[0].id;
+
+    const rows = productNos.map((productNo) => ({
+      product_no: productNo,
+      description: facts[productNo]?.description || null,
+      unit: facts[productNo]?.unit || null,
+      unit_price: toNumber(facts[productNo]?.price),
+      system_quantity: snapshot[productNo] ?? 0,
+    }));
+    await client.query(
+      `INSERT INTO stocktake_lines (stocktake_id, product_no, description, unit, unit_price, system_quantity)
+       SELECT $1, r.product_no, r.description, r.unit, r.unit_price, r.system_quantity
+       FROM jsonb_to_recordset($2::jsonb)
+         AS r(product_no TEXT, description TEXT, unit TEXT, unit_price NUMERIC, system_quantity NUMERIC)`,
+      [stocktakeId, JSON.stringify(rows)]
+    );
+
+    await client.query('COMMIT');
+    return loadStocktake(client, stocktakeId);
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  }
+};
+
+const lockOpenStocktake = async (client, id, user, action, permission) => {
+  if (!can(user?.role, permission)) {
+    throw new StocktakeError(403, user?.role ? 'role_not_permitted' : 'missing_role', { action });
+  }
+  const stocktake = await loadStocktake(client, id, { forUpdate: true });
+  if (!stocktake) throw new StocktakeError(404, 'stocktake_not_found', { action });
+  await assertStocktakeWarehouse(client, user, stocktake.warehouse_code);
+  return stocktake;
+};
+
+/**
+ * Records counted quantities ([{ productNo, quantity, note }]) on an open
+ * session. A product outside the snapshot is added with a system quantity of
+ * 0 (stock found that Medad does not know about). Resolves to the stocktake.
+ */
+export const recordStocktakeCounts = async (client, id, counts, { user }) => {
+  if (!Array.isArray(counts) || counts.length === 0) {
+    throw new StocktakeError(400, 'counts_required');
+  }
+  const normalized = counts.map((entry) => {
+    const productNo = String(entry?.productNo ?? entry?.product_no ?? '').trim();
+    const quantity = entry?.quantity === null ? null : Number(entry?.quantity);
+    if (!productNo || (quantity !== null && (!Number.isFinite(quantity) || quantity < 0))) {
+      throw new StocktakeError(400, 'invalid_count', { count: entry });
+    }
+    return { productNo, quantity, note: entry?.note || null };
+  });
+
+  await ensureStocktakeTables(client);
+  await client.query('BEGIN');
+  try {
+    const stocktake = await lockOpenStocktake(client, id, user, 'count', 'stocktake:count');
+    if (stocktake.status !== OPEN) {
+      throw new StocktakeError(409, 'illegal_transition', { action: 'count', from: stocktake.status });
+    }
+
+    const known = new Set(stocktake.lines.map((line) => line.product_no));
+    const unknown = normalized.filter((entry) => !known.has(entry.productNo)).map((entry) => entry.productNo);
+    const facts = unknown.length ? await productFacts(client, unknown) : {};
+
+    for (const entry of normalized) {
+      await client.query(
+        `INSERT INTO stocktake_lines
+           (stocktake_id, product_no, description, unit, unit_price, system_quantity, in_snapshot,
+            counted_quantity, note, counted_by, counted_at)
+         VALUES ($1, $2, $3, $4, $5, 0, FALSE, $6, $7, $8, NOW())
+         ON CONFLICT (stocktake_id, product_no) DO UPDATE
+           SET counted_quantity = EXCLUDED.counted_quantity,
+               note = COALESCE(EXCLUDED.note, stocktake_lines.note),
+               counted_by = EXCLUDED.counted_by,
+               counted_at = EXCLUDED.counted_at`,
+        [
+          stocktake.id,
+          entry.productNo,
+          facts[entry.productNo]?.description || null,
+          facts[entry.productNo]?.unit || null,
+          toNumber(facts[entry.productNo]?.price),
+          entry.quantity,
+          entry.note,
+          user?.clerkId || null,
+        ]
+      );
+    }
+    await client.query('UPDATE stocktakes SET updated_at = NOW() WHERE id = $1', [stocktake.id]);
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  }
+  return loadStocktake(client, id);
+};
+
+/**
+ * Session steps. `permission` is checked against the role map and `from`
+ * lists the statuses the session may be in; `apply` writes the step.
+ */
+export const STOCKTAKE_TRANSITIONS = {
+  submit: {
+    permission: 'stocktake:count',
+    from: [OPEN],
+    guard: (stocktake) => (stocktake.summary.counted === 0 ? 'nothing_counted' : null),
+    apply: (client, stocktake, { user }) =>
+      client.query(
+        'UPDATE stocktakes SET status = $2, submitted_by = $3, submitted_at = NOW(), updated_at = NOW() WHERE id = $1',
+        [stocktake.id, SUBMITTED, user?.clerkId || null]
+      ),
+  },
+  // { lineIds?: [...] } approves only those lines' adjustments, default every counted line with a variance
+  approve: {
+    permission: 'stocktake:approve',
+    from: [SUBMITTED],
+    apply: async (client, stocktake, { user, payload }) => {
+      const candidates = stocktake.lines.filter((line) => line.variance !== null && line.variance !== 0);
+      let approvedIds = candidates.map((line) => line.id);
+      if (Array.isArray(payload.lineIds)) {
+        const requested = payload.lineIds.map(Number);
+        const invalid = requested.filter((lineId) => !approvedIds.includes(lineId));
+        if (invalid.length > 0) throw new StocktakeError(400, 'invalid_lines', { lineIds: invalid });
+        approvedIds = requested;
+      }
+      await client.query(
+        'UPDATE stocktake_lines SET adjustment_approved = (id = ANY($2::int[])) WHERE stocktake_id = $1',
+        [stocktake.id, approvedIds]
+      );
+      await client.query(
+        'UPDATE stocktakes SET status = $2, approved_by = $3, approved_at = NOW(), updated_at = NOW() WHERE id = $1',
+        [stocktake.id, APPROVED, user?.clerkId || null]
+      );
+    },
+  },
+  // { reason } sends the session back to the storekeeper for a recount
+  reopen: {
+    permission: 'stocktake:approve',
+    from: [SUBMITTED],
+    apply: (client, stocktake, { payload }) =>
+      client.query(
+        'UPDATE stocktakes SET status = $2, reopened_at = NOW(), reopen_reason = $3, updated_at = NOW() WHERE id = $1',
+        [stocktake.id, OPEN, payload.reason || null]
+      ),
+  },
+  cancel: {
+    permission: 'stocktake:count',
+    from: [OPEN],
+    apply: (client, stocktake) =>
+      client.query(
+        'UPDATE stocktakes SET status = $2, cancelled_at = NOW(), updated_at = NOW() WHERE id = $1',
+        [stocktake.id, CANCELLED]
+      ),
+  },
+};
+
+/**
+ * Applies `action` to stocktake `id` in its own transaction.
+ * Resolves to { stocktake, from, to }; throws StocktakeError.
+ */
+export const transitionStocktake = async (client, id, action, { user, payload = {} } = {}) => {
+  const transition = STOCKTAKE_TRANSITIONS[action];
+  if (!transition) throw new Error(`Unknown stocktake transition: ${action}`);
+
+  await ensureStocktakeTables(client);
+  await client.query('BEGIN');
+  try {
+    const before = await lockOpenStocktake(client, id, user, action, transition.permission);
+    if (!transition.from.includes(before.status)) {
+      throw new StocktakeError(409, 'illegal_transition', { action, from: before.status });
+    }
+    const blocked = transition.guard?.(before);
+    if (blocked) throw new StocktakeError(409, blocked, { action, from: before.status });
+
+    await transition.apply(client, before, { user, payload });
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  }
+  const stocktake = await loadStocktake(client, id);
+  return { stocktake, to: stocktake.status };
+};
+
+/**
+ * FCM for a step: managers when a session is submitted, its creator when it
+ * is approved or reopened. Never throws.
+ */
+export const notifyStocktakeEvent = async (client, event, stocktake) => {
+  const label = stocktake.stocktake_no || `#${stocktake.id}`;
+  const data = { type: 'stocktake', event, stocktakeId: String(stocktake.id) };
+  try {
+    let result;
+    let notification;
+    if (event === 'submit') {
+      result = await client.query('SELECT fcm_token FROM Managers WHERE role = $1 AND active = TRUE', ['manager']);
+      notification = {
+        title: 'جرد بانتظار الاعتماد',
+        body: `تم رفع الجرد ${label} للمستودع ${stocktake.warehouse_code} (${stocktake.summary.withVariance} صنف بفروقات)`,
+      };
+    } else if (event === 'approve' || event === 'reopen') {
+      result = await client.query('SELECT fcm_token FROM Storekeepers WHERE clerk_id = $1', [stocktake.created_by]);
+      notification = event === 'approve'
+        ? { title: 'تم اعتماد الجرد', body: `تم اعتماد تسويات الجرد ${label}` }
+        : { title: 'إعادة الجرد', body: `أعيد الجرد ${label} للمراجعة${stocktake.reopen_reason ? `: ${stocktake.reopen_reason}` : ''}` };
+    } else {
+      return;
+    }
+    const tokens = [...new Set(result.rows.map((row) => row.fcm_token).filter(Boolean))];
+    if (tokens.length === 0) return;
+    await admin.messaging().sendEach(tokens.map((token) => ({ notification, data, token })));
+  } catch (error) {
+    console.error(`Failed to notify stocktake ${stocktake.id} (${event}):`, error);
+  }
+};
+
+/**
+ * Variance report: a summary sheet and one row per line.
+ * @returns {Promise<Buffer>}
+ */
+export const buildStocktakeWorkbook = async (stocktake) => {
+  const workbook = new ExcelJS.Workbook();
+
+  const summarySheet = workbook.addWorksheet('Summary');
+  summarySheet.columns = [
+    { header: 'Field', key: 'field', width: 22 },
+    { header: 'Value', key: 'value', width: 30 },
+  ];
+  const { summary } = stocktake;
+  [
+    ['Stocktake', stocktake.stocktake_no],
+    ['Warehouse', stocktake.warehouse_code],
+    ['Section', stocktake.section_name || 'All'],
+    ['Status', stocktake.status],
+    ['Snapshot at', stocktake.snapshot_at ? new Date(stocktake.snapshot_at).toISOString() : null],
+    ['Snapshot source', stocktake.snapshot_source],
+    ['Lines', summary.lines],
+    ['Counted', summary.counted],
+    ['Uncounted', summary.uncounted],
+    ['Lines with variance', summary.withVariance],
+    ['Surplus quantity', summary.surplus],
+    ['Shortage quantity', summary.shortage],
+    ['Variance value', summary.varianceValue],
+  ].forEach(([field, value]) => summarySheet.addRow({ field, value }));
+  summarySheet.getRow(1).font = { bold: true };
+
+  const linesSheet = workbook.addWorksheet('Variances');
+  linesSheet.columns = [
+    { header: 'Product no.', key: 'product_no', width: 16 },
+    { header: 'Description', key: 'description', width: 36 },
+    { header: 'Unit', key: 'unit', width: 10 },
+    { header: 'System qty', key: 'system_quantity', width: 12 },
+    { header: 'Counted qty', key: 'counted_quantity', width: 12 },
+    { header: 'Variance', key: 'variance', width: 12 },
+    { header: 'Unit price', key: 'unit_price', width: 12 },
+    { header: 'Variance value', key: 'varianceValue', width: 16 },
+    { header: 'In snapshot', key: 'in_snapshot', width: 12 },
+    { header: 'Approved', key: 'adjustment_approved', width: 10 },
+    { header: 'Note', key: 'note', width: 30 },
+  ];
+  for (const line of stocktake.lines) {
+    linesSheet.addRow({
+      ...line,
+      system_quantity: toNumber(line.system_quantity),
+      counted_quantity: toNumber(line.counted_quantity),
+      unit_price: toNumber(line.unit_price),
+      in_snapshot: line.in_snapshot ? 'Yes' : 'No',
+      adjustment_approved: line.adjustment_approved ? 'Yes' : 'No',
+    });
+  }
+  linesSheet.getRow(1).font = { bold: true };
+  linesSheet.views = [{ state: 'frozen', ySplit: 1 }];
+
+  return workbook.xlsx.writeBuffer();
+};
@@ -0,0 +1,397 @@
+// ZATCA (Fatoora) representation of an order: UBL 2.1 tax invoice XML and the
+// TLV/base64 QR payload. Seller details come from the environment; buyer VAT data
+// comes from the client's linked Medad customer. An invoice is issued once, when
+// it is queued for Medad: it gets its UUID and counter (ICV), is chained to the
+// previous invoice's hash (PIH), and the rendered XML, QR and hash are stored so
+// every later read returns exactly what was issued. The XML is not
+// cryptographically stamped — that needs the CSID certificate from onboarding.
+import crypto from 'crypto';
+import QRCode from 'qrcode';
+import {
+  documentTotals,
+  priceStoredLine,
+  roundMoney,
+  VAT_CATEGORIES,
+} from './pricing.js';
+
+export const INVOICE_TYPES = {
+  STANDARD: 'standard', // B2B, buyer has a VAT number
+  SIMPLIFIED: 'simplified', // B2C
+};
+
+// InvoiceTypeCode/@name: 01 = standard, 02 = simplified, followed by five flags
+const TYPE_NAME = {
+  [INVOICE_TYPES.STANDARD]: '0100000',
+  [INVOICE_TYPES.SIMPLIFIED]: '0200000',
+};
+
+const TAX_INVOICE_CODE = '388';
+const CURRENCY = 'SAR';
+
+// Hash ZATCA prescribes as the "previous invoice hash" of the first invoice;
+// every later invoice carries the hash of the one issued before it
+export const INITIAL_PIH =
+  'NWZlY2ViNjZmZmM4NmYzOGQ5NTI3ODZjNmQ2OTZjNzljMmRiYzIzOWRkNGU5MWI0NjcyOWQ3M2EyN2ZiNTdlOQ==';
+
+const EXEMPTION_REASONS = {
+  [VAT_CATEGORIES.ZERO_RATED]: {
+    code: process.env.ZATCA_ZERO_RATED_REASON_CODE || 'VATEX-SA-32',
+    text: process.env.ZATCA_ZERO_RATED_REASON || 'Export of goods',
+  },
+  [VAT_CATEGORIES.EXEMPT]: {
+    code: process.env.ZATCA_EXEMPT_REASON_CODE || 'VATEX-SA-29',
+    text: process.env.ZATCA_EXEMPT_REASON || 'Financial services mentioned in Article 29 of the VAT Regulations',
+  },
+};
+
+export const getSellerInfo = () => ({
+  name: process.env.ZATCA_SELLER_NAME || '',
+  vatNumber: process.env.ZATCA_SELLER_VAT_NUMBER || '',
+  crn: process.env.ZATCA_SELLER_CRN || '',
+  street: process.env.ZATCA_SELLER_STREET || '',
+  buildingNumber: process.env.ZATCA_SELLER_BUILDING_NUMBER || '',
+  district: process.env.ZATCA_SELLER_DISTRICT || '',
+  city: process.env.ZATCA_SELLER_CITY || '',
+  postalCode: process.env.ZATCA_SELLER_POSTAL_CODE || '',
+});
+
+// index.js runs this once at startup, like ensurePricingColumns: the e-invoice
+// is rendered on read paths (XML, order PDF) that must not take an ALTER lock
+export const ensureEInvoiceColumns = async (client) => {
+  await client.query(`
+    ALTER TABLE orders
+      ADD COLUMN IF NOT EXISTS einvoice_uuid UUID,
+      ADD COLUMN IF NOT EXISTS einvoice_counter INT,
+      ADD COLUMN IF NOT EXISTS einvoice_type TEXT,
+      ADD COLUMN IF NOT EXISTS einvoice_issued_at TIMESTAMPTZ,
+      ADD COLUMN IF NOT EXISTS einvoice_previous_hash TEXT,
+      ADD COLUMN IF NOT EXISTS einvoice_hash TEXT,
+      ADD COLUMN IF NOT EXISTS einvoice_qr TEXT,
+      ADD COLUMN IF NOT EXISTS einvoice_xml TEXT
+  `);
+  await client.query(
+    'CREATE UNIQUE INDEX IF NOT EXISTS orders_einvoice_counter_idx ON orders (einvoice_counter)'
+  );
+};
+
+/**
+ * Builds the base64 TLV payload for the invoice QR code: tags 1-5 are seller
+ * name, seller VAT number, ISO timestamp, invoice total (with VAT) and VAT total.
+ */
+export const buildQrPayload = ({ sellerName, vatNumber, timestamp, total, vatTotal }) => {
+  const values = [
+    sellerName,
+    vatNumber,
+    new Date(timestamp).toISOString().replace(/\.\d{3}Z$/, 'Z'),
+    Number(total).toFixed(2),
+    Number(vatTotal).toFixed(2),
+  ];
+
+  const chunks = values.map((value, index) => {
+    const bytes = Buffer.from(String(value ?? ''), 'utf8');
+    if (bytes.length > 255) {
+      throw new Error(`ZATCA QR field ${index + 1} is longer than 255 bytes`);
+    }
+    return Buffer.concat([Buffer.from([index + 1, bytes.length]), bytes]);
+  });
+
+  return Buffer.concat(chunks).toString('base64');
+};
+
+export const renderQrPng = (payload) =>
+  QRCode.toBuffer(payload, { type: 'png', errorCorrectionLevel: 'M', margin: 1, width: 220 });
+
+/**
+ * Standard when the buyer has a VAT number, simplified otherwise.
+ */
+export const resolveInvoiceType = (buyer) => {
+  return buyer.vatNumber ? INVOICE_TYPES.STANDARD : INVOICE_TYPES.SIMPLIFIED;
+};
+
+/**
+ * Loads everything the e-invoice needs for an order. Resolves to null when the
+ * order does not exist.
+ */
+export const loadInvoiceSource = async (client, orderId, { forUpdate = false } = {}) => {
+  const orderResult = await client.query(
+    `SELECT
+       o.*,
+       c.company_name,
+       c.client_name,
+       c.street,
+       c.city,
+       c.region,
+       c.tax_number,
+       cmc.vat_no AS medad_vat_no,
+       cmc.address1 AS medad_address1,
+       cmc.address2 AS medad_address2,
+       cmc.city AS medad_city,
+       cmc.region AS medad_region
+     FROM orders o
+     JOIN clients c ON o.client_id = c.id
+     LEFT JOIN client_medad_customers cmc ON o.client_medad_customer_id = cmc.id
+     WHERE o.id = $1${forUpdate ? '\n     FOR UPDATE OF o' : ''}`,
+    [orderId]
+  );
+  if (orderResult.rowCount === 0) return null;
+  const order = orderResult.rows[0];
+
+  const linesResult = await client.query(
+    `SELECT id, medad_product_no, description, quantity, price, vat_category, vat_rate
+     FROM order_products
+     WHERE order_id = $1
+     ORDER BY id ASC`,
+    [orderId]
+  );
+  const lines = linesResult.rows.map((row) => ({
+    ...priceStoredLine(row),
+    description: row.description,
+    productNo: row.medad_product_no,
+  }));
+
+  const buyer = {
+    name: order.company_name || order.client_name || '',
+    vatNumber: order.medad_vat_no || order.tax_number || '',
+    street: order.medad_address1 || order.street || '',
+    district: order.medad_address2 || '',
+    city: order.medad_city || order.city || '',
+    region: order.medad_region || order.region || '',
+  };
+
+  return { order, lines, totals: documentTotals(lines), buyer, seller: getSellerInfo() };
+};
+
+const escapeXml = (value) =>
+  String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+
+const amount = (value) => Number(value || 0).toFixed(2);
+const percent = (rate) => (Number(rate || 0) * 100).toFixed(2);
+const money = (tag, value) => `<cbc:${tag} currencyID="${CURRENCY}">${amount(value)}</cbc:${tag}>`;
+
+const taxScheme = '<cac:TaxScheme><cbc:ID>VAT</cbc:ID></cac:TaxScheme>';
+
+const taxCategory = (tag, category, rate) => {
+  const exemption = EXEMPTION_REASONS[category];
+  return [
+    `<cac:${tag}>`,
+    `<cbc:ID>${category}</cbc:ID>`,
+    `<cbc:Percent>${percent(rate)}</cbc:Percent>`,
+    exemption && tag === 'TaxCategory'
+      ? `<cbc:TaxExemptionReasonCode>${escapeXml(exemption.code)}</cbc:TaxExemptionReasonCode>` +
+        `<cbc:TaxExemptionReason>${escapeXml(exemption.text)}</cbc:TaxExemptionReason>`
+      : '',
+    taxScheme,
+    `</cac:${tag}>`,
+  ].join('');
+};
+
+const party = ({ name, vatNumber, crn, street, buildingNumber, district, city, postalCode }) =>
+  [
+    '<cac:Party>',
+    crn ? `<cac:PartyIdentification><cbc:ID schemeID="CRN">${escapeXml(crn)}</cbc:ID></cac:PartyIdentification>` : '',
+    '<cac:PostalAddress>',
+    `<cbc:StreetName>${escapeXml(street)}</cbc:StreetName>`,
+    buildingNumber ? `<cbc:BuildingNumber>${escapeXml(buildingNumber)}</cbc:BuildingNumber>` : '',
+    district ? `<cbc:CitySubdivisionName>${escapeXml(district)}</cbc:CitySubdivisionName>` : '',
+    `<cbc:CityName>${escapeXml(city)}</cbc:CityName>`,
+    postalCode ? `<cbc:PostalZone>${escapeXml(postalCode)}</cbc:PostalZone>` : '',
+    '<cac:Country><cbc:IdentificationCode>SA</cbc:IdentificationCode></cac:Country>',
+    '</cac:PostalAddress>',
+    vatNumber
+      ? `<cac:PartyTaxScheme><cbc:CompanyID>${escapeXml(vatNumber)}</cbc:CompanyID>${taxScheme}</cac:PartyTaxScheme>`
+      : '',
+    `<cac:PartyLegalEntity><cbc:RegistrationName>${escapeXml(name)}</cbc:RegistrationName></cac:PartyLegalEntity>`,
+    '</cac:Party>',
+  ].join('');
+
+const documentReference = (id, content) =>
+  `<cac:AdditionalDocumentReference><cbc:ID>${id}</cbc:ID>${content}</cac:AdditionalDocumentReference>`;
+
+const attachment = (value) =>
+  `<cac:Attachment><cbc:EmbeddedDocumentBinaryObject mimeCode="text/plain">${value}</cbc:EmbeddedDocumentBinaryObject></cac:Attachment>`;
+
+/**
+ * Renders the UBL 2.1 invoice. `source` is what loadInvoiceSource resolves to,
+ * with `order.einvoice_uuid` set; `counter` is the ICV and `previousHash` the
+ * PIH. Without `qr` the QR reference is left out, which is the form the
+ * invoice hash is taken over.
+ */
+export const buildInvoiceXml = (source, { type, qr = null, issuedAt, counter, previousHash }) => {
+  const { order, lines, totals, buyer, seller } = source;
+  const issued = new Date(issuedAt);
+  const [issueDate, issueTimeWithMs] = issued.toISOString().split('T');
+  const issueTime = issueTimeWithMs.slice(0, 8);
+
+  // One TaxSubtotal per category/rate pair
+  const subtotals = new Map();
+  for (const line of lines) {
+    const key = `${line.vatCategory}:${line.vatRate}`;
+    const entry = subtotals.get(key) || { category: line.vatCategory, rate: line.vatRate, taxable: 0, tax: 0 };
+    entry.taxable = roundMoney(entry.taxable + line.net);
+    entry.tax = roundMoney(entry.tax + line.vat);
+    subtotals.set(key, entry);
+  }
+
+  const invoiceLines = lines.map((line, index) =>
+    [
+      '<cac:InvoiceLine>',
+      `<cbc:ID>${index + 1}</cbc:ID>`,
+      `<cbc:InvoicedQuantity unitCode="PCE">${line.quantity}</cbc:InvoicedQuantity>`,
+      money('LineExtensionAmount', line.net),
+      '<cac:TaxTotal>',
+      money('TaxAmount', line.vat),
+      money('RoundingAmount', line.gross),
+      '</cac:TaxTotal>',
+      '<cac:Item>',
+      `<cbc:Name>${escapeXml(line.description)}</cbc:Name>`,
+      line.productNo
+        ? `<cac:SellersItemIdentification><cbc:ID>${escapeXml(line.productNo)}</cbc:ID></cac:SellersItemIdentification>`
+        : '',
+      taxCategory('ClassifiedTaxCategory', line.vatCategory, line.vatRate),
+      '</cac:Item>',
+      `<cac:Price>${money('PriceAmount', line.price)}</cac:Price>`,
+      '</cac:InvoiceLine>',
+    ].join('')
+  );
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<Invoice xmlns="urn:oasis:names:specification:ubl:schema:xsd:Invoice-2"' +
+      ' xmlns:cac="urn:oasis:names:specification:ubl:schema:xsd:CommonAggregateComponents-2"' +
+      ' xmlns:cbc="urn:oasis:names:specification:ubl:schema:xsd:CommonBasicComponents-2"' +
+      ' xmlns:ext="urn:oasis:names:specification:ubl:schema:xsd:CommonExtensionComponents-2">',
+    '<cbc:ProfileID>reporting:1.0</cbc:ProfileID>',
+    `<cbc:ID>${escapeXml(order.custom_id || order.id)}</cbc:ID>`,
+    `<cbc:UUID>${order.einvoice_uuid}</cbc:UUID>`,
+    `<cbc:IssueDate>${issueDate}</cbc:IssueDate>`,
+    `<cbc:IssueTime>${issueTime}</cbc:IssueTime>`,
+    `<cbc:InvoiceTypeCode name="${TYPE_NAME[type]}">${TAX_INVOICE_CODE}</cbc:InvoiceTypeCode>`,
+    order.notes ? `<cbc:Note>${escapeXml(order.notes)}</cbc:Note>` : '',
+    `<cbc:DocumentCurrencyCode>${CURRENCY}</cbc:DocumentCurrencyCode>`,
+    `<cbc:TaxCurrencyCode>${CURRENCY}</cbc:TaxCurrencyCode>`,
+    documentReference('ICV', `<cbc:UUID>${counter}</cbc:UUID>`),
+    documentReference('PIH', attachment(previousHash)),
+    qr ? documentReference('QR', attachment(qr)) : '',
+    `<cac:AccountingSupplierParty>${party(seller)}</cac:AccountingSupplierParty>`,
+    `<cac:AccountingCustomerParty>${party(buyer)}</cac:AccountingCustomerParty>`,
+    order.actual_delivery_date
+      ? `<cac:Delivery><cbc:ActualDeliveryDate>${new Date(order.actual_delivery_date).toISOString().split('T')[0]}</cbc:ActualDeliveryDate></cac:Delivery>`
+      : '',
+    '<cac:PaymentMeans><cbc:PaymentMeansCode>10</cbc:PaymentMeansCode></cac:PaymentMeans>',
+    `<cac:TaxTotal>${money('TaxAmount', totals.total_vat)}</cac:TaxTotal>`,
+    '<cac:TaxTotal>',
+    money('TaxAmount', totals.total_vat),
+    ...[...subtotals.values()].map((entry) =>
+      [
+        '<cac:TaxSubtotal>',
+        money('TaxableAmount', entry.taxable),
+        money('TaxAmount', entry.tax),
+        taxCategory('TaxCategory', entry.category, entry.rate),
+        '</cac:TaxSubtotal>',
+      ].join('')
+    ),
+    '</cac:TaxTotal>',
+    '<cac:LegalMonetaryTotal>',
+    money('LineExtensionAmount', totals.total_price),
+    money('TaxExclusiveAmount', totals.total_price),
+    money('TaxInclusiveAmount', totals.total_subtotal),
+    money('AllowanceTotalAmount', 0),
+    money('PrepaidAmount', 0),
+    money('PayableAmount', totals.total_subtotal),
+    '</cac:LegalMonetaryTotal>',
+    ...invoiceLines,
+    '</Invoice>',
+  ]
+    .filter(Boolean)
+    .join('\n');
+};
+
+// Base64 SHA-256 of the invoice without its QR, the form ZATCA chains by
+export const invoiceHash = (xml) => crypto.createHash('sha256').update(xml, 'utf8').digest('base64');
+
+const storedEInvoice = (order) => ({
+  issued: Boolean(order.einvoice_hash),
+  type: order.einvoice_type,
+  uuid: order.einvoice_uuid,
+  counter: order.einvoice_counter,
+  issuedAt: order.einvoice_issued_at,
+  previousHash: order.einvoice_previous_hash,
+  hash: order.einvoice_hash,
+  qr: order.einvoice_qr,
+  xml: order.einvoice_xml,
+});
+
+/**
+ * Issues the e-invoice of an order in its own transaction. Invoices are issued
+ * one at a time, since each needs the hash of the one before it. An order that
+ * was already issued is returned unchanged. Resolves to the stored e-invoice,
+ * or null when the order does not exist.
+ */
+export const issueOrderEInvoice = async (client, orderId) => {
+  await client.query('BEGIN');
+  try {
+    await client.query("SELECT pg_advisory_xact_lock(hashtext('einvoice_chain'))");
+    const source = await loadInvoiceSource(client, orderId, { forUpdate: true });
+    if (!source || source.order.einvoice_hash) {
+      await client.query('COMMIT');
+      return source ? storedEInvoice(source.order) : null;
+    }
+
+    const previous = await client.query(
+      `SELECT einvoice_counter, einvoice_hash
+       FROM orders
+       WHERE einvoice_counter IS NOT NULL
+       ORDER BY einvoice_counter DESC
+       LIMIT 1`
+    );
+    const counter = (previous.rows[0]?.einvoice_counter ?? 0) + 1;
+    const previousHash = previous.rows[0]?.einvoice_hash || INITIAL_PIH;
+    const issuedAt = new Date();
+    const type = resolveInvoiceType(source.buyer);
+    const issuing = { ...source, order: { ...source.order, einvoice_uuid: crypto.randomUUID() } };
+    const qr = buildQrPayload({
+      sellerName: source.seller.name,
+      vatNumber: source.seller.vatNumber,
+      timestamp: issuedAt,
+      total: source.totals.total_subtotal,
+      vatTotal: source.totals.total_vat,
+    });
+    const fields = { type, issuedAt, counter, previousHash };
+    const hash = invoiceHash(buildInvoiceXml(issuing, fields));
+    const xml = buildInvoiceXml(issuing, { ...fields, qr });
+
+    const result = await client.query(
+      `UPDATE orders
+       SET einvoice_uuid = $2, einvoice_counter = $3, einvoice_type = $4, einvoice_issued_at = $5,
+           einvoice_previous_hash = $6, einvoice_hash = $7, einvoice_qr = $8, einvoice_xml = $9
+       WHERE id = $1
+       RETURNING *`,
+      [orderId, issuing.order.einvoice_uuid, counter, type, issuedAt, previousHash, hash, qr, xml]
+    );
+    await client.query('COMMIT');
+    return storedEInvoice(result.rows[0]);
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  }
+};
+
+/**
+ * The e-invoice as issued (`issued: false` and no XML before that). Read only.
+ * Resolves to null when the order does not exist.
+ */
+export const loadOrderEInvoice = async (client, orderId) => {
+  const result = await client.query(
+    `SELECT einvoice_uuid, einvoice_counter, einvoice_type, einvoice_issued_at,
+            einvoice_previous_hash, einvoice_hash, einvoice_qr, einvoice_xml
+     FROM orders
+     WHERE id = $1`,
+    [orderId]
+  );
+  return result.rowCount === 0 ? null : storedEInvoice(result.rows[0]);
+};